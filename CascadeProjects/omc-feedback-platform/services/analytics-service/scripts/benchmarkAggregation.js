@@ -0,0 +1,205 @@
+/**
+ * Benchmark the single-pass feedback metrics pipeline against the legacy per-metric pipelines
+ *
+ * Seeds synthetic feedback events into a scratch database, aggregates one monthly bucket with
+ * each implementation and prints their timings and any differing metrics. The scratch database
+ * is dropped afterwards.
+ *
+ * Usage: npm run benchmark:aggregation -- [--events 100000] [--runs 3]
+ * Requires MongoDB 7.0 or later; set BENCHMARK_MONGODB_URI to use another server or database
+ * (its name must contain "benchmark").
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const DataAggregator = require('../src/utils/dataAggregator');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const FeedbackMetrics = require('../src/models/feedbackMetrics');
+
+const uri = process.env.BENCHMARK_MONGODB_URI || 'mongodb://localhost:27017/omc_analytics_benchmark';
+
+// Events inserted per batch while seeding
+const seedBatchSize = 5000;
+
+/**
+ * Read a numeric command line option
+ * @param {string} name - Option name
+ * @param {number} fallback - Default value
+ * @returns {number} - Option value
+ */
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : parseInt(process.argv[index + 1], 10);
+
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Pick a random element
+ * @param {Array} values - Values to pick from
+ * @returns {*} - Random value
+ */
+const pick = values => values[Math.floor(Math.random() * values.length)];
+
+/**
+ * Build a synthetic feedback event within a month
+ * @param {Date} monthStart - Start of the month
+ * @param {Array<mongoose.Types.ObjectId>} categories - Category IDs
+ * @returns {Object} - AnalyticsEvent document
+ */
+const syntheticEvent = (monthStart, categories) => {
+  const timestamp = new Date(monthStart.getTime() + Math.floor(Math.random() * 27 * 24 * 3600 * 1000));
+  const createdAt = new Date(timestamp.getTime() - Math.floor(Math.random() * 72 * 3600 * 1000));
+  const eventType = pick([
+    'feedback.created', 'feedback.created', 'feedback.updated', 'feedback.responded',
+    'feedback.resolved', 'feedback.closed', 'feedback.satisfaction', 'feedback.escalated', 'feedback.commented'
+  ]);
+
+  const eventData = {
+    'feedback.created': { priority: pick(['low', 'medium', 'high', 'critical']), categoryId: pick(categories) },
+    'feedback.updated': { status: pick(['in_progress', 'open']) },
+    'feedback.responded': { createdAt },
+    'feedback.resolved': { createdAt },
+    'feedback.satisfaction': { score: pick([1, 2, 3, 4, 5]) },
+    'feedback.escalated': { escalationLevel: pick([1, 2, 3]) },
+    'feedback.commented': { commentType: pick(['internal', 'external']) }
+  }[eventType] || {};
+
+  return {
+    eventType,
+    sourceService: 'feedback',
+    timestamp,
+    eventData,
+    schemaVersion: 1,
+    processed: false
+  };
+};
+
+/**
+ * Seed synthetic events
+ * @param {number} count - Number of events
+ * @param {Date} monthStart - Start of the month the events fall in
+ * @returns {Promise<void>}
+ */
+const seed = async (count, monthStart) => {
+  const categories = Array.from({ length: 20 }, () => new mongoose.Types.ObjectId());
+
+  for (let inserted = 0; inserted < count; inserted += seedBatchSize) {
+    const batch = Array.from({ length: Math.min(seedBatchSize, count - inserted) }, () => syntheticEvent(monthStart, categories));
+
+    await AnalyticsEvent.collection.insertMany(batch, { ordered: false });
+  }
+
+  await AnalyticsEvent.createIndexes();
+};
+
+/**
+ * Time an implementation over several runs
+ * @param {Function} aggregate - Function aggregating the bucket
+ * @param {number} runs - Number of runs
+ * @returns {Promise<Object>} - Timings in milliseconds and the resulting metrics
+ */
+const time = async (aggregate, runs) => {
+  const durations = [];
+
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await aggregate();
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+
+  const metrics = await FeedbackMetrics.findOne({}).lean();
+
+  return {
+    min: durations[0],
+    median: durations[Math.floor(durations.length / 2)],
+    max: durations[durations.length - 1],
+    metrics
+  };
+};
+
+/**
+ * List the leaf values of the metrics that differ between implementations
+ * @param {Object} legacy - Legacy metrics
+ * @param {Object} facet - Single-pass metrics
+ * @returns {Array<Object>} - Differing paths with both values
+ */
+const compare = (legacy, facet) => {
+  const fields = ['counts', 'byPriority', 'byCategory', 'responseTimes', 'resolutionTimes', 'satisfaction', 'escalations', 'comments'];
+  const differences = [];
+
+  const walk = (path, a, b) => {
+    if (a && typeof a === 'object' && !(a instanceof Date)) {
+      new Set([...Object.keys(a), ...Object.keys(b || {})]).forEach(key => walk(`${path}.${key}`, a[key], b?.[key]));
+      return;
+    }
+
+    if (typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a))) {
+      return;
+    }
+
+    if (a !== b) {
+      differences.push({ path, legacy: a, facet: b });
+    }
+  };
+
+  fields.forEach(field => walk(field, legacy[field], facet[field]));
+
+  return differences;
+};
+
+const run = async () => {
+  const events = option('events', 100000);
+  const runs = option('runs', 3);
+
+  await mongoose.connect(uri);
+
+  // The database is dropped, so never run against a real one
+  if (!mongoose.connection.name.includes('benchmark')) {
+    await mongoose.disconnect();
+    throw new Error(`Refusing to use database ${mongoose.connection.name}: its name must contain "benchmark"`);
+  }
+
+  const { version } = await mongoose.connection.db.admin().serverInfo();
+  console.log(`MongoDB ${version}, ${events} events, ${runs} runs per implementation`);
+
+  try {
+    await mongoose.connection.db.dropDatabase();
+
+    const monthStart = DataAggregator.calculatePeriodDates('monthly', new Date()).startDate;
+    const { startDate, endDate } = DataAggregator.calculatePeriodDates('monthly', monthStart);
+    const matchCriteria = { sourceService: 'feedback', timestamp: { $gte: startDate, $lt: endDate } };
+
+    console.log('Seeding events...');
+    await seed(events, monthStart);
+
+    const legacy = await time(() => DataAggregator._upsertFeedbackMetrics('monthly', startDate, matchCriteria, null), runs);
+    const facet = await time(() => DataAggregator._mergeFeedbackMetrics('monthly', startDate, matchCriteria, null), runs);
+
+    console.table({
+      legacy: { min: legacy.min, median: legacy.median, max: legacy.max },
+      facet: { min: facet.min, median: facet.median, max: facet.max }
+    });
+    console.log(`Speedup (median): ${(legacy.median / facet.median).toFixed(2)}x`);
+
+    // Percentiles are approximate and legacy inProgress counts are always 0, so those may differ
+    const differences = compare(legacy.metrics, facet.metrics);
+
+    if (differences.length > 0) {
+      console.log('Differing metrics:');
+      console.table(differences);
+    } else {
+      console.log('Both implementations produced the same metrics');
+    }
+  } finally {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error(`Benchmark failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,6 +1,35 @@
 const Dashboard = require('../models/dashboard');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
+const WidgetDataResolver = require('../utils/widgetDataResolver');
+const { getPermission: getSharedPermission, buildSharing } = require('../utils/sharing');
+
+/**
+ * Permission of a user on a dashboard
+ * @param {Object} dashboard - Dashboard document
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - 'owner', 'edit', 'view' or null if the user has no access
+ */
+const getPermission = (dashboard, user) => getSharedPermission(dashboard, dashboard.userId, user);
+
+/**
+ * Check whether a user can view a dashboard
+ * @param {Object} dashboard - Dashboard document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} - True if the user can view the dashboard
+ */
+const canViewDashboard = (dashboard, user) => getPermission(dashboard, user) !== null;
+
+/**
+ * Dashboard as returned to a user, including the user's permission
+ * @param {Object} dashboard - Dashboard document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Dashboard data
+ */
+const withPermission = (dashboard, user) => ({
+  ...dashboard.toObject(),
+  permission: getPermission(dashboard, user)
+});
 
 /**
  * Controller for handling dashboard operations
@@ -13,29 +42,44 @@ const dashboardController = {
    */
   createDashboard: async (req, res) => {
     try {
-      const { name, description, layout, widgets, filters, isDefault } = req.body;
+      const { name, description, layout = [], filters, isDefault, sharing } = req.body;
       
       // Validate required fields
-      if (!name || !layout || !widgets || !Array.isArray(widgets)) {
+      if (!name || !Array.isArray(layout)) {
         return res.status(400).json({
           success: false,
           error: 'Validation error',
-          message: 'name, layout, and widgets array are required'
+          message: 'name is required and layout must be an array of widgets'
         });
       }
       
+      // Validate sharing settings
+      let sharingSettings;
+      
+      if (sharing) {
+        const result = buildSharing(sharing, {}, req.user.id);
+        
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            message: result.error
+          });
+        }
+        
+        sharingSettings = result.sharing;
+      }
+      
       // Create new dashboard
       const dashboard = new Dashboard({
         name,
         description,
         layout,
-        widgets,
-        filters: filters || [],
+        filters,
         isDefault: isDefault || false,
+        sharing: sharingSettings,
         userId: req.user.id,
-        companyId: req.user.companyId,
-        createdAt: new Date(),
-        updatedAt: new Date()
+        companyId: req.user.companyId
       });
       
       // If setting as default, unset any existing defaults for this user
@@ -57,7 +101,7 @@ const dashboardController = {
       
       return res.status(201).json({
         success: true,
-        data: dashboard
+        data: withPermission(dashboard, req.user)
       });
     } catch (error) {
       logger.error(`Error creating dashboard: ${error.message}`, {
@@ -82,7 +126,7 @@ const dashboardController = {
   updateDashboard: async (req, res) => {
     try {
       const dashboardId = req.params.id;
-      const { name, description, layout, widgets, filters, isDefault, sharing } = req.body;
+      const { name, description, layout, filters, isDefault, sharing } = req.body;
       
       // Find dashboard
       const dashboard = await Dashboard.findById(dashboardId);
@@ -96,11 +140,9 @@ const dashboardController = {
       }
       
       // Check if user has permission to update this dashboard
-      if (
-        dashboard.userId.toString() !== req.user.id &&
-        !req.user.roles.includes('admin') &&
-        (!dashboard.sharing || !dashboard.sharing.canEdit)
-      ) {
+      const permission = getPermission(dashboard, req.user);
+      
+      if (!['owner', 'edit'].includes(permission)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied',
@@ -108,13 +150,42 @@ const dashboardController = {
         });
       }
       
+      // Only the owner or an admin can change sharing settings and the default dashboard
+      if ((sharing || isDefault !== undefined) && permission !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Only the dashboard owner can change sharing settings or the default dashboard'
+        });
+      }
+      
+      if (layout !== undefined && !Array.isArray(layout)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'layout must be an array of widgets'
+        });
+      }
+      
+      if (sharing) {
+        const result = buildSharing(sharing, dashboard.sharing?.toObject(), dashboard.userId);
+        
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            message: result.error
+          });
+        }
+        
+        dashboard.sharing = result.sharing;
+      }
+      
       // Update fields
       if (name) dashboard.name = name;
       if (description !== undefined) dashboard.description = description;
       if (layout) dashboard.layout = layout;
-      if (widgets) dashboard.widgets = widgets;
       if (filters) dashboard.filters = filters;
-      if (sharing) dashboard.sharing = sharing;
       
       // Handle default status
       if (isDefault !== undefined) {
@@ -128,8 +199,6 @@ const dashboardController = {
         dashboard.isDefault = isDefault;
       }
       
-      dashboard.updatedAt = new Date();
-      
       // Save changes
       await dashboard.save();
       
@@ -143,7 +212,7 @@ const dashboardController = {
       
       return res.status(200).json({
         success: true,
-        data: dashboard
+        data: withPermission(dashboard, req.user)
       });
     } catch (error) {
       logger.error(`Error updating dashboard: ${error.message}`, {
@@ -162,22 +231,32 @@ const dashboardController = {
   },
   
   /**
-   * Get all dashboards for the current user
+   * Get dashboards owned by or shared with the current user
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   getDashboards: async (req, res) => {
     try {
-      // Build query
-      const query = {
-        $or: [
-          { userId: req.user.id }, // User's own dashboards
-          { 'sharing.isPublic': true }, // Public dashboards
-          { 'sharing.sharedWith': req.user.id } // Dashboards shared with user
-        ]
+      const { scope } = req.query;
+      
+      // Dashboards visible to the user, optionally narrowed by scope (own, shared, company)
+      const scopes = {
+        own: { userId: req.user.id },
+        shared: { 'sharing.sharedWith.userId': req.user.id },
+        company: { companyId: req.user.companyId, 'sharing.sharedWithCompany': true }
       };
       
-      // If company filter is provided
+      if (scope && !scopes[scope]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'scope must be one of: own, shared, company'
+        });
+      }
+      
+      const query = scope ? scopes[scope] : { $or: Object.values(scopes) };
+      
+      // Admins can list every dashboard of a company
       if (req.query.companyId) {
         // Check if user has permission to access company data
         if (
@@ -192,6 +271,10 @@ const dashboardController = {
           });
         }
         
+        if (req.user.roles.includes('admin') && !scope) {
+          delete query.$or;
+        }
+        
         query.companyId = req.query.companyId;
       }
       
@@ -201,7 +284,7 @@ const dashboardController = {
       
       return res.status(200).json({
         success: true,
-        data: dashboards
+        data: dashboards.map(dashboard => withPermission(dashboard, req.user))
       });
     } catch (error) {
       logger.error(`Error getting dashboards: ${error.message}`, {
@@ -256,13 +339,7 @@ const dashboardController = {
       }
       
       // Check if user has permission to view this dashboard
-      const canView = 
-        dashboard.userId.toString() === req.user.id || // User's own dashboard
-        req.user.roles.includes('admin') || // Admin
-        dashboard.sharing?.isPublic || // Public dashboard
-        (dashboard.sharing?.sharedWith && dashboard.sharing.sharedWith.includes(req.user.id)); // Shared with user
-      
-      if (!canView) {
+      if (!canViewDashboard(dashboard, req.user)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied',
@@ -270,12 +347,14 @@ const dashboardController = {
         });
       }
       
+      const data = withPermission(dashboard, req.user);
+      
       // Cache dashboard
-      await cache.set(cacheKey, dashboard, 300); // 5 minutes TTL
+      await cache.set(cacheKey, data, 300); // 5 minutes TTL
       
       return res.status(200).json({
         success: true,
-        data: dashboard
+        data
       });
     } catch (error) {
       logger.error(`Error getting dashboard by ID: ${error.message}`, {
@@ -362,7 +441,7 @@ const dashboardController = {
   shareDashboard: async (req, res) => {
     try {
       const dashboardId = req.params.id;
-      const { isPublic, canEdit, sharedWith } = req.body;
+      const { sharedWith, sharedWithCompany, companyPermission } = req.body;
       
       // Find dashboard
       const dashboard = await Dashboard.findById(dashboardId);
@@ -387,14 +466,22 @@ const dashboardController = {
         });
       }
       
-      // Update sharing settings
-      dashboard.sharing = {
-        isPublic: isPublic !== undefined ? isPublic : dashboard.sharing?.isPublic || false,
-        canEdit: canEdit !== undefined ? canEdit : dashboard.sharing?.canEdit || false,
-        sharedWith: sharedWith || dashboard.sharing?.sharedWith || []
-      };
+      // Update sharing settings; omitted fields keep their current value
+      const result = buildSharing(
+        { sharedWith, sharedWithCompany, companyPermission },
+        dashboard.sharing?.toObject(),
+        dashboard.userId
+      );
+      
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: result.error
+        });
+      }
       
-      dashboard.updatedAt = new Date();
+      dashboard.sharing = result.sharing;
       
       // Save changes
       await dashboard.save();
@@ -405,8 +492,8 @@ const dashboardController = {
       logger.info(`Updated dashboard sharing: ${dashboard.name}`, {
         dashboardId,
         userId: req.user.id,
-        isPublic: dashboard.sharing.isPublic,
-        canEdit: dashboard.sharing.canEdit,
+        sharedWithCompany: dashboard.sharing.sharedWithCompany,
+        companyPermission: dashboard.sharing.companyPermission,
         sharedWithCount: dashboard.sharing.sharedWith.length
       });
       
@@ -433,6 +520,124 @@ const dashboardController = {
     }
   },
   
+  /**
+   * Get the data of every widget on a dashboard
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDashboardData: async (req, res) => {
+    try {
+      const dashboardId = req.params.id;
+      
+      // Find dashboard
+      const dashboard = await Dashboard.findById(dashboardId);
+      
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Dashboard not found'
+        });
+      }
+      
+      // Check if user has permission to view this dashboard
+      if (!canViewDashboard(dashboard, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to view this dashboard'
+        });
+      }
+      
+      const widgets = await WidgetDataResolver.resolveAll(dashboard, {
+        refresh: req.query.refresh === 'true'
+      });
+      
+      return res.status(200).json({
+        success: true,
+        data: {
+          dashboardId,
+          widgets
+        }
+      });
+    } catch (error) {
+      logger.error(`Error getting dashboard data: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        dashboardId: req.params.id
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * Get the data of a single dashboard widget
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getWidgetData: async (req, res) => {
+    try {
+      const { id: dashboardId, widgetId } = req.params;
+      
+      // Find dashboard
+      const dashboard = await Dashboard.findById(dashboardId);
+      
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Dashboard not found'
+        });
+      }
+      
+      // Check if user has permission to view this dashboard
+      if (!canViewDashboard(dashboard, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to view this dashboard'
+        });
+      }
+      
+      const widget = dashboard.layout.find(item => item.widgetId === widgetId);
+      
+      if (!widget) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Widget not found'
+        });
+      }
+      
+      const data = await WidgetDataResolver.resolve(dashboard, widget, {
+        refresh: req.query.refresh === 'true'
+      });
+      
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error(`Error getting widget data: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        dashboardId: req.params.id,
+        widgetId: req.params.widgetId
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
   /**
    * Clone an existing dashboard
    * @param {Object} req - Express request object
@@ -464,13 +669,7 @@ const dashboardController = {
       }
       
       // Check if user has permission to view the source dashboard
-      const canView = 
-        sourceDashboard.userId.toString() === req.user.id ||
-        req.user.roles.includes('admin') ||
-        sourceDashboard.sharing?.isPublic ||
-        (sourceDashboard.sharing?.sharedWith && sourceDashboard.sharing.sharedWith.includes(req.user.id));
-      
-      if (!canView) {
+      if (!canViewDashboard(sourceDashboard, req.user)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied',
@@ -478,23 +677,16 @@ const dashboardController = {
         });
       }
       
-      // Create new dashboard as a clone
+      // Create new dashboard as a private clone owned by the current user
+      const source = sourceDashboard.toObject();
       const newDashboard = new Dashboard({
         name,
-        description: `Clone of ${sourceDashboard.name}`,
-        layout: sourceDashboard.layout,
-        widgets: sourceDashboard.widgets,
-        filters: sourceDashboard.filters,
+        description: `Clone of ${source.name}`,
+        layout: source.layout.map(({ _id: widgetDocId, ...widget }) => widget),
+        filters: source.filters,
         isDefault: false,
         userId: req.user.id,
-        companyId: req.user.companyId,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        sharing: {
-          isPublic: false,
-          canEdit: false,
-          sharedWith: []
-        }
+        companyId: req.user.companyId
       });
       
       // Save new dashboard
@@ -508,7 +700,7 @@ const dashboardController = {
       
       return res.status(201).json({
         success: true,
-        data: newDashboard
+        data: withPermission(newDashboard, req.user)
       });
     } catch (error) {
       logger.error(`Error cloning dashboard: ${error.message}`, {
@@ -0,0 +1,221 @@
+const messageQueue = require('../utils/messageQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Respond with 404 if a queue is not consumed by this service
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectUnknownQueue = (req, res) => {
+  if (messageQueue.isConsumerQueue(req.params.queue)) {
+    return false;
+  }
+
+  res.status(404).json({
+    success: false,
+    error: 'Not found',
+    message: `Unknown consumer queue: ${req.params.queue}`
+  });
+
+  return true;
+};
+
+/**
+ * Controller for inspecting and recovering dead-lettered queue messages
+ */
+const deadLetterController = {
+  /**
+   * List consumer queues with their dead-letter message counts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDeadLetterQueues: async (req, res) => {
+    try {
+      const queues = await messageQueue.getDeadLetterQueues();
+
+      return res.status(200).json({
+        success: true,
+        data: queues
+      });
+    } catch (error) {
+      logger.error(`Error getting dead-letter queues: ${error.message}`, {
+        error: error.message,
+        stack: error.stack
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * List dead-lettered messages of a consumer queue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDeadLetters: async (req, res) => {
+    try {
+      if (rejectUnknownQueue(req, res)) return;
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const messages = await messageQueue.getDeadLetters(req.params.queue, limit);
+
+      return res.status(200).json({
+        success: true,
+        data: messages
+      });
+    } catch (error) {
+      logger.error(`Error getting dead-lettered messages: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        queue: req.params.queue
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a single dead-lettered message
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDeadLetter: async (req, res) => {
+    try {
+      if (rejectUnknownQueue(req, res)) return;
+
+      const message = await messageQueue.getDeadLetter(req.params.queue, req.params.messageId);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Dead-lettered message not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: message
+      });
+    } catch (error) {
+      logger.error(`Error getting dead-lettered message: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        queue: req.params.queue,
+        messageId: req.params.messageId
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Replay dead-lettered messages to their consumer queue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  replayDeadLetters: async (req, res) => {
+    try {
+      if (rejectUnknownQueue(req, res)) return;
+
+      const { messageIds } = req.body;
+
+      if (messageIds !== undefined && !Array.isArray(messageIds)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'messageIds must be an array'
+        });
+      }
+
+      const replayed = await messageQueue.replayDeadLetters(req.params.queue, messageIds || null);
+
+      logger.info(`Dead-lettered messages replayed by ${req.user.id}`, {
+        queue: req.params.queue,
+        replayed
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          queue: req.params.queue,
+          replayed
+        }
+      });
+    } catch (error) {
+      logger.error(`Error replaying dead-lettered messages: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        queue: req.params.queue
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete dead-lettered messages
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  purgeDeadLetters: async (req, res) => {
+    try {
+      if (rejectUnknownQueue(req, res)) return;
+
+      const ids = req.params.messageId ? [req.params.messageId] : null;
+      const purged = await messageQueue.purgeDeadLetters(req.params.queue, ids);
+
+      if (ids && purged === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Dead-lettered message not found'
+        });
+      }
+
+      logger.info(`Dead-lettered messages purged by ${req.user.id}`, {
+        queue: req.params.queue,
+        purged
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          queue: req.params.queue,
+          purged
+        }
+      });
+    } catch (error) {
+      logger.error(`Error purging dead-lettered messages: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        queue: req.params.queue
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  }
+};
+
+module.exports = deadLetterController;
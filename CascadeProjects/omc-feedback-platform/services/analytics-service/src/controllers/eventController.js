@@ -1,6 +1,226 @@
+const readline = require('readline');
 const AnalyticsEvent = require('../models/analyticsEvent');
+const eventStore = require('../utils/eventStore');
+const eventSchemas = require('../utils/eventSchemas');
+const eventUpcasters = require('../utils/eventUpcasters');
 const logger = require('../utils/logger');
 
+// Maximum number of events in a batch request
+const maxBatchSize = parseInt(process.env.EVENT_BATCH_MAX_SIZE || '50000', 10);
+
+// Events validated and inserted together while processing a batch
+const batchChunkSize = parseInt(process.env.EVENT_BATCH_CHUNK_SIZE || '1000', 10);
+
+/**
+ * Read batch items from an NDJSON request body, one event per non-empty line
+ * Lines that are not valid JSON and lines beyond EVENT_BATCH_MAX_SIZE become rejected items
+ * @param {Object} req - Express request object
+ * @returns {AsyncGenerator<Object>} - Items with index and event (or parse error)
+ */
+async function* readNdjson(req) {
+  const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+  let index = 0;
+  
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    
+    const current = index++;
+    
+    if (current >= maxBatchSize) {
+      yield { index: current, error: `Batch exceeds the maximum of ${maxBatchSize} events` };
+      continue;
+    }
+    
+    let event;
+    
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      yield { index: current, error: `Invalid JSON: ${error.message}` };
+      continue;
+    }
+    
+    yield { index: current, event };
+  }
+}
+
+/**
+ * Timestamps of a batch event
+ * Sync uploads keep the device timestamp as clientTimestamp and shift it by the device clock skew,
+ * without moving it past the upload time
+ * @param {Object} event - Batch event
+ * @param {Date} receivedAt - When the batch was received
+ * @param {Object} clock - Device clock and skew of a sync upload
+ * @returns {Object|null} - Timestamp fields, or null if a sync event has no valid timestamp
+ */
+const eventTimes = (event, receivedAt, clock) => {
+  if (!clock) {
+    return { timestamp: event.timestamp || receivedAt };
+  }
+  
+  const clientTimestamp = new Date(event.timestamp);
+  
+  if (!event.timestamp || isNaN(clientTimestamp.getTime())) {
+    return null;
+  }
+  
+  return {
+    timestamp: new Date(Math.min(clientTimestamp.getTime() + clock.skew, receivedAt.getTime())),
+    clientTimestamp,
+    clockSkew: clock.skew
+  };
+};
+
+/**
+ * Validate and store a chunk of batch items
+ * @param {Array<Object>} items - Items with index and event (or parse error)
+ * @param {Object} options - Batch options
+ * @param {string} options.idempotencyKey - Idempotency-Key header; events without an eventId use `<key>:<index>`
+ * @param {Date} options.receivedAt - When the batch was received (timestamp of events without one)
+ * @param {Object} options.clock - Device clock and skew of a sync upload
+ * @returns {Promise<Array<Object>>} - Result per item: index, status ('accepted', 'duplicate' or
+ *   'rejected'), eventId, late flag and rejection errors
+ */
+const storeBatchChunk = async (items, { idempotencyKey, receivedAt, clock }) => {
+  const results = new Array(items.length);
+  const valid = [];
+  
+  items.forEach((item, position) => {
+    const { index, event } = item;
+    const reject = errors => { results[position] = { index, status: 'rejected', errors }; };
+    
+    if (item.error) return reject([item.error]);
+    
+    if (!event || typeof event !== 'object' || !event.sourceService || !event.eventType || !event.eventData) {
+      return reject(['sourceService, eventType, and eventData are required']);
+    }
+    
+    const validation = eventSchemas.validateEvent(event);
+    
+    if (!validation.valid) return reject(validation.errors);
+    
+    const times = eventTimes(event, receivedAt, clock);
+    
+    if (!times) return reject(['timestamp must be a valid date for sync events']);
+    
+    valid.push({
+      position,
+      event: {
+        ...event,
+        eventId: event.eventId || (idempotencyKey ? `${idempotencyKey}:${index}` : undefined),
+        eventData: validation.eventData,
+        schemaVersion: validation.version,
+        receivedAt,
+        ...times
+      }
+    });
+  });
+  
+  const stored = valid.length > 0 ? await eventStore.storeEvents(valid.map(entry => entry.event)) : [];
+  
+  stored.forEach((result, i) => {
+    results[valid[i].position] = {
+      index: items[valid[i].position].index,
+      status: result.status,
+      ...(result.eventId && { eventId: result.eventId }),
+      ...(result.event?.late && { late: true }),
+      ...(result.status === 'rejected' && { errors: result.errors })
+    };
+  });
+  
+  return results;
+};
+
+/**
+ * Validate and store the events of a batch request in chunks, and respond with a result per event
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Date} deviceTime - Device clock at upload time, for sync uploads
+ * @returns {Promise<Object>} - Express response
+ */
+const processBatch = async (req, res, deviceTime = null) => {
+  const streamed = req.is('application/x-ndjson');
+  const { events } = streamed ? {} : req.body;
+  
+  // Validate request
+  if (!streamed && (!events || !Array.isArray(events) || events.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'events array is required and must not be empty'
+    });
+  }
+  
+  if (!streamed && events.length > maxBatchSize) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: `events array must not exceed ${maxBatchSize} events`
+    });
+  }
+  
+  const idempotencyKey = req.get('Idempotency-Key');
+  const receivedAt = new Date();
+  const clock = deviceTime ? { deviceTime, skew: receivedAt.getTime() - deviceTime.getTime() } : null;
+  const results = [];
+  let chunk = [];
+  
+  const flush = async () => {
+    results.push(...await storeBatchChunk(chunk, { idempotencyKey, receivedAt, clock }));
+    chunk = [];
+  };
+  
+  // Validate and store the events in chunks so large streams are not held in memory
+  for await (const item of streamed ? readNdjson(req) : events.map((event, index) => ({ index, event }))) {
+    chunk.push(item);
+    
+    if (chunk.length >= batchChunkSize) {
+      await flush();
+    }
+  }
+  
+  await flush();
+  
+  if (results.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'events stream is empty'
+    });
+  }
+  
+  const count = status => results.filter(result => result.status === status).length;
+  const insertedCount = count('accepted');
+  const duplicateCount = count('duplicate');
+  const rejectedCount = count('rejected');
+  const lateCount = results.filter(result => result.late).length;
+  
+  logger.info(`Created ${insertedCount} analytics events in ${clock ? 'sync' : 'batch'}`, {
+    count: insertedCount,
+    duplicateCount,
+    rejectedCount,
+    lateCount,
+    clockSkew: clock?.skew,
+    streamed: Boolean(streamed)
+  });
+  
+  const status = insertedCount > 0 ? 201 : (duplicateCount > 0 ? 200 : 400);
+  
+  return res.status(status).json({
+    success: status !== 400,
+    ...(status === 400 && { error: 'Validation error', message: 'No valid events provided' }),
+    data: {
+      total: results.length,
+      insertedCount,
+      duplicateCount,
+      rejectedCount,
+      lateCount,
+      ...(clock && { sync: { deviceTime, receivedAt, clockSkew: clock.skew } }),
+      results
+    }
+  });
+};
+
 /**
  * Controller for handling analytics events
  */
@@ -12,7 +232,7 @@ const eventController = {
    */
   createEvent: async (req, res) => {
     try {
-      const { sourceService, eventType, eventData, userId, companyId, resourceId, resourceType, metadata } = req.body;
+      const { sourceService, eventType, eventData, schemaVersion, userId, companyId, resourceId, resourceType, metadata } = req.body;
       
       // Validate required fields
       if (!sourceService || !eventType || !eventData) {
@@ -23,11 +243,28 @@ const eventController = {
         });
       }
       
-      // Create new event
-      const event = new AnalyticsEvent({
+      // Validate the payload against the event type's schema
+      const validation = eventSchemas.validateEvent({ sourceService, eventType, eventData, schemaVersion });
+      
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid ${eventType} event: ${validation.errors.join('; ')}`,
+          errors: validation.errors
+        });
+      }
+      
+      // Retried submissions carry the same event id, in the body or the Idempotency-Key header
+      const idempotencyKey = req.body.eventId || req.get('Idempotency-Key');
+      
+      // Store event unless the event id was already seen
+      const { eventId, duplicate, event } = await eventStore.storeEvent({
         sourceService,
+        eventId: idempotencyKey,
         eventType,
-        eventData,
+        eventData: validation.eventData,
+        schemaVersion: validation.version,
         userId,
         companyId,
         resourceId,
@@ -36,8 +273,15 @@ const eventController = {
         timestamp: new Date()
       });
       
-      // Save event
-      await event.save();
+      if (duplicate) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            eventId,
+            duplicate: true
+          }
+        });
+      }
       
       logger.info(`Created analytics event: ${eventType}`, {
         eventId: event._id.toString(),
@@ -51,10 +295,23 @@ const eventController = {
         success: true,
         data: {
           eventId: event._id,
-          timestamp: event.timestamp
+          timestamp: event.timestamp,
+          duplicate: false
         }
       });
     } catch (error) {
+      // Rejected by the event model
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(detail => detail.message);
+        
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error.message,
+          errors
+        });
+      }
+      
       logger.error(`Error creating analytics event: ${error.message}`, {
         error: error.message,
         stack: error.stack,
@@ -71,60 +328,81 @@ const eventController = {
   
   /**
    * Create multiple analytics events in batch
+   * Accepts a JSON body ({ events: [...] }) or a streamed NDJSON body (Content-Type:
+   * application/x-ndjson, one event per line), and reports a result per event index
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   createBatchEvents: async (req, res) => {
     try {
-      const { events } = req.body;
-      
-      // Validate request
-      if (!events || !Array.isArray(events) || events.length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation error',
-          message: 'events array is required and must not be empty'
-        });
-      }
+      return await processBatch(req, res);
+    } catch (error) {
+      logger.error(`Error creating batch analytics events: ${error.message}`, {
+        error: error.message,
+        stack: error.stack
+      });
       
-      // Validate each event
-      const validEvents = events.filter(event => 
-        event.sourceService && event.eventType && event.eventData
-      );
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * Sync events captured offline on a device
+   * The device clock at upload time (deviceTime in a JSON body or the X-Device-Time header) corrects
+   * the device timestamps of the events for clock skew
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  syncEvents: async (req, res) => {
+    try {
+      const value = req.get('X-Device-Time') || (req.is('application/x-ndjson') ? undefined : req.body.deviceTime);
+      const deviceTime = value ? new Date(value) : null;
       
-      if (validEvents.length === 0) {
+      if (!deviceTime || isNaN(deviceTime.getTime())) {
         return res.status(400).json({
           success: false,
           error: 'Validation error',
-          message: 'No valid events provided'
+          message: 'deviceTime (or the X-Device-Time header) is required and must be a valid date'
         });
       }
       
-      // Add timestamp to each event
-      const timestamp = new Date();
-      const eventsToInsert = validEvents.map(event => ({
-        ...event,
-        timestamp: event.timestamp || timestamp
-      }));
-      
-      // Insert events
-      const result = await AnalyticsEvent.insertMany(eventsToInsert);
+      return await processBatch(req, res, deviceTime);
+    } catch (error) {
+      logger.error(`Error syncing analytics events: ${error.message}`, {
+        error: error.message,
+        stack: error.stack
+      });
       
-      logger.info(`Created ${result.length} analytics events in batch`, {
-        count: result.length,
-        sourceServices: [...new Set(validEvents.map(e => e.sourceService))],
-        eventTypes: [...new Set(validEvents.map(e => e.eventType))]
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
       });
+    }
+  },
+  
+  /**
+   * List the registered event payload schemas
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getEventSchemas: async (req, res) => {
+    try {
+      const { sourceService, eventType } = req.query;
       
-      return res.status(201).json({
+      return res.status(200).json({
         success: true,
         data: {
-          insertedCount: result.length,
-          eventIds: result.map(event => event._id)
+          strict: eventSchemas.strict,
+          schemas: eventSchemas.listSchemas({ sourceService, eventType })
         }
       });
     } catch (error) {
-      logger.error(`Error creating batch analytics events: ${error.message}`, {
+      logger.error(`Error listing event schemas: ${error.message}`, {
         error: error.message,
         stack: error.stack
       });
@@ -153,7 +431,8 @@ const eventController = {
         resourceType,
         startDate,
         endDate,
-        processed
+        processed,
+        late
       } = req.query;
       
       // Parse pagination parameters
@@ -171,6 +450,7 @@ const eventController = {
       if (resourceId) query.resourceId = resourceId;
       if (resourceType) query.resourceType = resourceType;
       if (processed !== undefined) query.processed = processed === 'true';
+      if (late !== undefined) query.late = late === 'true';
       
       // Add date range if provided
       if (startDate || endDate) {
@@ -198,11 +478,12 @@ const eventController = {
         }
       }
       
-      // Execute query with pagination
-      const events = await AnalyticsEvent.find(query)
+      // Execute query with pagination; older payloads are returned in the latest schema shape
+      const events = (await AnalyticsEvent.find(query)
         .sort({ timestamp: -1 })
         .skip(skip)
-        .limit(limit);
+        .limit(limit))
+        .map(eventUpcasters.upcastDocument);
       
       // Get total count for pagination
       const total = await AnalyticsEvent.countDocuments(query);
@@ -271,7 +552,7 @@ const eventController = {
       
       return res.status(200).json({
         success: true,
-        data: event
+        data: eventUpcasters.upcastDocument(event)
       });
     } catch (error) {
       logger.error(`Error getting analytics event by ID: ${error.message}`, {
@@ -0,0 +1,697 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const MetricDefinition = require('../models/metricDefinition');
+const Dashboard = require('../models/dashboard');
+const Report = require('../models/report');
+const logger = require('../utils/logger');
+const analyticsQuery = require('../utils/analyticsQuery');
+const metricDefinitions = require('../utils/metricDefinitions');
+const { getPermission: getSharedPermission, buildSharing } = require('../utils/sharing');
+
+/**
+ * Permission of a user on a metric definition
+ * @param {Object} definition - Metric definition document
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - 'owner', 'edit', 'view' or null if the user has no access
+ */
+const getPermission = (definition, user) => getSharedPermission(definition, definition.createdBy, user);
+
+/**
+ * Metric definition as returned to a user, including the user's permission
+ * @param {Object} definition - Metric definition document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Metric definition data
+ */
+const withPermission = (definition, user) => {
+  const { versions, ...data } = definition.toObject();
+
+  return { ...data, permission: getPermission(definition, user) };
+};
+
+/**
+ * Find a metric definition by ID and check the user's permission on it
+ * @param {Object} req - Express request object
+ * @param {Array<string>} permissions - Permissions allowed
+ * @param {string} action - Action, for the error message
+ * @returns {Promise<Object>} - { definition, permission } or { rejection: { status, body } }
+ */
+const loadDefinition = async (req, permissions, action) => {
+  const definition = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await MetricDefinition.findById(req.params.id)
+    : null;
+
+  if (!definition) {
+    return {
+      rejection: {
+        status: 404,
+        body: { success: false, error: 'Not found', message: 'Metric definition not found' }
+      }
+    };
+  }
+
+  const permission = getPermission(definition, req.user);
+
+  if (!permissions.includes(permission)) {
+    return {
+      rejection: {
+        status: 403,
+        body: { success: false, error: 'Access denied', message: `You do not have permission to ${action} this metric definition` }
+      }
+    };
+  }
+
+  return { definition, permission };
+};
+
+/**
+ * Parse an optional version query parameter
+ * @param {string} value - Query parameter
+ * @returns {number|null|undefined} - Version, undefined if omitted, null if invalid
+ */
+const parseVersion = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const version = Number(value);
+
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * Controller for saved queries and named metric definitions
+ */
+const metricDefinitionController = {
+  /**
+   * Create a metric definition in the user's company
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createDefinition: async (req, res) => {
+    try {
+      const { key, name, description, tags, kind, query, formula, unit, sharing } = req.body;
+
+      if (!req.user.companyId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Metric definitions belong to a company; your account has none'
+        });
+      }
+
+      if (!key || !name) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'key and name are required'
+        });
+      }
+
+      const errors = await metricDefinitions.validateContent({ kind, query, formula }, { companyId: req.user.companyId, key });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid metric definition',
+          errors
+        });
+      }
+
+      let sharingSettings;
+
+      if (sharing) {
+        const result = buildSharing(sharing, {}, req.user.id);
+
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            message: result.error
+          });
+        }
+
+        sharingSettings = result.sharing;
+      }
+
+      const definition = new MetricDefinition({
+        createdBy: req.user.id,
+        companyId: req.user.companyId,
+        key,
+        name,
+        description,
+        tags,
+        kind,
+        query: kind === 'query' ? query : undefined,
+        formula: kind === 'formula' ? formula : undefined,
+        unit,
+        sharing: sharingSettings
+      });
+
+      await definition.save();
+
+      logger.info(`Created metric definition: ${key}`, {
+        definitionId: definition._id.toString(),
+        userId: req.user.id,
+        companyId: req.user.companyId
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: withPermission(definition, req.user)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `A metric definition with key ${req.body.key} already exists`
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error.message
+        });
+      }
+
+      logger.error(`Error creating metric definition: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        body: req.body
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Get metric definitions owned by or shared with the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDefinitions: async (req, res) => {
+    try {
+      const { scope, kind, tag } = req.query;
+
+      // Definitions visible to the user, optionally narrowed by scope (own, shared, company)
+      const scopes = {
+        own: { createdBy: req.user.id },
+        shared: { 'sharing.sharedWith.userId': req.user.id },
+        company: { companyId: req.user.companyId, 'sharing.sharedWithCompany': true }
+      };
+
+      if (scope && !scopes[scope]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'scope must be one of: own, shared, company'
+        });
+      }
+
+      const query = scope ? { ...scopes[scope] } : { $or: Object.values(scopes) };
+
+      // Admins can list every definition of a company
+      if (req.query.companyId) {
+        if (
+          req.user.companyId &&
+          req.query.companyId !== req.user.companyId.toString() &&
+          !req.user.roles.includes('admin')
+        ) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            message: 'You do not have permission to access metric definitions for this company'
+          });
+        }
+
+        if (req.user.roles.includes('admin') && !scope) {
+          delete query.$or;
+        }
+
+        query.companyId = req.query.companyId;
+      }
+
+      if (kind) query.kind = kind;
+      if (tag) query.tags = tag;
+
+      const definitions = await MetricDefinition.find(query)
+        .select('-versions')
+        .sort({ updatedAt: -1 });
+
+      return res.status(200).json({
+        success: true,
+        data: definitions.map(definition => withPermission(definition, req.user))
+      });
+    } catch (error) {
+      logger.error(`Error getting metric definitions: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a metric definition, optionally at a previous version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDefinitionById: async (req, res) => {
+    try {
+      const version = parseVersion(req.query.version);
+
+      if (version === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'version must be a positive integer'
+        });
+      }
+
+      const { definition, rejection } = await loadDefinition(req, ['owner', 'edit', 'view'], 'view');
+
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      const content = metricDefinitions.atVersion(definition, version);
+
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: `Metric definition has no version ${version}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { ...withPermission(definition, req.user), ...content, currentVersion: definition.version }
+      });
+    } catch (error) {
+      logger.error(`Error getting metric definition by ID: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        definitionId: req.params.id
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the version history of a metric definition, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDefinitionVersions: async (req, res) => {
+    try {
+      const { definition, rejection } = await loadDefinition(req, ['owner', 'edit', 'view'], 'view');
+
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      const current = {
+        ...metricDefinitions.atVersion(definition),
+        changedAt: definition.updatedAt,
+        current: true
+      };
+
+      return res.status(200).json({
+        success: true,
+        data: [
+          current,
+          ...definition.versions.map(entry => ({
+            ...metricDefinitions.atVersion(definition, entry.version),
+            changedBy: entry.changedBy,
+            changedAt: entry.changedAt
+          })).reverse()
+        ]
+      });
+    } catch (error) {
+      logger.error(`Error getting metric definition versions: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        definitionId: req.params.id
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Update a metric definition
+   * Changes to kind, query, formula or unit create a new version; the key cannot change
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateDefinition: async (req, res) => {
+    try {
+      const { key, name, description, tags, kind, query, formula, unit, sharing } = req.body;
+
+      const { definition, permission, rejection } = await loadDefinition(req, ['owner', 'edit'], 'update');
+
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      if (key !== undefined && key !== definition.key) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'The key of a metric definition cannot change; dashboards and reports reference it'
+        });
+      }
+
+      if (sharing && permission !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Only the metric definition owner can change sharing settings'
+        });
+      }
+
+      const changes = { kind, query, formula, unit };
+      const current = metricDefinitions.atVersion(definition);
+      const next = Object.fromEntries(metricDefinitions.contentFields.map(field => [
+        field,
+        changes[field] !== undefined ? changes[field] : current[field]
+      ]));
+
+      // Switching kind requires the content of the new kind
+      const errors = await metricDefinitions.validateContent(next, { companyId: definition.companyId, key: definition.key });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid metric definition',
+          errors
+        });
+      }
+
+      // Formulas can only refer to formula metrics
+      if (current.kind === 'formula' && next.kind !== 'formula') {
+        const references = await metricDefinitions.findReferences(definition.companyId, definition.key);
+
+        if (references.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'Conflict',
+            message: `Metric definition is used by the formulas of ${references.join(', ')}`
+          });
+        }
+      }
+
+      if (sharing) {
+        const result = buildSharing(sharing, definition.sharing?.toObject(), definition.createdBy);
+
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            message: result.error
+          });
+        }
+
+        definition.sharing = result.sharing;
+      }
+
+      if (name) definition.name = name;
+      if (description !== undefined) definition.description = description;
+      if (tags) definition.tags = tags;
+
+      const versioned = metricDefinitions.applyContent(definition, changes, req.user.id);
+
+      await definition.save();
+
+      logger.info(`Updated metric definition: ${definition.key}`, {
+        definitionId: definition._id.toString(),
+        userId: req.user.id,
+        version: definition.version,
+        versioned
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: withPermission(definition, req.user)
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error.message
+        });
+      }
+
+      logger.error(`Error updating metric definition: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        definitionId: req.params.id,
+        body: req.body
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a metric definition that no dashboard or report uses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteDefinition: async (req, res) => {
+    try {
+      const { definition, rejection } = await loadDefinition(req, ['owner'], 'delete');
+
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      // Widgets and reports reference definitions by key or ID
+      const references = [definition.key, definition._id.toString()];
+
+      const [dashboards, reports, formulas] = await Promise.all([
+        Dashboard.countDocuments({
+          companyId: definition.companyId,
+          layout: { $elemMatch: { widgetType: 'metric', 'config.metric': { $in: references } } }
+        }),
+        Report.countDocuments({
+          companyId: definition.companyId,
+          $or: [
+            { 'config.metricDefinitions': { $in: references } },
+            { 'config.metricDefinitions.metric': { $in: references } }
+          ]
+        }),
+        metricDefinitions.findReferences(definition.companyId, definition.key)
+      ]);
+
+      if (dashboards > 0 || reports > 0 || formulas.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `Metric definition is used by ${dashboards} dashboard(s), ${reports} report(s) and ${formulas.length} formula(s)`,
+          formulas
+        });
+      }
+
+      await MetricDefinition.deleteOne({ _id: definition._id });
+
+      logger.info(`Deleted metric definition: ${definition.key}`, {
+        definitionId: definition._id.toString(),
+        userId: req.user.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Metric definition deleted successfully'
+      });
+    } catch (error) {
+      logger.error(`Error deleting metric definition: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        definitionId: req.params.id
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Share a metric definition with other users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  shareDefinition: async (req, res) => {
+    try {
+      const { sharedWith, sharedWithCompany, companyPermission } = req.body;
+
+      const { definition, rejection } = await loadDefinition(req, ['owner'], 'share');
+
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      // Update sharing settings; omitted fields keep their current value
+      const result = buildSharing(
+        { sharedWith, sharedWithCompany, companyPermission },
+        definition.sharing?.toObject(),
+        definition.createdBy
+      );
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: result.error
+        });
+      }
+
+      definition.sharing = result.sharing;
+
+      await definition.save();
+
+      logger.info(`Updated metric definition sharing: ${definition.key}`, {
+        definitionId: definition._id.toString(),
+        userId: req.user.id,
+        sharedWithCompany: definition.sharing.sharedWithCompany,
+        companyPermission: definition.sharing.companyPermission,
+        sharedWithCount: definition.sharing.sharedWith.length
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          definitionId: definition._id.toString(),
+          sharing: definition.sharing
+        }
+      });
+    } catch (error) {
+      logger.error(`Error sharing metric definition: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        definitionId: req.params.id,
+        body: req.body
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Run a metric definition over a time range (defaults to the last 30 days)
+   * Formula definitions are evaluated for every bucket of `period` (daily by default)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDefinitionResults: async (req, res) => {
+    try {
+      const version = parseVersion(req.query.version);
+      const to = req.query.to ? moment(req.query.to) : moment();
+      const from = req.query.from ? moment(req.query.from) : to.clone().subtract(30, 'days');
+
+      if (version === null || !from.isValid() || !to.isValid()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'from and to must be valid dates and version a positive integer'
+        });
+      }
+
+      const { definition, rejection } = await loadDefinition(req, ['owner', 'edit', 'view'], 'run');
+
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      const content = metricDefinitions.atVersion(definition, version);
+
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: `Metric definition has no version ${version}`
+        });
+      }
+
+      const result = await metricDefinitions.run(definition, {
+        from: from.toDate(),
+        to: to.toDate(),
+        version: content.version,
+        period: req.query.period
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error.message,
+          errors: error.errors.map(detail => detail.message)
+        });
+      }
+
+      if (analyticsQuery.isTimeout(error)) {
+        return res.status(504).json({
+          success: false,
+          error: 'Query timeout',
+          message: `Query exceeded the ${analyticsQuery.queryTimeout}ms time limit; narrow the time range`
+        });
+      }
+
+      logger.error(`Error running metric definition: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        definitionId: req.params.id,
+        query: req.query
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  }
+};
+
+module.exports = metricDefinitionController;
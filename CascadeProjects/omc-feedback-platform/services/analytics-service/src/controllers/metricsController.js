@@ -1,8 +1,202 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
 const FeedbackMetrics = require('../models/feedbackMetrics');
 const UserMetrics = require('../models/userMetrics');
+const BackfillJob = require('../models/backfillJob');
+const AggregationJob = require('../models/aggregationJob');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
 const DataAggregator = require('../utils/dataAggregator');
+const backfillRunner = require('../utils/backfillRunner');
+const timeseries = require('../utils/timeseries');
+const formula = require('../utils/formula');
+const metricDefinitions = require('../utils/metricDefinitions');
+
+// Period types metrics can be aggregated for
+const aggregationPeriods = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'all_time'];
+
+// Feedback priorities and user roles metrics are broken down by
+const feedbackPriorities = Object.keys(FeedbackMetrics.schema.obj.byPriority);
+const userRoles = Object.keys(UserMetrics.schema.obj.byRole);
+
+/**
+ * Build the metrics query for a read request
+ * Admins read the requested company's metrics, or platform-wide metrics without a companyId;
+ * other users read their own company's metrics
+ * @param {Object} req - Express request object
+ * @param {Object} options - Query options
+ * @param {boolean} options.dateRange - Whether startDate and endDate filter the periods' start dates
+ * @returns {Object} - The query, or the rejection status and response body
+ */
+const buildMetricsQuery = (req, { dateRange = true } = {}) => {
+  const { period = 'monthly', startDate, endDate } = req.query;
+  const reject = (status, error, message) => ({ rejection: { status, body: { error, message } } });
+  let { companyId } = req.query;
+  
+  if (!req.user.roles.includes('admin')) {
+    // Regular users can only access their company's metrics
+    if (!req.user.companyId) {
+      return reject(403, 'Access denied', 'You do not have permission to access company metrics');
+    }
+    
+    if (companyId && companyId !== req.user.companyId.toString()) {
+      return reject(403, 'Access denied', 'You do not have permission to access metrics for this company');
+    }
+    
+    companyId = req.user.companyId.toString();
+  }
+  
+  if (companyId && !mongoose.Types.ObjectId.isValid(companyId)) {
+    return reject(400, 'Validation error', 'Invalid companyId');
+  }
+  
+  if (!aggregationPeriods.includes(period)) {
+    return reject(400, 'Validation error', `Invalid period. Must be one of: ${aggregationPeriods.join(', ')}`);
+  }
+  
+  // Platform-wide metrics are stored without a company
+  const query = { period, companyId: companyId || null };
+  
+  if (dateRange && (startDate || endDate)) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+    
+    if (Object.values(query.date).some(value => Number.isNaN(value.getTime()))) {
+      return reject(400, 'Validation error', 'Invalid startDate or endDate');
+    }
+  }
+  
+  return { query };
+};
+
+/**
+ * Compare a value with its value in the previous period
+ * @param {number|null} value - Value in the period
+ * @param {number|null} previousValue - Value in the previous period
+ * @returns {Object} - Value, previous value and change
+ */
+const compareValues = (value, previousValue) => ({
+  value,
+  previousValue,
+  change: value !== null && previousValue !== null ? value - previousValue : null,
+  // No percentage change from zero
+  percentChange: value !== null && previousValue ? ((value - previousValue) / previousValue) * 100 : null
+});
+
+/**
+ * Compare a metric between a period and the one before it
+ * @param {Object|null} current - Metrics of the period
+ * @param {Object|null} previous - Metrics of the previous period
+ * @param {string} path - Dot path of the metric
+ * @returns {Object|null} - Value, previous value and change (null without metrics for the period)
+ */
+const calculateChange = (current, previous, path) => {
+  const read = metrics => path.split('.').reduce((value, key) => value?.[key], metrics) || 0;
+  
+  if (!current) return null;
+  
+  return compareValues(read(current), previous ? read(previous) : null);
+};
+
+/**
+ * Split a list query parameter, passed comma-separated or repeated
+ * @param {string|Array<string>} value - Query parameter
+ * @returns {Array<string>} - Items
+ */
+const listParam = (value) => {
+  return [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Load the calculator of calculated metrics, the formula metric definitions of the company being read
+ * @param {Array<string>} keys - Metric definition keys
+ * @param {string|null} companyId - Company ID (null for platform-wide)
+ * @returns {Promise<Object>} - The calculator (null without keys), or the rejection status and response body
+ */
+const loadCalculator = async (keys, companyId) => {
+  if (keys.length === 0) {
+    return { calculator: null };
+  }
+  
+  if (!companyId) {
+    return {
+      rejection: {
+        status: 400,
+        body: {
+          error: 'Validation error',
+          message: `Calculated metrics (${keys.join(', ')}) are defined per company; pass a companyId`
+        }
+      }
+    };
+  }
+  
+  try {
+    const library = await metricDefinitions.loadLibrary(companyId, keys);
+    
+    return { calculator: formula.calculator(library, keys) };
+  } catch (error) {
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+    
+    return {
+      rejection: {
+        status: 400,
+        body: {
+          error: 'Validation error',
+          message: error.message,
+          errors: error.errors.map(detail => detail.message)
+        }
+      }
+    };
+  }
+};
+
+/**
+ * Add calculated metrics to metrics buckets
+ * Formulas reading the other metrics source get its metrics for the same buckets
+ * @param {Array<Object>} documents - Metrics documents
+ * @param {string} source - Source of the documents (feedback or user)
+ * @param {Object} query - Metrics query (period and companyId)
+ * @param {Object} calculator - Calculator of the calculated metrics
+ * @returns {Promise<Array<Object>>} - Documents with their calculated metrics
+ */
+const addCalculated = async (documents, source, query, calculator) => {
+  const others = {};
+  
+  for (const other of calculator.sources.filter(item => item !== source)) {
+    const Model = other === 'user' ? UserMetrics : FeedbackMetrics;
+    const found = await Model.find({
+      period: query.period,
+      companyId: query.companyId,
+      date: { $in: documents.map(document => document.date) }
+    }).lean();
+    
+    others[other] = new Map(found.map(document => [document.date.getTime(), document]));
+  }
+  
+  return documents.map(document => ({
+    ...document,
+    calculated: calculator.evaluate({
+      [source]: document,
+      ...Object.fromEntries(Object.entries(others).map(([other, byDate]) => [other, byDate.get(document.date.getTime()) || null]))
+    })
+  }));
+};
+
+/**
+ * List the largest counts of a breakdown
+ * @param {Object} counts - Count per key
+ * @param {number} limit - Number of entries
+ * @returns {Array<Array>} - [key, count] pairs with a count, largest first
+ */
+const topEntries = (counts, limit = 3) => {
+  return Object.entries(counts || {})
+    .filter(([, count]) => count > 0)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit);
+};
 
 /**
  * Controller for handling analytics metrics
@@ -10,58 +204,47 @@ const DataAggregator = require('../utils/dataAggregator');
 const metricsController = {
   /**
    * Get feedback metrics with filtering
+   * Optional filters: category (category ID) and priority keep buckets with feedback in that category or priority
+   * Optional calculated: formula metric keys evaluated for every bucket
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   getFeedbackMetrics: async (req, res) => {
     try {
-      const {
-        companyId,
-        period = 'monthly',
-        startDate,
-        endDate,
-        category,
-        priority
-      } = req.query;
-      
-      // Check if user has permission to access company data
-      if (req.user && !req.user.roles.includes('admin')) {
-        // Regular users can only access their company's metrics
-        if (req.user.companyId) {
-          if (!companyId) {
-            // If no company ID provided, use user's company
-            req.query.companyId = req.user.companyId;
-          } else if (companyId !== req.user.companyId.toString()) {
-            return res.status(403).json({
-              success: false,
-              error: 'Access denied',
-              message: 'You do not have permission to access metrics for this company'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            error: 'Access denied',
-            message: 'You do not have permission to access company metrics'
-          });
-        }
+      const { category, priority } = req.query;
+      const { query, rejection } = buildMetricsQuery(req);
+      
+      if (rejection) {
+        return res.status(rejection.status).json({ success: false, ...rejection.body });
       }
       
-      // Build query
-      const query = {};
+      if (category && !mongoose.Types.ObjectId.isValid(category)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid category'
+        });
+      }
       
-      if (companyId) query.companyId = companyId;
-      if (period) query.period = period;
+      if (priority && !feedbackPriorities.includes(priority)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid priority. Must be one of: ${feedbackPriorities.join(', ')}`
+        });
+      }
       
-      // Add date range if provided
-      if (startDate || endDate) {
-        query.periodStart = {};
-        if (startDate) query.periodStart.$gte = new Date(startDate);
-        if (endDate) query.periodStart.$lte = new Date(endDate);
+      if (category) query[`byCategory.${category}`] = { $gt: 0 };
+      if (priority) query[`byPriority.${priority}`] = { $gt: 0 };
+      
+      const calculated = await loadCalculator(listParam(req.query.calculated), query.companyId);
+      
+      if (calculated.rejection) {
+        return res.status(calculated.rejection.status).json({ success: false, ...calculated.rejection.body });
       }
       
       // Try to get from cache first
-      const cacheKey = cache.generateKey('feedback-metrics', req.query);
+      const cacheKey = cache.generateKey('feedback-metrics', { ...req.query, companyId: query.companyId });
       const cachedData = await cache.get(cacheKey);
       
       if (cachedData) {
@@ -79,19 +262,11 @@ const metricsController = {
       
       // Execute query
       let metrics = await FeedbackMetrics.find(query)
-        .sort({ periodStart: -1 });
+        .sort({ date: -1 })
+        .lean();
       
-      // Apply additional filters that can't be done in the query
-      if (category) {
-        metrics = metrics.filter(metric => 
-          metric.categories.some(cat => cat.name === category)
-        );
-      }
-      
-      if (priority) {
-        metrics = metrics.filter(metric => 
-          metric.priorities.some(pri => pri.name === priority)
-        );
+      if (calculated.calculator) {
+        metrics = await addCalculated(metrics, 'feedback', query, calculated.calculator);
       }
       
       // Cache results
@@ -118,57 +293,38 @@ const metricsController = {
   
   /**
    * Get user metrics with filtering
+   * Optional filter: role keeps buckets with users of that role
+   * Optional calculated: formula metric keys evaluated for every bucket
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   getUserMetrics: async (req, res) => {
     try {
-      const {
-        companyId,
-        period = 'monthly',
-        startDate,
-        endDate,
-        role
-      } = req.query;
-      
-      // Check if user has permission to access company data
-      if (req.user && !req.user.roles.includes('admin')) {
-        // Regular users can only access their company's metrics
-        if (req.user.companyId) {
-          if (!companyId) {
-            // If no company ID provided, use user's company
-            req.query.companyId = req.user.companyId;
-          } else if (companyId !== req.user.companyId.toString()) {
-            return res.status(403).json({
-              success: false,
-              error: 'Access denied',
-              message: 'You do not have permission to access metrics for this company'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            error: 'Access denied',
-            message: 'You do not have permission to access company metrics'
-          });
-        }
+      const { role } = req.query;
+      const { query, rejection } = buildMetricsQuery(req);
+      
+      if (rejection) {
+        return res.status(rejection.status).json({ success: false, ...rejection.body });
       }
       
-      // Build query
-      const query = {};
+      if (role && !userRoles.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid role. Must be one of: ${userRoles.join(', ')}`
+        });
+      }
       
-      if (companyId) query.companyId = companyId;
-      if (period) query.period = period;
+      if (role) query[`byRole.${role}`] = { $gt: 0 };
       
-      // Add date range if provided
-      if (startDate || endDate) {
-        query.periodStart = {};
-        if (startDate) query.periodStart.$gte = new Date(startDate);
-        if (endDate) query.periodStart.$lte = new Date(endDate);
+      const calculated = await loadCalculator(listParam(req.query.calculated), query.companyId);
+      
+      if (calculated.rejection) {
+        return res.status(calculated.rejection.status).json({ success: false, ...calculated.rejection.body });
       }
       
       // Try to get from cache first
-      const cacheKey = cache.generateKey('user-metrics', req.query);
+      const cacheKey = cache.generateKey('user-metrics', { ...req.query, companyId: query.companyId });
       const cachedData = await cache.get(cacheKey);
       
       if (cachedData) {
@@ -186,13 +342,11 @@ const metricsController = {
       
       // Execute query
       let metrics = await UserMetrics.find(query)
-        .sort({ periodStart: -1 });
+        .sort({ date: -1 })
+        .lean();
       
-      // Apply additional filters that can't be done in the query
-      if (role) {
-        metrics = metrics.filter(metric => 
-          metric.roles.some(r => r.name === role)
-        );
+      if (calculated.calculator) {
+        metrics = await addCalculated(metrics, 'user', query, calculated.calculator);
       }
       
       // Cache results
@@ -219,41 +373,35 @@ const metricsController = {
   
   /**
    * Get combined metrics summary
+   * Compares the period containing `date` (by default the latest aggregated period) with the one before it
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   getMetricsSummary: async (req, res) => {
     try {
-      const {
-        companyId,
-        period = 'monthly'
-      } = req.query;
-      
-      // Check if user has permission to access company data
-      if (req.user && !req.user.roles.includes('admin')) {
-        // Regular users can only access their company's metrics
-        if (req.user.companyId) {
-          if (!companyId) {
-            // If no company ID provided, use user's company
-            req.query.companyId = req.user.companyId;
-          } else if (companyId !== req.user.companyId.toString()) {
-            return res.status(403).json({
-              success: false,
-              error: 'Access denied',
-              message: 'You do not have permission to access metrics for this company'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            error: 'Access denied',
-            message: 'You do not have permission to access company metrics'
-          });
-        }
+      const { period = 'monthly', date } = req.query;
+      const { query, rejection } = buildMetricsQuery(req, { dateRange: false });
+      
+      if (rejection) {
+        return res.status(rejection.status).json({ success: false, ...rejection.body });
+      }
+      
+      if (date && Number.isNaN(new Date(date).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid date'
+        });
+      }
+      
+      const { calculator, rejection: calculatedRejection } = await loadCalculator(listParam(req.query.calculated), query.companyId);
+      
+      if (calculatedRejection) {
+        return res.status(calculatedRejection.status).json({ success: false, ...calculatedRejection.body });
       }
       
       // Try to get from cache first
-      const cacheKey = cache.generateKey('metrics-summary', req.query);
+      const cacheKey = cache.generateKey('metrics-summary', { ...req.query, companyId: query.companyId });
       const cachedData = await cache.get(cacheKey);
       
       if (cachedData) {
@@ -269,81 +417,74 @@ const metricsController = {
         });
       }
       
-      // Build query
-      const query = {};
-      
-      if (companyId) query.companyId = companyId;
-      if (period) query.period = period;
-      
-      // Get latest feedback metrics
-      const feedbackMetrics = await FeedbackMetrics.findOne(query)
-        .sort({ periodStart: -1 });
-      
-      // Get latest user metrics
-      const userMetrics = await UserMetrics.findOne(query)
-        .sort({ periodStart: -1 });
-      
-      // Get previous period metrics for comparison
-      const previousPeriodStart = feedbackMetrics ? 
-        DataAggregator.getPreviousPeriodStart(feedbackMetrics.periodStart, period) : 
-        null;
+      // Period to summarize: the requested one, or the latest with feedback or user metrics
+      let periodStart = date ? DataAggregator.calculatePeriodDates(period, new Date(date)).startDate : null;
       
-      const previousQuery = { ...query };
-      if (previousPeriodStart) {
-        previousQuery.periodStart = previousPeriodStart;
+      if (!periodStart) {
+        const latest = await Promise.all([FeedbackMetrics, UserMetrics].map(Model =>
+          Model.findOne(query).sort({ date: -1 }).select('date').lean()
+        ));
+        const dates = latest.filter(Boolean).map(metrics => metrics.date.getTime());
+        
+        periodStart = dates.length > 0 ? new Date(Math.max(...dates)) : null;
       }
       
-      const previousFeedbackMetrics = await FeedbackMetrics.findOne(previousQuery);
-      const previousUserMetrics = await UserMetrics.findOne(previousQuery);
+      const previousPeriodStart = periodStart ? DataAggregator.getPreviousPeriodStart(periodStart, period) : null;
+      const findAt = (Model, start) => (start ? Model.findOne({ ...query, date: start }).lean() : null);
       
-      // Calculate changes
-      const calculateChange = (current, previous, field) => {
-        if (!current || !previous) return null;
-        
-        const currentValue = current[field] || 0;
-        const previousValue = previous[field] || 0;
-        
-        if (previousValue === 0) return null;
-        
-        return {
-          value: currentValue,
-          previousValue,
-          change: currentValue - previousValue,
-          percentChange: ((currentValue - previousValue) / previousValue) * 100
-        };
-      };
+      const [feedbackMetrics, userMetrics, previousFeedbackMetrics, previousUserMetrics] = await Promise.all([
+        findAt(FeedbackMetrics, periodStart),
+        findAt(UserMetrics, periodStart),
+        findAt(FeedbackMetrics, previousPeriodStart),
+        findAt(UserMetrics, previousPeriodStart)
+      ]);
+      
+      const feedbackChange = path => calculateChange(feedbackMetrics, previousFeedbackMetrics, path);
+      const userChange = path => calculateChange(userMetrics, previousUserMetrics, path);
       
       // Build summary
       const summary = {
         period,
-        periodStart: feedbackMetrics?.periodStart || null,
-        periodEnd: feedbackMetrics?.periodEnd || null,
+        companyId: query.companyId,
+        periodStart,
+        periodEnd: periodStart ? DataAggregator.calculatePeriodDates(period, periodStart).endDate : null,
+        previousPeriodStart,
         
         feedback: {
-          total: calculateChange(feedbackMetrics, previousFeedbackMetrics, 'totalFeedback'),
-          open: calculateChange(feedbackMetrics, previousFeedbackMetrics, 'openFeedback'),
-          resolved: calculateChange(feedbackMetrics, previousFeedbackMetrics, 'resolvedFeedback'),
-          avgResponseTime: calculateChange(feedbackMetrics, previousFeedbackMetrics, 'avgResponseTime'),
-          avgResolutionTime: calculateChange(feedbackMetrics, previousFeedbackMetrics, 'avgResolutionTime'),
-          satisfactionScore: calculateChange(feedbackMetrics, previousFeedbackMetrics, 'avgSatisfactionScore'),
-          topCategories: feedbackMetrics?.categories?.slice(0, 3).map(c => ({
-            name: c.name,
-            count: c.count
-          })) || []
+          total: feedbackChange('counts.total'),
+          new: feedbackChange('counts.new'),
+          inProgress: feedbackChange('counts.inProgress'),
+          resolved: feedbackChange('counts.resolved'),
+          closed: feedbackChange('counts.closed'),
+          avgResponseTime: feedbackChange('responseTimes.average'),
+          avgResolutionTime: feedbackChange('resolutionTimes.average'),
+          satisfactionScore: feedbackChange('satisfaction.average'),
+          escalations: feedbackChange('escalations.count'),
+          topCategories: topEntries(feedbackMetrics?.byCategory).map(([categoryId, count]) => ({ categoryId, count }))
         },
         
         users: {
-          total: calculateChange(userMetrics, previousUserMetrics, 'totalUsers'),
-          active: calculateChange(userMetrics, previousUserMetrics, 'activeUsers'),
-          new: calculateChange(userMetrics, previousUserMetrics, 'newUsers'),
-          engagement: calculateChange(userMetrics, previousUserMetrics, 'avgEngagementScore'),
-          topRoles: userMetrics?.roles?.slice(0, 3).map(r => ({
-            name: r.name,
-            count: r.count
-          })) || []
+          total: userChange('counts.total'),
+          active: userChange('counts.active'),
+          new: userChange('counts.new'),
+          logins: userChange('activity.totalLogins'),
+          averageSessionDuration: userChange('activity.averageSessionDuration'),
+          topRoles: topEntries(userMetrics?.byRole).map(([role, count]) => ({ role, count }))
         }
       };
       
+      if (calculator) {
+        const current = periodStart ? calculator.evaluate({ feedback: feedbackMetrics, user: userMetrics }) : null;
+        const previous = previousPeriodStart
+          ? calculator.evaluate({ feedback: previousFeedbackMetrics, user: previousUserMetrics })
+          : {};
+        
+        summary.calculated = Object.fromEntries(calculator.keys.map(key => [
+          key,
+          current ? compareValues(current[key], previous[key] ?? null) : null
+        ]));
+      }
+      
       // Cache results
       await cache.set(cacheKey, summary, 300); // 5 minutes TTL
       
@@ -367,13 +508,162 @@ const metricsController = {
   },
   
   /**
-   * Trigger manual metrics aggregation
+   * Get an evenly spaced metrics series
+   * Buckets without pre-aggregated metrics are computed from events; gaps are filled with zero or null
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getTimeseries: async (req, res) => {
+    try {
+      const { metric = 'counts.total', period = 'daily', from, to, groupBy, fill = 'zero' } = req.query;
+      const { query, rejection } = buildMetricsQuery(req, { dateRange: false });
+      
+      if (rejection) {
+        return res.status(rejection.status).json({ success: false, ...rejection.body });
+      }
+      
+      if (!timeseries.periodUnits[period]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid period. Must be one of: ${Object.keys(timeseries.periodUnits).join(', ')}`
+        });
+      }
+      
+      // Several metrics are passed comma-separated or as repeated parameters; names that are not
+      // metrics fields (which all have a dot) are calculated metrics
+      const names = listParam(metric);
+      const metrics = names.map(timeseries.resolveMetric);
+      const calculatedKeys = names.filter((name, index) => !metrics[index] && !name.includes('.'));
+      const unknown = names.filter((name, index) => !metrics[index] && name.includes('.'));
+      
+      if (names.length === 0 || unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid metric: ${unknown.join(', ') || 'none given'}`
+        });
+      }
+      
+      if (groupBy && !timeseries.groupings[groupBy]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid groupBy. Must be one of: ${Object.keys(timeseries.groupings).join(', ')}`
+        });
+      }
+      
+      if (!['zero', 'null'].includes(fill)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid fill. Must be one of: zero, null'
+        });
+      }
+      
+      // Defaults to the last 30 buckets
+      const toDate = to ? new Date(to) : new Date();
+      const fromDate = from ? new Date(from) : moment(toDate).subtract(29, timeseries.periodUnits[period]).toDate();
+      
+      if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate > toDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'from and to must be valid dates, with from not after to'
+        });
+      }
+      
+      if (timeseries.countBuckets(period, fromDate, toDate) > timeseries.maxBuckets) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `A series may span at most ${timeseries.maxBuckets} ${period} buckets`
+        });
+      }
+      
+      const { calculator, rejection: calculatedRejection } = await loadCalculator(calculatedKeys, query.companyId);
+      
+      if (calculatedRejection) {
+        return res.status(calculatedRejection.status).json({ success: false, ...calculatedRejection.body });
+      }
+      
+      // Try to get from cache first
+      const cacheKey = cache.generateKey('metrics-timeseries', {
+        metric: names.join(','),
+        period,
+        from: fromDate.toISOString(),
+        to: toDate.toISOString(),
+        companyId: query.companyId,
+        groupBy,
+        fill
+      });
+      const cachedData = await cache.get(cacheKey);
+      
+      if (cachedData) {
+        logger.debug('Returning cached metrics series', {
+          cacheKey,
+          query: req.query
+        });
+        
+        return res.status(200).json({
+          success: true,
+          data: cachedData,
+          cached: true
+        });
+      }
+      
+      const buckets = await timeseries.buildSeries({
+        metrics: metrics.filter(Boolean),
+        calculated: calculator,
+        groupBy,
+        period,
+        from: fromDate,
+        to: toDate,
+        companyId: query.companyId,
+        fill
+      });
+      
+      const series = {
+        period,
+        from: fromDate,
+        to: toDate,
+        companyId: query.companyId,
+        metrics: names,
+        groupBy: groupBy || null,
+        buckets
+      };
+      
+      // Cache results
+      await cache.set(cacheKey, series, 300); // 5 minutes TTL
+      
+      return res.status(200).json({
+        success: true,
+        data: series
+      });
+    } catch (error) {
+      logger.error(`Error getting metrics series: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * Queue a metrics backfill over a date range
+   * Every bucket of the requested periods overlapping the range is recomputed by the backfill runner
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   triggerAggregation: async (req, res) => {
     try {
-      const { period, companyId, startDate, endDate } = req.body;
+      const { period, periods, companyId, startDate, endDate } = req.body;
       
       // Only admins can trigger manual aggregation
       if (!req.user.roles.includes('admin')) {
@@ -384,18 +674,29 @@ const metricsController = {
         });
       }
       
-      // Validate period
-      if (!period || !['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'all_time'].includes(period)) {
+      // Accept a single period or a list; defaults to every bucketed period
+      const requestedPeriods = periods || (period ? [period] : backfillRunner.defaultPeriods);
+      
+      if (!Array.isArray(requestedPeriods) || requestedPeriods.length === 0 ||
+        requestedPeriods.some(item => !aggregationPeriods.includes(item))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid period. Must be one of: ${aggregationPeriods.join(', ')}`
+        });
+      }
+      
+      if (companyId && !mongoose.Types.ObjectId.isValid(companyId)) {
         return res.status(400).json({
           success: false,
           error: 'Validation error',
-          message: 'Invalid period. Must be one of: daily, weekly, monthly, quarterly, yearly, all_time'
+          message: 'Invalid companyId'
         });
       }
       
-      // Parse dates if provided
-      let parsedStartDate = startDate ? new Date(startDate) : null;
-      let parsedEndDate = endDate ? new Date(endDate) : null;
+      // Parse dates; the range defaults to the current buckets
+      const parsedEndDate = endDate ? new Date(endDate) : new Date();
+      const parsedStartDate = startDate ? new Date(startDate) : parsedEndDate;
       
       // Validate dates if provided
       if (startDate && isNaN(parsedStartDate.getTime())) {
@@ -414,42 +715,38 @@ const metricsController = {
         });
       }
       
-      // Run aggregation
-      logger.info(`Triggering manual ${period} aggregation`, {
-        period,
-        companyId,
+      if (parsedStartDate > parsedEndDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'startDate must not be after endDate'
+        });
+      }
+      
+      const job = await backfillRunner.enqueue({
+        periods: requestedPeriods,
         startDate: parsedStartDate,
-        endDate: parsedEndDate
+        endDate: parsedEndDate,
+        companyId,
+        requestedBy: req.user.id
       });
       
-      // Run aggregation asynchronously
-      DataAggregator.runManualAggregation(period, {
+      logger.info(`Queued metrics backfill job ${job._id}`, {
+        jobId: job._id.toString(),
+        periods: requestedPeriods,
         companyId,
         startDate: parsedStartDate,
         endDate: parsedEndDate
-      })
-        .then(result => {
-          logger.info(`Manual aggregation completed successfully`, {
-            period,
-            result
-          });
-        })
-        .catch(error => {
-          logger.error(`Error in manual aggregation: ${error.message}`, {
-            error: error.message,
-            stack: error.stack,
-            period
-          });
-        });
+      });
+      
+      const statusUrl = `/api/metrics/backfills/${job._id}`;
       
-      return res.status(202).json({
+      return res.status(202).location(statusUrl).json({
         success: true,
-        message: `${period} aggregation started successfully`,
+        message: 'Backfill job queued successfully',
         data: {
-          period,
-          companyId: companyId || 'all',
-          startDate: parsedStartDate,
-          endDate: parsedEndDate
+          job,
+          statusUrl
         }
       });
     } catch (error) {
@@ -459,6 +756,271 @@ const metricsController = {
         body: req.body
       });
       
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * List metrics backfill jobs, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getBackfills: async (req, res) => {
+    try {
+      const { status } = req.query;
+      
+      // Parse pagination parameters
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const skip = (page - 1) * limit;
+      
+      const query = {};
+      if (status) query.status = status;
+      
+      // Skip the failure details in the list
+      const jobs = await BackfillJob.find(query)
+        .select('-failures')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      
+      const total = await BackfillJob.countDocuments(query);
+      
+      return res.status(200).json({
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error getting backfill jobs: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * Get the status and progress of a metrics backfill job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getBackfillById: async (req, res) => {
+    try {
+      const job = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await BackfillJob.findById(req.params.id)
+        : null;
+      
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Backfill job not found'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error(`Error getting backfill job: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        jobId: req.params.id
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * Cancel a metrics backfill job
+   * Pending jobs are cancelled at once; running jobs stop after their current work items
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  cancelBackfill: async (req, res) => {
+    try {
+      // Only admins can cancel backfills
+      if (!req.user.roles.includes('admin')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Only administrators can cancel backfill jobs'
+        });
+      }
+      
+      const exists = mongoose.Types.ObjectId.isValid(req.params.id) &&
+        await BackfillJob.exists({ _id: req.params.id });
+      
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Backfill job not found'
+        });
+      }
+      
+      const job = await backfillRunner.cancel(req.params.id);
+      
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Backfill job has already finished'
+        });
+      }
+      
+      logger.info(`Cancellation requested for backfill job ${job._id}`, {
+        jobId: job._id.toString(),
+        status: job.status
+      });
+      
+      return res.status(job.status === 'cancelled' ? 200 : 202).json({
+        success: true,
+        message: job.status === 'cancelled' ? 'Backfill job cancelled' : 'Backfill job will stop after its current work items',
+        data: job
+      });
+    } catch (error) {
+      logger.error(`Error cancelling backfill job: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        jobId: req.params.id
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * List aggregation runs, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAggregationJobs: async (req, res) => {
+    try {
+      const { type, status, period, companyId, startDate, endDate } = req.query;
+      
+      // Parse pagination parameters
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const skip = (page - 1) * limit;
+      
+      if (companyId && !mongoose.Types.ObjectId.isValid(companyId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid companyId'
+        });
+      }
+      
+      // Build query
+      const query = {};
+      if (type) query.type = type;
+      if (status) query.status = status;
+      if (period) query.periods = period;
+      // Runs covering the company: its own backfills and every all-company run
+      if (companyId) query.companyId = { $in: [companyId, null] };
+      
+      // Filter by start time
+      if (startDate || endDate) {
+        query.startedAt = {};
+        if (startDate) query.startedAt.$gte = new Date(startDate);
+        if (endDate) query.startedAt.$lte = new Date(endDate);
+      }
+      
+      // Skip the per-company outcomes and failure details in the list
+      const jobs = await AggregationJob.find(query)
+        .select('-outcomes -failures')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      
+      const total = await AggregationJob.countDocuments(query);
+      
+      return res.status(200).json({
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error getting aggregation jobs: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+  
+  /**
+   * Get an aggregation run with its outcome per company
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAggregationJobById: async (req, res) => {
+    try {
+      const job = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await AggregationJob.findById(req.params.id)
+        : null;
+      
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Aggregation job not found'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error(`Error getting aggregation job: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        jobId: req.params.id
+      });
+      
       return res.status(500).json({
         success: false,
         error: 'Server error',
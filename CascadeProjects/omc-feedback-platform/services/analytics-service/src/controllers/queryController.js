@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const analyticsQuery = require('../utils/analyticsQuery');
+
+/**
+ * Controller for ad-hoc analytics queries over raw events
+ */
+const queryController = {
+  /**
+   * Run an ad-hoc query
+   * Admins query every company's events unless the query names a companyId; other users always
+   * query their own company's events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  runQuery: async (req, res) => {
+    try {
+      const query = req.body || {};
+      let { companyId } = query;
+      
+      if (!req.user.roles.includes('admin')) {
+        if (!req.user.companyId) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            message: 'You do not have permission to query company events'
+          });
+        }
+        
+        if (companyId && companyId !== req.user.companyId.toString()) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            message: 'You do not have permission to query events of this company'
+          });
+        }
+        
+        companyId = req.user.companyId.toString();
+      }
+      
+      if (companyId && !mongoose.Types.ObjectId.isValid(companyId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'Invalid companyId'
+        });
+      }
+      
+      const startTime = Date.now();
+      const result = await analyticsQuery.run(query, { companyId: companyId || null });
+      
+      logger.info('Ran ad-hoc analytics query', {
+        userId: req.user.id,
+        companyId,
+        rows: result.rows.length,
+        duration: Date.now() - startTime
+      });
+      
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error.message,
+          errors: error.errors.map(detail => detail.message)
+        });
+      }
+      
+      if (analyticsQuery.isTimeout(error)) {
+        logger.warn('Ad-hoc analytics query timed out', {
+          userId: req.user.id,
+          query: req.body
+        });
+        
+        return res.status(504).json({
+          success: false,
+          error: 'Query timeout',
+          message: `Query exceeded the ${analyticsQuery.queryTimeout}ms time limit; narrow the time range or add filters`
+        });
+      }
+      
+      logger.error(`Error running analytics query: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        body: req.body
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  }
+};
+
+module.exports = queryController;
@@ -0,0 +1,633 @@
+const Report = require('../models/report');
+const logger = require('../utils/logger');
+const reportSchedule = require('../utils/reportSchedule');
+const reportStorage = require('../utils/reportStorage');
+const ReportGenerator = require('../utils/reportGenerator');
+const renderers = require('../utils/renderers');
+const tenantDirectory = require('../utils/tenantDirectory');
+
+/**
+ * Default the timezone of a scheduled report that has none to its company's timezone
+ * @param {Object} report - Report document
+ * @param {Object} company - Company loaded for the request, if any
+ * @returns {Promise<boolean>} - True if the timezone was set
+ */
+const applyCompanyTimezone = async (report, company) => {
+  if (!report.schedule.isScheduled || report.schedule.timezone || !report.companyId) {
+    return false;
+  }
+
+  let owner = company;
+
+  if (owner?._id.toString() !== report.companyId.toString()) {
+    try {
+      owner = await tenantDirectory.getCompany(report.companyId.toString());
+    } catch (error) {
+      // The schedule falls back to the default timezone
+      logger.warn(`Company lookup failed, leaving the schedule timezone unset: ${error.message}`, {
+        error: error.message,
+        companyId: report.companyId.toString()
+      });
+
+      return false;
+    }
+  }
+
+  if (!owner?.timezone) {
+    return false;
+  }
+
+  report.schedule.timezone = owner.timezone;
+  return true;
+};
+
+/**
+ * Check whether a user can view a report
+ * @param {Object} report - Report document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} - True if the user can view the report
+ */
+const canViewReport = (report, user) => {
+  return (
+    report.createdBy.toString() === user.id ||
+    user.roles.includes('admin') ||
+    (report.sharing?.sharedWithCompany && report.companyId.toString() === user.companyId?.toString()) ||
+    (report.sharing?.sharedWith || []).some(share => share.userId?.toString() === user.id)
+  );
+};
+
+/**
+ * Check whether a user can edit a report
+ * @param {Object} report - Report document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} - True if the user can edit the report
+ */
+const canEditReport = (report, user) => {
+  return (
+    report.createdBy.toString() === user.id ||
+    user.roles.includes('admin') ||
+    (
+      report.sharing?.sharedWithCompany &&
+      report.sharing.companyPermission === 'edit' &&
+      report.companyId.toString() === user.companyId?.toString()
+    ) ||
+    (report.sharing?.sharedWith || []).some(share =>
+      share.userId?.toString() === user.id && share.permission === 'edit'
+    )
+  );
+};
+
+/**
+ * Controller for handling analytics reports
+ */
+const reportController = {
+  /**
+   * Create a new report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createReport: async (req, res) => {
+    try {
+      const { name, description, type, format, timeRange, config, filters, schedule, delivery, sharing } = req.body;
+
+      // Validate required fields
+      if (!name || !type) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'name and type are required'
+        });
+      }
+
+      if (!Report.schema.path('type').enumValues.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid type. Must be one of: ${Report.schema.path('type').enumValues.join(', ')}`
+        });
+      }
+
+      if (schedule?.timezone !== undefined && !reportSchedule.isValidTimezone(schedule.timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid schedule timezone: ${schedule.timezone}`
+        });
+      }
+
+      // Create new report
+      const report = new Report({
+        name,
+        description,
+        type,
+        format,
+        timeRange,
+        config,
+        filters,
+        schedule,
+        delivery,
+        sharing,
+        createdBy: req.user.id,
+        companyId: req.user.companyId
+      });
+
+      // Schedules default to the company's timezone from the tenant directory
+      await applyCompanyTimezone(report, req.company);
+
+      // Set the first run for scheduled reports
+      if (report.schedule.isScheduled) {
+        report.schedule.nextRun = reportSchedule.nextRun(report.schedule);
+      }
+
+      // Save report
+      await report.save();
+
+      logger.info(`Created report: ${name}`, {
+        reportId: report._id.toString(),
+        reportType: type,
+        userId: req.user.id,
+        companyId: req.user.companyId
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error(`Error creating report: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        body: req.body
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Update an existing report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateReport: async (req, res) => {
+    try {
+      const reportId = req.params.id;
+      const { name, description, type, format, timeRange, config, filters, schedule, delivery, sharing } = req.body;
+
+      // Find report
+      const report = await Report.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Report not found'
+        });
+      }
+
+      // Check if user has permission to update this report
+      if (!canEditReport(report, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to update this report'
+        });
+      }
+
+      // Only the owner or an admin can change sharing settings
+      if (
+        sharing &&
+        report.createdBy.toString() !== req.user.id &&
+        !req.user.roles.includes('admin')
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Only the report owner can change sharing settings'
+        });
+      }
+
+      if (schedule?.timezone !== undefined && !reportSchedule.isValidTimezone(schedule.timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `Invalid schedule timezone: ${schedule.timezone}`
+        });
+      }
+
+      // Update fields
+      if (name) report.name = name;
+      if (description !== undefined) report.description = description;
+      if (type) report.type = type;
+      if (format) report.format = format;
+      if (timeRange) report.timeRange = timeRange;
+      if (config) report.config = config;
+      if (filters) report.filters = filters;
+      if (delivery) report.delivery = delivery;
+      if (sharing) report.sharing = sharing;
+
+      if (schedule) {
+        report.schedule = { ...report.schedule.toObject(), ...schedule };
+      }
+
+      // A schedule left without a timezone gets the company's
+      const defaulted = await applyCompanyTimezone(report, req.company);
+
+      // Recalculate next run when the schedule or its timezone changes
+      if (schedule || defaulted) {
+        report.schedule.nextRun = report.schedule.isScheduled
+          ? reportSchedule.nextRun(report.schedule)
+          : undefined;
+      }
+
+      // Save changes
+      await report.save();
+
+      logger.info(`Updated report: ${report.name}`, {
+        reportId: report._id.toString(),
+        userId: req.user.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error(`Error updating report: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: req.params.id,
+        body: req.body
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Get all reports visible to the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getReports: async (req, res) => {
+    try {
+      const { type, scheduled } = req.query;
+
+      // Parse pagination parameters
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      // Build query
+      const query = {
+        $or: [
+          { createdBy: req.user.id }, // User's own reports
+          { companyId: req.user.companyId, 'sharing.sharedWithCompany': true }, // Shared with user's company
+          { 'sharing.sharedWith.userId': req.user.id } // Shared with user
+        ]
+      };
+
+      if (type) query.type = type;
+      if (scheduled !== undefined) query['schedule.isScheduled'] = scheduled === 'true';
+
+      // Execute query with pagination, without the generation history
+      const reports = await Report.find(query)
+        .select('-history')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      // Get total count for pagination
+      const total = await Report.countDocuments(query);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          reports,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error getting reports: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a single report by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getReportById: async (req, res) => {
+    try {
+      const reportId = req.params.id;
+
+      // Find report
+      const report = await Report.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Report not found'
+        });
+      }
+
+      // Check if user has permission to view this report
+      if (!canViewReport(report, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to view this report'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error(`Error getting report by ID: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: req.params.id
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a report and its generated files
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteReport: async (req, res) => {
+    try {
+      const reportId = req.params.id;
+
+      // Find report
+      const report = await Report.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Report not found'
+        });
+      }
+
+      // Check if user has permission to delete this report
+      if (
+        report.createdBy.toString() !== req.user.id &&
+        !req.user.roles.includes('admin')
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to delete this report'
+        });
+      }
+
+      // Delete report and stored files
+      await Report.deleteOne({ _id: reportId });
+      await reportStorage.removeAll(reportId);
+
+      logger.info(`Deleted report: ${report.name}`, {
+        reportId,
+        userId: req.user.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Report deleted successfully'
+      });
+    } catch (error) {
+      logger.error(`Error deleting report: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: req.params.id
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Generate a report now
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  generateReport: async (req, res) => {
+    try {
+      const reportId = req.params.id;
+      const { startDate, endDate, deliver = false } = req.body;
+
+      // Find report
+      const report = await Report.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Report not found'
+        });
+      }
+
+      // Check if user has permission to view this report
+      if (!canViewReport(report, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to generate this report'
+        });
+      }
+
+      // Emailing the recipient list is reserved to those who can edit the report
+      if (deliver === true && !canEditReport(report, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to deliver this report'
+        });
+      }
+
+      // Optional period override
+      let period;
+
+      if (startDate || endDate) {
+        period = {
+          start: new Date(startDate),
+          end: endDate ? new Date(endDate) : new Date()
+        };
+
+        if (isNaN(period.start.getTime()) || isNaN(period.end.getTime()) || period.start >= period.end) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            message: 'startDate and endDate must be valid dates with startDate before endDate'
+          });
+        }
+      }
+
+      // Generate report
+      const { dataset, ...entry } = await ReportGenerator.generate(report, { period, deliver: deliver === true });
+
+      if (entry.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          error: 'Report generation failed',
+          message: entry.error,
+          data: entry
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      logger.error(`Error generating report: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: req.params.id,
+        body: req.body
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Download a generated report file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  downloadReport: async (req, res) => {
+    try {
+      const { id: reportId, reportId: historyId } = req.params;
+
+      // Find report
+      const report = await Report.findById(reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Report not found'
+        });
+      }
+
+      // Check if user has permission to view this report
+      if (!canViewReport(report, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'You do not have permission to download this report'
+        });
+      }
+
+      // Find the generated report in the history
+      const entry = report.history.find(item => item.reportId === historyId);
+
+      if (!entry || entry.status !== 'completed' || !entry.fileUrl || !(await reportStorage.exists(entry.fileUrl))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'Generated report file not found'
+        });
+      }
+
+      const extension = entry.fileUrl.split('.').pop();
+      const renderer = entry.format ? renderers.get(entry.format) : renderers.getByExtension(extension);
+      const fileName = reportStorage.downloadName(report.name, historyId, extension);
+
+      res.setHeader('Content-Type', renderer ? renderer.contentType : 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      if (entry.fileSize) res.setHeader('Content-Length', entry.fileSize);
+
+      // Record the download for reports delivered by download
+      if (report.delivery?.method === 'download' && entry.deliveryStatus === 'pending') {
+        await Report.updateOne(
+          { _id: report._id, 'history.reportId': historyId },
+          {
+            $set: {
+              'history.$.deliveryStatus': 'downloaded',
+              'history.$.deliveredAt': new Date()
+            }
+          }
+        );
+      }
+
+      logger.info(`Downloading report file: ${report.name}`, {
+        reportId,
+        historyId,
+        userId: req.user.id
+      });
+
+      const stream = reportStorage.createReadStream(entry.fileUrl);
+
+      stream.on('error', (error) => {
+        logger.error(`Error streaming report file: ${error.message}`, {
+          error: error.message,
+          stack: error.stack,
+          reportId,
+          historyId
+        });
+
+        res.destroy(error);
+      });
+
+      stream.pipe(res);
+    } catch (error) {
+      logger.error(`Error downloading report: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: req.params.id,
+        historyId: req.params.reportId
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  }
+};
+
+module.exports = reportController;
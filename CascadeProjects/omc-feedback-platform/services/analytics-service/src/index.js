@@ -13,14 +13,21 @@ dotenv.config();
 // Import utilities
 const logger = require('./utils/logger');
 const messageQueue = require('./utils/messageQueue');
+const eventIngestion = require('./utils/eventIngestion');
 const cache = require('./utils/cache');
+const mailer = require('./utils/mailer');
 const scheduler = require('./utils/scheduler');
 const DataAggregator = require('./utils/dataAggregator');
+const tenantDirectory = require('./utils/tenantDirectory');
 
 // Import routes
 const eventRoutes = require('./routes/eventRoutes');
 const metricsRoutes = require('./routes/metricsRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const deadLetterRoutes = require('./routes/deadLetterRoutes');
+const queryRoutes = require('./routes/queryRoutes');
+const metricDefinitionRoutes = require('./routes/metricDefinitionRoutes');
 
 // Import middleware
 const { errorHandler, notFoundHandler, validationErrorHandler, mongoErrorHandler } = require('./middleware/errorHandler');
@@ -84,6 +91,10 @@ app.get('/health', (req, res) => {
 app.use('/api/events', eventRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/dashboards', dashboardRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/query', queryRoutes);
+app.use('/api/metric-definitions', metricDefinitionRoutes);
+app.use('/api/admin/dead-letters', deadLetterRoutes);
 
 // Error handling middleware
 app.use(validationErrorHandler);
@@ -140,154 +151,10 @@ const connectMessageQueue = async () => {
   }
 };
 
-// Set up RabbitMQ event consumers
+// Set up RabbitMQ event consumers from the event source configuration
 const setupEventConsumers = async () => {
   try {
-    // Consume events from feedback service
-    await messageQueue.consume('feedback-events', async (message) => {
-      try {
-        const event = JSON.parse(message.content.toString());
-        logger.info(`Received feedback event: ${event.type}`, {
-          eventType: event.type,
-          feedbackId: event.feedbackId
-        });
-        
-        // Create analytics event from feedback event
-        const AnalyticsEvent = require('./models/analyticsEvent');
-        
-        const analyticsEvent = new AnalyticsEvent({
-          sourceService: 'feedback-service',
-          eventType: event.type,
-          eventData: event,
-          userId: event.userId,
-          companyId: event.companyId,
-          resourceId: event.feedbackId,
-          resourceType: 'feedback',
-          metadata: {
-            category: event.category,
-            priority: event.priority,
-            status: event.status
-          },
-          timestamp: new Date(event.timestamp || Date.now())
-        });
-        
-        await analyticsEvent.save();
-        
-        logger.debug(`Created analytics event from feedback event: ${event.type}`, {
-          eventId: analyticsEvent._id.toString(),
-          feedbackId: event.feedbackId
-        });
-        
-        // Acknowledge message
-        messageQueue.ack(message);
-      } catch (error) {
-        logger.error(`Error processing feedback event: ${error.message}`, {
-          error: error.message,
-          stack: error.stack,
-          message: message.content.toString()
-        });
-        
-        // Reject message and requeue
-        messageQueue.nack(message, false, true);
-      }
-    });
-    
-    // Consume events from user service
-    await messageQueue.consume('user-events', async (message) => {
-      try {
-        const event = JSON.parse(message.content.toString());
-        logger.info(`Received user event: ${event.type}`, {
-          eventType: event.type,
-          userId: event.userId
-        });
-        
-        // Create analytics event from user event
-        const AnalyticsEvent = require('./models/analyticsEvent');
-        
-        const analyticsEvent = new AnalyticsEvent({
-          sourceService: 'user-service',
-          eventType: event.type,
-          eventData: event,
-          userId: event.userId,
-          companyId: event.companyId,
-          resourceId: event.userId,
-          resourceType: 'user',
-          metadata: {
-            role: event.role,
-            action: event.action
-          },
-          timestamp: new Date(event.timestamp || Date.now())
-        });
-        
-        await analyticsEvent.save();
-        
-        logger.debug(`Created analytics event from user event: ${event.type}`, {
-          eventId: analyticsEvent._id.toString(),
-          userId: event.userId
-        });
-        
-        // Acknowledge message
-        messageQueue.ack(message);
-      } catch (error) {
-        logger.error(`Error processing user event: ${error.message}`, {
-          error: error.message,
-          stack: error.stack,
-          message: message.content.toString()
-        });
-        
-        // Reject message and requeue
-        messageQueue.nack(message, false, true);
-      }
-    });
-    
-    // Consume events from notification service
-    await messageQueue.consume('notification-events', async (message) => {
-      try {
-        const event = JSON.parse(message.content.toString());
-        logger.info(`Received notification event: ${event.type}`, {
-          eventType: event.type,
-          notificationId: event.notificationId
-        });
-        
-        // Create analytics event from notification event
-        const AnalyticsEvent = require('./models/analyticsEvent');
-        
-        const analyticsEvent = new AnalyticsEvent({
-          sourceService: 'notification-service',
-          eventType: event.type,
-          eventData: event,
-          userId: event.userId,
-          companyId: event.companyId,
-          resourceId: event.notificationId,
-          resourceType: 'notification',
-          metadata: {
-            channel: event.channel,
-            status: event.status
-          },
-          timestamp: new Date(event.timestamp || Date.now())
-        });
-        
-        await analyticsEvent.save();
-        
-        logger.debug(`Created analytics event from notification event: ${event.type}`, {
-          eventId: analyticsEvent._id.toString(),
-          notificationId: event.notificationId
-        });
-        
-        // Acknowledge message
-        messageQueue.ack(message);
-      } catch (error) {
-        logger.error(`Error processing notification event: ${error.message}`, {
-          error: error.message,
-          stack: error.stack,
-          message: message.content.toString()
-        });
-        
-        // Reject message and requeue
-        messageQueue.nack(message, false, true);
-      }
-    });
-    
+    await eventIngestion.setupConsumers();
     logger.info('Event consumers set up successfully');
   } catch (error) {
     logger.error(`Error setting up event consumers: ${error.message}`, {
@@ -304,6 +171,15 @@ const initializeScheduler = async () => {
     scheduler.initialize();
     logger.info('Scheduler initialized successfully');
     
+    // Load the tenant directory; if user-service is unavailable the stored copy is used until the next sync
+    try {
+      await tenantDirectory.refresh();
+    } catch (error) {
+      logger.warn(`Could not load tenant directory from user-service: ${error.message}`, {
+        error: error.message
+      });
+    }
+    
     // Run initial aggregation if needed
     if (process.env.RUN_INITIAL_AGGREGATION === 'true') {
       logger.info('Running initial data aggregation');
@@ -373,6 +249,9 @@ const gracefulShutdown = async (signal) => {
     await cache.close();
     logger.info('Redis connection closed');
     
+    // Close mail transport
+    mailer.close();
+    
     // Close MongoDB connection
     await mongoose.connection.close();
     logger.info('MongoDB connection closed');
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const tenantDirectory = require('../utils/tenantDirectory');
 
 /**
  * Authentication middleware
@@ -111,14 +112,12 @@ exports.authorize = (roles = []) => {
 
 /**
  * Company resource access middleware
- * Ensures user can only access resources for their company
+ * Ensures user can only access resources for their company, and that the company exists in the
+ * tenant directory and is active (admins may still access inactive companies)
  */
 exports.checkCompanyAccess = async (req, res, next) => {
   try {
-    // Skip for admins
-    if (req.user.roles.includes('admin')) {
-      return next();
-    }
+    const isAdmin = req.user.roles.includes('admin');
     
     // Get company ID from request (params, query, or body)
     const resourceCompanyId = 
@@ -126,13 +125,8 @@ exports.checkCompanyAccess = async (req, res, next) => {
       req.query.companyId || 
       (req.body && req.body.companyId);
     
-    // If no company ID in request, continue
-    if (!resourceCompanyId) {
-      return next();
-    }
-    
-    // Check if user's company matches resource company
-    if (req.user.companyId && resourceCompanyId !== req.user.companyId.toString()) {
+    // Check if user's company matches resource company (skipped for admins)
+    if (!isAdmin && resourceCompanyId && req.user.companyId && resourceCompanyId !== req.user.companyId.toString()) {
       logger.warn('Company access denied', {
         userId: req.user.id,
         userCompanyId: req.user.companyId,
@@ -146,6 +140,52 @@ exports.checkCompanyAccess = async (req, res, next) => {
       });
     }
     
+    // Admins without a company in the request access platform-wide resources
+    const companyId = resourceCompanyId || (isAdmin ? null : req.user.companyId);
+    
+    if (!companyId) {
+      return next();
+    }
+    
+    let company;
+    
+    // Companies missing from the directory are read from user-service; while it is unavailable
+    // only the company match above applies
+    try {
+      company = await tenantDirectory.getCompany(companyId.toString());
+    } catch (error) {
+      logger.warn(`Company lookup failed, skipping the company status check: ${error.message}`, {
+        error: error.message,
+        userId: req.user.id,
+        companyId: companyId.toString()
+      });
+      
+      return next();
+    }
+    
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: 'Company not found'
+      });
+    }
+    
+    if (!company.active && !isAdmin) {
+      logger.warn('Company access denied: company is inactive', {
+        userId: req.user.id,
+        companyId: company._id.toString()
+      });
+      
+      return res.status(403).json({
+        success: false,
+        error: 'Authorization error',
+        message: 'Company is inactive'
+      });
+    }
+    
+    req.company = company;
+    
     next();
   } catch (error) {
     logger.error(`Company access check error: ${error.message}`, {
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for the outcome of an aggregation run for one company (or platform-wide)
+ */
+const outcomeSchema = new mongoose.Schema({
+  // Company ID (null for platform-wide metrics)
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Buckets aggregated successfully
+  completed: {
+    type: Number,
+    default: 0
+  },
+
+  // Buckets that failed to aggregate
+  failed: {
+    type: Number,
+    default: 0
+  },
+
+  // Most recent failure message
+  lastError: {
+    type: String
+  }
+}, { _id: false });
+
+/**
+ * Schema for aggregation jobs
+ * Records every scheduled aggregation and backfill run with its outcome per company
+ */
+const aggregationJobSchema = new mongoose.Schema({
+  // What started the run
+  type: {
+    type: String,
+    required: true,
+    enum: ['scheduled', 'backfill']
+  },
+
+  // Run status; partial means some buckets failed
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'partial', 'failed', 'cancelled'],
+    default: 'running',
+    index: true
+  },
+
+  // Period types aggregated
+  periods: [{
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'all_time']
+  }],
+
+  // Company scope (null for platform-wide and every company)
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Date range covered by the aggregated buckets
+  startDate: {
+    type: Date
+  },
+
+  endDate: {
+    type: Date
+  },
+
+  // Backfill job that ran the aggregation
+  backfillJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BackfillJob'
+  },
+
+  // Bucket counts over every company
+  counts: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Outcome per company, keyed by company ID ('platform' for platform-wide metrics)
+  outcomes: {
+    type: Map,
+    of: outcomeSchema,
+    default: {}
+  },
+
+  // Most recent failures
+  failures: [{
+    period: String,
+    date: Date,
+    companyId: mongoose.Schema.Types.ObjectId,
+    message: String,
+    occurredAt: Date
+  }],
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+aggregationJobSchema.index({ type: 1, startedAt: -1 });
+aggregationJobSchema.index({ startedAt: -1 });
+
+// Create model
+const AggregationJob = mongoose.model('AggregationJob', aggregationJobSchema);
+
+module.exports = AggregationJob;
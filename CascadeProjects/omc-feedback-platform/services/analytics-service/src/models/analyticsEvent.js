@@ -13,6 +13,11 @@ const analyticsEventSchema = new mongoose.Schema({
     index: true
   },
   
+  // Client-supplied event id used for deduplication (see EventIdempotencyKey)
+  eventId: {
+    type: String
+  },
+  
   // Event type
   eventType: {
     type: String,
@@ -26,6 +31,11 @@ const analyticsEventSchema = new mongoose.Schema({
     required: true
   },
   
+  // Schema version of the event data (missing on events stored before schemas were introduced)
+  schemaVersion: {
+    type: Number
+  },
+  
   // Associated user ID (if applicable)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -57,6 +67,29 @@ const analyticsEventSchema = new mongoose.Schema({
     index: true
   },
   
+  // Device timestamp of a synced event, before clock-skew correction
+  clientTimestamp: {
+    type: Date
+  },
+  
+  // Device clock skew applied to a synced event (milliseconds)
+  clockSkew: {
+    type: Number
+  },
+  
+  // When the service received the event
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Whether the event arrived after EVENT_LATE_THRESHOLD, so its periods need recomputing
+  late: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  
   // Processing status
   processed: {
     type: Boolean,
@@ -83,6 +116,7 @@ analyticsEventSchema.index({ userId: 1, timestamp: -1 });
 analyticsEventSchema.index({ companyId: 1, timestamp: -1 });
 analyticsEventSchema.index({ resourceId: 1, resourceType: 1 });
 analyticsEventSchema.index({ processed: 1, timestamp: 1 });
+analyticsEventSchema.index({ sourceService: 1, eventId: 1 });
 
 // Create model
 const AnalyticsEvent = mongoose.model('AnalyticsEvent', analyticsEventSchema);
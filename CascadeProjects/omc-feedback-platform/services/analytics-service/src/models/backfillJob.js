@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for metrics backfill jobs
+ * Recomputes every metrics bucket of the selected periods between two dates; progress is persisted
+ * so an interrupted job resumes where it stopped
+ */
+const backfillJobSchema = new mongoose.Schema({
+  // Job status
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+
+  // Period types to backfill
+  periods: [{
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'all_time']
+  }],
+
+  // Date range (inclusive); every bucket overlapping it is recomputed
+  startDate: {
+    type: Date,
+    required: true
+  },
+
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  // Company to backfill (null for platform-wide and every company)
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Progress over the work items (one per bucket)
+  progress: {
+    total: { type: Number, default: 0 },
+    // Index of the next work item; items before it are done
+    nextIndex: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Most recent failures, per bucket and company
+  failures: [{
+    period: String,
+    date: Date,
+    companyId: mongoose.Schema.Types.ObjectId,
+    message: String,
+    occurredAt: Date
+  }],
+
+  // Set to stop a running job after its current work items
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Aggregation job recording the run
+  aggregationJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AggregationJob'
+  },
+
+  // User who requested the job
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  startedAt: {
+    type: Date
+  },
+
+  finishedAt: {
+    type: Date
+  },
+
+  // Updated while the job runs; a stale heartbeat means the worker stopped
+  heartbeatAt: {
+    type: Date
+  },
+
+  // Run holding the job; updates of a run whose job was claimed again are ignored
+  claimedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+backfillJobSchema.index({ status: 1, createdAt: 1 });
+
+// Create model
+const BackfillJob = mongoose.model('BackfillJob', backfillJobSchema);
+
+module.exports = BackfillJob;
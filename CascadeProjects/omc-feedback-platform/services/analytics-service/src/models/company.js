@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const reportSchedule = require('../utils/reportSchedule');
+
+/**
+ * Schema for companies (tenants)
+ * A local copy of the user-service company directory, kept up to date from company events
+ */
+const companySchema = new mongoose.Schema({
+  // Company ID in user-service
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  name: {
+    type: String,
+    trim: true
+  },
+
+  // IANA timezone of the company
+  timezone: {
+    type: String,
+    default: reportSchedule.defaultTimezone,
+    validate: {
+      validator: reportSchedule.isValidTimezone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+
+  // Inactive and deleted companies are skipped by scheduling and denied access
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  deletedAt: {
+    type: Date
+  },
+
+  // Time of the user-service change last applied; older events are ignored
+  sourceUpdatedAt: {
+    type: Date
+  },
+
+  // When the company was last read from user-service or a company event
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create model
+const Company = mongoose.model('Company', companySchema);
+
+module.exports = Company;
@@ -63,6 +63,7 @@ const dashboardSchema = new mongoose.Schema({
         'notification_metrics',
         'trending_categories',
         'feedback_volume_trend',
+        'metric',
         'custom'
       ]
     },
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for dirty aggregation periods
+ * Marks metrics buckets that received events after they were computed, until they are recomputed
+ * A re-aggregation run claims a bucket for a lease and removes the mark once it is recomputed
+ */
+const dirtyPeriodSchema = new mongoose.Schema({
+  // Metrics collection to recompute (feedback or user metrics)
+  metric: {
+    type: String,
+    required: true,
+    enum: ['feedback', 'user']
+  },
+
+  // Period type of the bucket
+  period: {
+    type: String,
+    required: true,
+    enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'all_time']
+  },
+
+  // Start of the bucket
+  date: {
+    type: Date,
+    required: true
+  },
+
+  // Company ID (null for platform-wide metrics)
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Events that touched the bucket since it was marked
+  eventCount: {
+    type: Number,
+    default: 0
+  },
+
+  // When the bucket was first marked
+  markedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Re-aggregation run recomputing the bucket
+  claimedBy: {
+    type: String,
+    default: null
+  },
+
+  // End of the run's claim; afterwards another run may claim the bucket
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  }
+});
+
+dirtyPeriodSchema.index({ metric: 1, period: 1, date: 1, companyId: 1 }, { unique: true });
+dirtyPeriodSchema.index({ markedAt: 1 });
+
+// Create model
+const DirtyPeriod = mongoose.model('DirtyPeriod', dirtyPeriodSchema);
+
+module.exports = DirtyPeriod;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for event idempotency keys
+ * Records the analytics event stored for each client-supplied event id within the dedup window
+ */
+const eventIdempotencyKeySchema = new mongoose.Schema({
+  // Event source service the key belongs to
+  sourceService: {
+    type: String,
+    required: true
+  },
+
+  // Client-supplied event id (eventId field or Idempotency-Key header)
+  key: {
+    type: String,
+    required: true
+  },
+
+  // Analytics event stored for the key
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnalyticsEvent',
+    required: true
+  },
+
+  // Pending until the event is stored; keys read without a status predate it and are confirmed
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'confirmed'
+  },
+
+  // End of the claim lease while pending, then of the dedup window; expired keys are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Event ids are unique per source service
+eventIdempotencyKeySchema.index({ sourceService: 1, key: 1 }, { unique: true });
+eventIdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create model
+const EventIdempotencyKey = mongoose.model('EventIdempotencyKey', eventIdempotencyKeySchema);
+
+module.exports = EventIdempotencyKey;
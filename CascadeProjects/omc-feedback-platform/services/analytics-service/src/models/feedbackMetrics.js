@@ -191,6 +191,12 @@ const feedbackMetricsSchema = new mongoose.Schema({
   calculatedAt: {
     type: Date,
     default: Date.now
+  },
+  
+  // Number of times this metric was calculated; increases when history is recomputed
+  version: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+/**
+ * Definition content kept for every version
+ * A query definition holds an ad-hoc query over AnalyticsEvent (without timeRange or companyId,
+ * which are given when it runs); a formula definition holds an expression over metrics fields
+ */
+const definitionFields = {
+  kind: {
+    type: String,
+    required: true,
+    enum: ['query', 'formula']
+  },
+
+  // Ad-hoc query: measures, dimensions, filters, sort and limit (see POST /api/query)
+  query: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Formula over FeedbackMetrics or UserMetrics fields and other formula metrics (see utils/formula)
+  formula: {
+    // Metrics source of fields without a feedback. or users. prefix
+    source: {
+      type: String,
+      enum: ['feedback', 'user'],
+      default: 'feedback'
+    },
+    expression: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  },
+
+  // Unit of the metric's values (e.g. %, ms, count)
+  unit: {
+    type: String,
+    trim: true
+  }
+};
+
+/**
+ * Schema for saved queries and named metric definitions
+ * Definitions are versioned: every change to their content keeps the previous version
+ */
+const metricDefinitionSchema = new mongoose.Schema({
+  // User who created this definition
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  // Company ID
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  // Key the metric is referenced by, unique within the company (e.g. first_response_sla_compliance)
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,63}$/, 'key must start with a lowercase letter and contain only lowercase letters, digits and underscores']
+  },
+
+  // Display name
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  tags: [{
+    type: String,
+    trim: true
+  }],
+
+  ...definitionFields,
+
+  // Current version, starting at 1
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // Previous versions, oldest first
+  versions: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    ...definitionFields,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Sharing settings, as for dashboards
+  sharing: {
+    // Is this definition shared
+    isShared: {
+      type: Boolean,
+      default: false
+    },
+
+    // Users this definition is shared with
+    sharedWith: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      permission: {
+        type: String,
+        enum: ['view', 'edit'],
+        default: 'view'
+      }
+    }],
+
+    // Is this definition shared with the entire company
+    sharedWithCompany: {
+      type: Boolean,
+      default: false
+    },
+
+    // Company permission level
+    companyPermission: {
+      type: String,
+      enum: ['view', 'edit'],
+      default: 'view'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Create compound indexes for common queries
+metricDefinitionSchema.index({ companyId: 1, key: 1 }, { unique: true });
+metricDefinitionSchema.index({ companyId: 1, 'sharing.sharedWithCompany': 1 });
+metricDefinitionSchema.index({ 'sharing.sharedWith.userId': 1 });
+
+// Create model
+const MetricDefinition = mongoose.model('MetricDefinition', metricDefinitionSchema);
+
+module.exports = MetricDefinition;
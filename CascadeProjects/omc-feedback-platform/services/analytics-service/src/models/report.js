@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const reportSchedule = require('../utils/reportSchedule');
 
 /**
  * Schema for analytics reports
@@ -156,6 +157,16 @@ const reportSchema = new mongoose.Schema({
       }
     },
     
+    // IANA timezone the schedule and reporting windows are evaluated in; unset until the report is
+    // scheduled, when it defaults to the company's timezone (DEFAULT_REPORT_TIMEZONE without one)
+    timezone: {
+      type: String,
+      validate: {
+        validator: reportSchedule.isValidTimezone,
+        message: props => `${props.value} is not a valid IANA timezone`
+      }
+    },
+    
     // Next scheduled run
     nextRun: {
       type: Date
@@ -221,6 +232,12 @@ const reportSchema = new mongoose.Schema({
       end: { type: Date }
     },
     
+    // Output format of the generated file
+    format: {
+      type: String,
+      enum: ['pdf', 'csv', 'excel', 'json']
+    },
+    
     // File URL or path
     fileUrl: {
       type: String
@@ -246,14 +263,34 @@ const reportSchema = new mongoose.Schema({
     // Delivery status
     deliveryStatus: {
       type: String,
-      enum: ['pending', 'sent', 'failed', 'downloaded'],
+      enum: ['pending', 'sent', 'partial', 'failed', 'downloaded'],
       default: 'pending'
     },
     
     // Delivery timestamp
     deliveredAt: {
       type: Date
-    }
+    },
+    
+    // Per-recipient email delivery outcome
+    deliveries: [{
+      email: {
+        type: String
+      },
+      status: {
+        type: String,
+        enum: ['sent', 'failed']
+      },
+      messageId: {
+        type: String
+      },
+      error: {
+        type: String
+      },
+      deliveredAt: {
+        type: Date
+      }
+    }]
   }],
   
   // Report sharing settings
@@ -178,6 +178,12 @@ const userMetricsSchema = new mongoose.Schema({
   calculatedAt: {
     type: Date,
     default: Date.now
+  },
+  
+  // Number of times this metric was calculated; increases when history is recomputed
+  version: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
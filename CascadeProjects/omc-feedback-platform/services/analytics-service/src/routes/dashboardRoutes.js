@@ -27,6 +27,18 @@ router.get('/:id',
   dashboardController.getDashboardById
 );
 
+// Get the data of every widget on a dashboard
+router.get('/:id/data', 
+  authenticate,
+  dashboardController.getDashboardData
+);
+
+// Get the data of a single dashboard widget
+router.get('/:id/widgets/:widgetId/data', 
+  authenticate,
+  dashboardController.getWidgetData
+);
+
 // Delete a dashboard
 router.delete('/:id', 
   authenticate,
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const deadLetterController = require('../controllers/deadLetterController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// List consumer queues with dead-letter message counts (admin only)
+router.get('/', 
+  authenticate,
+  authorize(['admin']),
+  deadLetterController.getDeadLetterQueues
+);
+
+// List dead-lettered messages of a queue (admin only)
+router.get('/:queue', 
+  authenticate,
+  authorize(['admin']),
+  deadLetterController.getDeadLetters
+);
+
+// Inspect a dead-lettered message (admin only)
+router.get('/:queue/:messageId', 
+  authenticate,
+  authorize(['admin']),
+  deadLetterController.getDeadLetter
+);
+
+// Replay dead-lettered messages (admin only)
+router.post('/:queue/replay', 
+  authenticate,
+  authorize(['admin']),
+  deadLetterController.replayDeadLetters
+);
+
+// Purge all dead-lettered messages of a queue (admin only)
+router.delete('/:queue', 
+  authenticate,
+  authorize(['admin']),
+  deadLetterController.purgeDeadLetters
+);
+
+// Delete a single dead-lettered message (admin only)
+router.delete('/:queue/:messageId', 
+  authenticate,
+  authorize(['admin']),
+  deadLetterController.purgeDeadLetters
+);
+
+module.exports = router;
@@ -15,12 +15,24 @@ router.post('/batch',
   eventController.createBatchEvents
 );
 
+// Sync events captured offline, correcting device clock skew
+router.post('/sync', 
+  authenticate,
+  eventController.syncEvents
+);
+
 // Get analytics events with filtering and pagination
 router.get('/', 
   authenticate,
   eventController.getEvents
 );
 
+// List the registered event payload schemas
+router.get('/schemas', 
+  authenticate,
+  eventController.getEventSchemas
+);
+
 // Get a single analytics event by ID
 router.get('/:id', 
   authenticate,
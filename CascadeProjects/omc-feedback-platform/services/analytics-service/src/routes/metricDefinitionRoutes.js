@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const metricDefinitionController = require('../controllers/metricDefinitionController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Create a new metric definition
+router.post('/', 
+  authenticate,
+  authorize(['admin', 'analyst']),
+  metricDefinitionController.createDefinition
+);
+
+// Get metric definitions owned by or shared with the current user
+router.get('/', 
+  authenticate,
+  metricDefinitionController.getDefinitions
+);
+
+// Get a single metric definition by ID, optionally at a previous version
+router.get('/:id', 
+  authenticate,
+  metricDefinitionController.getDefinitionById
+);
+
+// Get the version history of a metric definition
+router.get('/:id/versions', 
+  authenticate,
+  metricDefinitionController.getDefinitionVersions
+);
+
+// Run a metric definition over a time range
+router.get('/:id/results', 
+  authenticate,
+  metricDefinitionController.getDefinitionResults
+);
+
+// Update an existing metric definition
+router.put('/:id', 
+  authenticate,
+  metricDefinitionController.updateDefinition
+);
+
+// Delete a metric definition
+router.delete('/:id', 
+  authenticate,
+  metricDefinitionController.deleteDefinition
+);
+
+// Share a metric definition with other users
+router.post('/:id/share', 
+  authenticate,
+  metricDefinitionController.shareDefinition
+);
+
+module.exports = router;
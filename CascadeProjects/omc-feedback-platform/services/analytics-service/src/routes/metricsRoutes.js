@@ -1,31 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const metricsController = require('../controllers/metricsController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, checkCompanyAccess } = require('../middleware/auth');
 
 // Get feedback metrics with filtering
 router.get('/feedback', 
   authenticate,
+  checkCompanyAccess,
   metricsController.getFeedbackMetrics
 );
 
 // Get user metrics with filtering
 router.get('/users', 
   authenticate,
+  checkCompanyAccess,
   metricsController.getUserMetrics
 );
 
 // Get combined metrics summary
 router.get('/summary', 
   authenticate,
+  checkCompanyAccess,
   metricsController.getMetricsSummary
 );
 
-// Trigger manual metrics aggregation (admin only)
+// Get an evenly spaced metrics series
+router.get('/timeseries', 
+  authenticate,
+  checkCompanyAccess,
+  metricsController.getTimeseries
+);
+
+// Queue a metrics backfill over a date range (admin only)
 router.post('/aggregate', 
   authenticate,
-  authorize(['admin', 'analyst']),
+  authorize(['admin']),
+  checkCompanyAccess,
   metricsController.triggerAggregation
 );
 
+// List metrics backfill jobs
+router.get('/backfills', 
+  authenticate,
+  authorize(['admin', 'analyst']),
+  metricsController.getBackfills
+);
+
+// Get backfill job status and progress
+router.get('/backfills/:id', 
+  authenticate,
+  authorize(['admin', 'analyst']),
+  metricsController.getBackfillById
+);
+
+// Cancel a backfill job (admin only)
+router.post('/backfills/:id/cancel', 
+  authenticate,
+  authorize(['admin']),
+  metricsController.cancelBackfill
+);
+
+// List aggregation runs
+router.get('/jobs', 
+  authenticate,
+  authorize(['admin', 'analyst']),
+  metricsController.getAggregationJobs
+);
+
+// Get an aggregation run with its outcome per company
+router.get('/jobs/:id', 
+  authenticate,
+  authorize(['admin', 'analyst']),
+  metricsController.getAggregationJobById
+);
+
 module.exports = router;
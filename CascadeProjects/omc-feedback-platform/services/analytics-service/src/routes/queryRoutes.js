@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const queryController = require('../controllers/queryController');
+const { authenticate, authorize, checkCompanyAccess } = require('../middleware/auth');
+
+// Run an ad-hoc query over raw events
+router.post('/', 
+  authenticate,
+  authorize(['admin', 'analyst']),
+  checkCompanyAccess,
+  queryController.runQuery
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authenticate, checkCompanyAccess } = require('../middleware/auth');
+
+// Create a new report
+router.post('/', 
+  authenticate,
+  checkCompanyAccess,
+  reportController.createReport
+);
+
+// Update an existing report
+router.put('/:id', 
+  authenticate,
+  reportController.updateReport
+);
+
+// Get all reports visible to the current user
+router.get('/', 
+  authenticate,
+  reportController.getReports
+);
+
+// Get a single report by ID
+router.get('/:id', 
+  authenticate,
+  reportController.getReportById
+);
+
+// Delete a report
+router.delete('/:id', 
+  authenticate,
+  reportController.deleteReport
+);
+
+// Generate a report now
+router.post('/:id/generate', 
+  authenticate,
+  reportController.generateReport
+);
+
+// Download a generated report file
+router.get('/:id/history/:reportId/download', 
+  authenticate,
+  reportController.downloadReport
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Event payload upcasters
+ * Each upcaster turns the eventData of one schema version into the shape of the next version, so a
+ * schema change in src/schemas/events ships with the upcaster from its previous version:
+ *
+ *   {
+ *     sourceService: 'feedback',
+ *     eventType: 'feedback.created',
+ *     fromVersion: 1,
+ *     upcast: ({ category, ...eventData }) => ({ ...eventData, categoryId: category })
+ *   }
+ *
+ * Version changes without an upcaster are treated as backwards compatible. Events stored before
+ * schemas were introduced (no schemaVersion) are normalized against version 1 of their schema.
+ */
+
+/**
+ * Notification events v1 -> v2: channels become lowercase identifiers, so breakdowns by channel no
+ * longer split on spelling ("Email", "email ", "in-app")
+ * @param {Object} eventData - Version 1 eventData
+ * @returns {Object} - Version 2 eventData
+ */
+const normalizeChannel = ({ channel, ...eventData }) => ({
+  ...eventData,
+  channel: typeof channel === 'string'
+    ? channel.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+    : channel
+});
+
+module.exports = ['notification.sent', 'notification.delivered', 'notification.read'].map(eventType => ({
+  sourceService: 'notification',
+  eventType,
+  fromVersion: 1,
+  upcast: normalizeChannel
+}));
@@ -0,0 +1,105 @@
+const AggregationJob = require('../models/aggregationJob');
+
+// Failures kept on a job
+const maxFailures = 50;
+
+/**
+ * Key of a company in a job's outcomes
+ * @param {string|null} companyId - Company ID (null for platform-wide metrics)
+ * @returns {string} - Outcome key
+ */
+const outcomeKey = (companyId) => (companyId ? companyId.toString() : 'platform');
+
+/**
+ * Record the start of an aggregation run
+ * @param {Object} attributes - Job type, periods, company scope and date range
+ * @returns {Promise<Object>} - Created job
+ */
+const start = (attributes) => {
+  return AggregationJob.create({
+    ...attributes,
+    status: 'running',
+    startedAt: new Date()
+  });
+};
+
+/**
+ * Record the outcome of aggregated buckets
+ * @param {string} jobId - Aggregation job ID
+ * @param {Array<Object>} results - Buckets with period, date, companyId and the error they failed with, if any
+ * @returns {Promise<void>}
+ */
+const record = async (jobId, results) => {
+  if (results.length === 0) {
+    return;
+  }
+
+  const update = { $inc: { 'counts.total': results.length }, $set: {} };
+  const failures = [];
+
+  results.forEach(({ period, date, companyId, error }) => {
+    const key = `outcomes.${outcomeKey(companyId)}`;
+    const outcome = error ? 'failed' : 'completed';
+
+    update.$inc[`counts.${outcome}`] = (update.$inc[`counts.${outcome}`] || 0) + 1;
+    update.$inc[`${key}.${outcome}`] = (update.$inc[`${key}.${outcome}`] || 0) + 1;
+    update.$set[`${key}.companyId`] = companyId || null;
+
+    if (error) {
+      update.$set[`${key}.lastError`] = error.message;
+      failures.push({ period, date, companyId: companyId || null, message: error.message, occurredAt: new Date() });
+    }
+  });
+
+  if (failures.length > 0) {
+    update.$push = { failures: { $each: failures, $slice: -maxFailures } };
+  }
+
+  await AggregationJob.updateOne({ _id: jobId }, update);
+};
+
+/**
+ * Record the end of an aggregation run
+ * Without an explicit status the run is completed, partial if some buckets failed, or failed if all did
+ * @param {string} jobId - Aggregation job ID
+ * @param {Object} options - Finish options
+ * @param {string} options.status - Status to finish with (e.g. cancelled)
+ * @param {Error} options.error - Error that aborted the run
+ * @returns {Promise<Object|null>} - Finished job
+ */
+const finish = async (jobId, { status, error } = {}) => {
+  const job = await AggregationJob.findById(jobId).select('counts');
+
+  if (!job) {
+    return null;
+  }
+
+  const { completed, failed } = job.counts;
+  let finalStatus = status;
+
+  if (!finalStatus) {
+    if (error || (failed > 0 && completed === 0)) {
+      finalStatus = 'failed';
+    } else if (failed > 0) {
+      finalStatus = 'partial';
+    } else {
+      finalStatus = 'completed';
+    }
+  }
+
+  const update = { $set: { status: finalStatus, finishedAt: new Date() } };
+
+  if (error) {
+    update.$push = {
+      failures: { $each: [{ message: error.message, occurredAt: new Date() }], $slice: -maxFailures }
+    };
+  }
+
+  return AggregationJob.findByIdAndUpdate(jobId, update, { new: true });
+};
+
+module.exports = {
+  start,
+  record,
+  finish
+};
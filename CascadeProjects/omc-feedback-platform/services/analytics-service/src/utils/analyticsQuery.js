@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const eventSchemas = require('./eventSchemas');
+const reportSchedule = require('./reportSchedule');
+const AnalyticsEvent = require('../models/analyticsEvent');
+
+// Longest time range a query may cover, in days
+const maxRangeDays = parseInt(process.env.QUERY_MAX_RANGE_DAYS || '366', 10);
+
+// Rows a query may return
+const maxRows = parseInt(process.env.QUERY_MAX_ROWS || '10000', 10);
+
+// Time limit (ms) of a query
+const queryTimeout = parseInt(process.env.QUERY_TIMEOUT || '30000', 10);
+
+// Event fields queries may group and filter by, besides eventData.* and metadata.* fields
+const eventFields = ['eventType', 'sourceService', 'resourceType', 'userId', 'resourceId', 'schemaVersion', 'late'];
+
+// Event fields holding ObjectIds, whose filter values are cast
+const objectIdFields = ['userId', 'resourceId'];
+
+// eventData.* and metadata.* paths: plain identifiers only, so no operators can be injected
+const nestedField = /^(eventData|metadata)(\.[A-Za-z_][A-Za-z0-9_]*){1,4}$/;
+
+// Output column names
+const columnName = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Prefix of the pipeline's own fields; column names may not use it
+const internalPrefix = '__';
+
+// Group key of the distinct values of a countDistinct measure
+const distinctKey = `${internalPrefix}value`;
+
+const timeBucketUnits = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const scalar = { type: ['string', 'number', 'boolean', 'null'] };
+
+const querySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['measures', 'timeRange'],
+  properties: {
+    measures: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type'],
+        properties: {
+          type: { enum: ['count', 'countDistinct', 'sum', 'avg', 'min', 'max', 'percentile'] },
+          field: { type: 'string' },
+          p: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 },
+          as: { type: 'string', pattern: columnName.source }
+        }
+      }
+    },
+    dimensions: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        oneOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            additionalProperties: false,
+            required: ['field'],
+            properties: {
+              field: { type: 'string' },
+              as: { type: 'string', pattern: columnName.source }
+            }
+          },
+          {
+            type: 'object',
+            additionalProperties: false,
+            required: ['timeBucket'],
+            properties: {
+              timeBucket: { enum: timeBucketUnits },
+              timezone: { type: 'string' },
+              as: { type: 'string', pattern: columnName.source }
+            }
+          }
+        ]
+      }
+    },
+    filters: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['field', 'op'],
+        properties: {
+          field: { type: 'string' },
+          op: { enum: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'] },
+          value: { oneOf: [scalar, { type: 'array', maxItems: 100, items: scalar }] }
+        }
+      }
+    },
+    timeRange: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['from', 'to'],
+      properties: {
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' }
+      }
+    },
+    companyId: { type: 'string' },
+    sort: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['by'],
+        properties: {
+          by: { type: 'string' },
+          direction: { enum: ['asc', 'desc'] }
+        }
+      }
+    },
+    limit: { type: 'integer', minimum: 1 }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+
+const validateShape = ajv.compile(querySchema);
+
+/**
+ * Check whether a field may be queried
+ * @param {string} field - Event field path
+ * @returns {boolean} - True for whitelisted event fields and eventData.* or metadata.* paths
+ */
+const isQueryableField = field => eventFields.includes(field) || nestedField.test(field);
+
+/**
+ * Default column name of a field
+ * @param {string} field - Event field path
+ * @returns {string} - Field path with dots replaced by underscores
+ */
+const columnOf = field => field.replace(/\./g, '_');
+
+/**
+ * Cast a filter value for its field
+ * @param {string} field - Event field path
+ * @param {*} value - Filter value
+ * @returns {*} - Value, as an ObjectId for ObjectId fields
+ */
+const castValue = (field, value) => {
+  if (objectIdFields.includes(field) && typeof value === 'string' && mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+
+  return value;
+};
+
+/**
+ * Compile a measure to its $group accumulator and output expression
+ * @param {Object} measure - Measure definition
+ * @returns {Object} - Column name, accumulator and output expression
+ */
+const compileMeasure = (measure) => {
+  const { type, field, p = 0.5 } = measure;
+  const source = `$${field}`;
+  const defaults = {
+    count: 'count',
+    countDistinct: `distinct_${columnOf(field || '')}`,
+    percentile: `p${Math.round(p * 100)}_${columnOf(field || '')}`
+  };
+  const name = measure.as || defaults[type] || `${type}_${columnOf(field || '')}`;
+
+  switch (type) {
+    case 'count':
+      return { name, accumulator: { $sum: 1 }, output: `$${name}` };
+    case 'countDistinct':
+      // Counted by grouping on the values (see splitMeasure) rather than collecting them in a set
+      return { name, accumulator: null, output: `$${name}` };
+    case 'percentile':
+      return {
+        name,
+        accumulator: { $percentile: { input: source, p: [p], method: 'approximate' } },
+        output: { $first: `$${name}` }
+      };
+    default:
+      return { name, accumulator: { [`$${type}`]: source }, output: `$${name}` };
+  }
+};
+
+/**
+ * Split a measure across two $group stages: per row and distinct value first, then per row
+ * Queries with countDistinct are grouped this way, so no group holds a set of every distinct value
+ * @param {Object} measure - Measure definition
+ * @param {string} name - Column name
+ * @returns {Object} - Accumulators of each stage and the output expression
+ */
+const splitMeasure = ({ type, field }, name) => {
+  const source = `$${field}`;
+
+  switch (type) {
+    case 'count':
+      return { first: { [name]: { $sum: 1 } }, second: { [name]: { $sum: `$${name}` } }, output: `$${name}` };
+    case 'countDistinct':
+      // Null and missing values are not counted
+      return {
+        first: {},
+        second: { [name]: { $sum: { $cond: [{ $eq: [`$_id.${distinctKey}`, null] }, 0, 1] } } },
+        output: `$${name}`
+      };
+    case 'avg': {
+      const count = `${internalPrefix}count_${name}`;
+
+      return {
+        first: { [name]: { $sum: source }, [count]: { $sum: { $cond: [{ $isNumber: source }, 1, 0] } } },
+        second: { [name]: { $sum: `$${name}` }, [count]: { $sum: `$${count}` } },
+        output: { $cond: [{ $gt: [`$${count}`, 0] }, { $divide: [`$${name}`, `$${count}`] }, null] }
+      };
+    }
+    default:
+      // sum, min and max combine across the first stage's groups
+      return {
+        first: { [name]: { [`$${type}`]: source } },
+        second: { [name]: { [`$${type}`]: `$${name}` } },
+        output: `$${name}`
+      };
+  }
+};
+
+/**
+ * Compile a dimension to its group key expression
+ * @param {string|Object} dimension - Field path, { field, as } or { timeBucket, timezone, as }
+ * @returns {Object} - Column name, field (if any) and group key expression
+ */
+const compileDimension = (dimension) => {
+  if (typeof dimension === 'string') {
+    return { name: columnOf(dimension), field: dimension, expression: `$${dimension}` };
+  }
+
+  if (dimension.timeBucket) {
+    return {
+      name: dimension.as || 'timeBucket',
+      timezone: dimension.timezone,
+      expression: {
+        $dateTrunc: { date: '$timestamp', unit: dimension.timeBucket, timezone: dimension.timezone || 'UTC' }
+      }
+    };
+  }
+
+  return { name: dimension.as || columnOf(dimension.field), field: dimension.field, expression: `$${dimension.field}` };
+};
+
+/**
+ * Compile a filter to a match condition
+ * @param {Object} filter - Filter with field, op and value
+ * @returns {Object} - Match condition on the field
+ */
+const compileFilter = ({ field, op, value }) => {
+  if (op === 'exists') {
+    return { [field]: { $exists: value !== false } };
+  }
+
+  const cast = Array.isArray(value) ? value.map(item => castValue(field, item)) : castValue(field, value);
+
+  return { [field]: { [`$${op}`]: cast } };
+};
+
+/**
+ * Validate an ad-hoc query and compile it to an AnalyticsEvent aggregation pipeline
+ * The pipeline is always limited to the query's time range and, when given, the company
+ * @param {Object} query - Query with measures, dimensions, filters, timeRange, sort and limit
+ * @param {Object} scope - Tenant scope
+ * @param {string|null} scope.companyId - Company whose events are queried (null for all companies)
+ * @returns {Object} - Pipeline, output columns, time range and row limit
+ * @throws {Error} - ValidationError listing every problem with the query
+ */
+const compile = (query, { companyId }) => {
+  if (!validateShape(query)) {
+    const errors = validateShape.errors.map(error => `${error.instancePath || 'query'} ${error.message}`);
+
+    throw eventSchemas.createValidationError(`Invalid query: ${errors.join('; ')}`, errors);
+  }
+
+  const errors = [];
+  const from = new Date(query.timeRange.from);
+  const to = new Date(query.timeRange.to);
+
+  if (from >= to) {
+    errors.push('timeRange.from must be before timeRange.to');
+  } else if (to - from > maxRangeDays * 24 * 3600 * 1000) {
+    errors.push(`timeRange may span at most ${maxRangeDays} days`);
+  }
+
+  const measures = query.measures.map(compileMeasure);
+  const dimensions = (query.dimensions || []).map(compileDimension);
+
+  query.measures.forEach((measure, index) => {
+    if (measure.type === 'count' && measure.field) {
+      errors.push(`measures/${index} count takes no field`);
+    } else if (measure.type !== 'count' && !measure.field) {
+      errors.push(`measures/${index} ${measure.type} needs a field`);
+    } else if (measure.field && !isQueryableField(measure.field)) {
+      errors.push(`measures/${index} cannot use field ${measure.field}`);
+    } else if (measure.p !== undefined && measure.type !== 'percentile') {
+      errors.push(`measures/${index} only percentile takes p`);
+    }
+  });
+
+  dimensions.forEach(({ field, timezone }, index) => {
+    if (field !== undefined && !isQueryableField(field)) {
+      errors.push(`dimensions/${index} cannot use field ${field}`);
+    }
+
+    if (timezone !== undefined && !reportSchedule.isValidTimezone(timezone)) {
+      errors.push(`dimensions/${index} has an invalid timezone: ${timezone}`);
+    }
+  });
+
+  (query.filters || []).forEach(({ field, op, value }, index) => {
+    if (!isQueryableField(field)) {
+      errors.push(`filters/${index} cannot use field ${field}`);
+    }
+
+    if (['in', 'nin'].includes(op) !== Array.isArray(value)) {
+      errors.push(`filters/${index} ${op} takes ${['in', 'nin'].includes(op) ? 'an array' : 'a single value'}`);
+    } else if (op !== 'exists' && value === undefined) {
+      errors.push(`filters/${index} ${op} needs a value`);
+    }
+  });
+
+  const columns = [...dimensions, ...measures].map(column => column.name);
+  const duplicates = columns.filter((name, index) => columns.indexOf(name) !== index);
+
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate column names: ${[...new Set(duplicates)].join(', ')}; name columns with "as"`);
+  }
+
+  if (columns.some(name => name.startsWith(internalPrefix))) {
+    errors.push(`Column names may not start with ${internalPrefix}`);
+  }
+
+  const distinctMeasures = query.measures.filter(measure => measure.type === 'countDistinct');
+
+  if (distinctMeasures.length > 1) {
+    errors.push('A query may have at most one countDistinct measure');
+  } else if (distinctMeasures.length === 1 && query.measures.some(measure => measure.type === 'percentile')) {
+    errors.push('countDistinct cannot be combined with percentile measures');
+  }
+
+  (query.sort || []).forEach(({ by }, index) => {
+    if (!columns.includes(by)) {
+      errors.push(`sort/${index} must sort by one of the columns: ${columns.join(', ')}`);
+    }
+  });
+
+  if (query.limit > maxRows) {
+    errors.push(`limit may be at most ${maxRows}`);
+  }
+
+  if (errors.length > 0) {
+    throw eventSchemas.createValidationError(`Invalid query: ${errors.join('; ')}`, errors);
+  }
+
+  // Tenant scoping and the time range come first, so they always apply and use the indexes
+  const match = { timestamp: { $gte: from, $lt: to } };
+
+  if (companyId) {
+    match.companyId = new mongoose.Types.ObjectId(companyId);
+  }
+
+  const filters = (query.filters || []).map(compileFilter);
+  const limit = query.limit || Math.min(1000, maxRows);
+
+  const sort = query.sort?.length
+    ? Object.fromEntries(query.sort.map(({ by, direction }) => [by, direction === 'desc' ? -1 : 1]))
+    : Object.fromEntries(dimensions.map(({ name }) => [name, 1]));
+
+  const groupKey = Object.fromEntries(dimensions.map(({ name, expression }) => [name, expression]));
+  const distinct = distinctMeasures[0];
+  let grouping;
+  let outputs;
+
+  if (distinct) {
+    const split = query.measures.map((measure, index) => splitMeasure(measure, measures[index].name));
+
+    grouping = [
+      {
+        $group: {
+          _id: { ...groupKey, [distinctKey]: { $ifNull: [`$${distinct.field}`, null] } },
+          ...Object.assign({}, ...split.map(({ first }) => first))
+        }
+      },
+      {
+        $group: {
+          _id: Object.fromEntries(dimensions.map(({ name }) => [name, `$_id.${name}`])),
+          ...Object.assign({}, ...split.map(({ second }) => second))
+        }
+      }
+    ];
+    outputs = measures.map(({ name }, index) => [name, split[index].output]);
+  } else {
+    grouping = [
+      {
+        $group: {
+          _id: groupKey,
+          ...Object.fromEntries(measures.map(({ name, accumulator }) => [name, accumulator]))
+        }
+      }
+    ];
+    outputs = measures.map(({ name, output }) => [name, output]);
+  }
+
+  const pipeline = [
+    { $match: filters.length > 0 ? { $and: [match, ...filters] } : match },
+    ...grouping,
+    {
+      $project: {
+        _id: 0,
+        ...Object.fromEntries(dimensions.map(({ name }) => [name, `$_id.${name}`])),
+        ...Object.fromEntries(outputs)
+      }
+    },
+    ...(Object.keys(sort).length > 0 ? [{ $sort: sort }] : []),
+    // One extra row tells whether the result was truncated
+    { $limit: limit + 1 }
+  ];
+
+  return { pipeline, columns, from, to, limit };
+};
+
+/**
+ * Run an ad-hoc query
+ * @param {Object} query - Query definition
+ * @param {Object} scope - Tenant scope
+ * @param {string|null} scope.companyId - Company whose events are queried (null for all companies)
+ * @returns {Promise<Object>} - Columns, rows and whether the rows were truncated at the limit
+ * @throws {Error} - ValidationError for invalid queries; MongoServerError MaxTimeMSExpired on timeout
+ */
+const run = async (query, scope) => {
+  const { pipeline, columns, from, to, limit } = compile(query, scope);
+
+  const rows = await AnalyticsEvent.aggregate(pipeline)
+    .allowDiskUse(true)
+    .option({ maxTimeMS: queryTimeout });
+
+  return {
+    columns,
+    rows: rows.slice(0, limit),
+    truncated: rows.length > limit,
+    timeRange: { from, to },
+    companyId: scope.companyId || null
+  };
+};
+
+/**
+ * Check whether an error is a query timeout
+ * @param {Error} error - Error thrown by run
+ * @returns {boolean} - True if the query exceeded QUERY_TIMEOUT
+ */
+const isTimeout = error => error.codeName === 'MaxTimeMSExpired' || error.code === 50;
+
+module.exports = {
+  queryTimeout,
+  compile,
+  run,
+  isTimeout
+};
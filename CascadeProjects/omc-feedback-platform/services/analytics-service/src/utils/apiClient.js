@@ -96,6 +96,20 @@ class ApiClient {
     this.client.defaults.headers.common['Authorization'] = `Bearer ${token}`;
   }
   
+  /**
+   * Wrap a request error in an error naming the service
+   * @param {Error} error - Axios error
+   * @returns {Error} - Error with the service name and the response status (undefined without a response)
+   */
+  _serviceError(error) {
+    const errorMessage = error.response?.data?.message || error.message;
+    const serviceError = new Error(`${this.serviceName} API error: ${errorMessage}`);
+    
+    serviceError.status = error.response?.status;
+    
+    return serviceError;
+  }
+  
   /**
    * Make a GET request
    * @param {string} endpoint - API endpoint
@@ -137,9 +151,7 @@ class ApiClient {
       
       return response.data;
     } catch (error) {
-      // Throw custom error with service name
-      const errorMessage = error.response?.data?.message || error.message;
-      throw new Error(`${this.serviceName} API error: ${errorMessage}`);
+      throw this._serviceError(error);
     }
   }
   
@@ -161,9 +173,7 @@ class ApiClient {
       
       return response.data;
     } catch (error) {
-      // Throw custom error with service name
-      const errorMessage = error.response?.data?.message || error.message;
-      throw new Error(`${this.serviceName} API error: ${errorMessage}`);
+      throw this._serviceError(error);
     }
   }
   
@@ -185,9 +195,7 @@ class ApiClient {
       
       return response.data;
     } catch (error) {
-      // Throw custom error with service name
-      const errorMessage = error.response?.data?.message || error.message;
-      throw new Error(`${this.serviceName} API error: ${errorMessage}`);
+      throw this._serviceError(error);
     }
   }
   
@@ -209,9 +217,7 @@ class ApiClient {
       
       return response.data;
     } catch (error) {
-      // Throw custom error with service name
-      const errorMessage = error.response?.data?.message || error.message;
-      throw new Error(`${this.serviceName} API error: ${errorMessage}`);
+      throw this._serviceError(error);
     }
   }
 }
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const DataAggregator = require('./dataAggregator');
+const aggregationJobs = require('./aggregationJobs');
+const BackfillJob = require('../models/backfillJob');
+
+// Backfill jobs running at the same time in this service instance
+const maxConcurrentJobs = parseInt(process.env.BACKFILL_MAX_CONCURRENT_JOBS || '1', 10);
+
+// Work items (buckets) a job aggregates in parallel
+const itemConcurrency = parseInt(process.env.BACKFILL_ITEM_CONCURRENCY || '2', 10);
+
+// Seconds without a heartbeat after which a running job is considered interrupted
+const staleAfter = parseInt(process.env.BACKFILL_STALE_AFTER || '600', 10);
+
+// Milliseconds between heartbeats of a running job, well within the stale threshold
+const heartbeatInterval = staleAfter * 1000 / 3;
+
+// Failures kept on a job
+const maxFailures = 50;
+
+// Period types walked when a job does not name any
+const defaultPeriods = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Jobs running in this instance, by id
+const running = new Map();
+
+/**
+ * List the buckets of a period type that overlap a date range
+ * @param {string} period - Period type
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (inclusive)
+ * @returns {Array<Date>} - Bucket start dates, oldest first
+ */
+const listBuckets = (period, startDate, endDate) => {
+  if (period === 'all_time') {
+    return [new Date(0)];
+  }
+
+  const buckets = [];
+  let bucket = DataAggregator.calculatePeriodDates(period, startDate);
+
+  while (bucket.startDate <= endDate) {
+    buckets.push(bucket.startDate);
+    bucket = DataAggregator.calculatePeriodDates(period, new Date(bucket.endDate.getTime() + 1));
+  }
+
+  return buckets;
+};
+
+/**
+ * List the work items of a job in a stable order: one per bucket of each period
+ * @param {Object} job - Backfill job
+ * @returns {Array<Object>} - Work items with period, date and companyId
+ */
+const listItems = (job) => {
+  return job.periods.flatMap(period => listBuckets(period, job.startDate, job.endDate)
+    .map(date => ({ period, date, companyId: job.companyId || null })));
+};
+
+/**
+ * Aggregate the feedback and user metrics of a work item
+ * Without a company, the bucket is aggregated platform-wide and for every company in one grouped pass
+ * @param {Object} item - Work item
+ * @returns {Promise<Array<Object>>} - companyId and error, if any, per aggregated scope
+ */
+const runItem = async ({ period, date, companyId }) => {
+  if (!companyId) {
+    return DataAggregator.aggregateAllCompanies(period, date);
+  }
+
+  await DataAggregator.aggregateFeedbackMetrics(period, date, companyId);
+  await DataAggregator.aggregateUserMetrics(period, date, companyId);
+
+  return [{ companyId }];
+};
+
+/**
+ * Update a job, unless another run claimed it since this run did
+ * @param {Object} job - Backfill job claimed by this run
+ * @param {Object} update - Update to apply
+ * @returns {Promise<boolean>} - Whether this run still holds the job
+ */
+const updateClaimed = async (job, update) => {
+  const { matchedCount } = await BackfillJob.updateOne({ _id: job._id, claimedBy: job.claimedBy }, update);
+
+  if (matchedCount === 0) {
+    logger.warn(`Backfill job ${job._id} was claimed by another run, stopping`, { jobId: job._id.toString() });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Run the work items of a claimed job from its persisted position
+ * @param {Object} job - Backfill job document
+ * @param {Array<Object>} items - Work items of the job
+ * @returns {Promise<void>}
+ */
+const runItems = async (job, items) => {
+  // A resumed job keeps recording into the aggregation job of its first run
+  if (!job.aggregationJobId) {
+    const aggregationJob = await aggregationJobs.start({
+      type: 'backfill',
+      periods: job.periods,
+      companyId: job.companyId,
+      startDate: job.startDate,
+      endDate: job.endDate,
+      backfillJobId: job._id
+    });
+
+    job.aggregationJobId = aggregationJob._id;
+  }
+
+  const started = await updateClaimed(job, {
+    $set: { 'progress.total': items.length, aggregationJobId: job.aggregationJobId, startedAt: job.startedAt }
+  });
+
+  if (!started) return;
+
+  logger.info(`Running backfill job ${job._id}`, {
+    jobId: job._id.toString(),
+    periods: job.periods,
+    items: items.length,
+    resumeAt: job.progress.nextIndex
+  });
+
+  for (let index = job.progress.nextIndex; index < items.length; index += itemConcurrency) {
+    const { cancelRequested } = await BackfillJob.findById(job._id).select('cancelRequested').lean();
+
+    if (cancelRequested) {
+      if (!await updateClaimed(job, { $set: { status: 'cancelled', finishedAt: new Date() } })) return;
+
+      await aggregationJobs.finish(job.aggregationJobId, { status: 'cancelled' });
+      logger.info(`Backfill job ${job._id} cancelled`, { jobId: job._id.toString(), nextIndex: index });
+      return;
+    }
+
+    const batch = items.slice(index, index + itemConcurrency);
+    const outcomes = await Promise.allSettled(batch.map(runItem));
+
+    // Outcomes per scope; an item that threw failed for its whole scope
+    const results = outcomes.flatMap((outcome, i) => (outcome.status === 'fulfilled'
+      ? outcome.value
+      : [{ companyId: batch[i].companyId, error: outcome.reason }])
+      .map(result => ({ ...result, period: batch[i].period, date: batch[i].date })));
+
+    const failures = results
+      .filter(({ error }) => error)
+      .map(({ error, ...scope }) => ({ ...scope, message: error.message, occurredAt: new Date() }));
+
+    // An item failed if any of its scopes did
+    const failedItems = outcomes
+      .filter(outcome => outcome.status === 'rejected' || outcome.value.some(result => result.error))
+      .length;
+
+    await aggregationJobs.record(job.aggregationJobId, results);
+
+    const progressed = await updateClaimed(job, {
+      $set: { 'progress.nextIndex': index + batch.length, heartbeatAt: new Date() },
+      $inc: { 'progress.completed': batch.length - failedItems, 'progress.failed': failedItems },
+      ...(failures.length > 0 && { $push: { failures: { $each: failures, $slice: -maxFailures } } })
+    });
+
+    if (!progressed) return;
+  }
+
+  const { progress } = await BackfillJob.findById(job._id).select('progress').lean();
+  const status = progress.total > 0 && progress.failed === progress.total ? 'failed' : 'completed';
+
+  if (!await updateClaimed(job, { $set: { status, finishedAt: new Date() } })) return;
+
+  await aggregationJobs.finish(job.aggregationJobId);
+
+  logger.info(`Backfill job ${job._id} ${status}`, {
+    jobId: job._id.toString(),
+    completed: progress.completed,
+    failed: progress.failed
+  });
+};
+
+/**
+ * Run a claimed job from its persisted position until it finishes, is cancelled or is claimed by another run
+ * @param {Object} job - Backfill job document
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const items = listItems(job);
+
+  // Keep the heartbeat fresh while work items run, however long they take
+  const heartbeat = setInterval(() => {
+    BackfillJob.updateOne({ _id: job._id, claimedBy: job.claimedBy }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => {
+        logger.error(`Error updating backfill job ${job._id} heartbeat: ${error.message}`, {
+          error: error.message,
+          jobId: job._id.toString()
+        });
+      });
+  }, heartbeatInterval);
+
+  heartbeat.unref();
+
+  try {
+    await runItems(job, items);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Start pending backfill jobs, up to BACKFILL_MAX_CONCURRENT_JOBS in this instance
+ * Running jobs without a recent heartbeat were interrupted (e.g. by a crash) and are resumed; each claim
+ * gets its own id, so a run that lost its job to another stops rather than overwrite its progress
+ * @returns {Promise<number>} - Number of jobs started
+ */
+const processQueue = async () => {
+  const staleBefore = new Date(Date.now() - staleAfter * 1000);
+
+  await BackfillJob.updateMany(
+    { status: 'running', heartbeatAt: { $lt: staleBefore }, _id: { $nin: Array.from(running.keys()) } },
+    { $set: { status: 'pending' } }
+  );
+
+  let started = 0;
+
+  while (running.size < maxConcurrentJobs) {
+    const job = await BackfillJob.findOneAndUpdate(
+      { status: 'pending' },
+      { $set: { status: 'running', heartbeatAt: new Date(), claimedBy: new mongoose.Types.ObjectId().toString() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+
+    if (!job) break;
+
+    if (!job.startedAt) {
+      job.startedAt = new Date();
+    }
+
+    const id = job._id.toString();
+
+    running.set(id, runJob(job)
+      .catch(async error => {
+        logger.error(`Error running backfill job ${id}: ${error.message}`, {
+          error: error.message,
+          stack: error.stack,
+          jobId: id
+        });
+
+        await BackfillJob.updateOne({ _id: job._id, claimedBy: job.claimedBy }, {
+          $set: { status: 'failed', finishedAt: new Date() },
+          $push: { failures: { $each: [{ message: error.message, occurredAt: new Date() }], $slice: -maxFailures } }
+        });
+
+        if (job.aggregationJobId) {
+          await aggregationJobs.finish(job.aggregationJobId, { error });
+        }
+      })
+      .finally(() => {
+        running.delete(id);
+      }));
+
+    started++;
+  }
+
+  return started;
+};
+
+/**
+ * Create a backfill job and try to start it
+ * @param {Object} params - Job parameters
+ * @param {Array<string>} params.periods - Period types (defaults to every bucketed period)
+ * @param {Date} params.startDate - Range start
+ * @param {Date} params.endDate - Range end (inclusive)
+ * @param {string} params.companyId - Company to backfill (defaults to platform-wide and every company)
+ * @param {string} params.requestedBy - Requesting user ID
+ * @returns {Promise<Object>} - Created job
+ */
+const enqueue = async ({ periods, startDate, endDate, companyId, requestedBy }) => {
+  const job = await BackfillJob.create({
+    periods: periods && periods.length > 0 ? periods : defaultPeriods,
+    startDate,
+    endDate,
+    companyId: companyId || null,
+    requestedBy
+  });
+
+  processQueue().catch(error => {
+    logger.error(`Error starting backfill jobs: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  return job;
+};
+
+/**
+ * Cancel a backfill job; pending jobs stop at once, running jobs after their current work items
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} - Updated job, or null if it is not pending or running
+ */
+const cancel = async (id) => {
+  const pending = await BackfillJob.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+    { new: true }
+  );
+
+  if (pending) {
+    return pending;
+  }
+
+  return BackfillJob.findOneAndUpdate(
+    { _id: id, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  defaultPeriods,
+  listBuckets,
+  processQueue,
+  enqueue,
+  cancel
+};
@@ -1,15 +1,88 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
 const logger = require('./logger');
+const eventUpcasters = require('./eventUpcasters');
+const aggregationJobs = require('./aggregationJobs');
+const tenantDirectory = require('./tenantDirectory');
 const AnalyticsEvent = require('../models/analyticsEvent');
 const FeedbackMetrics = require('../models/feedbackMetrics');
 const UserMetrics = require('../models/userMetrics');
 
+// Feedback metrics pipeline: facet (single pass with $merge, MongoDB 7.0+) or legacy (one pipeline per metric)
+const aggregationPipeline = process.env.AGGREGATION_PIPELINE || 'facet';
+
+// Bulk metrics writes (or, with the legacy pipeline, companies) processed in parallel
+const aggregationConcurrency = parseInt(process.env.AGGREGATION_CONCURRENCY || '4', 10);
+
+// Metrics documents per bulk write
+const aggregationBulkSize = parseInt(process.env.AGGREGATION_BULK_SIZE || '500', 10);
+
+// Seconds a scheduled aggregation run may take; scopes left over are marked for re-aggregation
+const aggregationTimeBudget = parseInt(process.env.AGGREGATION_TIME_BUDGET || '1800', 10);
+
+const feedbackEventTypes = [
+  'feedback.created',
+  'feedback.updated',
+  'feedback.responded',
+  'feedback.resolved',
+  'feedback.closed',
+  'feedback.satisfaction',
+  'feedback.escalated',
+  'feedback.commented'
+];
+
+const feedbackPriorities = ['low', 'medium', 'high', 'critical'];
+const satisfactionScores = [1, 2, 3, 4, 5];
+const escalationLevels = [1, 2, 3];
+
+// Scopes an event counts towards: platform-wide (null), plus its company if it has one
+const eventScopes = { $cond: [{ $ifNull: ['$companyId', false] }, [null, '$companyId'], [null]] };
+
+// Milliseconds between feedback creation and the event; null unless eventData.createdAt is a date
+const elapsedExpression = {
+  $cond: [
+    { $eq: [{ $type: '$eventData.createdAt' }, 'date'] },
+    { $subtract: ['$timestamp', '$eventData.createdAt'] },
+    null
+  ]
+};
+
+/**
+ * Run async tasks with a bounded number in flight
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit - Maximum number of tasks running at once
+ * @returns {Promise<Array>} - Task results, in task order
+ */
+const runWithConcurrency = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  
+  return results;
+};
+
 /**
  * Data aggregation utility for analytics
  * Processes raw events and generates aggregated metrics
  */
 class DataAggregator {
+  /**
+   * Aggregation expression of the milliseconds between feedback creation and the event
+   * Null for events without a date in eventData.createdAt
+   * @returns {Object} - Aggregation expression
+   */
+  static get elapsedExpression() {
+    return elapsedExpression;
+  }
+
   /**
    * Aggregate feedback metrics for a specific period
    * @param {string} period - Period type (daily, weekly, monthly, quarterly, yearly)
@@ -26,7 +99,7 @@ class DataAggregator {
       });
       
       // Calculate period start and end dates
-      const { startDate, endDate } = this._calculatePeriodDates(period, date);
+      const { startDate, endDate } = this.calculatePeriodDates(period, date);
       
       // Build match criteria for aggregation
       const matchCriteria = {
@@ -41,152 +114,9 @@ class DataAggregator {
         matchCriteria.companyId = new mongoose.Types.ObjectId(companyId);
       }
       
-      // Aggregate feedback counts by status
-      const statusCounts = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: { $in: ['feedback.created', 'feedback.updated', 'feedback.resolved', 'feedback.closed'] } } },
-        {
-          $group: {
-            _id: '$eventType',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Aggregate feedback counts by priority
-      const priorityCounts = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.created' } },
-        {
-          $group: {
-            _id: '$eventData.priority',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Aggregate feedback counts by category
-      const categoryCounts = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.created' } },
-        {
-          $group: {
-            _id: '$eventData.categoryId',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Aggregate response times
-      const responseTimes = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.responded' } },
-        {
-          $project: {
-            responseTime: { $subtract: ['$timestamp', '$eventData.createdAt'] }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            average: { $avg: '$responseTime' },
-            min: { $min: '$responseTime' },
-            max: { $max: '$responseTime' },
-            values: { $push: '$responseTime' }
-          }
-        }
-      ]);
-      
-      // Aggregate resolution times
-      const resolutionTimes = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.resolved' } },
-        {
-          $project: {
-            resolutionTime: { $subtract: ['$timestamp', '$eventData.createdAt'] }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            average: { $avg: '$resolutionTime' },
-            min: { $min: '$resolutionTime' },
-            max: { $max: '$resolutionTime' },
-            values: { $push: '$resolutionTime' }
-          }
-        }
-      ]);
-      
-      // Aggregate satisfaction scores
-      const satisfactionScores = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.satisfaction' } },
-        {
-          $group: {
-            _id: null,
-            average: { $avg: '$eventData.score' },
-            count: { $sum: 1 },
-            scores: { $push: '$eventData.score' }
-          }
-        }
-      ]);
-      
-      // Aggregate escalation data
-      const escalationData = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.escalated' } },
-        {
-          $group: {
-            _id: '$eventData.escalationLevel',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Aggregate comment data
-      const commentData = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'feedback.commented' } },
-        {
-          $group: {
-            _id: '$eventData.commentType',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Process and format the aggregated data
-      const metrics = this._processFeedbackMetrics(
-        statusCounts,
-        priorityCounts,
-        categoryCounts,
-        responseTimes,
-        resolutionTimes,
-        satisfactionScores,
-        escalationData,
-        commentData
-      );
-      
-      // Create or update metrics in the database
-      const query = {
-        period,
-        date: startDate,
-        companyId: companyId || null
-      };
-      
-      const update = {
-        $set: {
-          ...metrics,
-          calculatedAt: new Date()
-        }
-      };
-      
-      const options = {
-        upsert: true,
-        new: true
-      };
-      
-      const feedbackMetrics = await FeedbackMetrics.findOneAndUpdate(query, update, options);
+      const feedbackMetrics = aggregationPipeline === 'legacy'
+        ? await this._upsertFeedbackMetrics(period, startDate, matchCriteria, companyId)
+        : await this._mergeFeedbackMetrics(period, startDate, matchCriteria, companyId);
       
       logger.info(`Successfully aggregated feedback metrics for ${period} period`, {
         period,
@@ -209,6 +139,398 @@ class DataAggregator {
     }
   }
   
+  /**
+   * Aggregate feedback metrics with a single scan of the period's events and write them with $merge
+   * Medians and 95th percentiles are approximated by the server ($percentile, MongoDB 7.0 or later),
+   * so no per-event values are collected in memory
+   * @param {string} period - Period type
+   * @param {Date} startDate - Start of the period
+   * @param {Object} matchCriteria - Event match criteria for the period
+   * @param {mongoose.Types.ObjectId} companyId - Company ID (optional)
+   * @returns {Promise<Object>} - Feedback metrics document
+   * @private
+   */
+  static async _mergeFeedbackMetrics(period, startDate, matchCriteria, companyId) {
+    // $merge cannot match on a null companyId, so claim the metrics document and merge on its _id
+    const { _id } = await FeedbackMetrics.findOneAndUpdate(
+      { period, date: startDate, companyId: companyId || null },
+      { $setOnInsert: { version: 0 } },
+      { upsert: true, new: true }
+    ).select('_id').lean();
+    
+    await AnalyticsEvent.aggregate(this._feedbackMetricsPipeline(matchCriteria, {
+      _id,
+      period,
+      date: startDate,
+      companyId: companyId ? new mongoose.Types.ObjectId(companyId) : null
+    }));
+    
+    return FeedbackMetrics.findById(_id);
+  }
+  
+  /**
+   * Build the single-pass feedback metrics pipeline
+   * @param {Object} matchCriteria - Event match criteria for the period
+   * @param {Object} identity - _id, period, date and companyId of the metrics document
+   * @returns {Array<Object>} - Aggregation pipeline ending in $merge
+   * @private
+   */
+  static _feedbackMetricsPipeline(matchCriteria, identity) {
+    return [
+      { $match: { ...matchCriteria, eventType: { $in: feedbackEventTypes } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...this._feedbackAccumulators() } }],
+          categories: [
+            { $match: { eventType: 'feedback.created', 'eventData.categoryId': { $ne: null } } },
+            { $group: { _id: '$eventData.categoryId', count: { $sum: 1 } } }
+          ]
+        }
+      },
+      { $set: { totals: { $first: '$totals' } } },
+      {
+        $replaceWith: {
+          _id: { $literal: identity._id },
+          period: { $literal: identity.period },
+          date: { $literal: identity.date },
+          companyId: { $literal: identity.companyId },
+          ...this._feedbackMetricsShape('$totals.'),
+          byCategory: {
+            $arrayToObject: {
+              $map: {
+                input: '$categories',
+                as: 'category',
+                in: { k: { $toString: '$$category._id' }, v: '$$category.count' }
+              }
+            }
+          },
+          calculatedAt: '$$NOW'
+        }
+      },
+      {
+        $merge: {
+          into: FeedbackMetrics.collection.collectionName,
+          on: '_id',
+          // The version counts recomputations, so clients can tell when history changed
+          whenMatched: [{
+            $replaceWith: {
+              $mergeObjects: [
+                '$$ROOT',
+                '$$new',
+                { version: { $add: [{ $ifNull: ['$version', 0] }, 1] }, updatedAt: '$$NOW' }
+              ]
+            }
+          }],
+          whenNotMatched: 'insert'
+        }
+      }
+    ];
+  }
+  
+  /**
+   * Build the $group accumulators of the feedback metrics
+   * Non-numeric values (other event types) are ignored by the value accumulators
+   * @returns {Object} - Accumulators by field
+   * @private
+   */
+  static _feedbackAccumulators() {
+    const isType = eventType => ({ $eq: ['$eventType', eventType] });
+    const countIf = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+    const valueIf = (condition, value) => ({ $cond: [condition, value, null] });
+    
+    const created = isType('feedback.created');
+    const commented = isType('feedback.commented');
+    const responseTime = valueIf(isType('feedback.responded'), elapsedExpression);
+    const resolutionTime = valueIf(isType('feedback.resolved'), elapsedExpression);
+    const score = valueIf(isType('feedback.satisfaction'), '$eventData.score');
+    const escalationLevel = valueIf(isType('feedback.escalated'), { $toString: '$eventData.escalationLevel' });
+    
+    const timeAccumulators = (prefix, value) => ({
+      [`${prefix}Average`]: { $avg: value },
+      [`${prefix}Min`]: { $min: value },
+      [`${prefix}Max`]: { $max: value },
+      [`${prefix}Percentiles`]: { $percentile: { input: value, p: [0.5, 0.95], method: 'approximate' } }
+    });
+    
+    return {
+      total: countIf(created),
+      inProgress: countIf({ $and: [isType('feedback.updated'), { $eq: ['$eventData.status', 'in_progress'] }] }),
+      resolved: countIf(isType('feedback.resolved')),
+      closed: countIf(isType('feedback.closed')),
+      ...Object.fromEntries(feedbackPriorities.map(priority => [
+        priority,
+        countIf({ $and: [created, { $eq: ['$eventData.priority', priority] }] })
+      ])),
+      ...timeAccumulators('response', responseTime),
+      ...timeAccumulators('resolution', resolutionTime),
+      satisfactionAverage: { $avg: score },
+      satisfactionCount: countIf(isType('feedback.satisfaction')),
+      ...Object.fromEntries(satisfactionScores.map(value => [`score${value}`, countIf({ $eq: [score, value] })])),
+      escalations: countIf(isType('feedback.escalated')),
+      ...Object.fromEntries(escalationLevels.map(level => [`level${level}`, countIf({ $eq: [escalationLevel, String(level)] })])),
+      comments: countIf(commented),
+      internalComments: countIf({ $and: [commented, { $eq: ['$eventData.commentType', 'internal'] }] }),
+      externalComments: countIf({ $and: [commented, { $eq: ['$eventData.commentType', 'external'] }] })
+    };
+  }
+  
+  /**
+   * Build the expression shaping accumulated feedback totals into metrics fields (except byCategory)
+   * @param {string} prefix - Field path prefix of the totals (e.g. '$totals.')
+   * @returns {Object} - Metrics fields expression
+   * @private
+   */
+  static _feedbackMetricsShape(prefix) {
+    const total = field => ({ $ifNull: [`${prefix}${field}`, 0] });
+    const percentile = (field, index) => ({ $ifNull: [{ $arrayElemAt: [`${prefix}${field}Percentiles`, index] }, 0] });
+    const ratio = (count, of) => ({ $cond: [{ $gt: [of, 0] }, { $divide: [count, of] }, 0] });
+    
+    const timeMetrics = field => ({
+      average: total(`${field}Average`),
+      median: percentile(field, 0),
+      min: total(`${field}Min`),
+      max: total(`${field}Max`),
+      percentile95: percentile(field, 1)
+    });
+    
+    return {
+      counts: {
+        total: total('total'),
+        new: total('total'),
+        inProgress: total('inProgress'),
+        resolved: total('resolved'),
+        closed: total('closed')
+      },
+      byPriority: Object.fromEntries(feedbackPriorities.map(priority => [priority, total(priority)])),
+      responseTimes: timeMetrics('response'),
+      resolutionTimes: timeMetrics('resolution'),
+      satisfaction: {
+        average: total('satisfactionAverage'),
+        count: total('satisfactionCount'),
+        distribution: Object.fromEntries(satisfactionScores.map(value => [value, total(`score${value}`)]))
+      },
+      escalations: {
+        count: total('escalations'),
+        percentage: { $multiply: [ratio(total('escalations'), total('total')), 100] },
+        byLevel: Object.fromEntries(escalationLevels.map(level => [level, total(`level${level}`)]))
+      },
+      comments: {
+        total: total('comments'),
+        average: ratio(total('comments'), total('total')),
+        internal: total('internalComments'),
+        external: total('externalComments')
+      }
+    };
+  }
+  
+  /**
+   * Compute feedback metrics per scope in one grouped pass over the period's events
+   * The metrics are returned rather than written
+   * @param {Object} match - Event match criteria (timestamp range, optionally companyId)
+   * @param {Object} scopes - Expression of the scopes an event counts towards
+   * @param {number} maxTimeMS - Time limit of the pipelines
+   * @returns {Promise<Array<Object>>} - companyId (null for platform-wide) and metrics per scope
+   * @private
+   */
+  static async _feedbackMetricsByScope(match, scopes, maxTimeMS) {
+    const baseMatch = { ...match, sourceService: 'feedback', eventType: { $in: feedbackEventTypes } };
+    
+    const [totals, categories] = await Promise.all([
+      AnalyticsEvent.aggregate([
+        { $match: baseMatch },
+        { $set: { scope: scopes } },
+        { $unwind: '$scope' },
+        { $group: { _id: '$scope', ...this._feedbackAccumulators() } },
+        { $replaceWith: { companyId: '$_id', metrics: this._feedbackMetricsShape('$') } }
+      ]).allowDiskUse(true).option(maxTimeMS ? { maxTimeMS } : {}),
+      AnalyticsEvent.aggregate([
+        { $match: { ...baseMatch, eventType: 'feedback.created', 'eventData.categoryId': { $ne: null } } },
+        { $set: { scope: scopes } },
+        { $unwind: '$scope' },
+        { $group: { _id: { scope: '$scope', categoryId: '$eventData.categoryId' }, count: { $sum: 1 } } }
+      ]).allowDiskUse(true).option(maxTimeMS ? { maxTimeMS } : {})
+    ]);
+    
+    const byCategory = new Map();
+    
+    categories.forEach(({ _id, count }) => {
+      const key = String(_id.scope);
+      const scopeCategories = byCategory.get(key) || {};
+      
+      scopeCategories[_id.categoryId.toString()] = count;
+      byCategory.set(key, scopeCategories);
+    });
+    
+    return totals.map(({ companyId, metrics }) => ({
+      companyId,
+      metrics: { ...metrics, byCategory: byCategory.get(String(companyId)) || {} }
+    }));
+  }
+  
+  /**
+   * Aggregate feedback metrics with a separate pipeline per metric and upsert them
+   * Used with AGGREGATION_PIPELINE=legacy on MongoDB versions before 7.0, which lack $percentile;
+   * response, resolution and satisfaction values are collected in memory
+   * @param {string} period - Period type
+   * @param {Date} startDate - Start of the period
+   * @param {Object} matchCriteria - Event match criteria for the period
+   * @param {mongoose.Types.ObjectId} companyId - Company ID (optional)
+   * @returns {Promise<Object>} - Feedback metrics document
+   * @private
+   */
+  static async _upsertFeedbackMetrics(period, startDate, matchCriteria, companyId) {
+    // Aggregate feedback counts by status
+    const statusCounts = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: { $in: ['feedback.created', 'feedback.updated', 'feedback.resolved', 'feedback.closed'] } } },
+      {
+        $group: {
+          _id: '$eventType',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Aggregate feedback counts by priority
+    const priorityCounts = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.created' } },
+      {
+        $group: {
+          _id: '$eventData.priority',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Aggregate feedback counts by category
+    const categoryCounts = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.created' } },
+      {
+        $group: {
+          _id: '$eventData.categoryId',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Aggregate response times
+    const responseTimes = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.responded' } },
+      {
+        $project: {
+          responseTime: elapsedExpression
+        }
+      },
+      { $match: { responseTime: { $ne: null } } },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: '$responseTime' },
+          min: { $min: '$responseTime' },
+          max: { $max: '$responseTime' },
+          values: { $push: '$responseTime' }
+        }
+      }
+    ]);
+    
+    // Aggregate resolution times
+    const resolutionTimes = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.resolved' } },
+      {
+        $project: {
+          resolutionTime: elapsedExpression
+        }
+      },
+      { $match: { resolutionTime: { $ne: null } } },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: '$resolutionTime' },
+          min: { $min: '$resolutionTime' },
+          max: { $max: '$resolutionTime' },
+          values: { $push: '$resolutionTime' }
+        }
+      }
+    ]);
+    
+    // Aggregate satisfaction scores
+    const satisfactionScores = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.satisfaction' } },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: '$eventData.score' },
+          count: { $sum: 1 },
+          scores: { $push: '$eventData.score' }
+        }
+      }
+    ]);
+    
+    // Aggregate escalation data
+    const escalationData = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.escalated' } },
+      {
+        $group: {
+          _id: '$eventData.escalationLevel',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Aggregate comment data
+    const commentData = await AnalyticsEvent.aggregate([
+      { $match: matchCriteria },
+      { $match: { eventType: 'feedback.commented' } },
+      {
+        $group: {
+          _id: '$eventData.commentType',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    // Process and format the aggregated data
+    const metrics = this._processFeedbackMetrics(
+      statusCounts,
+      priorityCounts,
+      categoryCounts,
+      responseTimes,
+      resolutionTimes,
+      satisfactionScores,
+      escalationData,
+      commentData
+    );
+    
+    // Create or update metrics in the database
+    const query = {
+      period,
+      date: startDate,
+      companyId: companyId || null
+    };
+    
+    // The version counts recomputations, so clients can tell when history changed
+    const update = {
+      $set: {
+        ...metrics,
+        calculatedAt: new Date()
+      },
+      $inc: { version: 1 }
+    };
+    
+    const options = {
+      upsert: true,
+      new: true
+    };
+    
+    return FeedbackMetrics.findOneAndUpdate(query, update, options);
+  }
+  
   /**
    * Aggregate user metrics for a specific period
    * @param {string} period - Period type (daily, weekly, monthly, quarterly, yearly)
@@ -225,11 +547,10 @@ class DataAggregator {
       });
       
       // Calculate period start and end dates
-      const { startDate, endDate } = this._calculatePeriodDates(period, date);
+      const { startDate, endDate } = this.calculatePeriodDates(period, date);
       
-      // Build match criteria for aggregation
+      // Build match criteria for aggregation; each pipeline selects its source service
       const matchCriteria = {
-        sourceService: 'user',
         timestamp: {
           $gte: startDate,
           $lt: endDate
@@ -240,117 +561,9 @@ class DataAggregator {
         matchCriteria.companyId = new mongoose.Types.ObjectId(companyId);
       }
       
-      // Aggregate user counts
-      const userCounts = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: { $in: ['user.created', 'user.login', 'user.active'] } } },
-        {
-          $group: {
-            _id: '$eventType',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Aggregate user counts by role
-      const roleCounts = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'user.created' } },
-        {
-          $group: {
-            _id: '$eventData.role',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Aggregate login activity
-      const loginActivity = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        { $match: { eventType: 'user.login' } },
-        {
-          $group: {
-            _id: '$userId',
-            loginCount: { $sum: 1 },
-            sessionDurations: { $push: '$eventData.sessionDuration' }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            uniqueUsers: { $sum: 1 },
-            totalLogins: { $sum: '$loginCount' },
-            sessionDurations: { $push: '$sessionDurations' }
-          }
-        }
-      ]);
-      
-      // Aggregate user engagement
-      const userEngagement = await AnalyticsEvent.aggregate([
-        { $match: matchCriteria },
-        {
-          $match: {
-            eventType: {
-              $in: [
-                'feedback.created',
-                'feedback.commented',
-                'feedback.responded',
-                'feedback.resolved'
-              ]
-            }
-          }
-        },
-        {
-          $group: {
-            _id: {
-              userId: '$userId',
-              eventType: '$eventType'
-            },
-            count: { $sum: 1 }
-          }
-        },
-        {
-          $group: {
-            _id: '$_id.eventType',
-            uniqueUsers: { $sum: 1 },
-            totalCount: { $sum: '$count' }
-          }
-        }
-      ]);
-      
-      // Aggregate notification metrics
-      const notificationMetrics = await AnalyticsEvent.aggregate([
-        { $match: { ...matchCriteria, sourceService: 'notification' } },
-        {
-          $match: {
-            eventType: {
-              $in: [
-                'notification.sent',
-                'notification.read',
-                'notification.delivered'
-              ]
-            }
-          }
-        },
-        {
-          $group: {
-            _id: {
-              eventType: '$eventType',
-              channel: '$eventData.channel'
-            },
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      // Process and format the aggregated data
-      const metrics = this._processUserMetrics(
-        userCounts,
-        roleCounts,
-        loginActivity,
-        userEngagement,
-        notificationMetrics
-      );
+      // A single scope: the company, or platform-wide
+      const [scoped] = await this._userMetricsByScope(matchCriteria, { $literal: [matchCriteria.companyId || null] });
+      const metrics = scoped ? scoped.metrics : this._processUserMetrics([], [], [], [], []);
       
       // Create or update metrics in the database
       const query = {
@@ -359,11 +572,13 @@ class DataAggregator {
         companyId: companyId || null
       };
       
+      // The version counts recomputations, so clients can tell when history changed
       const update = {
         $set: {
           ...metrics,
           calculatedAt: new Date()
-        }
+        },
+        $inc: { version: 1 }
       };
       
       const options = {
@@ -394,36 +609,383 @@ class DataAggregator {
     }
   }
   
+  /**
+   * Compute user metrics per scope, with one grouped pass per metric over the period's events
+   * @param {Object} match - Event match criteria (timestamp range, optionally companyId)
+   * @param {Object} scopes - Expression of the scopes an event counts towards
+   * @param {number} maxTimeMS - Time limit of the pipelines
+   * @returns {Promise<Array<Object>>} - companyId (null for platform-wide) and metrics per scope
+   * @private
+   */
+  static async _userMetricsByScope(match, scopes, maxTimeMS) {
+    const userMatch = { ...match, sourceService: 'user' };
+    
+    // Run a pipeline over matching events, each expanded to its scopes
+    const aggregate = (eventMatch, stages) => AnalyticsEvent.aggregate([
+      { $match: eventMatch },
+      { $set: { scope: scopes } },
+      { $unwind: '$scope' },
+      ...stages
+    ]).allowDiskUse(true).option(maxTimeMS ? { maxTimeMS } : {});
+    
+    const [userCounts, roleCounts, loginActivity, userEngagement, notificationMetrics] = await Promise.all([
+      // User counts
+      aggregate({ ...userMatch, eventType: { $in: ['user.created', 'user.login', 'user.active'] } }, [
+        { $group: { _id: { scope: '$scope', key: '$eventType' }, count: { $sum: 1 } } }
+      ]),
+      
+      // User counts by role
+      aggregate({ ...userMatch, eventType: 'user.created' }, [
+        { $group: { _id: { scope: '$scope', key: '$eventData.role' }, count: { $sum: 1 } } }
+      ]),
+      
+      // Login activity; session durations are summed rather than collected
+      aggregate({ ...userMatch, eventType: 'user.login' }, [
+        {
+          $group: {
+            _id: { scope: '$scope', userId: '$userId' },
+            loginCount: { $sum: 1 },
+            sessionDurationTotal: { $sum: '$eventData.sessionDuration' },
+            sessionCount: { $sum: { $cond: [{ $isNumber: '$eventData.sessionDuration' }, 1, 0] } }
+          }
+        },
+        {
+          $group: {
+            _id: { scope: '$_id.scope', key: null },
+            uniqueUsers: { $sum: 1 },
+            totalLogins: { $sum: '$loginCount' },
+            sessionDurationTotal: { $sum: '$sessionDurationTotal' },
+            sessionCount: { $sum: '$sessionCount' }
+          }
+        }
+      ]),
+      
+      // User engagement
+      aggregate({
+        ...userMatch,
+        eventType: { $in: ['feedback.created', 'feedback.commented', 'feedback.responded', 'feedback.resolved'] }
+      }, [
+        { $group: { _id: { scope: '$scope', userId: '$userId', eventType: '$eventType' }, count: { $sum: 1 } } },
+        {
+          $group: {
+            _id: { scope: '$_id.scope', key: '$_id.eventType' },
+            uniqueUsers: { $sum: 1 },
+            totalCount: { $sum: '$count' }
+          }
+        }
+      ]),
+      
+      // Notification metrics
+      aggregate({
+        ...match,
+        sourceService: 'notification',
+        eventType: { $in: ['notification.sent', 'notification.read', 'notification.delivered'] }
+      }, [
+        {
+          $group: {
+            _id: { scope: '$scope', key: { eventType: '$eventType', channel: '$eventData.channel' } },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+    
+    // Regroup the rows by scope in the shape of the single-scope results
+    const byScope = new Map();
+    const results = [userCounts, roleCounts, loginActivity, userEngagement, notificationMetrics];
+    
+    results.forEach((rows, index) => {
+      rows.forEach(({ _id, ...row }) => {
+        const key = String(_id.scope);
+        const scope = byScope.get(key) || { companyId: _id.scope, rows: results.map(() => []) };
+        
+        scope.rows[index].push({ _id: _id.key, ...row });
+        byScope.set(key, scope);
+      });
+    });
+    
+    return Array.from(byScope.values()).map(({ companyId, rows }) => ({
+      companyId,
+      metrics: this._processUserMetrics(...rows)
+    }));
+  }
+  
+  /**
+   * Compute the feedback or user metrics of a period from its events, without storing them
+   * Used where no pre-aggregated metrics exist yet
+   * @param {string} metric - Metric name (feedback or user)
+   * @param {string} period - Period type
+   * @param {Date} date - Date in the period
+   * @param {mongoose.Types.ObjectId} companyId - Company ID (optional)
+   * @param {Object} options - Computation options
+   * @param {number} options.maxTimeMS - Time limit of the pipelines
+   * @returns {Promise<Object|null>} - Metrics, or null if the period has no matching events
+   */
+  static async computeMetrics(metric, period, date, companyId = null, options = {}) {
+    const { startDate, endDate } = this.calculatePeriodDates(period, date);
+    
+    return this.computeRangeMetrics(metric, startDate, endDate, companyId, options);
+  }
+  
+  /**
+   * Compute the feedback or user metrics of any time range from its events, without storing them
+   * @param {string} metric - Metric name (feedback or user)
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end (exclusive)
+   * @param {mongoose.Types.ObjectId} companyId - Company ID (optional)
+   * @param {Object} options - Computation options
+   * @param {number} options.maxTimeMS - Time limit of the pipelines
+   * @returns {Promise<Object|null>} - Metrics, or null if the range has no matching events
+   */
+  static async computeRangeMetrics(metric, startDate, endDate, companyId = null, { maxTimeMS } = {}) {
+    const match = { timestamp: { $gte: startDate, $lt: endDate } };
+    
+    if (companyId) {
+      match.companyId = new mongoose.Types.ObjectId(companyId);
+    }
+    
+    // A single scope: the company, or platform-wide
+    const scopes = { $literal: [match.companyId || null] };
+    const [scoped] = metric === 'user'
+      ? await this._userMetricsByScope(match, scopes, maxTimeMS)
+      : await this._feedbackMetricsByScope(match, scopes, maxTimeMS);
+    
+    return scoped ? scoped.metrics : null;
+  }
+  
+  /**
+   * Aggregate platform-wide and per-company feedback and user metrics for a period
+   * Each metric is computed for every company in one grouped pass and bulk-upserted; with
+   * AGGREGATION_PIPELINE=legacy the companies are aggregated one by one instead. Companies
+   * without events in the period get no metrics, and companies the tenant directory lists as
+   * inactive or deleted are skipped. Scopes that fail or are left over when the deadline passes
+   * are marked for re-aggregation.
+   * @param {string} period - Period type
+   * @param {Date} date - Date in the period
+   * @param {Object} options - Aggregation options
+   * @param {number} options.deadline - Time (ms since epoch) after which no more metrics are written
+   * @returns {Promise<Array<Object>>} - companyId (null for platform-wide) and error, if any, per scope
+   */
+  static async aggregateAllCompanies(period, date, { deadline = Infinity } = {}) {
+    const { startDate, endDate } = this.calculatePeriodDates(period, date);
+    
+    if (aggregationPipeline === 'legacy') {
+      return this._aggregateEachCompany(period, date, startDate, deadline);
+    }
+    
+    const match = { timestamp: { $gte: startDate, $lt: endDate } };
+    const maxTimeMS = Number.isFinite(deadline) ? Math.max(deadline - Date.now(), 1) : undefined;
+    
+    const [feedback, user, inactive] = await Promise.all([
+      this._feedbackMetricsByScope(match, eventScopes, maxTimeMS),
+      this._userMetricsByScope(match, eventScopes, maxTimeMS),
+      tenantDirectory.listCompanies({ active: false })
+    ]);
+    
+    const inactiveIds = new Set(inactive.map(company => company._id.toString()));
+    const isActive = ({ companyId }) => !companyId || !inactiveIds.has(companyId.toString());
+    
+    const feedbackResults = await this._writeScopedMetrics(FeedbackMetrics, 'feedback', period, startDate, feedback.filter(isActive), deadline);
+    const userResults = await this._writeScopedMetrics(UserMetrics, 'user', period, startDate, user.filter(isActive), deadline);
+    
+    // A scope failed if either of its metrics did
+    const results = new Map();
+    
+    [...feedbackResults, ...userResults].forEach(({ companyId, error }) => {
+      const key = String(companyId);
+      
+      if (!results.has(key) || error) {
+        results.set(key, { companyId, error: error || results.get(key)?.error });
+      }
+    });
+    
+    const failed = Array.from(results.values()).filter(result => result.error).length;
+    
+    logger.info(`Aggregated ${period} metrics for ${results.size} scopes`, {
+      period,
+      date: startDate.toISOString(),
+      scopes: results.size,
+      failed
+    });
+    
+    return Array.from(results.values());
+  }
+  
+  /**
+   * Bulk-upsert metrics computed per scope, in bounded parallel batches
+   * @param {mongoose.Model} Model - Metrics model
+   * @param {string} metric - Metric name (feedback or user)
+   * @param {string} period - Period type
+   * @param {Date} startDate - Start of the period
+   * @param {Array<Object>} scoped - companyId and metrics per scope
+   * @param {number} deadline - Time (ms since epoch) after which no more batches are written
+   * @returns {Promise<Array<Object>>} - companyId and error, if any, per scope
+   * @private
+   */
+  static async _writeScopedMetrics(Model, metric, period, startDate, scoped, deadline) {
+    const batches = [];
+    
+    for (let i = 0; i < scoped.length; i += aggregationBulkSize) {
+      batches.push(scoped.slice(i, i + aggregationBulkSize));
+    }
+    
+    const outcomes = await runWithConcurrency(batches.map(batch => async () => {
+      if (Date.now() > deadline) {
+        return batch.map(({ companyId }) => ({ companyId, error: new Error('Aggregation time budget exceeded') }));
+      }
+      
+      const calculatedAt = new Date();
+      
+      try {
+        await Model.bulkWrite(batch.map(({ companyId, metrics }) => ({
+          updateOne: {
+            filter: { period, date: startDate, companyId },
+            // The version counts recomputations, so clients can tell when history changed
+            update: { $set: { ...metrics, calculatedAt }, $inc: { version: 1 } },
+            upsert: true
+          }
+        })), { ordered: false });
+        
+        return batch.map(({ companyId }) => ({ companyId }));
+      } catch (error) {
+        logger.error(`Error writing ${metric} metrics: ${error.message}`, {
+          error: error.message,
+          stack: error.stack,
+          period,
+          date: startDate.toISOString(),
+          scopes: batch.length
+        });
+        
+        return batch.map(({ companyId }) => ({ companyId, error }));
+      }
+    }), aggregationConcurrency);
+    
+    const results = outcomes.flat();
+    
+    await this._markForReaggregation(results
+      .filter(({ error }) => error)
+      .map(({ companyId }) => ({ metric, period, date: startDate, companyId })));
+    
+    return results;
+  }
+  
+  /**
+   * Aggregate platform-wide and per-company metrics one company at a time, in bounded parallel
+   * Used with AGGREGATION_PIPELINE=legacy; active companies are listed from the tenant directory
+   * @param {string} period - Period type
+   * @param {Date} date - Date in the period
+   * @param {Date} startDate - Start of the period
+   * @param {number} deadline - Time (ms since epoch) after which no more companies are started
+   * @returns {Promise<Array<Object>>} - companyId and error, if any, per scope
+   * @private
+   */
+  static async _aggregateEachCompany(period, date, startDate, deadline) {
+    const companies = await tenantDirectory.listCompanies({ active: true });
+    const scopes = [null, ...companies.map(company => company._id)];
+    
+    const results = await runWithConcurrency(scopes.map(companyId => async () => {
+      if (Date.now() > deadline) {
+        return { companyId, error: new Error('Aggregation time budget exceeded') };
+      }
+      
+      try {
+        await this.aggregateFeedbackMetrics(period, date, companyId);
+        await this.aggregateUserMetrics(period, date, companyId);
+        
+        return { companyId };
+      } catch (error) {
+        return { companyId, error };
+      }
+    }), aggregationConcurrency);
+    
+    await this._markForReaggregation(results
+      .filter(({ error }) => error)
+      .flatMap(({ companyId }) => ['feedback', 'user'].map(metric => ({ metric, period, date: startDate, companyId }))));
+    
+    return results;
+  }
+  
+  /**
+   * Mark metrics buckets for the re-aggregation job
+   * @param {Array<Object>} buckets - metric, period, date and companyId per bucket
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _markForReaggregation(buckets) {
+    if (buckets.length === 0) {
+      return;
+    }
+    
+    try {
+      // Required here as dirtyPeriods depends on this module
+      const dirtyPeriods = require('./dirtyPeriods');
+      
+      await dirtyPeriods.markBuckets(buckets);
+    } catch (error) {
+      logger.error(`Error marking metrics buckets for re-aggregation: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        buckets: buckets.length
+      });
+    }
+  }
+  
   /**
    * Run scheduled aggregations for all periods
+   * The run and its outcome per company are recorded as an aggregation job
    * @param {string} periodType - Period type to aggregate (daily, weekly, monthly)
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|null>} - Finished aggregation job
    */
   static async runScheduledAggregation(periodType) {
+    let job;
+    
     try {
       logger.info(`Running scheduled ${periodType} aggregation`);
       
       const date = new Date();
+      const { startDate, endDate } = this.calculatePeriodDates(periodType, date);
       
-      // Get all companies
-      const companies = await mongoose.connection.db.collection('companies').find({}, { _id: 1 }).toArray();
+      job = await aggregationJobs.start({ type: 'scheduled', periods: [periodType], startDate, endDate });
       
-      // Run platform-wide aggregation
-      await this.aggregateFeedbackMetrics(periodType, date);
-      await this.aggregateUserMetrics(periodType, date);
+      // Bring the period's events to the latest schema versions so the pipelines see one shape
+      await eventUpcasters.migrateEvents({ timestamp: { $gte: startDate, $lt: endDate } });
       
-      // Run company-specific aggregations
-      for (const company of companies) {
-        await this.aggregateFeedbackMetrics(periodType, date, company._id);
-        await this.aggregateUserMetrics(periodType, date, company._id);
-      }
+      // Platform-wide and every company's metrics, within the run's time budget
+      const results = await this.aggregateAllCompanies(periodType, date, {
+        deadline: Date.now() + aggregationTimeBudget * 1000
+      });
+      
+      await aggregationJobs.record(job._id, results.map(result => ({ ...result, period: periodType, date: startDate })));
+      
+      const finished = await aggregationJobs.finish(job._id);
+      
+      logger.info(`Completed scheduled ${periodType} aggregation`, {
+        jobId: job._id.toString(),
+        status: finished.status,
+        completed: finished.counts.completed,
+        failed: finished.counts.failed
+      });
       
-      logger.info(`Completed scheduled ${periodType} aggregation`);
+      return finished;
     } catch (error) {
       logger.error(`Error running scheduled ${periodType} aggregation: ${error.message}`, {
         error: error.message,
-        stack: error.stack
+        stack: error.stack,
+        jobId: job?._id.toString()
       });
+      
+      if (job) {
+        return aggregationJobs.finish(job._id, { error }).catch(finishError => {
+          logger.error(`Error recording aggregation job ${job._id}: ${finishError.message}`, {
+            error: finishError.message,
+            jobId: job._id.toString()
+          });
+          
+          return null;
+        });
+      }
+      
+      return null;
     }
   }
   
@@ -432,9 +994,8 @@ class DataAggregator {
    * @param {string} period - Period type (daily, weekly, monthly, quarterly, yearly)
    * @param {Date} date - Reference date
    * @returns {Object} - Start and end dates
-   * @private
    */
-  static _calculatePeriodDates(period, date) {
+  static calculatePeriodDates(period, date) {
     const momentDate = moment(date);
     let startDate, endDate;
     
@@ -470,6 +1031,34 @@ class DataAggregator {
     return { startDate, endDate };
   }
   
+  /**
+   * Get the start of the period before the one containing a date
+   * @param {Date} date - Date in the period
+   * @param {string} period - Period type
+   * @returns {Date|null} - Start of the previous period (null for all_time, which has none)
+   */
+  static getPreviousPeriodStart(date, period) {
+    const units = {
+      daily: 'day',
+      weekly: 'week',
+      monthly: 'month',
+      quarterly: 'quarter',
+      yearly: 'year'
+    };
+    
+    if (period === 'all_time') {
+      return null;
+    }
+    
+    if (!units[period]) {
+      throw new Error(`Invalid period: ${period}`);
+    }
+    
+    const { startDate } = this.calculatePeriodDates(period, date);
+    
+    return this.calculatePeriodDates(period, moment(startDate).subtract(1, units[period]).toDate()).startDate;
+  }
+  
   /**
    * Process feedback metrics data
    * @param {Array} statusCounts - Status counts
@@ -745,9 +1334,8 @@ class DataAggregator {
       }
       
       // Calculate average session duration
-      if (data.sessionDurations && data.sessionDurations.length > 0) {
-        const durations = data.sessionDurations.flat();
-        activity.averageSessionDuration = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+      if (data.sessionCount > 0) {
+        activity.averageSessionDuration = data.sessionDurationTotal / data.sessionCount;
       }
     }
     
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const DataAggregator = require('./dataAggregator');
+const DirtyPeriod = require('../models/dirtyPeriod');
+
+// Buckets recomputed per re-aggregation run
+const reaggregationBatchSize = parseInt(process.env.REAGGREGATION_BATCH_SIZE || '100', 10);
+
+// Seconds a run holds a claimed bucket before another run may claim it
+const reaggregationLease = parseInt(process.env.REAGGREGATION_LEASE || '900', 10);
+
+// Metrics computed from each source service's events
+const metricSources = {
+  feedback: ['feedback'],
+  user: ['user'],
+  notification: ['user']
+};
+
+// Bucketed period types; all_time is recomputed once per re-aggregation run for the scopes it touched
+const periods = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Aggregation function of each metric
+const aggregators = {
+  feedback: (period, date, companyId) => DataAggregator.aggregateFeedbackMetrics(period, date, companyId),
+  user: (period, date, companyId) => DataAggregator.aggregateUserMetrics(period, date, companyId)
+};
+
+/**
+ * Mark metrics buckets for re-aggregation
+ * @param {Array<Object>} buckets - metric, period, date, companyId and optionally eventCount per bucket
+ * @returns {Promise<number>} - Number of buckets marked
+ */
+const markBuckets = async (buckets) => {
+  if (buckets.length === 0) {
+    return 0;
+  }
+
+  await DirtyPeriod.bulkWrite(buckets.map(({ metric, period, date, companyId, eventCount = 0 }) => ({
+    updateOne: {
+      filter: { metric, period, date, companyId: companyId || null },
+      // Keep the first mark time so busy buckets are not pushed back in the queue
+      update: { $inc: { eventCount }, $setOnInsert: { markedAt: new Date() } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  logger.debug(`Marked ${buckets.length} metrics buckets for re-aggregation`, { buckets: buckets.length });
+
+  return buckets.length;
+};
+
+/**
+ * Mark the metrics buckets that stored events landed in after the buckets closed
+ * Only late events (see EVENT_LATE_THRESHOLD) and events backdated into a closed period are marked;
+ * platform-wide buckets are marked along with company buckets
+ * @param {Array<Object>} events - Stored AnalyticsEvent documents
+ * @returns {Promise<number>} - Number of buckets marked
+ */
+const markEvents = async (events) => {
+  const buckets = new Map();
+
+  events.forEach(event => {
+    const metrics = metricSources[event.sourceService];
+
+    if (!metrics || !event.timestamp) return;
+
+    const receivedAt = event.receivedAt || new Date();
+    const companies = event.companyId ? [null, event.companyId.toString()] : [null];
+
+    const closed = periods
+      .map(period => ({ period, ...DataAggregator.calculatePeriodDates(period, event.timestamp) }))
+      .filter(({ endDate }) => event.late || endDate < receivedAt);
+
+    if (closed.length === 0) return;
+
+    metrics.forEach(metric => {
+      companies.forEach(companyId => {
+        closed.forEach(({ period, startDate }) => {
+          const key = `${metric}:${period}:${startDate.getTime()}:${companyId}`;
+          const bucket = buckets.get(key) || { metric, period, date: startDate, companyId, eventCount: 0 };
+
+          bucket.eventCount++;
+          buckets.set(key, bucket);
+        });
+      });
+    });
+  });
+
+  return markBuckets(Array.from(buckets.values()));
+};
+
+/**
+ * Mark a bucket again for the next run
+ * @param {Object} bucket - Dirty bucket
+ * @returns {Promise<void>}
+ */
+const remark = async ({ metric, period, date, companyId, eventCount }) => {
+  await DirtyPeriod.updateOne(
+    { metric, period, date, companyId },
+    { $inc: { eventCount }, $setOnInsert: { markedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Claim the oldest dirty bucket that no run holds
+ * @param {string} runId - Claiming run
+ * @returns {Promise<Object|null>} - Claimed bucket, or null if there is none
+ */
+const claimBucket = (runId) => {
+  const now = new Date();
+
+  return DirtyPeriod.findOneAndUpdate(
+    { $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }] },
+    { $set: { claimedBy: runId, leaseExpiresAt: new Date(now.getTime() + reaggregationLease * 1000) } },
+    { sort: { markedAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Release a claimed bucket
+ * A recomputed bucket is unmarked unless events marked it again meanwhile; it then stays marked for
+ * those events only. Buckets that failed stay marked. Either goes behind the buckets marked earlier.
+ * Nothing changes if the lease lapsed and another run claimed the bucket.
+ * @param {Object} bucket - Claimed bucket
+ * @param {string} runId - Claiming run
+ * @param {boolean} recomputed - Whether the bucket was recomputed
+ * @returns {Promise<void>}
+ */
+const releaseBucket = async (bucket, runId, recomputed) => {
+  if (recomputed) {
+    const { deletedCount } = await DirtyPeriod.deleteOne({ _id: bucket._id, claimedBy: runId, eventCount: bucket.eventCount });
+
+    if (deletedCount > 0) {
+      return;
+    }
+  }
+
+  await DirtyPeriod.updateOne({ _id: bucket._id, claimedBy: runId }, {
+    $set: { claimedBy: null, leaseExpiresAt: null, markedAt: new Date() },
+    ...(recomputed && { $inc: { eventCount: -bucket.eventCount } })
+  });
+};
+
+/**
+ * Log a failed bucket recomputation
+ * @param {Object} bucket - Dirty bucket
+ * @param {Error} error - Failure
+ */
+const logFailure = (bucket, error) => {
+  logger.error(`Error re-aggregating ${bucket.metric} metrics: ${error.message}`, {
+    error: error.message,
+    metric: bucket.metric,
+    period: bucket.period,
+    date: bucket.date.toISOString(),
+    companyId: bucket.companyId?.toString()
+  });
+};
+
+/**
+ * Recompute dirty metrics buckets, oldest marks first
+ * Each bucket is claimed for REAGGREGATION_LEASE seconds and unmarked only once it is recomputed, so
+ * a run that stops midway leaves its buckets to the next run after the lease.
+ * The all-time metrics of every metric and company whose buckets were recomputed (or whose all-time
+ * bucket was marked) are recomputed once at the end of the run rather than once per bucket.
+ * @param {number} limit - Maximum number of buckets to recompute
+ * @returns {Promise<Object>} - Number of recomputed and failed buckets
+ */
+const reaggregate = async (limit = reaggregationBatchSize) => {
+  const runId = new mongoose.Types.ObjectId().toString();
+  let recomputed = 0;
+  let failed = 0;
+  const allTime = new Map();
+
+  // Metrics and companies whose all-time metrics need recomputing, with their claimed all-time mark
+  const touch = (metric, companyId, mark = null) => {
+    const key = `${metric}:${companyId}`;
+    const scope = allTime.get(key) || { metric, period: 'all_time', date: new Date(0), companyId, eventCount: 0, mark: null };
+
+    scope.mark = scope.mark || mark;
+    allTime.set(key, scope);
+  };
+
+  for (let i = 0; i < limit; i++) {
+    const bucket = await claimBucket(runId);
+
+    if (!bucket) break;
+
+    if (bucket.period === 'all_time') {
+      touch(bucket.metric, bucket.companyId, bucket);
+      continue;
+    }
+
+    let succeeded = false;
+
+    try {
+      await aggregators[bucket.metric](bucket.period, bucket.date, bucket.companyId);
+      succeeded = true;
+    } catch (error) {
+      logFailure(bucket, error);
+    }
+
+    await releaseBucket(bucket, runId, succeeded);
+
+    if (!succeeded) {
+      failed++;
+
+      // Stop this run rather than fail every remaining bucket the same way
+      break;
+    }
+
+    recomputed++;
+    touch(bucket.metric, bucket.companyId);
+  }
+
+  const scopes = Array.from(allTime.values());
+
+  for (const [index, scope] of scopes.entries()) {
+    try {
+      await aggregators[scope.metric]('all_time', new Date(), scope.companyId);
+    } catch (error) {
+      failed++;
+      logFailure(scope, error);
+
+      // Leave the failed and remaining all-time metrics for the next run
+      for (const remaining of scopes.slice(index)) {
+        await (remaining.mark ? releaseBucket(remaining.mark, runId, false) : remark(remaining));
+      }
+
+      break;
+    }
+
+    recomputed++;
+
+    if (scope.mark) {
+      await releaseBucket(scope.mark, runId, true);
+    }
+  }
+
+  if (recomputed > 0 || failed > 0) {
+    logger.info(`Re-aggregated ${recomputed} dirty metrics buckets`, { recomputed, failed });
+  }
+
+  return { recomputed, failed };
+};
+
+module.exports = {
+  markEvents,
+  markBuckets,
+  reaggregate
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const messageQueue = require('./messageQueue');
+const eventStore = require('./eventStore');
+const eventSchemas = require('./eventSchemas');
+const tenantDirectory = require('./tenantDirectory');
+const AnalyticsEvent = require('../models/analyticsEvent');
+
+// Event source configuration file (queues, routing keys and field mappings)
+const configPath = process.env.EVENT_SOURCES_CONFIG || path.join(__dirname, '..', 'config', 'eventSources.json');
+
+// AnalyticsEvent fields that can be mapped from a message path
+const mappedFields = ['userId', 'companyId', 'resourceId', 'timestamp'];
+
+/**
+ * Read a nested value using a dot-separated path
+ * @param {Object} obj - Source object
+ * @param {string} fieldPath - Dot-separated path (e.g. 'data.feedbackId')
+ * @returns {any} - Value or undefined
+ */
+const getPath = (obj, fieldPath) => {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+/**
+ * Validate an event source definition
+ * @param {Object} source - Event source definition
+ * @throws {Error} - If the definition is invalid
+ */
+const validateSource = (source) => {
+  const services = AnalyticsEvent.schema.path('sourceService').enumValues;
+
+  if (!services.includes(source.sourceService)) {
+    throw new Error(`Invalid sourceService "${source.sourceService}" for event source ${source.queue}. Must be one of: ${services.join(', ')}`);
+  }
+
+  if (!source.queue || !Array.isArray(source.routingKeys) || source.routingKeys.length === 0) {
+    throw new Error(`Event source ${source.sourceService} needs a queue and at least one routing key`);
+  }
+
+  const unknown = Object.keys(source.fields || {}).filter(field => !mappedFields.includes(field));
+
+  if (unknown.length > 0) {
+    throw new Error(`Event source ${source.queue} maps unknown fields: ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Load and validate the event source definitions
+ * @returns {Array} - Event source definitions
+ */
+const loadSources = () => {
+  const { sources = [] } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  sources.forEach(validateSource);
+
+  return sources;
+};
+
+/**
+ * Map a consumed message to AnalyticsEvent fields
+ * The event type is read from the source's eventType path, falling back to the routing key; the
+ * event id is read from the source's eventId path, falling back to the AMQP messageId, and the
+ * payload's schema version from the source's schemaVersion path (defaults to the latest version)
+ * @param {Object} source - Event source definition
+ * @param {Object} message - Parsed message content
+ * @param {string} routingKey - Message routing key
+ * @param {Object} properties - AMQP message properties
+ * @returns {Object} - AnalyticsEvent fields
+ */
+const mapMessage = (source, message, routingKey, properties = {}) => {
+  const event = {
+    sourceService: source.sourceService,
+    eventId: (source.eventId && getPath(message, source.eventId)) || properties.messageId,
+    schemaVersion: source.schemaVersion ? getPath(message, source.schemaVersion) : undefined,
+    eventType: (source.eventType && getPath(message, source.eventType)) || routingKey,
+    eventData: source.eventData ? getPath(message, source.eventData) : message,
+    resourceType: source.resourceType
+  };
+
+  Object.entries(source.fields || {}).forEach(([field, fieldPath]) => {
+    const value = getPath(message, fieldPath);
+
+    if (value !== undefined && value !== null) {
+      event[field] = field === 'timestamp' ? new Date(value) : value;
+    }
+  });
+
+  if (source.metadata) {
+    event.metadata = Object.entries(source.metadata).reduce((metadata, [key, fieldPath]) => {
+      const value = getPath(message, fieldPath);
+
+      if (value !== undefined) {
+        metadata[key] = value;
+      }
+
+      return metadata;
+    }, {});
+  }
+
+  return event;
+};
+
+/**
+ * Store a consumed message as an analytics event
+ * Payloads are validated against the event type's schema; redelivered messages with an already
+ * stored event id are acknowledged without a new insert
+ * @param {Object} source - Event source definition
+ * @param {Object} message - Parsed message content
+ * @param {string} routingKey - Message routing key
+ * @param {Object} properties - AMQP message properties
+ * @returns {Promise<Object>} - eventId, duplicate flag and the stored event
+ */
+const ingest = async (source, message, routingKey, properties) => {
+  // Invalid payloads are dead-lettered without retries
+  const event = eventSchemas.assertValid(mapMessage(source, message, routingKey, properties));
+  const result = await eventStore.storeEvent(event);
+
+  logger.debug(`${result.duplicate ? 'Skipped duplicate' : 'Ingested'} ${source.sourceService} event`, {
+    eventId: result.eventId.toString(),
+    routingKey,
+    queue: source.queue
+  });
+
+  return result;
+};
+
+/**
+ * Set up a queue consumer for every configured event source
+ * Company events update the tenant directory instead of being stored as analytics events
+ * @param {Array} sources - Event source definitions (defaults to the configuration file)
+ * @returns {Promise<void>}
+ */
+const setupConsumers = async (sources = loadSources()) => {
+  for (const source of sources) {
+    await messageQueue.setupConsumer(
+      source.queue,
+      source.routingKeys,
+      (message, routingKey, properties) => (tenantDirectory.isCompanyEvent(routingKey)
+        ? tenantDirectory.applyEvent(message, routingKey)
+        : ingest(source, message, routingKey, properties))
+    );
+  }
+
+  logger.info(`Event consumers set up for ${sources.length} sources`, {
+    sources: sources.map(source => source.sourceService)
+  });
+};
+
+module.exports = {
+  loadSources,
+  mapMessage,
+  ingest,
+  setupConsumers
+};
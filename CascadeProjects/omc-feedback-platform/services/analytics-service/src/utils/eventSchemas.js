@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const logger = require('./logger');
+
+// Directory of event payload schemas (<sourceService>/<eventType>.v<version>.json)
+const schemaDir = process.env.EVENT_SCHEMAS_DIR || path.join(__dirname, '..', 'schemas', 'events');
+
+// Reject event types without a registered schema
+const strict = process.env.EVENT_SCHEMA_STRICT === 'true';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+
+// Schema versions per `${sourceService}:${eventType}`, oldest first
+let registry = null;
+
+/**
+ * Registry key of an event type
+ * @param {string} sourceService - Event source service
+ * @param {string} eventType - Event type
+ * @returns {string} - Registry key
+ */
+const keyOf = (sourceService, eventType) => `${sourceService}:${eventType}`;
+
+/**
+ * Load and compile the schema files
+ * @returns {Map} - Schema versions per event type
+ */
+const load = () => {
+  const schemas = new Map();
+
+  fs.readdirSync(schemaDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      fs.readdirSync(path.join(schemaDir, entry.name))
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const definition = JSON.parse(fs.readFileSync(path.join(schemaDir, entry.name, file), 'utf8'));
+
+          if (definition.sourceService !== entry.name || !definition.eventType || !Number.isInteger(definition.version)) {
+            throw new Error(`Invalid event schema file ${entry.name}/${file}: needs sourceService "${entry.name}", eventType and an integer version`);
+          }
+
+          const key = keyOf(definition.sourceService, definition.eventType);
+          const versions = schemas.get(key) || [];
+
+          versions.push({ ...definition, validate: ajv.compile(definition.schema) });
+          schemas.set(key, versions.sort((a, b) => a.version - b.version));
+        });
+    });
+
+  logger.info(`Loaded ${schemas.size} event schemas`, { schemaDir });
+
+  return schemas;
+};
+
+/**
+ * Get the loaded schema registry
+ * @returns {Map} - Schema versions per event type
+ */
+const getRegistry = () => {
+  if (!registry) {
+    registry = load();
+  }
+
+  return registry;
+};
+
+/**
+ * Public description of a schema version
+ * @param {Object} definition - Schema definition
+ * @param {boolean} latest - Whether this is the current version
+ * @returns {Object} - Schema description
+ */
+const describe = ({ sourceService, eventType, version, description, schema }, latest) => ({
+  sourceService,
+  eventType,
+  version,
+  latest,
+  description,
+  schema
+});
+
+/**
+ * List the registered schemas
+ * @param {Object} filters - Optional sourceService and eventType filters
+ * @returns {Array<Object>} - Schema descriptions, by event type and version
+ */
+const listSchemas = (filters = {}) => {
+  return Array.from(getRegistry().values())
+    .flatMap(versions => versions.map((definition, index) => describe(definition, index === versions.length - 1)))
+    .filter(schema => !filters.sourceService || schema.sourceService === filters.sourceService)
+    .filter(schema => !filters.eventType || schema.eventType === filters.eventType)
+    .sort((a, b) => a.eventType.localeCompare(b.eventType) || a.version - b.version);
+};
+
+/**
+ * Get a schema version
+ * @param {string} sourceService - Event source service
+ * @param {string} eventType - Event type
+ * @param {number} version - Schema version (defaults to the latest)
+ * @returns {Object|null} - Schema definition or null if not registered
+ */
+const getSchema = (sourceService, eventType, version) => {
+  const versions = getRegistry().get(keyOf(sourceService, eventType));
+
+  if (!versions) {
+    return null;
+  }
+
+  return version === undefined
+    ? versions[versions.length - 1]
+    : versions.find(definition => definition.version === version) || null;
+};
+
+/**
+ * Convert values to the types the aggregations expect, following the schema's properties and items:
+ * date-time strings become dates and numeric strings of number fields become numbers
+ * @param {Object} schema - JSON schema
+ * @param {any} value - Value to convert
+ * @returns {any} - Converted value
+ */
+const coerce = (schema, value) => {
+  if (!schema || value === null || value === undefined) {
+    return value;
+  }
+
+  if (schema.format === 'date-time' && typeof value === 'string') {
+    return new Date(value);
+  }
+
+  const types = [].concat(schema.type || []);
+
+  if ((types.includes('number') || types.includes('integer')) && typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return Number(value);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => coerce(schema.items, item));
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && schema.properties) {
+    return Object.entries(value).reduce((result, [key, item]) => {
+      result[key] = coerce(schema.properties[key], item);
+      return result;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Format an ajv error as a readable message
+ * @param {Object} error - Ajv error
+ * @returns {string} - Message such as "eventData.priority must be equal to one of the allowed values"
+ */
+const formatError = (error) => {
+  const field = `eventData${error.instancePath.replace(/\//g, '.')}`;
+  const allowed = error.params?.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : '';
+
+  return `${field} ${error.message}${allowed}`;
+};
+
+/**
+ * Validate an event's eventData against the schema version it declares (schemaVersion), or the
+ * latest version of its source service and event type
+ * Event types without a schema pass unless EVENT_SCHEMA_STRICT is enabled
+ * @param {Object} event - Event with sourceService, eventType, eventData and optional schemaVersion
+ * @returns {Object} - valid flag, error messages, schema version and eventData with date-time fields as dates
+ */
+const validateEvent = (event) => {
+  const latest = getSchema(event.sourceService, event.eventType);
+  const declared = event.schemaVersion !== undefined && event.schemaVersion !== null;
+
+  if (!latest) {
+    return strict
+      ? { valid: false, errors: [`No schema registered for ${event.sourceService} event type ${event.eventType}`], version: null, eventData: event.eventData }
+      : { valid: true, errors: [], version: declared ? event.schemaVersion : null, eventData: event.eventData };
+  }
+
+  const definition = declared ? getSchema(event.sourceService, event.eventType, Number(event.schemaVersion)) : latest;
+
+  if (!definition) {
+    return {
+      valid: false,
+      errors: [`Unknown schemaVersion ${event.schemaVersion} for ${event.eventType} (latest is ${latest.version})`],
+      version: null,
+      eventData: event.eventData
+    };
+  }
+
+  if (!definition.validate(event.eventData)) {
+    return {
+      valid: false,
+      errors: definition.validate.errors.map(formatError),
+      version: definition.version,
+      eventData: event.eventData
+    };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    version: definition.version,
+    eventData: coerce(definition.schema, event.eventData)
+  };
+};
+
+/**
+ * Create a permanent ValidationError, which queue consumers dead-letter without retrying
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Error messages per problem
+ * @returns {Error} - Validation error
+ */
+const createValidationError = (message, errors) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.permanent = true;
+  error.errors = errors.map(detail => ({ message: detail }));
+  return error;
+};
+
+/**
+ * Validate an event and throw if it does not match its schema
+ * @param {Object} event - Event with sourceService, eventType and eventData
+ * @returns {Object} - Event with date-time fields as dates and its schema version
+ * @throws {Error} - If the event is invalid
+ */
+const assertValid = (event) => {
+  const result = validateEvent(event);
+
+  if (!result.valid) {
+    throw createValidationError(`Invalid ${event.eventType} event: ${result.errors.join('; ')}`, result.errors);
+  }
+
+  return { ...event, eventData: result.eventData, schemaVersion: result.version };
+};
+
+module.exports = {
+  strict,
+  listSchemas,
+  getSchema,
+  coerce,
+  validateEvent,
+  createValidationError,
+  assertValid
+};
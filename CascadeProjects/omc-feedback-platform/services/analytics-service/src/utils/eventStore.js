@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const eventSchemas = require('./eventSchemas');
+const eventUpcasters = require('./eventUpcasters');
+const dirtyPeriods = require('./dirtyPeriods');
+const AnalyticsEvent = require('../models/analyticsEvent');
+const EventIdempotencyKey = require('../models/eventIdempotencyKey');
+
+// Seconds during which a repeated event id is treated as a duplicate
+const dedupWindow = parseInt(process.env.EVENT_DEDUP_WINDOW || '86400', 10);
+
+// Seconds a claimed event id stays pending before another submission may take it over
+const claimLease = parseInt(process.env.EVENT_CLAIM_LEASE || '300', 10);
+
+// Seconds after which an event counts as late
+const lateThreshold = parseInt(process.env.EVENT_LATE_THRESHOLD || '3600', 10);
+
+/**
+ * Add the receive time and late flag to an event
+ * @param {Object} fields - AnalyticsEvent fields
+ * @param {Date} now - Current time
+ * @returns {Object} - Event with receivedAt and late
+ */
+const withArrival = (fields, now) => {
+  const receivedAt = fields.receivedAt ? new Date(fields.receivedAt) : now;
+  const timestamp = fields.timestamp ? new Date(fields.timestamp) : receivedAt;
+
+  return {
+    ...fields,
+    receivedAt,
+    late: receivedAt.getTime() - timestamp.getTime() > lateThreshold * 1000
+  };
+};
+
+/**
+ * Identity of an event id: event ids are unique per source service
+ * @param {string} sourceService - Event source service
+ * @param {string} key - Client-supplied event id
+ * @returns {string} - Identity
+ */
+const keyIdentity = (sourceService, key) => JSON.stringify([sourceService, key]);
+
+/**
+ * Take over an event id whose claim lease or dedup window has lapsed, or whose key MongoDB removed
+ * after the bulk claim found it taken
+ * @param {Object} claim - sourceService, key and the eventId of the event about to be stored
+ * @param {Date} now - Claim time
+ * @returns {Promise<ObjectId|null>} - Id of the original event if the key is still claimed, otherwise null
+ */
+const takeOverKey = async ({ sourceService, key, eventId }, now) => {
+  let lapsed;
+
+  try {
+    lapsed = await EventIdempotencyKey.findOneAndUpdate(
+      { sourceService, key, expiresAt: { $lte: now } },
+      { $set: { eventId, status: 'pending', expiresAt: new Date(now.getTime() + claimLease * 1000) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // The key is claimed and within its lease or window
+    const claimed = await EventIdempotencyKey.findOne({ sourceService, key });
+
+    if (!claimed) {
+      throw new Error(`Event id ${key} of ${sourceService} was released while being claimed`);
+    }
+
+    return claimed.eventId;
+  }
+
+  // A lapsed claim's process may have stopped after storing the event but before confirming the key
+  if (lapsed?.status === 'pending' && await AnalyticsEvent.exists({ _id: lapsed.eventId })) {
+    await EventIdempotencyKey.updateOne(
+      { sourceService, key, eventId },
+      { $set: { eventId: lapsed.eventId, status: 'confirmed', expiresAt: new Date(now.getTime() + dedupWindow * 1000) } }
+    );
+
+    return lapsed.eventId;
+  }
+
+  return null;
+};
+
+/**
+ * Claim event ids for new analytics events
+ * Keys are inserted in one unordered bulk write and the ones already taken are read back in one
+ * query. A key stays pending for the claim lease (EVENT_CLAIM_LEASE seconds) until its event is
+ * stored and the key confirmed, so a claim left behind by a process that stopped before inserting
+ * lapses instead of blocking the event id for the whole dedup window.
+ * @param {Array<Object>} claims - sourceService, key and the eventId of the event about to be
+ *   stored, with distinct keys per source service
+ * @returns {Promise<Array<ObjectId|null>>} - Per claim, in order: the original event's id if the key
+ *   was already claimed, otherwise null
+ */
+const claimKeys = async (claims) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + claimLease * 1000);
+  const originals = claims.map(() => null);
+  let conflicts = [];
+
+  try {
+    await EventIdempotencyKey.insertMany(
+      claims.map(claim => ({ ...claim, status: 'pending', expiresAt })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // mongoose copies the driver's write errors, keeping the code under err
+    const writeErrors = error.writeErrors || [];
+
+    if (writeErrors.length === 0 || writeErrors.some(writeError => (writeError.err?.code ?? writeError.code) !== 11000)) {
+      // Release the keys that were claimed before failing
+      await EventIdempotencyKey.deleteMany({ eventId: { $in: claims.map(claim => claim.eventId) } });
+
+      throw error;
+    }
+
+    conflicts = writeErrors.map(writeError => writeError.index);
+  }
+
+  if (conflicts.length === 0) {
+    return originals;
+  }
+
+  const keysBySource = new Map();
+
+  conflicts.forEach(index => {
+    const { sourceService, key } = claims[index];
+
+    keysBySource.set(sourceService, [...(keysBySource.get(sourceService) || []), key]);
+  });
+
+  const existing = await EventIdempotencyKey.find({
+    $or: Array.from(keysBySource, ([sourceService, keys]) => ({ sourceService, key: { $in: keys } }))
+  }).lean();
+  const byIdentity = new Map(existing.map(item => [keyIdentity(item.sourceService, item.key), item]));
+
+  for (const index of conflicts) {
+    const claim = claims[index];
+    const current = byIdentity.get(keyIdentity(claim.sourceService, claim.key));
+
+    originals[index] = current && current.expiresAt > now
+      ? current.eventId
+      : await takeOverKey(claim, now);
+  }
+
+  return originals;
+};
+
+/**
+ * Confirm the keys of stored events, starting their dedup window
+ * @param {Array<ObjectId>} eventIds - Ids of the stored events
+ * @returns {Promise<void>}
+ */
+const confirmKeys = async (eventIds) => {
+  try {
+    await EventIdempotencyKey.updateMany(
+      { eventId: { $in: eventIds }, status: 'pending' },
+      { $set: { status: 'confirmed', expiresAt: new Date(Date.now() + dedupWindow * 1000) } }
+    );
+  } catch (error) {
+    // The events are stored; a key left pending is confirmed by the next claim of its event id
+    logger.error(`Error confirming event idempotency keys: ${error.message}`, {
+      error: error.message,
+      stack: error.stack,
+      count: eventIds.length
+    });
+  }
+};
+
+/**
+ * Error messages of a failed insert: a mongoose ValidationError or a MongoDB write error
+ * @param {Object} failure - Insert failure
+ * @returns {Array<string>} - Error messages
+ */
+const failureMessages = (failure) => {
+  if (failure.errors) {
+    return Object.values(failure.errors).map(error => error.message);
+  }
+
+  return [failure.err?.errmsg || failure.errmsg || failure.message || 'Insert failed'];
+};
+
+/**
+ * Store analytics events, skipping events whose eventId was already seen for the same source
+ * service within the dedup window (EVENT_DEDUP_WINDOW seconds)
+ * Inserts are unordered, so an event that fails model validation or the write is rejected on its
+ * own while the other events are kept
+ * @param {Array<Object>} events - AnalyticsEvent fields
+ * @returns {Promise<Array<Object>>} - Per event, in order: status ('accepted', 'duplicate' or
+ *   'rejected'), eventId (the original event's id for duplicates), the stored event and the
+ *   rejection errors
+ */
+const storeEvents = async (events) => {
+  const results = [];
+  const documents = [];
+  const pending = [];
+  const claimed = new Set();
+  const now = new Date();
+  const entries = events.map(fields => {
+    try {
+      // Events submitted in an older schema version are stored in the latest shape
+      const document = withArrival(eventUpcasters.upcast(fields), now);
+      const key = fields.eventId !== undefined && fields.eventId !== null ? String(fields.eventId) : null;
+
+      return { document, key, sourceService: fields.sourceService, _id: new mongoose.Types.ObjectId() };
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+  });
+
+  // Each event id is claimed once; repeats within the batch are duplicates of its first event
+  const firsts = new Map();
+
+  // Events without a source service are rejected by validation and claim nothing
+  entries.filter(entry => entry.key && entry.sourceService).forEach(entry => {
+    const identity = keyIdentity(entry.sourceService, entry.key);
+
+    if (firsts.has(identity)) {
+      entry.repeatOf = firsts.get(identity);
+    } else {
+      firsts.set(identity, entry);
+    }
+  });
+
+  const claims = Array.from(firsts.values());
+  const originals = claims.length > 0
+    ? await claimKeys(claims.map(entry => ({ sourceService: entry.sourceService, key: entry.key, eventId: entry._id })))
+    : [];
+
+  claims.forEach((entry, index) => {
+    entry.original = originals[index];
+  });
+
+  for (const entry of entries) {
+    if (entry.errors) {
+      results.push({ status: 'rejected', eventId: null, duplicate: false, event: null, errors: entry.errors });
+      continue;
+    }
+
+    const { document, key, _id } = entry;
+    const original = entry.repeatOf ? entry.repeatOf.original || entry.repeatOf._id : entry.original;
+
+    if (original) {
+      results.push({ status: 'duplicate', eventId: original, duplicate: true, event: null, errors: [] });
+      continue;
+    }
+
+    if (key) {
+      claimed.add(_id.toString());
+    }
+
+    const result = { status: 'accepted', eventId: _id, duplicate: false, event: null, errors: [] };
+
+    documents.push({ ...document, _id, eventId: key || undefined });
+    pending.push(result);
+    results.push(result);
+  }
+
+  let outcomes = [];
+
+  try {
+    if (documents.length > 0) {
+      const raw = await AnalyticsEvent.insertMany(documents, { ordered: false, rawResult: true });
+
+      // Without any valid document mongoose only reports the validation errors, in document order
+      outcomes = raw.mongoose.results || raw.mongoose.validationErrors;
+    }
+  } catch (error) {
+    if (!error.writeErrors || !error.results) {
+      // Release the keys so the events can be submitted again
+      if (claimed.size > 0) {
+        await EventIdempotencyKey.deleteMany({ eventId: { $in: Array.from(claimed) } });
+      }
+
+      throw error;
+    }
+
+    outcomes = error.results;
+  }
+
+  const released = [];
+
+  pending.forEach((result, index) => {
+    const outcome = outcomes[index];
+
+    if (outcome instanceof mongoose.Document) {
+      result.event = outcome;
+      return;
+    }
+
+    if (claimed.has(result.eventId.toString())) {
+      released.push(result.eventId);
+    }
+
+    result.status = 'rejected';
+    result.errors = failureMessages(outcome || {});
+    result.eventId = null;
+  });
+
+  const stored = pending
+    .filter(result => result.status === 'accepted' && claimed.has(result.eventId.toString()))
+    .map(result => result.eventId);
+
+  if (stored.length > 0) {
+    await confirmKeys(stored);
+  }
+
+  // Rejected events may be submitted again with the same event id
+  if (released.length > 0) {
+    await EventIdempotencyKey.deleteMany({ eventId: { $in: released } });
+
+    // Repeats within this call of a rejected event were not stored either
+    const releasedIds = new Set(released.map(id => id.toString()));
+
+    results
+      .filter(result => result.duplicate && releasedIds.has(result.eventId.toString()))
+      .forEach(result => {
+        result.status = 'rejected';
+        result.duplicate = false;
+        result.eventId = null;
+        result.errors = ['Repeats an event id that was rejected in the same batch'];
+      });
+  }
+
+  // Closed metrics periods that received events need recomputing
+  const accepted = results.filter(result => result.status === 'accepted').map(result => result.event);
+
+  if (accepted.length > 0) {
+    try {
+      await dirtyPeriods.markEvents(accepted);
+    } catch (error) {
+      // The events are stored; failing the request would only make clients resend them
+      logger.error(`Error marking dirty metrics periods: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        count: accepted.length
+      });
+    }
+  }
+
+  const duplicates = results.filter(result => result.duplicate).length;
+
+  if (duplicates > 0) {
+    logger.info(`Skipped ${duplicates} duplicate analytics events`, {
+      duplicates,
+      eventIds: results.filter(result => result.duplicate).map(result => result.eventId.toString())
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Store a single analytics event (see storeEvents)
+ * @param {Object} fields - AnalyticsEvent fields
+ * @returns {Promise<Object>} - status, eventId, duplicate flag and the stored event
+ * @throws {Error} - Permanent ValidationError if the event was rejected
+ */
+const storeEvent = async (fields) => {
+  const [result] = await storeEvents([fields]);
+
+  if (result.status === 'rejected') {
+    throw eventSchemas.createValidationError(`Invalid ${fields.eventType} event: ${result.errors.join('; ')}`, result.errors);
+  }
+
+  return result;
+};
+
+module.exports = {
+  dedupWindow,
+  claimLease,
+  lateThreshold,
+  storeEvents,
+  storeEvent
+};
@@ -0,0 +1,163 @@
+const logger = require('./logger');
+const eventSchemas = require('./eventSchemas');
+const definitions = require('../schemas/upcasters');
+const AnalyticsEvent = require('../models/analyticsEvent');
+
+// Events rewritten per migration batch
+const migrationBatchSize = parseInt(process.env.EVENT_MIGRATION_BATCH_SIZE || '500', 10);
+
+// Upcasters per `${sourceService}:${eventType}:${fromVersion}`
+const upcasters = new Map();
+
+/**
+ * Registry key of an upcaster
+ * @param {string} sourceService - Event source service
+ * @param {string} eventType - Event type
+ * @param {number} fromVersion - Schema version the upcaster reads
+ * @returns {string} - Registry key
+ */
+const keyOf = (sourceService, eventType, fromVersion) => `${sourceService}:${eventType}:${fromVersion}`;
+
+/**
+ * Register an upcaster from one schema version to the next
+ * @param {string} sourceService - Event source service
+ * @param {string} eventType - Event type
+ * @param {number} fromVersion - Schema version the upcaster reads
+ * @param {Function} upcast - Function of the eventData returning the next version's eventData
+ */
+const register = (sourceService, eventType, fromVersion, upcast) => {
+  if (!Number.isInteger(fromVersion) || fromVersion < 1 || typeof upcast !== 'function') {
+    throw new Error(`Invalid upcaster for ${sourceService} event type ${eventType}: needs a fromVersion of 1 or more and an upcast function`);
+  }
+
+  upcasters.set(keyOf(sourceService, eventType, fromVersion), upcast);
+};
+
+definitions.forEach(({ sourceService, eventType, fromVersion, upcast }) => {
+  register(sourceService, eventType, fromVersion, upcast);
+});
+
+/**
+ * Upcast an event's eventData to the latest schema version of its event type
+ * Events without a schemaVersion predate the schema registry and are normalized against version 1
+ * @param {Object} event - Event with sourceService, eventType, eventData and schemaVersion
+ * @returns {Object} - Event with the latest eventData shape and schemaVersion
+ */
+const upcast = (event) => {
+  const latest = eventSchemas.getSchema(event.sourceService, event.eventType);
+
+  if (!latest) {
+    return event;
+  }
+
+  let version = event.schemaVersion || 0;
+  let eventData = event.eventData;
+
+  if (version === 0) {
+    const first = eventSchemas.getSchema(event.sourceService, event.eventType, 1);
+
+    eventData = first ? eventSchemas.coerce(first.schema, eventData) : eventData;
+    version = 1;
+  }
+
+  while (version < latest.version) {
+    const step = upcasters.get(keyOf(event.sourceService, event.eventType, version));
+
+    eventData = step ? step(eventData) : eventData;
+    version++;
+  }
+
+  return {
+    ...event,
+    eventData,
+    schemaVersion: version
+  };
+};
+
+/**
+ * Upcast a stored event document for API responses
+ * @param {Object} document - AnalyticsEvent document
+ * @returns {Object} - Plain event with the latest eventData shape
+ */
+const upcastDocument = (document) => {
+  return upcast(typeof document.toObject === 'function' ? document.toObject() : document);
+};
+
+/**
+ * Rewrite stored events whose eventData is older than the latest schema version of their type
+ * @param {Object} match - Additional event criteria (e.g. a timestamp range)
+ * @returns {Promise<Object>} - Number of migrated and failed events
+ */
+const migrateEvents = async (match = {}) => {
+  const failed = [];
+  let migrated = 0;
+
+  const latestSchemas = eventSchemas.listSchemas().filter(schema => schema.latest);
+
+  for (const schema of latestSchemas) {
+    const query = {
+      ...match,
+      sourceService: schema.sourceService,
+      eventType: schema.eventType,
+      // Also matches events without a schemaVersion
+      schemaVersion: { $not: { $gte: schema.version } }
+    };
+
+    for (;;) {
+      const events = await AnalyticsEvent.find({ ...query, _id: { $nin: failed } })
+        .select('sourceService eventType eventData schemaVersion')
+        .limit(migrationBatchSize)
+        .lean();
+
+      if (events.length === 0) {
+        break;
+      }
+
+      const operations = [];
+
+      events.forEach(event => {
+        try {
+          const upcasted = upcast(event);
+
+          operations.push({
+            updateOne: {
+              filter: { _id: event._id },
+              update: { $set: { eventData: upcasted.eventData, schemaVersion: upcasted.schemaVersion } }
+            }
+          });
+        } catch (error) {
+          // Leave the event as is rather than block the migration
+          failed.push(event._id);
+
+          logger.error(`Error upcasting analytics event ${event._id}: ${error.message}`, {
+            error: error.message,
+            eventId: event._id.toString(),
+            eventType: event.eventType,
+            schemaVersion: event.schemaVersion
+          });
+        }
+      });
+
+      if (operations.length > 0) {
+        await AnalyticsEvent.bulkWrite(operations, { ordered: false });
+        migrated += operations.length;
+      }
+    }
+  }
+
+  if (migrated > 0 || failed.length > 0) {
+    logger.info(`Migrated ${migrated} analytics events to the latest schema versions`, {
+      migrated,
+      failed: failed.length
+    });
+  }
+
+  return { migrated, failed: failed.length };
+};
+
+module.exports = {
+  register,
+  upcast,
+  upcastDocument,
+  migrateEvents
+};
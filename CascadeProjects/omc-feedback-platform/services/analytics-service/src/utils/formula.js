@@ -0,0 +1,463 @@
+const eventSchemas = require('./eventSchemas');
+const timeseries = require('./timeseries');
+
+// Largest syntax tree and deepest nesting a formula may have
+const maxNodes = 200;
+const maxDepth = 32;
+
+// Functions formulas can call, with the number of arguments they take
+const functions = {
+  if: { min: 3, max: 3 },
+  div: { min: 2, max: 3 },
+  min: { min: 1, max: 16 },
+  max: { min: 1, max: 16 },
+  abs: { min: 1, max: 1 },
+  round: { min: 1, max: 2 },
+  coalesce: { min: 1, max: 16 },
+  metric: { min: 1, max: 1 }
+};
+
+// Operators by precedence, lowest first
+const binaryLevels = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const operators = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ','];
+
+/**
+ * Error for an invalid formula
+ * @param {Array<string>} errors - Problems found
+ * @returns {Error} - Validation error
+ */
+const invalid = (errors) => eventSchemas.createValidationError(`Invalid formula: ${errors.join('; ')}`, errors);
+
+/**
+ * Split an expression into tokens
+ * Names are dot paths whose segments after the first may start with a digit (e.g. byCategory.<id>)
+ * @param {string} expression - Formula expression
+ * @returns {Array<Object>} - Tokens with type, value and position
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const rest = expression.slice(index);
+    const space = rest.match(/^\s+/);
+
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/);
+    const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*/);
+    const string = rest.match(/^'([^'\\]*)'|^"([^"\\]*)"/);
+    const operator = operators.find(op => rest.startsWith(op));
+
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: index });
+      index += number[0].length;
+    } else if (name) {
+      tokens.push({ type: 'name', value: name[0], position: index });
+      index += name[0].length;
+    } else if (string) {
+      tokens.push({ type: 'string', value: string[1] ?? string[2], position: index });
+      index += string[0].length;
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+    } else {
+      throw invalid([`Unexpected character "${rest[0]}" at position ${index}`]);
+    }
+  }
+
+  tokens.push({ type: 'end', value: 'end of formula', position: expression.length });
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} expression - Formula expression
+ * @returns {Object} - Root node
+ * @throws {Error} - ValidationError naming the first syntax error and its position
+ */
+const parse = (expression) => {
+  const tokens = tokenize(expression);
+  let index = 0;
+  let nodes = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const describe = (token) => {
+    if (token.type === 'end') return token.value;
+    if (token.type === 'string') return `string "${token.value}" at position ${token.position}; strings are only allowed as metric keys`;
+    return `"${token.value}" at position ${token.position}`;
+  };
+
+  const node = (fields) => {
+    nodes += 1;
+
+    if (nodes > maxNodes) {
+      throw invalid([`Formula is too long; at most ${maxNodes} terms are allowed`]);
+    }
+
+    return fields;
+  };
+
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw invalid([`Expected "${value}" but found ${describe(peek())}`]);
+    }
+
+    index += 1;
+  };
+
+  const parseConditional = () => {
+    depth += 1;
+
+    if (depth > maxDepth) {
+      throw invalid([`Formula is nested too deeply; at most ${maxDepth} levels are allowed`]);
+    }
+
+    const test = parseBinary(0);
+    let result = test;
+
+    if (isOperator('?')) {
+      index += 1;
+      const consequent = parseConditional();
+      expect(':');
+      const alternate = parseConditional();
+
+      result = node({ type: 'conditional', test, consequent, alternate });
+    }
+
+    depth -= 1;
+
+    return result;
+  };
+
+  const parseBinary = (level) => {
+    if (level === binaryLevels.length) {
+      return parseUnary();
+    }
+
+    let left = parseBinary(level + 1);
+
+    while (isOperator(...binaryLevels[level])) {
+      const op = tokens[index].value;
+      index += 1;
+      left = node({ type: 'binary', op, left, right: parseBinary(level + 1) });
+    }
+
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-', '!')) {
+      const op = tokens[index].value;
+      index += 1;
+
+      return node({ type: 'unary', op, argument: parseUnary() });
+    }
+
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    index += 1;
+
+    if (token.type === 'number') {
+      return node({ type: 'number', value: token.value });
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseConditional();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'name' && isOperator('(')) {
+      index += 1;
+      const args = [];
+
+      if (!isOperator(')')) {
+        args.push(parseArgument());
+
+        while (isOperator(',')) {
+          index += 1;
+          args.push(parseArgument());
+        }
+      }
+
+      expect(')');
+
+      return node({ type: 'call', name: token.value, args, position: token.position });
+    }
+
+    if (token.type === 'name') {
+      return node({ type: 'field', name: token.value, position: token.position });
+    }
+
+    throw invalid([`Unexpected ${describe(token)}`]);
+  };
+
+  // Strings are only allowed as function arguments, i.e. metric keys
+  const parseArgument = () => {
+    if (peek().type === 'string') {
+      const token = tokens[index];
+      index += 1;
+      return node({ type: 'string', value: token.value, position: token.position });
+    }
+
+    return parseConditional();
+  };
+
+  const root = parseConditional();
+
+  if (peek().type !== 'end') {
+    throw invalid([`Unexpected ${describe(peek())}`]);
+  }
+
+  return root;
+};
+
+/**
+ * Parse and check a formula
+ * Fields are FeedbackMetrics or UserMetrics field paths: `users.`-prefixed paths read user metrics and
+ * `feedback.`-prefixed paths feedback metrics, other paths the metrics of the formula's source.
+ * metric('key') refers to another named metric
+ * @param {string} expression - Formula expression
+ * @param {Object} options - Compile options
+ * @param {string} options.source - Metrics source of unprefixed fields (feedback or user)
+ * @returns {Object} - Expression, syntax tree, metrics sources and named metrics it refers to
+ * @throws {Error} - ValidationError listing every problem found
+ */
+const compile = (expression, { source = 'feedback' } = {}) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw invalid(['Formula is empty']);
+  }
+
+  const ast = parse(expression);
+  const errors = [];
+  const sources = new Set();
+  const metrics = new Set();
+
+  const check = (current) => {
+    if (!current) return;
+
+    if (current.type === 'field') {
+      const qualified = source === 'user' && !/^(users|feedback)\./.test(current.name) ? `users.${current.name}` : current.name;
+      const field = timeseries.resolveMetric(qualified);
+
+      if (!field || ['version', '__v'].includes(field.path)) {
+        errors.push(`Unknown metrics field "${current.name}" at position ${current.position}`);
+      } else {
+        Object.assign(current, { source: field.source, path: field.path });
+        sources.add(field.source);
+      }
+    }
+
+    if (current.type === 'string') {
+      errors.push(`Unexpected string at position ${current.position}; strings are only allowed as metric keys`);
+    }
+
+    if (current.type === 'call') {
+      const spec = functions[current.name];
+
+      if (!spec) {
+        errors.push(`Unknown function "${current.name}" at position ${current.position}; available: ${Object.keys(functions).join(', ')}`);
+      } else if (current.args.length < spec.min || current.args.length > spec.max) {
+        const count = spec.min === spec.max ? spec.min : `${spec.min} to ${spec.max}`;
+        errors.push(`${current.name}() at position ${current.position} takes ${count} argument(s)`);
+      } else if (current.name === 'metric') {
+        const [key] = current.args;
+
+        if (key.type !== 'string') {
+          errors.push(`metric() at position ${current.position} takes a metric key in quotes, e.g. metric('resolution_rate')`);
+        } else {
+          current.key = key.value;
+          metrics.add(key.value);
+        }
+
+        return;
+      }
+
+      current.args.forEach(check);
+      return;
+    }
+
+    ['argument', 'left', 'right', 'test', 'consequent', 'alternate'].forEach(child => check(current[child]));
+  };
+
+  check(ast);
+
+  if (errors.length > 0) {
+    throw invalid(errors);
+  }
+
+  return {
+    expression,
+    ast,
+    sources: Array.from(sources),
+    metrics: Array.from(metrics)
+  };
+};
+
+/**
+ * Keep finite numbers; everything else is null
+ * @param {*} value - Value
+ * @returns {number|null} - Finite number or null
+ */
+const finite = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Read a value by its dot path
+ * @param {Object} object - Object to read
+ * @param {string} path - Dot path
+ * @returns {*} - Value, or undefined
+ */
+const readPath = (object, path) => path.split('.').reduce((value, key) => (
+  value instanceof Map ? value.get(key) : value?.[key]
+), object);
+
+/**
+ * Evaluate a syntax tree node
+ * Null (missing metrics, division by zero) propagates through arithmetic and is false in conditions
+ * @param {Object} current - Node
+ * @param {Object} scope - Metrics by source and a resolver of named metrics
+ * @returns {number|null} - Value
+ */
+const evaluateNode = (current, scope) => {
+  const value = child => evaluateNode(child, scope);
+
+  switch (current.type) {
+    case 'number':
+      return current.value;
+
+    case 'field': {
+      // Without metrics for the bucket the field is unknown; missing counters are zero
+      const metrics = scope.metrics[current.source];
+      return metrics ? finite(readPath(metrics, current.path)) ?? 0 : null;
+    }
+
+    case 'unary': {
+      const argument = value(current.argument);
+      if (current.op === '!') return argument ? 0 : 1;
+      return argument === null ? null : -argument;
+    }
+
+    case 'conditional':
+      return value(current.test) ? value(current.consequent) : value(current.alternate);
+
+    case 'binary': {
+      if (current.op === '&&') return value(current.left) && value(current.right) ? 1 : 0;
+      if (current.op === '||') return value(current.left) || value(current.right) ? 1 : 0;
+
+      const left = value(current.left);
+      const right = value(current.right);
+
+      if (left === null || right === null) return null;
+
+      switch (current.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? null : left / right;
+        case '%': return right === 0 ? null : left % right;
+        case '==': return left === right ? 1 : 0;
+        case '!=': return left !== right ? 1 : 0;
+        case '<': return left < right ? 1 : 0;
+        case '<=': return left <= right ? 1 : 0;
+        case '>': return left > right ? 1 : 0;
+        default: return left >= right ? 1 : 0;
+      }
+    }
+
+    case 'call': {
+      if (current.name === 'metric') return scope.metric(current.key);
+      if (current.name === 'if') return value(current.args[0]) ? value(current.args[1]) : value(current.args[2]);
+
+      const args = current.args.map(value);
+
+      switch (current.name) {
+        case 'div': {
+          // Safe division: the fallback (null by default) when the divisor is zero or unknown
+          const [dividend, divisor, fallback = null] = args;
+          return divisor === 0 || divisor === null || dividend === null ? fallback : dividend / divisor;
+        }
+        case 'coalesce':
+          return args.find(arg => arg !== null) ?? null;
+        case 'abs':
+          return args[0] === null ? null : Math.abs(args[0]);
+        case 'round': {
+          const [number, digits = 0] = args;
+          return number === null || digits === null ? null : Number(number.toFixed(Math.min(Math.max(digits, 0), 10)));
+        }
+        default: {
+          const known = args.filter(arg => arg !== null);
+          return known.length > 0 ? Math[current.name](...known) : null;
+        }
+      }
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Evaluate a compiled formula
+ * @param {Object} compiled - Compiled formula
+ * @param {Object} scope - Evaluation scope
+ * @param {Object} scope.metrics - Feedback and user metrics documents by source (null for unknown)
+ * @param {Function} scope.metric - Value of a named metric by key
+ * @returns {number|null} - Value, or null if it cannot be computed
+ */
+const evaluate = (compiled, scope) => finite(evaluateNode(compiled.ast, scope));
+
+/**
+ * Build a calculator of named formulas
+ * @param {Map} library - Compiled formulas by metric key, including every metric they refer to
+ * @param {Array<string>} keys - Metrics to calculate
+ * @returns {Object} - Keys, metrics sources read and evaluate(metrics) returning the value of each key
+ */
+const calculator = (library, keys) => ({
+  keys,
+  sources: Array.from(new Set(Array.from(library.values()).flatMap(compiled => compiled.sources))),
+
+  evaluate: (metrics) => {
+    const values = new Map();
+    const evaluating = new Set();
+
+    // Named metrics are evaluated once per set of metrics; a reference cycle yields null
+    const metric = (key) => {
+      if (values.has(key)) return values.get(key);
+      if (evaluating.has(key) || !library.has(key)) return null;
+
+      evaluating.add(key);
+      const value = evaluate(library.get(key), { metrics, metric });
+      evaluating.delete(key);
+      values.set(key, value);
+
+      return value;
+    };
+
+    return Object.fromEntries(keys.map(key => [key, metric(key)]));
+  }
+});
+
+module.exports = {
+  functions,
+  compile,
+  evaluate,
+  calculator
+};
@@ -0,0 +1,85 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// Active mail transport
+let transport = null;
+
+/**
+ * Create the SMTP transport from environment variables
+ * Any SMTP server works, including a local sink such as MailHog or smtp4dev
+ * @returns {Object} - Nodemailer transport
+ */
+const createSmtpTransport = () => {
+  const options = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true'
+  };
+
+  if (process.env.SMTP_USER) {
+    options.auth = {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    };
+  }
+
+  logger.info(`Using SMTP transport ${options.host}:${options.port}`);
+
+  return nodemailer.createTransport(options);
+};
+
+/**
+ * Get the active mail transport, creating the SMTP transport on first use
+ * @returns {Object} - Mail transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createSmtpTransport();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the mail transport
+ * The transport must implement sendMail(message) like a nodemailer transport
+ * @param {Object} customTransport - Mail transport, or null to fall back to SMTP
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message (to, subject, text, html, attachments)
+ * @returns {Promise<Object>} - Transport result including the message ID
+ */
+const send = async (message) => {
+  const from = message.from || process.env.MAIL_FROM || 'OMC Analytics <analytics@localhost>';
+  const info = await getTransport().sendMail({ ...message, from });
+
+  logger.debug(`Sent email to ${message.to}`, {
+    messageId: info.messageId,
+    subject: message.subject
+  });
+
+  return info;
+};
+
+/**
+ * Close the mail transport
+ */
+const close = () => {
+  if (transport && typeof transport.close === 'function') {
+    transport.close();
+  }
+
+  transport = null;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  send,
+  close
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const amqplib = require('amqplib');
 const logger = require('./logger');
 
@@ -9,6 +10,22 @@ let reconnectAttempts = 0;
 const maxReconnectAttempts = 10;
 const reconnectInterval = 5000; // 5 seconds
 
+// Retry settings: delays between attempts (the last delay repeats) and total attempts before dead-lettering
+const retryDelays = (process.env.RABBITMQ_RETRY_DELAYS || '5000,30000,300000')
+  .split(',')
+  .map(delay => parseInt(delay, 10))
+  .filter(delay => delay > 0);
+const maxAttempts = parseInt(process.env.RABBITMQ_MAX_ATTEMPTS || '4', 10);
+
+// Maximum number of dead-lettered messages read per admin operation
+const deadLetterScanLimit = parseInt(process.env.DEAD_LETTER_SCAN_LIMIT || '1000', 10);
+
+// Consumer queues and their routing keys
+const consumers = new Map();
+
+// Serializes dead-letter operations, which hold messages unacknowledged while scanning
+let deadLetterLock = Promise.resolve();
+
 /**
  * Connect to RabbitMQ server
  * @returns {Promise<void>}
@@ -174,6 +191,109 @@ const publish = async (routingKey, message, options = {}) => {
   }
 };
 
+/**
+ * Name of the exchange dead-lettered messages are published to
+ * @returns {string} - Dead-letter exchange name
+ */
+const deadLetterExchange = () => `${process.env.RABBITMQ_EXCHANGE || 'omc_events'}.dead-letter`;
+
+/**
+ * Name of the dead-letter queue of a consumer queue
+ * @param {string} queueName - Consumer queue name
+ * @returns {string} - Dead-letter queue name
+ */
+const deadLetterQueue = (queueName) => `${queueName}.dead-letter`;
+
+/**
+ * Name of the delay queue used for a retry delay
+ * @param {string} queueName - Consumer queue name
+ * @param {number} delay - Delay in milliseconds
+ * @returns {string} - Delay queue name
+ */
+const retryQueue = (queueName, delay) => `${queueName}.retry.${delay}`;
+
+/**
+ * Declare the retry and dead-letter topology of a consumer queue
+ * Delay queues hold a message for their TTL, then dead-letter it back to the consumer queue.
+ * The dead-letter queue is bound to the dead-letter exchange with the consumer's routing keys,
+ * so it also receives messages that expire in the consumer queue.
+ * @param {string} queueName - Consumer queue name
+ * @param {Array<string>} routingKeys - Consumer routing keys
+ * @returns {Promise<void>}
+ */
+const assertRetryTopology = async (queueName, routingKeys) => {
+  for (const delay of new Set(retryDelays)) {
+    await channel.assertQueue(retryQueue(queueName, delay), {
+      durable: true,
+      arguments: {
+        'x-message-ttl': delay,
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': queueName
+      }
+    });
+  }
+
+  await channel.assertExchange(deadLetterExchange(), 'topic', { durable: true });
+  await channel.assertQueue(deadLetterQueue(queueName), { durable: true });
+
+  for (const routingKey of routingKeys) {
+    await channel.bindQueue(deadLetterQueue(queueName), deadLetterExchange(), routingKey);
+  }
+};
+
+/**
+ * Retry a failed message after a backoff delay, or dead-letter it once attempts are exhausted
+ * Errors flagged as permanent (invalid JSON, validation errors or error.permanent) are not retried
+ * @param {Object} msg - Consumed message
+ * @param {string} queueName - Consumer queue name
+ * @param {Error} error - Processing error
+ */
+const handleFailure = (msg, queueName, error) => {
+  const headers = msg.properties.headers || {};
+  const attempts = headers['x-attempts'] || 1;
+  const permanent = error.permanent || ['SyntaxError', 'ValidationError', 'CastError'].includes(error.name);
+
+  const options = {
+    persistent: true,
+    contentType: msg.properties.contentType,
+    timestamp: msg.properties.timestamp,
+    messageId: msg.properties.messageId,
+    headers: {
+      ...headers,
+      'x-original-routing-key': headers['x-original-routing-key'] || msg.fields.routingKey,
+      'x-last-error': error.message
+    }
+  };
+
+  if (!permanent && attempts < maxAttempts && retryDelays.length > 0) {
+    const delay = retryDelays[Math.min(attempts - 1, retryDelays.length - 1)];
+
+    options.headers['x-attempts'] = attempts + 1;
+    channel.sendToQueue(retryQueue(queueName, delay), msg.content, options);
+
+    logger.warn(`Retrying message from ${queueName} in ${delay}ms (attempt ${attempts + 1}/${maxAttempts})`, {
+      routingKey: options.headers['x-original-routing-key'],
+      error: error.message
+    });
+  } else {
+    options.headers['x-attempts'] = attempts;
+    options.headers['x-dead-letter-id'] = crypto.randomUUID();
+    options.headers['x-queue'] = queueName;
+    options.headers['x-failed-at'] = new Date().toISOString();
+    channel.publish(deadLetterExchange(), options.headers['x-original-routing-key'], msg.content, options);
+
+    logger.error(`Dead-lettered message from ${queueName} after ${attempts} attempts`, {
+      routingKey: options.headers['x-original-routing-key'],
+      deadLetterId: options.headers['x-dead-letter-id'],
+      permanent,
+      error: error.message
+    });
+  }
+
+  // The message now lives in a delay queue or the dead-letter queue
+  channel.ack(msg);
+};
+
 /**
  * Setup consumer for RabbitMQ queue
  * @param {string} queueName - Queue name
@@ -204,6 +324,10 @@ const setupConsumer = async (queueName, routingKeys, handler) => {
       logger.debug(`Bound queue ${queueName} to exchange ${exchange} with routing key ${routingKey}`);
     }
     
+    // Declare delay queues and the dead-letter queue
+    await assertRetryTopology(queueName, routingKeys);
+    consumers.set(queueName, routingKeys);
+    
     // Set prefetch count to avoid overwhelming the consumer
     await channel.prefetch(10);
     
@@ -214,12 +338,12 @@ const setupConsumer = async (queueName, routingKeys, handler) => {
       }
       
       try {
-        // Parse message content
+        // Parse message content; retried messages keep their original routing key
         const content = JSON.parse(msg.content.toString());
-        const routingKey = msg.fields.routingKey;
+        const routingKey = msg.properties.headers?.['x-original-routing-key'] || msg.fields.routingKey;
         
-        // Process message
-        await handler(content, routingKey);
+        // Process message; the properties carry the publisher's messageId
+        await handler(content, routingKey, msg.properties);
         
         // Acknowledge message
         channel.ack(msg);
@@ -230,9 +354,25 @@ const setupConsumer = async (queueName, routingKeys, handler) => {
           routingKey: msg.fields.routingKey
         });
         
-        // Reject message and requeue if it's not a parsing error
-        const requeue = !error.message.includes('JSON');
-        channel.reject(msg, requeue);
+        try {
+          handleFailure(msg, queueName, error);
+        } catch (retryError) {
+          // Leave the message to be redelivered rather than lose it
+          logger.error(`Error retrying message: ${retryError.message}`, {
+            error: retryError.message,
+            queueName
+          });
+          
+          try {
+            channel.nack(msg, false, true);
+          } catch (nackError) {
+            // The channel is closed; RabbitMQ redelivers unacknowledged messages
+            logger.error(`Error requeuing message: ${nackError.message}`, {
+              error: nackError.message,
+              queueName
+            });
+          }
+        }
       }
     });
     
@@ -251,9 +391,215 @@ const setupConsumer = async (queueName, routingKeys, handler) => {
   }
 };
 
+/**
+ * Run a dead-letter operation while holding the dead-letter lock
+ * @param {Function} operation - Async operation
+ * @returns {Promise<any>} - Operation result
+ */
+const withDeadLetterLock = (operation) => {
+  const result = deadLetterLock.then(operation);
+  deadLetterLock = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Describe a dead-lettered message
+ * @param {Object} msg - Message read from a dead-letter queue
+ * @returns {Object} - Message summary
+ */
+const describeDeadLetter = (msg) => {
+  const headers = msg.properties.headers || {};
+  const text = msg.content.toString();
+  let content;
+
+  try {
+    content = JSON.parse(text);
+  } catch (error) {
+    content = text;
+  }
+
+  return {
+    // Messages that expired in the consumer queue have no ID of their own
+    id: headers['x-dead-letter-id'] || crypto.createHash('sha1').update(msg.content).digest('hex'),
+    routingKey: headers['x-original-routing-key'] || msg.fields.routingKey,
+    attempts: headers['x-attempts'] || 0,
+    error: headers['x-last-error'] || (headers['x-death'] ? `Dead-lettered: ${headers['x-death'][0].reason}` : null),
+    failedAt: headers['x-failed-at'] || null,
+    content,
+    headers
+  };
+};
+
+/**
+ * Read messages from a dead-letter queue and settle each one
+ * Messages the callback does not settle are returned to the queue
+ * @param {string} queueName - Consumer queue name
+ * @param {Function} visit - Called with (msg, summary); returns 'ack' to remove the message
+ * @returns {Promise<void>}
+ */
+const scanDeadLetters = async (queueName, visit) => {
+  if (!consumers.has(queueName)) {
+    throw new Error(`Unknown consumer queue: ${queueName}`);
+  }
+
+  if (!connected || !channel) {
+    await connect();
+  }
+
+  const held = [];
+
+  try {
+    for (let index = 0; index < deadLetterScanLimit; index++) {
+      const msg = await channel.get(deadLetterQueue(queueName), { noAck: false });
+
+      if (!msg) break;
+
+      if (await visit(msg, describeDeadLetter(msg)) === 'ack') {
+        channel.ack(msg);
+      } else {
+        held.push(msg);
+      }
+    }
+  } finally {
+    held.forEach(msg => channel.nack(msg, false, true));
+  }
+};
+
+/**
+ * Count the messages in the dead-letter queue of every consumer
+ * @returns {Promise<Array>} - Consumer queues with dead-letter message counts
+ */
+const getDeadLetterQueues = async () => {
+  if (!connected || !channel) {
+    await connect();
+  }
+
+  const queues = [];
+
+  for (const [queueName, routingKeys] of consumers.entries()) {
+    const { messageCount } = await channel.checkQueue(deadLetterQueue(queueName));
+    queues.push({ queue: queueName, deadLetterQueue: deadLetterQueue(queueName), routingKeys, messageCount });
+  }
+
+  return queues;
+};
+
+/**
+ * List dead-lettered messages of a consumer queue
+ * @param {string} queueName - Consumer queue name
+ * @param {number} limit - Maximum number of messages to return
+ * @returns {Promise<Array>} - Message summaries, oldest first
+ */
+const getDeadLetters = (queueName, limit = 50) => withDeadLetterLock(async () => {
+  const messages = [];
+
+  await scanDeadLetters(queueName, (msg, summary) => {
+    if (messages.length < limit) messages.push(summary);
+  });
+
+  return messages;
+});
+
+/**
+ * Get a single dead-lettered message
+ * @param {string} queueName - Consumer queue name
+ * @param {string} id - Dead-letter message ID
+ * @returns {Promise<Object|null>} - Message summary, or null if not found
+ */
+const getDeadLetter = (queueName, id) => withDeadLetterLock(async () => {
+  let found = null;
+
+  await scanDeadLetters(queueName, (msg, summary) => {
+    if (summary.id === id) found = summary;
+  });
+
+  return found;
+});
+
+/**
+ * Send dead-lettered messages back to their consumer queue with a fresh attempt count
+ * @param {string} queueName - Consumer queue name
+ * @param {Array<string>} ids - Message IDs to replay (all messages if omitted)
+ * @returns {Promise<number>} - Number of replayed messages
+ */
+const replayDeadLetters = (queueName, ids = null) => withDeadLetterLock(async () => {
+  let replayed = 0;
+
+  await scanDeadLetters(queueName, (msg, summary) => {
+    if (ids && !ids.includes(summary.id)) return null;
+
+    const { 'x-attempts': attempts, 'x-last-error': lastError, 'x-death': death, ...headers } = msg.properties.headers || {};
+
+    channel.sendToQueue(queueName, msg.content, {
+      persistent: true,
+      contentType: msg.properties.contentType,
+      timestamp: msg.properties.timestamp,
+      messageId: msg.properties.messageId,
+      headers: {
+        ...headers,
+        'x-original-routing-key': summary.routingKey,
+        'x-replayed-at': new Date().toISOString()
+      }
+    });
+
+    replayed++;
+    return 'ack';
+  });
+
+  logger.info(`Replayed ${replayed} dead-lettered messages to ${queueName}`);
+
+  return replayed;
+});
+
+/**
+ * Delete dead-lettered messages
+ * @param {string} queueName - Consumer queue name
+ * @param {Array<string>} ids - Message IDs to delete (all messages if omitted)
+ * @returns {Promise<number>} - Number of deleted messages
+ */
+const purgeDeadLetters = (queueName, ids = null) => withDeadLetterLock(async () => {
+  if (!consumers.has(queueName)) {
+    throw new Error(`Unknown consumer queue: ${queueName}`);
+  }
+
+  if (!connected || !channel) {
+    await connect();
+  }
+
+  let purged = 0;
+
+  if (!ids) {
+    ({ messageCount: purged } = await channel.purgeQueue(deadLetterQueue(queueName)));
+  } else {
+    await scanDeadLetters(queueName, (msg, summary) => {
+      if (!ids.includes(summary.id)) return null;
+
+      purged++;
+      return 'ack';
+    });
+  }
+
+  logger.info(`Purged ${purged} dead-lettered messages from ${queueName}`);
+
+  return purged;
+});
+
+/**
+ * Check whether a queue has a consumer set up by this service
+ * @param {string} queueName - Queue name
+ * @returns {boolean} - True if the queue is consumed
+ */
+const isConsumerQueue = (queueName) => consumers.has(queueName);
+
 module.exports = {
   connect,
   close,
   publish,
-  setupConsumer
+  setupConsumer,
+  isConsumerQueue,
+  getDeadLetterQueues,
+  getDeadLetters,
+  getDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetters
 };
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const analyticsQuery = require('./analyticsQuery');
+const eventSchemas = require('./eventSchemas');
+const formula = require('./formula');
+const timeseries = require('./timeseries');
+const { getPermission } = require('./sharing');
+const MetricDefinition = require('../models/metricDefinition');
+
+// Fields holding a definition's content, kept for every version
+const contentFields = ['kind', 'query', 'formula', 'unit'];
+
+// Stand-in time range used to validate saved queries, which get theirs when they run
+const validationRange = { from: '2000-01-01T00:00:00Z', to: '2000-01-02T00:00:00Z' };
+
+/**
+ * Canonical form of a content value, for comparing versions regardless of key order and defaults
+ * @param {string} field - Content field
+ * @param {*} value - Field value
+ * @returns {string} - Canonical JSON
+ */
+const canonical = (field, value) => {
+  const plain = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  const normalized = field === 'formula' && plain ? { source: 'feedback', ...plain } : plain;
+
+  return JSON.stringify(normalized, (key, item) => (
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+      : item
+  ));
+};
+
+/**
+ * Compile the formula of a definition's content
+ * @param {Object} content - Definition content with a formula
+ * @returns {Object} - Compiled formula
+ * @throws {Error} - ValidationError if the formula is invalid
+ */
+const compileFormula = (content) => formula.compile(content.formula?.expression, { source: content.formula?.source });
+
+/**
+ * Load the compiled formulas of named metrics and of every metric they refer to
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} keys - Metric keys
+ * @param {Map} overrides - Compiled formulas used instead of the stored ones, by key
+ * @returns {Promise<Map>} - Compiled formulas by key
+ * @throws {Error} - ValidationError for unknown metrics, query metrics and reference cycles
+ */
+const loadLibrary = async (companyId, keys, overrides = new Map()) => {
+  const library = new Map();
+  const errors = [];
+  let pending = Array.from(new Set(keys));
+
+  while (pending.length > 0) {
+    const missing = pending.filter(key => !overrides.has(key));
+    const definitions = missing.length > 0
+      ? await MetricDefinition.find({ companyId, key: { $in: missing } }).select('key kind formula').lean()
+      : [];
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+    const next = [];
+
+    for (const key of pending) {
+      const definition = byKey.get(key);
+      let compiled = overrides.get(key);
+
+      if (!compiled && !definition) {
+        errors.push(`Unknown metric "${key}"`);
+      } else if (!compiled && definition.kind !== 'formula') {
+        errors.push(`Metric "${key}" is a query; formulas can only refer to formula metrics`);
+      } else {
+        compiled = compiled || compileFormula(definition);
+        library.set(key, compiled);
+        next.push(...compiled.metrics.filter(reference => !library.has(reference)));
+      }
+    }
+
+    pending = Array.from(new Set(next)).filter(key => !library.has(key));
+  }
+
+  // Report the first reference cycle found
+  const visit = (key, path) => {
+    if (path.includes(key)) {
+      return [...path.slice(path.indexOf(key)), key];
+    }
+
+    for (const reference of library.get(key)?.metrics || []) {
+      const cycle = visit(reference, [...path, key]);
+      if (cycle) return cycle;
+    }
+
+    return null;
+  };
+
+  const cycle = errors.length === 0 && Array.from(library.keys()).map(key => visit(key, [])).find(Boolean);
+
+  if (cycle) {
+    errors.push(`Circular metric reference: ${cycle.join(' -> ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw eventSchemas.createValidationError(`Invalid metric references: ${errors.join('; ')}`, errors);
+  }
+
+  return library;
+};
+
+/**
+ * Validate the content of a definition
+ * Formulas are parsed and the fields and named metrics they refer to checked
+ * @param {Object} content - kind, query, formula and unit
+ * @param {Object} options - Validation options
+ * @param {string} options.companyId - Company of the definition
+ * @param {string} options.key - Key of the definition
+ * @returns {Promise<Array<string>>} - Error messages (empty if valid)
+ */
+const validateContent = async ({ kind, query, formula: definitionFormula }, { companyId, key } = {}) => {
+  if (kind === 'query') {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      return ['query must be an object with measures and optional dimensions, filters, sort and limit'];
+    }
+
+    if (query.timeRange !== undefined || query.companyId !== undefined) {
+      return ['query must not include timeRange or companyId; they are given when the metric is run'];
+    }
+
+    try {
+      analyticsQuery.compile({ ...query, timeRange: validationRange }, { companyId: null });
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+
+      return error.errors.map(detail => detail.message);
+    }
+
+    return [];
+  }
+
+  if (kind === 'formula') {
+    if (definitionFormula?.source !== undefined && !['feedback', 'user'].includes(definitionFormula.source)) {
+      return ['formula.source must be feedback or user'];
+    }
+
+    try {
+      const compiled = compileFormula({ formula: definitionFormula });
+
+      // The definition being saved replaces its stored version in the reference graph
+      await loadLibrary(companyId, [key], new Map([[key, compiled]]));
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+
+      return error.errors.map(detail => detail.message);
+    }
+
+    return [];
+  }
+
+  return ['kind must be query or formula'];
+};
+
+/**
+ * Find the formula definitions of a company that refer to a metric
+ * @param {string} companyId - Company ID
+ * @param {string} key - Metric key
+ * @returns {Promise<Array<string>>} - Keys of the referring definitions
+ */
+const findReferences = async (companyId, key) => {
+  const candidates = await MetricDefinition.find({
+    companyId,
+    kind: 'formula',
+    key: { $ne: key },
+    'formula.expression': { $regex: key }
+  }).select('key formula').lean();
+
+  return candidates
+    .filter(candidate => {
+      try {
+        return compileFormula(candidate).metrics.includes(key);
+      } catch (error) {
+        return false;
+      }
+    })
+    .map(candidate => candidate.key);
+};
+
+/**
+ * Content of a definition at a version
+ * @param {Object} definition - Metric definition document
+ * @param {number} version - Version (defaults to the current one)
+ * @returns {Object|null} - version, kind, query, formula and unit, or null if there is no such version
+ */
+const atVersion = (definition, version = definition.version) => {
+  const source = version === definition.version
+    ? definition
+    : definition.versions.find(item => item.version === version);
+
+  if (!source) {
+    return null;
+  }
+
+  // Query definitions carry no formula and formula definitions no query
+  const fields = contentFields.filter(field => field !== (source.kind === 'query' ? 'formula' : 'query'));
+
+  return { version, ...Object.fromEntries(fields.map(field => [field, source[field]])) };
+};
+
+/**
+ * Apply content changes to a definition, keeping the previous content as a version
+ * Only changes to the content create a new version; name, description and tags are not versioned
+ * @param {Object} definition - Metric definition document
+ * @param {Object} changes - Changed content fields
+ * @param {string} userId - User making the change
+ * @returns {boolean} - True if a new version was created
+ */
+const applyContent = (definition, changes, userId) => {
+  const current = atVersion(definition);
+  const changed = contentFields.some(field =>
+    changes[field] !== undefined && canonical(field, changes[field]) !== canonical(field, current[field])
+  );
+
+  if (!changed) {
+    return false;
+  }
+
+  definition.versions.push({
+    ...current,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+
+  contentFields.forEach(field => {
+    if (changes[field] !== undefined) {
+      definition[field] = changes[field];
+    }
+  });
+
+  // Query definitions carry no formula and formula definitions no query
+  if (definition.kind === 'query') definition.formula = undefined;
+  if (definition.kind === 'formula') definition.query = undefined;
+
+  definition.version += 1;
+  definition.markModified('query');
+
+  return true;
+};
+
+/**
+ * Find a company's definition by ID or key
+ * @param {string} companyId - Company ID
+ * @param {string} idOrKey - Definition ID or key
+ * @returns {Promise<Object|null>} - Metric definition document
+ */
+const findDefinition = (companyId, idOrKey) => {
+  const match = mongoose.Types.ObjectId.isValid(idOrKey)
+    ? { $or: [{ _id: idOrKey }, { key: idOrKey }] }
+    : { key: idOrKey };
+
+  return MetricDefinition.findOne({ companyId, ...match });
+};
+
+/**
+ * Find a definition referenced by a dashboard widget or report, if its owner may view it
+ * Widget and report data is shared with everyone who sees the dashboard or report, so definitions
+ * are checked for the owner; their roles are not known here, so they are checked as a company member
+ * @param {Object} source - Dashboard or report, with companyId and the owner in createdBy
+ * @param {string} idOrKey - Definition ID or key
+ * @returns {Promise<Object|null>} - Metric definition document
+ */
+const findViewableDefinition = async (source, idOrKey) => {
+  const definition = await findDefinition(source.companyId, idOrKey);
+  const owner = { id: source.createdBy?.toString(), roles: [], companyId: source.companyId };
+
+  return definition && getPermission(definition, definition.createdBy, owner) ? definition : null;
+};
+
+/**
+ * Run a definition over a time range, scoped to its company
+ * Query definitions return the query's rows; formula definitions return their value for every
+ * bucket of the period type in the range
+ * @param {Object} definition - Metric definition document
+ * @param {Object} options - Run options
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {number} options.version - Version to run (defaults to the current one)
+ * @param {string} options.period - Period type of formula buckets (defaults to daily)
+ * @returns {Promise<Object>} - Definition key and version with the columns and rows of the result
+ * @throws {Error} - For unknown versions and invalid ranges or references (ValidationError)
+ */
+const run = async (definition, { from, to, version, period = 'daily' }) => {
+  const content = atVersion(definition, version);
+
+  if (!content) {
+    throw new Error(`Metric ${definition.key} has no version ${version}`);
+  }
+
+  const summary = {
+    key: definition.key,
+    name: definition.name,
+    version: content.version,
+    unit: content.unit
+  };
+
+  if (content.kind === 'query') {
+    const result = await analyticsQuery.run(
+      { ...content.query, timeRange: { from: from.toISOString(), to: to.toISOString() } },
+      { companyId: definition.companyId.toString() }
+    );
+
+    return { ...summary, ...result };
+  }
+
+  // Series bounds are inclusive
+  const last = new Date(to.getTime() - 1);
+
+  if (!timeseries.periodUnits[period] || last < from) {
+    throw eventSchemas.createValidationError('Invalid formula range', [
+      `period must be one of: ${Object.keys(timeseries.periodUnits).join(', ')}, with from before to`
+    ]);
+  }
+
+  if (timeseries.countBuckets(period, from, last) > timeseries.maxBuckets) {
+    throw eventSchemas.createValidationError('Invalid formula range', [
+      `A formula may span at most ${timeseries.maxBuckets} ${period} buckets`
+    ]);
+  }
+
+  const library = await loadLibrary(
+    definition.companyId,
+    [definition.key],
+    new Map([[definition.key, compileFormula(content)]])
+  );
+
+  const buckets = await timeseries.buildSeries({
+    metrics: [],
+    calculated: formula.calculator(library, [definition.key]),
+    period,
+    from,
+    to: last,
+    companyId: definition.companyId.toString(),
+    fill: 'null'
+  });
+
+  return {
+    ...summary,
+    period,
+    columns: ['date', definition.key],
+    rows: buckets.map(bucket => ({ date: bucket.date, [definition.key]: bucket.values[definition.key] })),
+    truncated: false
+  };
+};
+
+module.exports = {
+  contentFields,
+  loadLibrary,
+  validateContent,
+  findReferences,
+  atVersion,
+  applyContent,
+  findDefinition,
+  findViewableDefinition,
+  run
+};
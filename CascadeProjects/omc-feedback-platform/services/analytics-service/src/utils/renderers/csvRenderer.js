@@ -0,0 +1,63 @@
+const { columnHeader, rawValue, periodDate } = require('./format');
+
+/**
+ * Escape a CSV field
+ * Text starting like a formula is prefixed with a quote so spreadsheet applications show it as text;
+ * numbers are left as they are, so negative values stay numeric
+ * @param {any} value - Field value
+ * @returns {string} - Escaped field
+ */
+const escapeField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Join fields into a CSV line
+ * @param {Array} fields - Field values
+ * @returns {string} - CSV line
+ */
+const toLine = (fields) => fields.map(escapeField).join(',');
+
+/**
+ * CSV renderer
+ * Writes the KPIs followed by one block per section, separated by blank lines
+ */
+module.exports = {
+  format: 'csv',
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+
+  /**
+   * Render a report dataset as CSV
+   * @param {Object} dataset - Report dataset
+   * @returns {Promise<Buffer>} - CSV file content
+   */
+  async render(dataset) {
+    const lines = [
+      toLine([dataset.report.name]),
+      toLine(['Period', periodDate(dataset.period.start, dataset.period.timezone), periodDate(dataset.period.end, dataset.period.timezone)]),
+      '',
+      toLine(['Key figures']),
+      toLine(['Metric', 'Value']),
+      ...dataset.kpis.map(kpi => toLine([columnHeader(kpi), rawValue(kpi.value, kpi.unit)]))
+    ];
+
+    dataset.sections.forEach(section => {
+      lines.push('');
+      lines.push(toLine([section.title]));
+      lines.push(toLine(section.columns.map(columnHeader)));
+
+      section.rows.forEach(row => {
+        lines.push(toLine(section.columns.map(column => rawValue(row[column.key], column.unit))));
+      });
+    });
+
+    // Prefix a BOM so spreadsheet applications detect UTF-8
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+};
@@ -0,0 +1,96 @@
+const ExcelJS = require('exceljs');
+const { columnHeader, periodDate } = require('./format');
+
+// Excel number formats per column unit
+const numberFormats = {
+  date: 'yyyy-mm-dd',
+  count: '#,##0',
+  percent: '0.0"%"',
+  ms: '#,##0',
+  seconds: '#,##0',
+  score: '0.00',
+  number: '#,##0.00'
+};
+
+/**
+ * Build a worksheet name that Excel accepts (max 31 chars, no special characters)
+ * @param {string} title - Section title
+ * @param {Set} used - Names already used in the workbook
+ * @returns {string} - Worksheet name
+ */
+const sheetName = (title, used) => {
+  const base = title.replace(/[\\/?*[\]:]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let name = base;
+  let suffix = 2;
+
+  while (used.has(name.toLowerCase())) {
+    name = `${base.slice(0, 28)} ${suffix++}`;
+  }
+
+  used.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Excel renderer
+ * Writes a summary sheet with the KPIs and one sheet per section
+ */
+module.exports = {
+  format: 'excel',
+  extension: 'xlsx',
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+  /**
+   * Render a report dataset as an XLSX workbook
+   * @param {Object} dataset - Report dataset
+   * @returns {Promise<Buffer>} - XLSX file content
+   */
+  async render(dataset) {
+    const workbook = new ExcelJS.Workbook();
+    const usedNames = new Set();
+
+    workbook.creator = 'OMC Analytics Service';
+    workbook.created = new Date(dataset.generatedAt);
+
+    // Summary sheet
+    const summary = workbook.addWorksheet(sheetName('Summary', usedNames));
+    summary.columns = [
+      { header: 'Metric', key: 'label', width: 32 },
+      { header: 'Value', key: 'value', width: 18 }
+    ];
+    summary.getRow(1).font = { bold: true };
+
+    summary.addRow({ label: 'Report', value: dataset.report.name });
+    summary.addRow({ label: 'Period start', value: new Date(periodDate(dataset.period.start, dataset.period.timezone)) }).getCell('value').numFmt = numberFormats.date;
+    summary.addRow({ label: 'Period end', value: new Date(periodDate(dataset.period.end, dataset.period.timezone)) }).getCell('value').numFmt = numberFormats.date;
+
+    dataset.kpis.forEach(kpi => {
+      const row = summary.addRow({ label: columnHeader(kpi), value: kpi.value });
+      row.getCell('value').numFmt = numberFormats[kpi.unit] || numberFormats.number;
+    });
+
+    // One sheet per section
+    dataset.sections.forEach(section => {
+      const sheet = workbook.addWorksheet(sheetName(section.title, usedNames));
+
+      sheet.columns = section.columns.map(column => ({
+        header: columnHeader(column),
+        key: column.key,
+        width: Math.max(12, columnHeader(column).length + 2),
+        style: numberFormats[column.unit] ? { numFmt: numberFormats[column.unit] } : {}
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+      section.rows.forEach(row => {
+        sheet.addRow(section.columns.reduce((values, column) => {
+          const value = row[column.key];
+          values[column.key] = column.unit === 'date' && value ? new Date(value) : value;
+          return values;
+        }, {}));
+      });
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+};
@@ -0,0 +1,95 @@
+const moment = require('moment-timezone');
+
+/**
+ * Format a dataset value as text according to its column unit
+ * @param {any} value - Cell value
+ * @param {string} unit - Column unit (date, count, percent, ms, seconds, score, number)
+ * @returns {string} - Formatted value
+ */
+const formatValue = (value, unit) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  switch (unit) {
+    case 'date':
+      return moment.utc(value).format('YYYY-MM-DD');
+    case 'count':
+      return Math.round(value).toString();
+    case 'percent':
+      return `${Number(value).toFixed(1)}%`;
+    case 'ms':
+      return formatDuration(value);
+    case 'seconds':
+      return formatDuration(value * 1000);
+    case 'score':
+    case 'number':
+      return Number(value).toFixed(2);
+    default:
+      return value.toString();
+  }
+};
+
+/**
+ * Format a duration in milliseconds as a short human-readable string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration (e.g. '2h 15m')
+ */
+const formatDuration = (ms) => {
+  const duration = moment.duration(ms);
+
+  if (ms < 60 * 1000) return `${Math.round(duration.asSeconds())}s`;
+  if (ms < 60 * 60 * 1000) return `${Math.round(duration.asMinutes())}m`;
+  if (ms < 24 * 60 * 60 * 1000) return `${Math.floor(duration.asHours())}h ${duration.minutes()}m`;
+  return `${Math.floor(duration.asDays())}d ${duration.hours()}h`;
+};
+
+/**
+ * Column header including its unit where the raw value needs one
+ * @param {Object} column - Dataset column
+ * @returns {string} - Header label
+ */
+const columnHeader = (column) => {
+  const suffixes = { ms: ' (ms)', seconds: ' (s)', percent: ' (%)' };
+  return `${column.label}${suffixes[column.unit] || ''}`;
+};
+
+/**
+ * Raw value for machine-readable outputs (numbers rounded, dates as ISO dates)
+ * @param {any} value - Cell value
+ * @param {string} unit - Column unit
+ * @returns {any} - Raw value
+ */
+const rawValue = (value, unit) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (unit === 'date') {
+    return moment.utc(value).format('YYYY-MM-DD');
+  }
+
+  if (typeof value === 'number') {
+    return Math.round(value * 100) / 100;
+  }
+
+  return value;
+};
+
+/**
+ * Calendar date of a period boundary in the report timezone
+ * @param {Date} value - Period start or end
+ * @param {string} timezone - IANA timezone (defaults to UTC)
+ * @returns {string} - ISO date (YYYY-MM-DD)
+ */
+const periodDate = (value, timezone = 'UTC') => {
+  return moment.tz(value, timezone).format('YYYY-MM-DD');
+};
+
+module.exports = {
+  formatValue,
+  formatDuration,
+  columnHeader,
+  rawValue,
+  periodDate
+};
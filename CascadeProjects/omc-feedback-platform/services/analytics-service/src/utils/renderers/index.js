@@ -0,0 +1,60 @@
+const logger = require('../logger');
+
+// Registered renderers keyed by report format
+const renderers = new Map();
+
+/**
+ * Register a report renderer
+ * @param {Object} renderer - Renderer with format, extension, contentType and render(dataset)
+ */
+const register = (renderer) => {
+  if (!renderer.format || !renderer.extension || !renderer.contentType || typeof renderer.render !== 'function') {
+    throw new Error('Renderer must define format, extension, contentType and render()');
+  }
+
+  renderers.set(renderer.format, renderer);
+  logger.debug(`Registered report renderer: ${renderer.format}`);
+};
+
+/**
+ * Get the renderer for a report format
+ * @param {string} format - Report format
+ * @returns {Object} - Renderer
+ */
+const get = (format) => {
+  const renderer = renderers.get(format);
+
+  if (!renderer) {
+    throw new Error(`No renderer registered for format: ${format}`);
+  }
+
+  return renderer;
+};
+
+/**
+ * Get the renderer that produces files with an extension
+ * @param {string} extension - File extension without dot
+ * @returns {Object|null} - Renderer or null if none matches
+ */
+const getByExtension = (extension) => {
+  return [...renderers.values()].find(renderer => renderer.extension === extension) || null;
+};
+
+/**
+ * List registered formats
+ * @returns {Array<string>} - Report formats
+ */
+const formats = () => [...renderers.keys()];
+
+// Built-in renderers
+register(require('./csvRenderer'));
+register(require('./excelRenderer'));
+register(require('./jsonRenderer'));
+register(require('./pdfRenderer'));
+
+module.exports = {
+  register,
+  get,
+  getByExtension,
+  formats
+};
@@ -0,0 +1,46 @@
+const { rawValue } = require('./format');
+
+/**
+ * JSON renderer
+ * Produces a structured document with sections keyed by name
+ */
+module.exports = {
+  format: 'json',
+  extension: 'json',
+  contentType: 'application/json; charset=utf-8',
+
+  /**
+   * Render a report dataset as JSON
+   * @param {Object} dataset - Report dataset
+   * @returns {Promise<Buffer>} - JSON file content
+   */
+  async render(dataset) {
+    const document = {
+      report: dataset.report,
+      companyId: dataset.companyId,
+      generatedAt: dataset.generatedAt,
+      period: dataset.period,
+      kpis: dataset.kpis.reduce((kpis, kpi) => {
+        kpis[kpi.key] = {
+          label: kpi.label,
+          value: rawValue(kpi.value, kpi.unit),
+          unit: kpi.unit
+        };
+        return kpis;
+      }, {}),
+      sections: dataset.sections.reduce((sections, section) => {
+        sections[section.key] = {
+          title: section.title,
+          columns: section.columns,
+          rows: section.rows.map(row => section.columns.reduce((values, column) => {
+            values[column.key] = rawValue(row[column.key], column.unit);
+            return values;
+          }, {}))
+        };
+        return sections;
+      }, {})
+    };
+
+    return Buffer.from(JSON.stringify(document, null, 2), 'utf8');
+  }
+};
@@ -0,0 +1,214 @@
+const moment = require('moment');
+const { formatValue } = require('./format');
+
+// Series colours
+const palette = ['#1f6fb2', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#b07aa1'];
+
+// Space reserved around the plot area
+const padding = {
+  top: 34,
+  right: 10,
+  bottom: 28,
+  left: 54
+};
+
+/**
+ * Calculate a rounded axis maximum and tick step
+ * @param {number} maxValue - Largest value to plot
+ * @param {number} ticks - Desired number of ticks
+ * @returns {Object} - Axis max and step
+ */
+const niceScale = (maxValue, ticks = 5) => {
+  if (!(maxValue > 0)) {
+    return { max: ticks, step: 1 };
+  }
+
+  const rough = maxValue / ticks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const residual = rough / magnitude;
+  const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+  return {
+    max: step * Math.ceil(maxValue / step),
+    step
+  };
+};
+
+/**
+ * Format an x-axis label
+ * @param {any} label - Date or text label
+ * @returns {string} - Label text
+ */
+const labelText = (label) => {
+  if (label instanceof Date || (typeof label === 'string' && moment(label, moment.ISO_8601, true).isValid())) {
+    return moment.utc(label).format('D MMM');
+  }
+
+  const text = label === null || label === undefined ? '' : label.toString();
+  return text.length > 12 ? `${text.slice(0, 11)}…` : text;
+};
+
+/**
+ * Draw the chart title, legend, value axis and grid lines
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} chart - Chart definition
+ * @param {Object} box - Chart area ({ x, y, width, height })
+ * @returns {Object|null} - Plot area and scale, or null if there is nothing to plot
+ */
+const drawFrame = (doc, chart, box) => {
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222')
+    .text(chart.title, box.x, box.y, { width: box.width, lineBreak: false });
+
+  // Legend
+  let legendX = box.x;
+  doc.font('Helvetica').fontSize(8);
+
+  chart.series.forEach((series, index) => {
+    doc.rect(legendX, box.y + 18, 8, 8).fill(palette[index % palette.length]);
+    doc.fillColor('#444444').text(series.name, legendX + 11, box.y + 18, { lineBreak: false });
+    legendX += 11 + doc.widthOfString(series.name) + 14;
+  });
+
+  const plot = {
+    x: box.x + padding.left,
+    y: box.y + padding.top,
+    width: box.width - padding.left - padding.right,
+    height: box.height - padding.top - padding.bottom
+  };
+
+  if (chart.labels.length === 0) {
+    doc.fontSize(9).fillColor('#888888')
+      .text('No data for this period', plot.x, plot.y + plot.height / 2 - 5, { width: plot.width, align: 'center' });
+    return null;
+  }
+
+  const maxValue = Math.max(...chart.series.flatMap(series => series.values));
+  const scale = niceScale(maxValue);
+
+  // Grid lines and value axis labels
+  doc.lineWidth(0.5).fontSize(7);
+
+  for (let tick = 0; tick <= scale.max + scale.step / 2; tick += scale.step) {
+    const y = plot.y + plot.height - (tick / scale.max) * plot.height;
+
+    doc.moveTo(plot.x, y).lineTo(plot.x + plot.width, y).stroke(tick === 0 ? '#999999' : '#e3e3e3');
+    doc.fillColor('#666666')
+      .text(formatValue(tick, chart.unit), box.x, y - 3.5, { width: padding.left - 6, align: 'right', lineBreak: false });
+  }
+
+  return { plot, scale };
+};
+
+/**
+ * Draw x-axis labels, skipping labels so they do not overlap
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} labels - Labels
+ * @param {Function} xFor - Returns the x coordinate of a label index
+ * @param {Object} plot - Plot area
+ */
+const drawLabels = (doc, labels, xFor, plot) => {
+  const maxLabels = Math.max(1, Math.floor(plot.width / 48));
+  const every = Math.ceil(labels.length / maxLabels);
+
+  doc.fontSize(7).fillColor('#666666');
+
+  labels.forEach((label, index) => {
+    if (index % every !== 0) return;
+
+    doc.text(labelText(label), xFor(index) - 24, plot.y + plot.height + 5, {
+      width: 48,
+      align: 'center',
+      lineBreak: false
+    });
+  });
+};
+
+/**
+ * Draw a line chart
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} chart - Chart definition ({ title, unit, labels, series })
+ * @param {Object} box - Chart area ({ x, y, width, height })
+ */
+const drawLineChart = (doc, chart, box) => {
+  const frame = drawFrame(doc, chart, box);
+  if (!frame) return;
+
+  const { plot, scale } = frame;
+  const xFor = (index) => plot.x + (chart.labels.length > 1 ? (index / (chart.labels.length - 1)) * plot.width : plot.width / 2);
+  const yFor = (value) => plot.y + plot.height - ((value || 0) / scale.max) * plot.height;
+
+  chart.series.forEach((series, seriesIndex) => {
+    const color = palette[seriesIndex % palette.length];
+
+    doc.lineWidth(1.5);
+    series.values.forEach((value, index) => {
+      if (index === 0) {
+        doc.moveTo(xFor(index), yFor(value));
+      } else {
+        doc.lineTo(xFor(index), yFor(value));
+      }
+    });
+    doc.stroke(color);
+
+    // Markers for short series
+    if (series.values.length <= 31) {
+      series.values.forEach((value, index) => {
+        doc.circle(xFor(index), yFor(value), 1.8).fill(color);
+      });
+    }
+  });
+
+  drawLabels(doc, chart.labels, xFor, plot);
+};
+
+/**
+ * Draw a grouped bar chart
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} chart - Chart definition ({ title, unit, labels, series })
+ * @param {Object} box - Chart area ({ x, y, width, height })
+ */
+const drawBarChart = (doc, chart, box) => {
+  const frame = drawFrame(doc, chart, box);
+  if (!frame) return;
+
+  const { plot, scale } = frame;
+  const groupWidth = plot.width / chart.labels.length;
+  const barWidth = (groupWidth * 0.7) / chart.series.length;
+  const xFor = (index) => plot.x + groupWidth * index + groupWidth / 2;
+
+  chart.series.forEach((series, seriesIndex) => {
+    const color = palette[seriesIndex % palette.length];
+
+    series.values.forEach((value, index) => {
+      const height = ((value || 0) / scale.max) * plot.height;
+      const x = xFor(index) - (barWidth * chart.series.length) / 2 + barWidth * seriesIndex;
+
+      if (height > 0) {
+        doc.rect(x, plot.y + plot.height - height, barWidth, height).fill(color);
+      }
+    });
+  });
+
+  drawLabels(doc, chart.labels, xFor, plot);
+};
+
+/**
+ * Draw a chart of any supported type
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} chart - Chart definition
+ * @param {Object} box - Chart area ({ x, y, width, height })
+ */
+const drawChart = (doc, chart, box) => {
+  if (chart.type === 'bar') {
+    drawBarChart(doc, chart, box);
+  } else {
+    drawLineChart(doc, chart, box);
+  }
+};
+
+module.exports = {
+  niceScale,
+  drawLineChart,
+  drawBarChart,
+  drawChart
+};
@@ -0,0 +1,276 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment-timezone');
+const { formatValue } = require('./format');
+const { drawChart } = require('./pdfCharts');
+
+// Page layout
+const margin = 50;
+const tileGap = 10;
+const tilesPerRow = 3;
+const tileHeight = 58;
+const chartHeight = 220;
+const rowHeight = 16;
+
+// Human-readable time range presets
+const timeRangeLabels = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+  quarter: 'Quarterly',
+  year: 'Yearly',
+  custom: 'Custom range'
+};
+
+/**
+ * Width of the content area
+ * @param {PDFDocument} doc - PDF document
+ * @returns {number} - Content width in points
+ */
+const contentWidth = (doc) => doc.page.width - margin * 2;
+
+/**
+ * Start a new page if the remaining space is smaller than the given height
+ * @param {PDFDocument} doc - PDF document
+ * @param {number} height - Required height in points
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - margin) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Draw a section heading
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} title - Heading text
+ */
+const drawHeading = (doc, title) => {
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#1f3b57')
+    .text(title, margin, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw the title page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} dataset - Report dataset
+ */
+const drawTitlePage = (doc, dataset) => {
+  const width = contentWidth(doc);
+  const timezone = dataset.period.timezone || 'UTC';
+  const start = moment.tz(dataset.period.start, timezone);
+  // Period end is exclusive
+  const end = moment.tz(dataset.period.end, timezone).subtract(1, 'millisecond');
+
+  doc.rect(0, 0, doc.page.width, 12).fill('#1f3b57');
+
+  doc.font('Helvetica').fontSize(12).fillColor('#6b7c8f')
+    .text('OMC Feedback Platform · Analytics report', margin, 190, { width });
+
+  doc.font('Helvetica-Bold').fontSize(28).fillColor('#1f3b57')
+    .text(dataset.report.name, margin, doc.y + 10, { width });
+
+  if (dataset.report.description) {
+    doc.font('Helvetica').fontSize(13).fillColor('#444444')
+      .text(dataset.report.description, margin, doc.y + 10, { width });
+  }
+
+  doc.moveDown(2);
+
+  const details = [
+    ['Reporting period', `${start.format('D MMMM YYYY')} – ${end.format('D MMMM YYYY')}`],
+    ['Time range', timeRangeLabels[dataset.report.timeRange] || dataset.report.timeRange],
+    ['Granularity', dataset.period.granularity],
+    ['Company', dataset.companyName || dataset.companyId],
+    ['Timezone', timezone],
+    ['Generated', moment.tz(dataset.generatedAt, timezone).format('D MMMM YYYY, HH:mm z')]
+  ];
+
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#444444')
+      .text(label, margin, y, { width: 130 });
+    doc.font('Helvetica').fontSize(11).fillColor('#222222')
+      .text(value, margin + 140, y, { width: width - 140 });
+    doc.moveDown(0.4);
+  });
+};
+
+/**
+ * Draw the KPI tiles
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} kpis - Dataset KPIs
+ */
+const drawKpiTiles = (doc, kpis) => {
+  const tileWidth = (contentWidth(doc) - tileGap * (tilesPerRow - 1)) / tilesPerRow;
+
+  for (let index = 0; index < kpis.length; index += tilesPerRow) {
+    ensureSpace(doc, tileHeight + tileGap);
+    const y = doc.y;
+
+    kpis.slice(index, index + tilesPerRow).forEach((kpi, column) => {
+      const x = margin + column * (tileWidth + tileGap);
+
+      doc.roundedRect(x, y, tileWidth, tileHeight, 4).fill('#f1f5f9');
+      doc.font('Helvetica').fontSize(8).fillColor('#6b7c8f')
+        .text(kpi.label.toUpperCase(), x + 10, y + 10, { width: tileWidth - 20, lineBreak: false });
+      doc.font('Helvetica-Bold').fontSize(18).fillColor('#1f3b57')
+        .text(formatValue(kpi.value, kpi.unit), x + 10, y + 26, { width: tileWidth - 20, lineBreak: false });
+    });
+
+    doc.y = y + tileHeight + tileGap;
+  }
+};
+
+/**
+ * Draw a data table, repeating the header on page breaks
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} section - Dataset section
+ */
+const drawTable = (doc, section) => {
+  const width = contentWidth(doc);
+  const columnWidth = width / section.columns.length;
+
+  const drawHeader = () => {
+    const y = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('#444444');
+    section.columns.forEach((column, index) => {
+      doc.text(column.label, margin + index * columnWidth + 2, y, {
+        width: columnWidth - 4,
+        align: column.unit && column.unit !== 'date' ? 'right' : 'left',
+        lineBreak: false
+      });
+    });
+
+    doc.moveTo(margin, y + rowHeight - 4).lineTo(margin + width, y + rowHeight - 4).lineWidth(0.5).stroke('#999999');
+    doc.y = y + rowHeight;
+  };
+
+  drawHeading(doc, section.title);
+
+  if (section.rows.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor('#888888').text('No data for this period', margin, doc.y);
+    doc.moveDown();
+    return;
+  }
+
+  ensureSpace(doc, rowHeight * 2);
+  drawHeader();
+
+  section.rows.forEach((row, rowIndex) => {
+    if (doc.y + rowHeight > doc.page.height - margin) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    const y = doc.y;
+
+    if (rowIndex % 2 === 1) {
+      doc.rect(margin, y - 3, width, rowHeight).fill('#f7f9fb');
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#222222');
+    section.columns.forEach((column, index) => {
+      doc.text(formatValue(row[column.key], column.unit), margin + index * columnWidth + 2, y, {
+        width: columnWidth - 4,
+        align: column.unit && column.unit !== 'date' ? 'right' : 'left',
+        lineBreak: false
+      });
+    });
+
+    doc.y = y + rowHeight;
+  });
+
+  doc.moveDown();
+};
+
+/**
+ * Number every page in the footer
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} dataset - Report dataset
+ */
+const drawFooters = (doc, dataset) => {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Writing below the bottom margin would otherwise add a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.font('Helvetica').fontSize(8).fillColor('#999999')
+      .text(dataset.report.name, margin, doc.page.height - 30, { width: contentWidth(doc) / 2, lineBreak: false })
+      .text(`Page ${index + 1} of ${range.count}`, margin + contentWidth(doc) / 2, doc.page.height - 30, {
+        width: contentWidth(doc) / 2,
+        align: 'right',
+        lineBreak: false
+      });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * PDF renderer
+ * Lays out a title page, KPI tiles, charts and data tables without external services
+ */
+module.exports = {
+  format: 'pdf',
+  extension: 'pdf',
+  contentType: 'application/pdf',
+
+  /**
+   * Render a report dataset as a PDF document
+   * @param {Object} dataset - Report dataset
+   * @returns {Promise<Buffer>} - PDF file content
+   */
+  render(dataset) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin,
+        bufferPages: true,
+        info: {
+          Title: dataset.report.name,
+          Author: 'OMC Analytics Service',
+          CreationDate: new Date(dataset.generatedAt)
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        drawTitlePage(doc, dataset);
+
+        // Key figures
+        doc.addPage();
+        drawHeading(doc, 'Key figures');
+        drawKpiTiles(doc, dataset.kpis);
+
+        // Charts
+        (dataset.charts || []).forEach(chart => {
+          ensureSpace(doc, chartHeight + 20);
+          const y = doc.y + 10;
+
+          drawChart(doc, chart, { x: margin, y, width: contentWidth(doc), height: chartHeight });
+          doc.y = y + chartHeight + 10;
+        });
+
+        // Data tables
+        dataset.sections.forEach(section => drawTable(doc, section));
+
+        drawFooters(doc, dataset);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+};
@@ -0,0 +1,159 @@
+const moment = require('moment-timezone');
+const logger = require('./logger');
+const mailer = require('./mailer');
+const reportStorage = require('./reportStorage');
+const { formatValue } = require('./renderers/format');
+
+// Templates used when a report has no subject or body of its own
+const defaultSubject = '{{reportName}}: {{period}}';
+const defaultBody = [
+  'Hello {{recipientName}},',
+  '',
+  'Please find attached the {{reportName}} report for {{company}} covering {{period}}.',
+  '',
+  'Key figures:',
+  '{{kpis}}',
+  '',
+  'Generated {{generatedAt}} by the OMC Analytics Service.'
+].join('\n');
+
+/**
+ * Build the variables available to email templates
+ * @param {Object} dataset - Report dataset
+ * @param {Object} entry - History entry of the generated report
+ * @returns {Object} - Template variables
+ */
+const buildVariables = (dataset, entry) => {
+  const timezone = dataset.period.timezone || 'UTC';
+  const start = moment.tz(dataset.period.start, timezone);
+  // Period end is exclusive
+  const end = moment.tz(dataset.period.end, timezone).subtract(1, 'millisecond');
+
+  const variables = {
+    reportName: dataset.report.name,
+    reportDescription: dataset.report.description || '',
+    reportType: dataset.report.type,
+    format: entry.format,
+    company: dataset.companyName || dataset.companyId,
+    companyId: dataset.companyId,
+    periodStart: start.format('D MMM YYYY'),
+    periodEnd: end.format('D MMM YYYY'),
+    period: `${start.format('D MMM YYYY')} – ${end.format('D MMM YYYY')}`,
+    generatedAt: moment.tz(dataset.generatedAt, timezone).format('D MMM YYYY, HH:mm z'),
+    kpis: dataset.kpis.map(kpi => `- ${kpi.label}: ${formatValue(kpi.value, kpi.unit)}`).join('\n')
+  };
+
+  // Individual KPIs as {{kpi.<key>}}
+  dataset.kpis.forEach(kpi => {
+    variables[`kpi.${kpi.key}`] = formatValue(kpi.value, kpi.unit);
+  });
+
+  return variables;
+};
+
+/**
+ * Render a template, replacing {{variable}} placeholders
+ * Unknown variables render as an empty string
+ * @param {string} template - Template text
+ * @param {Object} variables - Template variables
+ * @returns {string} - Rendered text
+ */
+const renderTemplate = (template, variables) => {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === null || value === undefined ? '' : value.toString();
+  });
+};
+
+/**
+ * Email a generated report to each of its recipients
+ * Every recipient gets a separate message so one failing address does not affect the others
+ * @param {Object} report - Report document
+ * @param {Object} entry - History entry of the generated report
+ * @param {Object} file - Rendered file ({ dataset, content, renderer })
+ * @returns {Promise<Object>} - Delivery fields for the history entry
+ */
+const deliver = async (report, entry, { dataset, content, renderer }) => {
+  const recipients = (report.delivery?.recipients || []).filter(recipient => recipient.email);
+
+  if (recipients.length === 0) {
+    logger.warn(`Report ${report.name} has no email recipients`, {
+      reportId: report._id.toString(),
+      historyId: entry.reportId
+    });
+
+    return {
+      deliveryStatus: 'failed',
+      deliveries: []
+    };
+  }
+
+  const variables = buildVariables(dataset, entry);
+  const attachment = {
+    filename: reportStorage.downloadName(report.name, entry.reportId, renderer.extension),
+    content,
+    contentType: renderer.contentType
+  };
+
+  const deliveries = [];
+
+  for (const recipient of recipients) {
+    const recipientVariables = {
+      ...variables,
+      recipientName: recipient.name || recipient.email,
+      recipientEmail: recipient.email
+    };
+
+    try {
+      const info = await mailer.send({
+        to: recipient.name ? { name: recipient.name, address: recipient.email } : recipient.email,
+        subject: renderTemplate(report.delivery.emailSubject || defaultSubject, recipientVariables),
+        text: renderTemplate(report.delivery.emailBody || defaultBody, recipientVariables),
+        attachments: [attachment]
+      });
+
+      deliveries.push({
+        email: recipient.email,
+        status: 'sent',
+        messageId: info.messageId,
+        deliveredAt: new Date()
+      });
+    } catch (error) {
+      logger.error(`Error emailing report ${report.name} to ${recipient.email}: ${error.message}`, {
+        error: error.message,
+        reportId: report._id.toString(),
+        historyId: entry.reportId
+      });
+
+      deliveries.push({
+        email: recipient.email,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  const sent = deliveries.filter(delivery => delivery.status === 'sent');
+  const result = {
+    deliveryStatus: sent.length === deliveries.length ? 'sent' : sent.length > 0 ? 'partial' : 'failed',
+    deliveries
+  };
+
+  if (sent.length > 0) {
+    result.deliveredAt = sent[sent.length - 1].deliveredAt;
+  }
+
+  logger.info(`Emailed report ${report.name} to ${sent.length} of ${deliveries.length} recipients`, {
+    reportId: report._id.toString(),
+    historyId: entry.reportId,
+    deliveryStatus: result.deliveryStatus
+  });
+
+  return result;
+};
+
+module.exports = {
+  buildVariables,
+  renderTemplate,
+  deliver
+};
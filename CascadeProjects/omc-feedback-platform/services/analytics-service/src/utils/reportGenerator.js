@@ -0,0 +1,998 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const logger = require('./logger');
+const reportStorage = require('./reportStorage');
+const reportDelivery = require('./reportDelivery');
+const reportSchedule = require('./reportSchedule');
+const renderers = require('./renderers');
+const metricDefinitions = require('./metricDefinitions');
+const DataAggregator = require('./dataAggregator');
+const AnalyticsEvent = require('../models/analyticsEvent');
+const FeedbackMetrics = require('../models/feedbackMetrics');
+const UserMetrics = require('../models/userMetrics');
+const Report = require('../models/report');
+
+/**
+ * Read a nested value using a dot-separated path
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot-separated path (e.g. 'counts.total')
+ * @returns {any} - Value or undefined
+ */
+const getPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+/**
+ * Sum a numeric field over a metrics series
+ * @param {Array} series - Metrics documents
+ * @param {string} path - Field path
+ * @returns {number} - Sum
+ */
+const sumField = (series, path) => {
+  return series.reduce((sum, doc) => sum + (getPath(doc, path) || 0), 0);
+};
+
+/**
+ * Average a numeric field over the periods that have a value
+ * @param {Array} series - Metrics documents
+ * @param {string} path - Field path
+ * @returns {number} - Average
+ */
+const averageField = (series, path) => {
+  const values = series.map(doc => getPath(doc, path)).filter(value => value > 0);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+};
+
+/**
+ * Calculate percentage of a part
+ * @param {number} part - Part value
+ * @param {number} total - Total value
+ * @returns {number} - Percentage
+ */
+const percentage = (part, total) => (total > 0 ? (part / total) * 100 : 0);
+
+/**
+ * Turn a { key: count } map into rows sorted by count
+ * @param {Object} counts - Count map
+ * @param {string} keyName - Row property for the key
+ * @returns {Array} - Rows with count and percentage
+ */
+const countRows = (counts, keyName) => {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return Object.entries(counts)
+    .map(([key, count]) => ({
+      [keyName]: key,
+      count,
+      percentage: percentage(count, total)
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Sum map-like fields (e.g. byCategory) over a metrics series
+ * @param {Array} series - Metrics documents
+ * @param {string} path - Field path
+ * @returns {Object} - Summed counts
+ */
+const sumMap = (series, path) => {
+  const totals = {};
+
+  series.forEach(doc => {
+    Object.entries(getPath(doc, path) || {}).forEach(([key, count]) => {
+      totals[key] = (totals[key] || 0) + (count || 0);
+    });
+  });
+
+  return totals;
+};
+
+/**
+ * Build a line chart definition from a metrics series
+ * @param {string} key - Chart key
+ * @param {string} title - Chart title
+ * @param {string} unit - Value unit
+ * @param {Array} series - Metrics documents
+ * @param {Array} lines - Lines to plot ({ name, path })
+ * @returns {Object} - Chart definition
+ */
+const lineChart = (key, title, unit, series, lines) => ({
+  key,
+  title,
+  type: 'line',
+  unit,
+  labels: series.map(doc => doc.date),
+  series: lines.map(({ name, path }) => ({
+    name,
+    values: series.map(doc => getPath(doc, path) || 0)
+  }))
+});
+
+/**
+ * Build a bar chart definition from section rows
+ * @param {string} key - Chart key
+ * @param {string} title - Chart title
+ * @param {string} unit - Value unit
+ * @param {Array} rows - Section rows
+ * @param {string} labelKey - Row property used as bar label
+ * @param {Array} bars - Bars per label ({ name, key })
+ * @returns {Object} - Chart definition
+ */
+const barChart = (key, title, unit, rows, labelKey, bars) => ({
+  key,
+  title,
+  type: 'bar',
+  unit,
+  labels: rows.map(row => row[labelKey]),
+  series: bars.map(({ name, key: valueKey }) => ({
+    name,
+    values: rows.map(row => row[valueKey] || 0)
+  }))
+});
+
+/**
+ * Satisfaction score distribution rows over a metrics series
+ * @param {Array} series - Feedback metrics documents
+ * @returns {Array} - Rows with score, count and percentage
+ */
+const satisfactionRows = (series) => {
+  const distribution = sumMap(series, 'satisfaction.distribution');
+  const responses = sumField(series, 'satisfaction.count');
+
+  return [1, 2, 3, 4, 5].map(score => ({
+    score: score.toString(),
+    count: distribution[score] || 0,
+    percentage: percentage(distribution[score] || 0, responses)
+  }));
+};
+
+// Moment units matching each metrics period type
+const periodUnits = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter'
+};
+
+/**
+ * Section builders for each report type
+ * Each builder receives the generation context and returns kpis, sections and charts
+ */
+const builders = {
+  async feedback_summary(context) {
+    const series = await context.getFeedbackSeries();
+    const total = sumField(series, 'counts.total');
+    const resolved = sumField(series, 'counts.resolved');
+    const priorities = countRows(sumMap(series, 'byPriority'), 'priority');
+
+    return {
+      kpis: [
+        { key: 'total', label: 'Total feedback', value: total, unit: 'count' },
+        { key: 'resolved', label: 'Resolved', value: resolved, unit: 'count' },
+        { key: 'closed', label: 'Closed', value: sumField(series, 'counts.closed'), unit: 'count' },
+        { key: 'resolutionRate', label: 'Resolution rate', value: percentage(resolved, total), unit: 'percent' },
+        { key: 'avgResponseTime', label: 'Average response time', value: averageField(series, 'responseTimes.average'), unit: 'ms' },
+        { key: 'medianResponseTime', label: 'Median response time', value: averageField(series, 'responseTimes.median'), unit: 'ms' },
+        { key: 'p95ResponseTime', label: '95th pct response time', value: averageField(series, 'responseTimes.percentile95'), unit: 'ms' },
+        { key: 'avgResolutionTime', label: 'Average resolution time', value: averageField(series, 'resolutionTimes.average'), unit: 'ms' },
+        { key: 'medianResolutionTime', label: 'Median resolution time', value: averageField(series, 'resolutionTimes.median'), unit: 'ms' },
+        { key: 'p95ResolutionTime', label: '95th pct resolution time', value: averageField(series, 'resolutionTimes.percentile95'), unit: 'ms' },
+        { key: 'avgSatisfaction', label: 'Average satisfaction', value: context.weightedSatisfaction(series), unit: 'score' }
+      ],
+      sections: [
+        {
+          key: 'volume',
+          title: `Feedback volume by ${context.granularityLabel}`,
+          columns: [
+            { key: 'date', label: 'Period', unit: 'date' },
+            { key: 'total', label: 'Total', unit: 'count' },
+            { key: 'new', label: 'New', unit: 'count' },
+            { key: 'inProgress', label: 'In progress', unit: 'count' },
+            { key: 'resolved', label: 'Resolved', unit: 'count' },
+            { key: 'closed', label: 'Closed', unit: 'count' }
+          ],
+          rows: series.map(doc => ({ date: doc.date, ...doc.counts }))
+        },
+        {
+          key: 'priority',
+          title: 'Feedback by priority',
+          columns: [
+            { key: 'priority', label: 'Priority' },
+            { key: 'count', label: 'Count', unit: 'count' },
+            { key: 'percentage', label: 'Share', unit: 'percent' }
+          ],
+          rows: priorities
+        },
+        {
+          key: 'category',
+          title: 'Feedback by category',
+          columns: [
+            { key: 'category', label: 'Category' },
+            { key: 'count', label: 'Count', unit: 'count' },
+            { key: 'percentage', label: 'Share', unit: 'percent' }
+          ],
+          rows: countRows(sumMap(series, 'byCategory'), 'category')
+        }
+      ],
+      charts: [
+        lineChart('volume', 'Feedback volume', 'count', series, [
+          { name: 'Created', path: 'counts.total' },
+          { name: 'Resolved', path: 'counts.resolved' }
+        ]),
+        lineChart('response_times', 'Response time percentiles', 'ms', series, [
+          { name: 'Median', path: 'responseTimes.median' },
+          { name: '95th percentile', path: 'responseTimes.percentile95' }
+        ]),
+        barChart('priority', 'Feedback by priority', 'count', priorities, 'priority', [
+          { name: 'Feedback', key: 'count' }
+        ]),
+        barChart('satisfaction_distribution', 'Satisfaction distribution', 'count', satisfactionRows(series), 'score', [
+          { name: 'Ratings', key: 'count' }
+        ])
+      ]
+    };
+  },
+
+  async agent_performance(context) {
+    const agents = await AnalyticsEvent.aggregate([
+      { $match: context.eventMatch(['feedback.responded', 'feedback.resolved', 'feedback.satisfaction']) },
+      {
+        $project: {
+          eventType: 1,
+          agentId: { $ifNull: ['$eventData.assigneeId', '$userId'] },
+          elapsed: {
+            $cond: [
+              { $eq: [{ $type: '$eventData.createdAt' }, 'date'] },
+              { $subtract: ['$timestamp', '$eventData.createdAt'] },
+              null
+            ]
+          },
+          score: '$eventData.score'
+        }
+      },
+      {
+        $group: {
+          _id: '$agentId',
+          responses: { $sum: { $cond: [{ $eq: ['$eventType', 'feedback.responded'] }, 1, 0] } },
+          resolved: { $sum: { $cond: [{ $eq: ['$eventType', 'feedback.resolved'] }, 1, 0] } },
+          avgResponseTime: { $avg: { $cond: [{ $eq: ['$eventType', 'feedback.responded'] }, '$elapsed', null] } },
+          avgResolutionTime: { $avg: { $cond: [{ $eq: ['$eventType', 'feedback.resolved'] }, '$elapsed', null] } },
+          avgSatisfaction: { $avg: { $cond: [{ $eq: ['$eventType', 'feedback.satisfaction'] }, '$score', null] } }
+        }
+      },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { resolved: -1, responses: -1 } }
+    ]);
+
+    const totalResolved = agents.reduce((sum, agent) => sum + agent.resolved, 0);
+    const rows = agents.map(agent => ({
+      agentId: agent._id.toString(),
+      responses: agent.responses,
+      resolved: agent.resolved,
+      avgResponseTime: agent.avgResponseTime || 0,
+      avgResolutionTime: agent.avgResolutionTime || 0,
+      avgSatisfaction: agent.avgSatisfaction || 0
+    }));
+
+    return {
+      kpis: [
+        { key: 'agents', label: 'Active agents', value: agents.length, unit: 'count' },
+        { key: 'resolved', label: 'Resolved', value: totalResolved, unit: 'count' },
+        { key: 'avgResolvedPerAgent', label: 'Resolved per agent', value: agents.length > 0 ? totalResolved / agents.length : 0, unit: 'number' }
+      ],
+      sections: [
+        {
+          key: 'agents',
+          title: 'Agent performance',
+          columns: [
+            { key: 'agentId', label: 'Agent' },
+            { key: 'responses', label: 'Responses', unit: 'count' },
+            { key: 'resolved', label: 'Resolved', unit: 'count' },
+            { key: 'avgResponseTime', label: 'Avg response time', unit: 'ms' },
+            { key: 'avgResolutionTime', label: 'Avg resolution time', unit: 'ms' },
+            { key: 'avgSatisfaction', label: 'Avg satisfaction', unit: 'score' }
+          ],
+          rows
+        }
+      ],
+      charts: [
+        barChart('agents', 'Resolved feedback by agent (top 10)', 'count', rows.slice(0, 10), 'agentId', [
+          { name: 'Responses', key: 'responses' },
+          { name: 'Resolved', key: 'resolved' }
+        ])
+      ]
+    };
+  },
+
+  async customer_satisfaction(context) {
+    const series = await context.getFeedbackSeries();
+    const distributionRows = satisfactionRows(series);
+    const responses = sumField(series, 'satisfaction.count');
+    const promoters = distributionRows
+      .filter(row => row.score === '4' || row.score === '5')
+      .reduce((sum, row) => sum + row.count, 0);
+
+    return {
+      kpis: [
+        { key: 'avgSatisfaction', label: 'Average satisfaction', value: context.weightedSatisfaction(series), unit: 'score' },
+        { key: 'responses', label: 'Ratings received', value: responses, unit: 'count' },
+        { key: 'promoters', label: 'Rated 4 or 5', value: percentage(promoters, responses), unit: 'percent' }
+      ],
+      sections: [
+        {
+          key: 'satisfaction_trend',
+          title: `Satisfaction by ${context.granularityLabel}`,
+          columns: [
+            { key: 'date', label: 'Period', unit: 'date' },
+            { key: 'average', label: 'Average', unit: 'score' },
+            { key: 'count', label: 'Ratings', unit: 'count' }
+          ],
+          rows: series.map(doc => ({
+            date: doc.date,
+            average: doc.satisfaction?.average || 0,
+            count: doc.satisfaction?.count || 0
+          }))
+        },
+        {
+          key: 'distribution',
+          title: 'Score distribution',
+          columns: [
+            { key: 'score', label: 'Score' },
+            { key: 'count', label: 'Count', unit: 'count' },
+            { key: 'percentage', label: 'Share', unit: 'percent' }
+          ],
+          rows: distributionRows
+        }
+      ],
+      charts: [
+        lineChart('satisfaction_trend', 'Average satisfaction', 'score', series, [
+          { name: 'Average', path: 'satisfaction.average' }
+        ]),
+        barChart('distribution', 'Satisfaction distribution', 'count', distributionRows, 'score', [
+          { name: 'Ratings', key: 'count' }
+        ])
+      ]
+    };
+  },
+
+  async response_times(context) {
+    const series = await context.getFeedbackSeries();
+    const timeColumns = [
+      { key: 'date', label: 'Period', unit: 'date' },
+      { key: 'average', label: 'Average', unit: 'ms' },
+      { key: 'median', label: 'Median', unit: 'ms' },
+      { key: 'percentile95', label: '95th percentile', unit: 'ms' },
+      { key: 'min', label: 'Min', unit: 'ms' },
+      { key: 'max', label: 'Max', unit: 'ms' }
+    ];
+
+    return {
+      kpis: [
+        { key: 'avgResponseTime', label: 'Average response time', value: averageField(series, 'responseTimes.average'), unit: 'ms' },
+        { key: 'medianResponseTime', label: 'Median response time', value: averageField(series, 'responseTimes.median'), unit: 'ms' },
+        { key: 'avgResolutionTime', label: 'Average resolution time', value: averageField(series, 'resolutionTimes.average'), unit: 'ms' },
+        { key: 'medianResolutionTime', label: 'Median resolution time', value: averageField(series, 'resolutionTimes.median'), unit: 'ms' }
+      ],
+      sections: [
+        {
+          key: 'response_times',
+          title: `Response times by ${context.granularityLabel}`,
+          columns: timeColumns,
+          rows: series.map(doc => ({ date: doc.date, ...doc.responseTimes }))
+        },
+        {
+          key: 'resolution_times',
+          title: `Resolution times by ${context.granularityLabel}`,
+          columns: timeColumns,
+          rows: series.map(doc => ({ date: doc.date, ...doc.resolutionTimes }))
+        }
+      ],
+      charts: [
+        lineChart('response_times', 'Response time percentiles', 'ms', series, [
+          { name: 'Median', path: 'responseTimes.median' },
+          { name: '95th percentile', path: 'responseTimes.percentile95' }
+        ]),
+        lineChart('resolution_times', 'Resolution time percentiles', 'ms', series, [
+          { name: 'Median', path: 'resolutionTimes.median' },
+          { name: '95th percentile', path: 'resolutionTimes.percentile95' }
+        ])
+      ]
+    };
+  },
+
+  async category_analysis(context) {
+    const series = await context.getFeedbackSeries();
+    const byCategoryPriority = await AnalyticsEvent.aggregate([
+      { $match: context.eventMatch(['feedback.created']) },
+      {
+        $group: {
+          _id: {
+            category: '$eventData.categoryId',
+            priority: '$eventData.priority'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    const categories = countRows(sumMap(series, 'byCategory'), 'category');
+
+    return {
+      kpis: [
+        { key: 'categories', label: 'Categories used', value: categories.length, unit: 'count' },
+        { key: 'topCategoryShare', label: 'Top category share', value: categories[0]?.percentage || 0, unit: 'percent' }
+      ],
+      sections: [
+        {
+          key: 'category',
+          title: 'Feedback by category',
+          columns: [
+            { key: 'category', label: 'Category' },
+            { key: 'count', label: 'Count', unit: 'count' },
+            { key: 'percentage', label: 'Share', unit: 'percent' }
+          ],
+          rows: categories
+        },
+        {
+          key: 'category_priority',
+          title: 'Category by priority',
+          columns: [
+            { key: 'category', label: 'Category' },
+            { key: 'priority', label: 'Priority' },
+            { key: 'count', label: 'Count', unit: 'count' }
+          ],
+          rows: byCategoryPriority.map(item => ({
+            category: item._id.category ? item._id.category.toString() : 'uncategorized',
+            priority: item._id.priority || 'unknown',
+            count: item.count
+          }))
+        }
+      ],
+      charts: [
+        barChart('category', 'Feedback by category (top 10)', 'count', categories.slice(0, 10), 'category', [
+          { name: 'Feedback', key: 'count' }
+        ])
+      ]
+    };
+  },
+
+  async trend_analysis(context) {
+    const series = await context.getFeedbackSeries();
+
+    const rows = series.map((doc, index) => {
+      const total = doc.counts?.total || 0;
+      const previous = index > 0 ? series[index - 1].counts?.total || 0 : null;
+
+      return {
+        date: doc.date,
+        total,
+        change: previous === null ? null : total - previous,
+        percentChange: previous ? ((total - previous) / previous) * 100 : null,
+        resolved: doc.counts?.resolved || 0,
+        satisfaction: doc.satisfaction?.average || 0
+      };
+    });
+
+    const first = rows[0]?.total || 0;
+    const last = rows[rows.length - 1]?.total || 0;
+
+    return {
+      kpis: [
+        { key: 'total', label: 'Total feedback', value: sumField(series, 'counts.total'), unit: 'count' },
+        { key: 'periodChange', label: 'Change over range', value: first ? ((last - first) / first) * 100 : 0, unit: 'percent' }
+      ],
+      sections: [
+        {
+          key: 'trend',
+          title: `Feedback trend by ${context.granularityLabel}`,
+          columns: [
+            { key: 'date', label: 'Period', unit: 'date' },
+            { key: 'total', label: 'Total', unit: 'count' },
+            { key: 'change', label: 'Change', unit: 'count' },
+            { key: 'percentChange', label: 'Change %', unit: 'percent' },
+            { key: 'resolved', label: 'Resolved', unit: 'count' },
+            { key: 'satisfaction', label: 'Satisfaction', unit: 'score' }
+          ],
+          rows
+        }
+      ],
+      charts: [
+        lineChart('trend', 'Feedback trend', 'count', series, [
+          { name: 'Created', path: 'counts.total' },
+          { name: 'Resolved', path: 'counts.resolved' }
+        ])
+      ]
+    };
+  },
+
+  async user_activity(context) {
+    const series = await context.getUserSeries();
+
+    return {
+      kpis: [
+        { key: 'newUsers', label: 'New users', value: sumField(series, 'counts.new'), unit: 'count' },
+        { key: 'logins', label: 'Logins', value: sumField(series, 'activity.totalLogins'), unit: 'count' },
+        { key: 'avgSessionDuration', label: 'Average session', value: averageField(series, 'activity.averageSessionDuration'), unit: 'seconds' }
+      ],
+      sections: [
+        {
+          key: 'users',
+          title: `User activity by ${context.granularityLabel}`,
+          columns: [
+            { key: 'date', label: 'Period', unit: 'date' },
+            { key: 'active', label: 'Active', unit: 'count' },
+            { key: 'new', label: 'New', unit: 'count' },
+            { key: 'logins', label: 'Logins', unit: 'count' },
+            { key: 'averageSessionDuration', label: 'Avg session', unit: 'seconds' }
+          ],
+          rows: series.map(doc => ({
+            date: doc.date,
+            active: doc.counts?.active || 0,
+            new: doc.counts?.new || 0,
+            logins: doc.activity?.totalLogins || 0,
+            averageSessionDuration: doc.activity?.averageSessionDuration || 0
+          }))
+        },
+        {
+          key: 'roles',
+          title: 'New users by role',
+          columns: [
+            { key: 'role', label: 'Role' },
+            { key: 'count', label: 'Count', unit: 'count' },
+            { key: 'percentage', label: 'Share', unit: 'percent' }
+          ],
+          rows: countRows(sumMap(series, 'byRole'), 'role')
+        }
+      ],
+      charts: [
+        lineChart('users', 'User activity', 'count', series, [
+          { name: 'Active', path: 'counts.active' },
+          { name: 'New', path: 'counts.new' },
+          { name: 'Logins', path: 'activity.totalLogins' }
+        ])
+      ]
+    };
+  },
+
+  async notification_effectiveness(context) {
+    const series = await context.getUserSeries();
+    const sent = sumField(series, 'notifications.sent');
+    const read = sumField(series, 'notifications.read');
+    const channelRows = ['email', 'sms', 'push', 'inApp'].map(channel => ({
+      channel,
+      sent: sumField(series, `notifications.byChannel.${channel}.sent`),
+      delivered: sumField(series, `notifications.byChannel.${channel}.delivered`),
+      opened: sumField(series, `notifications.byChannel.${channel}.${channel === 'inApp' ? 'read' : 'opened'}`)
+    }));
+
+    return {
+      kpis: [
+        { key: 'sent', label: 'Notifications sent', value: sent, unit: 'count' },
+        { key: 'read', label: 'Notifications read', value: read, unit: 'count' },
+        { key: 'readRate', label: 'Read rate', value: percentage(read, sent), unit: 'percent' }
+      ],
+      sections: [
+        {
+          key: 'notifications',
+          title: `Notifications by ${context.granularityLabel}`,
+          columns: [
+            { key: 'date', label: 'Period', unit: 'date' },
+            { key: 'sent', label: 'Sent', unit: 'count' },
+            { key: 'read', label: 'Read', unit: 'count' },
+            { key: 'readRate', label: 'Read rate', unit: 'percent' }
+          ],
+          rows: series.map(doc => ({
+            date: doc.date,
+            sent: doc.notifications?.sent || 0,
+            read: doc.notifications?.read || 0,
+            readRate: doc.notifications?.readRate || 0
+          }))
+        },
+        {
+          key: 'channels',
+          title: 'Notifications by channel',
+          columns: [
+            { key: 'channel', label: 'Channel' },
+            { key: 'sent', label: 'Sent', unit: 'count' },
+            { key: 'delivered', label: 'Delivered', unit: 'count' },
+            { key: 'opened', label: 'Opened / read', unit: 'count' }
+          ],
+          rows: channelRows
+        }
+      ],
+      charts: [
+        barChart('channels', 'Notifications by channel', 'count', channelRows, 'channel', [
+          { name: 'Sent', key: 'sent' },
+          { name: 'Delivered', key: 'delivered' },
+          { name: 'Opened / read', key: 'opened' }
+        ])
+      ]
+    };
+  },
+
+  async custom(context) {
+    // Custom reports list metric field paths, e.g. { source: 'feedback', metrics: ['counts.total'] },
+    // and/or metric definitions of the report's company by key or ID, optionally pinned to a version,
+    // e.g. { metricDefinitions: ['first_response_sla', { metric: 'csat_by_channel', version: 2 }] }
+    const { source = 'feedback', metrics = [], metricDefinitions: definitions = [] } = context.report.config || {};
+
+    if (!Array.isArray(metrics) || !Array.isArray(definitions) || metrics.length + definitions.length === 0) {
+      throw new Error('Custom reports require config.metrics or config.metricDefinitions to list at least one metric');
+    }
+
+    const result = { kpis: [], sections: [], charts: [] };
+
+    if (metrics.length > 0) {
+      const series = source === 'user'
+        ? await context.getUserSeries()
+        : await context.getFeedbackSeries();
+
+      result.kpis.push(...metrics.map(metric => ({
+        key: metric,
+        label: metric,
+        value: sumField(series, metric),
+        unit: 'number'
+      })));
+
+      result.sections.push({
+        key: 'custom',
+        title: context.report.name,
+        columns: [
+          { key: 'date', label: 'Period', unit: 'date' },
+          ...metrics.map(metric => ({ key: metric, label: metric, unit: 'number' }))
+        ],
+        rows: series.map(doc => metrics.reduce((row, metric) => {
+          row[metric] = getPath(doc, metric) || 0;
+          return row;
+        }, { date: doc.date }))
+      });
+
+      result.charts.push(
+        lineChart('custom', context.report.name, 'number', series, metrics.map(metric => ({ name: metric, path: metric })))
+      );
+    }
+
+    for (const entry of definitions) {
+      const { metric, version } = typeof entry === 'string' ? { metric: entry } : entry || {};
+      const definition = metric ? await metricDefinitions.findViewableDefinition(context.report, metric) : null;
+
+      if (!definition) {
+        throw new Error(`Unknown metric definition: ${metric}`);
+      }
+
+      const { key, name, unit, columns, rows } = await metricDefinitions.run(definition, {
+        from: context.period.start,
+        to: context.period.end,
+        version,
+        period: context.granularity
+      });
+      const content = metricDefinitions.atVersion(definition, version);
+
+      // Queries without dimensions yield a single row of totals, reported as KPIs
+      if (content.kind === 'query' && !content.query.dimensions?.length && rows.length === 1) {
+        result.kpis.push(...columns.map(column => ({
+          key: `${key}.${column}`,
+          label: columns.length > 1 ? `${name} (${column})` : name,
+          value: rows[0][column],
+          unit: unit || 'number'
+        })));
+      }
+
+      result.sections.push({
+        key: `metric.${key}`,
+        title: name,
+        columns: columns.map(column => (
+          column === 'date' && content.kind === 'formula'
+            ? { key: column, label: 'Period', unit: 'date' }
+            : { key: column, label: column }
+        )),
+        rows
+      });
+    }
+
+    return result;
+  }
+};
+
+/**
+ * Report generation engine
+ * Builds report datasets from aggregated metrics and raw events and stores the output
+ */
+class ReportGenerator {
+  /**
+   * Resolve the time period covered by a report
+   * @param {Object} report - Report document
+   * @param {Date} referenceDate - End of the period (defaults to now)
+   * @returns {Object} - Period start and end dates
+   */
+  static resolvePeriod(report, referenceDate = new Date()) {
+    const { preset = 'month', custom } = report.timeRange || {};
+
+    if (preset === 'custom') {
+      if (!custom?.start || !custom?.end) {
+        throw new Error('Custom time range requires start and end dates');
+      }
+
+      return {
+        start: new Date(custom.start),
+        end: new Date(custom.end)
+      };
+    }
+
+    const end = moment(referenceDate);
+
+    return {
+      start: end.clone().subtract(1, preset).toDate(),
+      end: end.toDate()
+    };
+  }
+
+  /**
+   * Build the report dataset without storing it
+   * @param {Object} report - Report document
+   * @param {Object} period - Period start and end dates
+   * @returns {Promise<Object>} - Report dataset
+   */
+  static async buildDataset(report, period) {
+    const context = this.createContext(report, period);
+    const { kpis, sections, charts = [] } = await this.runBuilder(report.type, context);
+
+    return {
+      report: {
+        id: report._id.toString(),
+        name: report.name,
+        description: report.description,
+        type: report.type,
+        format: report.format,
+        timeRange: report.timeRange?.preset || 'month'
+      },
+      companyId: report.companyId.toString(),
+      generatedAt: new Date(),
+      period: {
+        start: period.start,
+        end: period.end,
+        granularity: context.granularity,
+        timezone: reportSchedule.timezoneOf(report.schedule)
+      },
+      kpis,
+      sections,
+      charts
+    };
+  }
+
+  /**
+   * Generate a report, store the output and record the outcome in the report history
+   * @param {Object} report - Report document
+   * @param {Object} options - Generation options
+   * @param {Object} options.period - Period to cover (defaults to the report time range)
+   * @param {Date} options.referenceDate - Reference date for preset time ranges
+   * @param {boolean} options.deliver - Email the report if its delivery method is email
+   * @returns {Promise<Object>} - History entry for the generated report
+   */
+  static async generate(report, options = {}) {
+    const reportId = new mongoose.Types.ObjectId().toString();
+    const period = options.period || this.resolvePeriod(report, options.referenceDate);
+
+    const entry = {
+      reportId,
+      generatedAt: new Date(),
+      period,
+      status: 'processing'
+    };
+
+    await Report.updateOne({ _id: report._id }, { $push: { history: entry } });
+
+    logger.info(`Generating report: ${report.name}`, {
+      reportId: report._id.toString(),
+      historyId: reportId,
+      reportType: report.type,
+      start: period.start,
+      end: period.end
+    });
+
+    try {
+      const renderer = renderers.get(report.format);
+      const dataset = await this.buildDataset(report, period);
+      const content = await renderer.render(dataset);
+      const { fileUrl, fileSize } = await reportStorage.save(report._id, `${reportId}.${renderer.extension}`, content);
+
+      Object.assign(entry, {
+        status: 'completed',
+        generatedAt: dataset.generatedAt,
+        format: renderer.format,
+        fileUrl,
+        fileSize
+      });
+
+      await this._updateHistoryEntry(report._id, reportId, entry);
+
+      logger.info(`Generated report: ${report.name}`, {
+        reportId: report._id.toString(),
+        historyId: reportId,
+        fileSize
+      });
+
+      if (options.deliver && report.delivery?.method === 'email') {
+        await this._deliver(report, entry, { dataset, content, renderer });
+      }
+
+      return { ...entry, dataset };
+    } catch (error) {
+      logger.error(`Error generating report ${report.name}: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: report._id.toString(),
+        historyId: reportId
+      });
+
+      Object.assign(entry, {
+        status: 'failed',
+        error: error.message
+      });
+
+      await this._updateHistoryEntry(report._id, reportId, entry);
+
+      return entry;
+    }
+  }
+
+  /**
+   * Email a generated report and record the delivery outcome
+   * Delivery failures are recorded but do not fail the generated report
+   * @param {Object} report - Report document
+   * @param {Object} entry - History entry of the generated report
+   * @param {Object} file - Rendered file ({ dataset, content, renderer })
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _deliver(report, entry, file) {
+    try {
+      const delivery = await reportDelivery.deliver(report, entry, file);
+
+      Object.assign(entry, delivery);
+      await this._updateHistoryEntry(report._id, entry.reportId, delivery);
+    } catch (error) {
+      logger.error(`Error delivering report ${report.name}: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        reportId: report._id.toString(),
+        historyId: entry.reportId
+      });
+
+      entry.deliveryStatus = 'failed';
+      await this._updateHistoryEntry(report._id, entry.reportId, { deliveryStatus: 'failed' });
+    }
+  }
+
+  /**
+   * Update a history entry of a report
+   * @param {mongoose.Types.ObjectId} reportDocId - Report document ID
+   * @param {string} reportId - Generated report ID
+   * @param {Object} entry - Entry fields to set
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _updateHistoryEntry(reportDocId, reportId, entry) {
+    const update = Object.entries(entry).reduce((fields, [key, value]) => {
+      fields[`history.$.${key}`] = value;
+      return fields;
+    }, {});
+
+    await Report.updateOne(
+      { _id: reportDocId, 'history.reportId': reportId },
+      { $set: update }
+    );
+  }
+
+  /**
+   * Pick the metrics granularity for a period
+   * @param {Object} period - Period start and end dates
+   * @returns {string} - Metrics period type
+   * @private
+   */
+  static _granularity(period) {
+    const days = moment(period.end).diff(moment(period.start), 'days', true);
+
+    if (days <= 31) return 'daily';
+    if (days <= 92) return 'weekly';
+    if (days <= 731) return 'monthly';
+    return 'quarterly';
+  }
+
+  /**
+   * Run the section builder of a report type
+   * @param {string} type - Report type
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} - KPIs, sections and charts
+   */
+  static async runBuilder(type, context) {
+    const builder = builders[type];
+
+    if (!builder) {
+      throw new Error(`Unsupported report type: ${type}`);
+    }
+
+    return builder(context);
+  }
+
+  /**
+   * Create the context passed to section builders
+   * @param {Object} report - Report document, or any source with name, companyId, filters and config
+   * @param {Object} period - Period start and end dates
+   * @returns {Object} - Builder context
+   */
+  static createContext(report, period) {
+    const granularity = this._granularity(period);
+    const companyId = new mongoose.Types.ObjectId(report.companyId);
+    const filters = report.filters || {};
+
+    // Stored buckets are used where they lie wholly inside the window; the partial buckets at its edges
+    // (windows in the report's timezone rarely line up with the UTC buckets) are computed from events
+    const first = DataAggregator.calculatePeriodDates(granularity, period.start);
+    const innerStart = first.startDate < period.start ? new Date(first.endDate.getTime() + 1) : first.startDate;
+    const innerEnd = DataAggregator.calculatePeriodDates(granularity, period.end).startDate;
+
+    const edges = innerEnd < innerStart
+      ? [[period.start, period.end]]
+      : [[period.start, innerStart], [innerEnd, period.end]].filter(([start, end]) => start < end);
+
+    const metricsQuery = {
+      companyId,
+      period: granularity,
+      date: { $gte: innerStart, $lt: innerEnd }
+    };
+
+    const getSeries = async (Model, metric) => {
+      const [stored, ...computed] = await Promise.all([
+        innerEnd > innerStart ? Model.find(metricsQuery).sort({ date: 1 }).lean() : [],
+        ...edges.map(([start, end]) => DataAggregator.computeRangeMetrics(metric, start, end, companyId))
+      ]);
+
+      const partial = computed
+        .map((metrics, i) => metrics && { ...metrics, companyId, period: granularity, date: edges[i][0] })
+        .filter(Boolean);
+
+      return [...stored, ...partial].sort((a, b) => a.date - b.date);
+    };
+
+    return {
+      report,
+      period,
+      granularity,
+      granularityLabel: periodUnits[granularity],
+
+      getFeedbackSeries: () => getSeries(FeedbackMetrics, 'feedback'),
+
+      getUserSeries: () => getSeries(UserMetrics, 'user'),
+
+      eventMatch: (eventTypes) => {
+        const match = {
+          sourceService: 'feedback',
+          companyId,
+          eventType: { $in: eventTypes },
+          timestamp: { $gte: period.start, $lt: period.end }
+        };
+
+        if (filters.categories?.length) match['eventData.categoryId'] = { $in: filters.categories };
+        if (filters.status?.length) match['eventData.status'] = { $in: filters.status };
+        if (filters.priority?.length) match['eventData.priority'] = { $in: filters.priority };
+        if (filters.assignees?.length) match['eventData.assigneeId'] = { $in: filters.assignees };
+
+        return match;
+      },
+
+      weightedSatisfaction: (series) => {
+        const count = sumField(series, 'satisfaction.count');
+        const weighted = series.reduce(
+          (sum, doc) => sum + (doc.satisfaction?.average || 0) * (doc.satisfaction?.count || 0),
+          0
+        );
+
+        return count > 0 ? weighted / count : 0;
+      }
+    };
+  }
+}
+
+module.exports = ReportGenerator;
@@ -0,0 +1,143 @@
+const moment = require('moment-timezone');
+
+// Timezone used when a report schedule does not specify one
+const defaultTimezone = process.env.DEFAULT_REPORT_TIMEZONE || 'Africa/Kampala';
+
+// Calendar unit of each schedule frequency
+const frequencyUnits = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter'
+};
+
+/**
+ * Check whether a timezone is a known IANA timezone
+ * @param {string} timezone - Timezone name (e.g. 'Africa/Kampala')
+ * @returns {boolean} - True if the timezone is known
+ */
+const isValidTimezone = (timezone) => {
+  return typeof timezone === 'string' && moment.tz.zone(timezone) !== null;
+};
+
+/**
+ * Timezone of a report schedule
+ * @param {Object} schedule - Report schedule settings
+ * @returns {string} - IANA timezone
+ */
+const timezoneOf = (schedule) => {
+  return isValidTimezone(schedule?.timezone) ? schedule.timezone : defaultTimezone;
+};
+
+/**
+ * Calendar unit of a schedule frequency
+ * @param {Object} schedule - Report schedule settings
+ * @returns {string} - Moment unit
+ */
+const unitOf = (schedule) => {
+  const unit = frequencyUnits[schedule.frequency];
+
+  if (!unit) {
+    throw new Error(`Unsupported schedule frequency: ${schedule.frequency}`);
+  }
+
+  return unit;
+};
+
+/**
+ * Scheduled run within the calendar period starting at periodStart
+ * Weekly runs fall on dayOfWeek (0 = Sunday, default Monday); monthly and quarterly runs fall
+ * on dayOfMonth (default 1st, clamped to the length of the month) of the first month of the period
+ * @param {Object} schedule - Report schedule settings
+ * @param {moment.Moment} periodStart - Start of the period in the schedule timezone
+ * @returns {moment.Moment} - Run time
+ */
+const runInPeriod = (schedule, periodStart) => {
+  const run = periodStart.clone();
+
+  if (schedule.frequency === 'weekly') {
+    run.add(schedule.dayOfWeek ?? 1, 'days');
+  } else if (schedule.frequency === 'monthly' || schedule.frequency === 'quarterly') {
+    run.date(Math.min(schedule.dayOfMonth || 1, run.daysInMonth()));
+  }
+
+  return run.set({
+    hour: schedule.time?.hour || 0,
+    minute: schedule.time?.minute || 0,
+    second: 0,
+    millisecond: 0
+  });
+};
+
+/**
+ * Calculate the first scheduled run after a given time
+ * @param {Object} schedule - Report schedule settings
+ * @param {Date} from - Reference time (defaults to now)
+ * @returns {Date} - Next run time
+ */
+const nextRun = (schedule, from = new Date()) => {
+  const unit = unitOf(schedule);
+  const periodStart = moment.tz(from, timezoneOf(schedule)).startOf(unit);
+
+  // The run in the current period may already have passed
+  for (;;) {
+    const run = runInPeriod(schedule, periodStart);
+
+    if (run.isAfter(from)) {
+      return run.toDate();
+    }
+
+    periodStart.add(1, unit);
+  }
+};
+
+/**
+ * Reporting window of a scheduled run: the previous full calendar day, week (Monday to Sunday),
+ * month or quarter in the schedule timezone
+ * @param {Object} schedule - Report schedule settings
+ * @param {Date} runAt - Scheduled run time
+ * @returns {Object} - Window start and (exclusive) end dates
+ */
+const reportingWindow = (schedule, runAt) => {
+  const unit = unitOf(schedule);
+  const end = moment.tz(runAt, timezoneOf(schedule)).startOf(unit === 'week' ? 'isoWeek' : unit);
+
+  return {
+    start: end.clone().subtract(1, unit).toDate(),
+    end: end.toDate()
+  };
+};
+
+/**
+ * List the runs that are due, including runs missed while the service was down
+ * @param {Object} schedule - Report schedule settings (nextRun is the first pending run)
+ * @param {Date} now - Current time
+ * @param {number} limit - Maximum number of runs to catch up
+ * @returns {Object} - Due runs (oldest first) and the number of skipped older runs
+ */
+const dueRuns = (schedule, now = new Date(), limit = 10) => {
+  const runs = [];
+  let run = schedule.nextRun ? new Date(schedule.nextRun) : null;
+
+  while (run && run <= now) {
+    runs.push(run);
+    run = nextRun(schedule, run);
+  }
+
+  // Keep the most recent runs
+  const skipped = Math.max(0, runs.length - limit);
+
+  return {
+    runs: runs.slice(skipped),
+    skipped
+  };
+};
+
+module.exports = {
+  defaultTimezone,
+  isValidTimezone,
+  timezoneOf,
+  nextRun,
+  reportingWindow,
+  dueRuns
+};
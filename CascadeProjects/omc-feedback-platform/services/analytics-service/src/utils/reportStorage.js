@@ -0,0 +1,131 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Base directory for generated report files
+const storageDir = process.env.REPORTS_STORAGE_DIR || path.join(process.cwd(), 'storage', 'reports');
+
+/**
+ * Build the absolute path of a stored report file
+ * @param {string} fileUrl - Relative file path as recorded in report history
+ * @returns {string} - Absolute file path
+ */
+const resolvePath = (fileUrl) => {
+  const filePath = path.resolve(storageDir, fileUrl);
+
+  // Never resolve outside of the storage directory
+  if (!filePath.startsWith(path.resolve(storageDir) + path.sep)) {
+    throw new Error(`Invalid report file path: ${fileUrl}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Save a generated report file
+ * @param {string} reportId - Report document ID
+ * @param {string} fileName - File name (generated report ID and extension)
+ * @param {Buffer|string} content - File content
+ * @returns {Promise<Object>} - Relative file URL and file size in bytes
+ */
+const save = async (reportId, fileName, content) => {
+  try {
+    const fileUrl = path.join(reportId.toString(), fileName);
+    const filePath = resolvePath(fileUrl);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+
+    const stats = await fs.promises.stat(filePath);
+
+    logger.debug(`Saved report file ${fileUrl}`, {
+      reportId: reportId.toString(),
+      fileSize: stats.size
+    });
+
+    return {
+      fileUrl,
+      fileSize: stats.size
+    };
+  } catch (error) {
+    logger.error(`Error saving report file: ${error.message}`, {
+      error: error.message,
+      stack: error.stack,
+      reportId: reportId.toString(),
+      fileName
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Read a stored report file
+ * @param {string} fileUrl - Relative file path as recorded in report history
+ * @returns {Promise<Buffer>} - File content
+ */
+const read = async (fileUrl) => {
+  return fs.promises.readFile(resolvePath(fileUrl));
+};
+
+/**
+ * Open a read stream for a stored report file
+ * @param {string} fileUrl - Relative file path as recorded in report history
+ * @returns {fs.ReadStream} - File read stream
+ */
+const createReadStream = (fileUrl) => {
+  return fs.createReadStream(resolvePath(fileUrl));
+};
+
+/**
+ * Check whether a stored report file exists
+ * @param {string} fileUrl - Relative file path as recorded in report history
+ * @returns {Promise<boolean>} - True if the file exists
+ */
+const exists = async (fileUrl) => {
+  try {
+    await fs.promises.access(resolvePath(fileUrl));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Build the file name offered to users for a generated report
+ * @param {string} reportName - Report name
+ * @param {string} historyId - Generated report ID
+ * @param {string} extension - File extension
+ * @returns {string} - File name (e.g. 'monthly-summary-<id>.pdf')
+ */
+const downloadName = (reportName, historyId, extension) => {
+  const slug = reportName.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'report';
+  return `${slug}-${historyId}.${extension}`;
+};
+
+/**
+ * Delete all stored files for a report
+ * @param {string} reportId - Report document ID
+ * @returns {Promise<void>}
+ */
+const removeAll = async (reportId) => {
+  try {
+    await fs.promises.rm(resolvePath(reportId.toString()), { recursive: true, force: true });
+  } catch (error) {
+    logger.error(`Error deleting report files: ${error.message}`, {
+      error: error.message,
+      stack: error.stack,
+      reportId: reportId.toString()
+    });
+  }
+};
+
+module.exports = {
+  resolvePath,
+  save,
+  read,
+  createReadStream,
+  exists,
+  downloadName,
+  removeAll
+};
@@ -1,6 +1,11 @@
 const cron = require('node-cron');
 const logger = require('./logger');
 const DataAggregator = require('./dataAggregator');
+const reportSchedule = require('./reportSchedule');
+const eventUpcasters = require('./eventUpcasters');
+const dirtyPeriods = require('./dirtyPeriods');
+const backfillRunner = require('./backfillRunner');
+const tenantDirectory = require('./tenantDirectory');
 
 /**
  * Scheduler for periodic analytics tasks
@@ -8,6 +13,8 @@ const DataAggregator = require('./dataAggregator');
 class Scheduler {
   constructor() {
     this.jobs = new Map();
+    this.generatingReports = false;
+    this.reaggregating = false;
   }
   
   /**
@@ -38,8 +45,36 @@ class Scheduler {
         await DataAggregator.runScheduledAggregation('monthly');
       });
       
-      // Schedule report generation job (default: 1 AM daily)
-      this.scheduleJob('report-generation', '0 1 * * *', async () => {
+      // Recompute metrics periods that received late or backdated events (default: every 10 minutes)
+      const reaggregationSchedule = process.env.REAGGREGATION_SCHEDULE || '*/10 * * * *';
+      this.scheduleJob('reaggregation', reaggregationSchedule, async () => {
+        logger.info('Running dirty period re-aggregation job');
+        await this._reaggregateDirtyPeriods();
+      });
+      
+      // Start queued metrics backfills and resume interrupted ones (default: every minute)
+      const backfillSchedule = process.env.BACKFILL_SCHEDULE || '* * * * *';
+      this.scheduleJob('backfill', backfillSchedule, async () => {
+        await backfillRunner.processQueue();
+      });
+      
+      // Reload the tenant directory from user-service to catch missed company events (default: hourly)
+      const tenantSyncSchedule = process.env.TENANT_DIRECTORY_SYNC_SCHEDULE || '15 * * * *';
+      this.scheduleJob('tenant-sync', tenantSyncSchedule, async () => {
+        logger.info('Running tenant directory sync job');
+        await tenantDirectory.refresh();
+      });
+      
+      // Migrate stored events to the latest schema versions (default: hourly)
+      const migrationSchedule = process.env.EVENT_MIGRATION_SCHEDULE || '30 * * * *';
+      this.scheduleJob('event-migration', migrationSchedule, async () => {
+        logger.info('Running event schema migration job');
+        await eventUpcasters.migrateEvents();
+      });
+      
+      // Check for due reports (default: every 5 minutes); each report has its own schedule and timezone
+      const reportCheckSchedule = process.env.REPORT_SCHEDULE_CHECK || '*/5 * * * *';
+      this.scheduleJob('report-generation', reportCheckSchedule, async () => {
         logger.info('Running scheduled report generation job');
         await this._generateScheduledReports();
       });
@@ -197,85 +232,126 @@ class Scheduler {
   }
   
   /**
-   * Generate scheduled reports
+   * Recompute dirty metrics periods
+   * @private
+   */
+  async _reaggregateDirtyPeriods() {
+    // A large backlog must not overlap with the next run
+    if (this.reaggregating) {
+      logger.warn('Dirty period re-aggregation is still running, skipping this run');
+      return;
+    }
+    
+    this.reaggregating = true;
+    
+    try {
+      await dirtyPeriods.reaggregate();
+    } finally {
+      this.reaggregating = false;
+    }
+  }
+  
+  /**
+   * Generate scheduled reports that are due, catching up runs missed during downtime
    * @private
    */
   async _generateScheduledReports() {
+    // A long catch-up must not overlap with the next check
+    if (this.generatingReports) {
+      logger.warn('Scheduled report generation is still running, skipping this check');
+      return;
+    }
+    
+    this.generatingReports = true;
+    
     try {
-      const mongoose = require('mongoose');
       const Report = require('../models/report');
+      const ReportGenerator = require('./reportGenerator');
       
-      // Find reports that are scheduled to run now
       const now = new Date();
+      const catchUpLimit = parseInt(process.env.REPORT_CATCH_UP_LIMIT || '10', 10);
+      
+      // Find reports that are due or have never been scheduled
       const reports = await Report.find({
         'schedule.isScheduled': true,
-        'schedule.nextRun': { $lte: now }
+        $or: [
+          { 'schedule.nextRun': { $lte: now } },
+          { 'schedule.nextRun': null }
+        ]
       });
       
       logger.info(`Found ${reports.length} reports to generate`);
       
+      const inactive = await tenantDirectory.listCompanies({ active: false });
+      const inactiveIds = new Set(inactive.map(company => company._id.toString()));
+      
       // Process each report
       for (const report of reports) {
         try {
-          logger.info(`Generating scheduled report: ${report.name}`, {
-            reportId: report._id.toString(),
-            reportType: report.type
-          });
+          // Reports of inactive or deleted companies are not generated; their runs are skipped, not caught up
+          if (inactiveIds.has(report.companyId.toString())) {
+            await Report.updateOne(
+              { _id: report._id },
+              { $set: { 'schedule.nextRun': reportSchedule.nextRun(report.schedule, now) } }
+            );
+            
+            logger.info(`Skipping report ${report.name} of inactive company`, {
+              reportId: report._id.toString(),
+              companyId: report.companyId.toString()
+            });
+            continue;
+          }
           
-          // This would call the report generation service
-          // For now, we'll just update the next run time
+          if (!report.schedule.nextRun) {
+            const nextRun = reportSchedule.nextRun(report.schedule, now);
+            
+            await Report.updateOne({ _id: report._id }, { $set: { 'schedule.nextRun': nextRun } });
+            
+            logger.info(`Scheduled report ${report.name} first run at ${nextRun.toISOString()}`, {
+              reportId: report._id.toString()
+            });
+            continue;
+          }
           
-          // Calculate next run time based on frequency
-          let nextRun = new Date();
+          const { runs, skipped } = reportSchedule.dueRuns(report.schedule, now, catchUpLimit);
           
-          switch (report.schedule.frequency) {
-            case 'daily':
-              nextRun.setDate(nextRun.getDate() + 1);
-              break;
-            case 'weekly':
-              nextRun.setDate(nextRun.getDate() + 7);
-              break;
-            case 'monthly':
-              nextRun.setMonth(nextRun.getMonth() + 1);
-              break;
-            case 'quarterly':
-              nextRun.setMonth(nextRun.getMonth() + 3);
-              break;
+          if (skipped > 0) {
+            logger.warn(`Skipping ${skipped} missed runs of report ${report.name}`, {
+              reportId: report._id.toString(),
+              catchUpLimit
+            });
           }
           
-          // Set the time component
-          nextRun.setHours(
-            report.schedule.time.hour,
-            report.schedule.time.minute,
-            0,
-            0
-          );
-          
-          // Update report with next run time
-          await Report.updateOne(
-            { _id: report._id },
-            {
-              $set: {
-                'schedule.lastRun': now,
-                'schedule.nextRun': nextRun
-              },
-              $push: {
-                history: {
-                  reportId: mongoose.Types.ObjectId().toString(),
-                  generatedAt: now,
-                  period: {
-                    start: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
-                    end: now
-                  },
-                  status: 'completed',
-                  deliveryStatus: 'sent',
-                  deliveredAt: now
+          for (const runAt of runs) {
+            const period = reportSchedule.reportingWindow(report.schedule, runAt);
+            
+            logger.info(`Generating scheduled report: ${report.name}`, {
+              reportId: report._id.toString(),
+              reportType: report.type,
+              runAt: runAt.toISOString()
+            });
+            
+            // Generate and deliver the report; failures are recorded in the report history
+            const entry = await ReportGenerator.generate(report, { period, deliver: true });
+            
+            // Record progress after every run so an interrupted catch-up resumes where it stopped
+            await Report.updateOne(
+              { _id: report._id },
+              {
+                $set: {
+                  'schedule.lastRun': new Date(),
+                  'schedule.nextRun': reportSchedule.nextRun(report.schedule, runAt)
                 }
               }
-            }
-          );
-          
-          logger.info(`Updated next run time for report ${report.name} to ${nextRun.toISOString()}`);
+            );
+            
+            logger.info(`Scheduled report ${report.name} ${entry.status}`, {
+              reportId: report._id.toString(),
+              historyId: entry.reportId,
+              status: entry.status,
+              deliveryStatus: entry.deliveryStatus
+            });
+          }
         } catch (error) {
           logger.error(`Error generating report ${report.name}: ${error.message}`, {
             error: error.message,
@@ -289,6 +365,8 @@ class Scheduler {
         error: error.message,
         stack: error.stack
       });
+    } finally {
+      this.generatingReports = false;
     }
   }
 }
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Permissions that can be granted when sharing
+const permissions = ['view', 'edit'];
+
+/**
+ * Permission of a user on a shared resource (dashboard or metric definition)
+ * Owners and admins have full control; other users get the highest permission granted to them
+ * directly or through company-wide sharing within the resource's company
+ * @param {Object} resource - Resource with companyId and sharing settings
+ * @param {string} ownerId - ID of the resource owner
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - 'owner', 'edit', 'view' or null if the user has no access
+ */
+const getPermission = (resource, ownerId, user) => {
+  if (ownerId.toString() === user.id || user.roles.includes('admin')) {
+    return 'owner';
+  }
+
+  const granted = [];
+  const share = (resource.sharing?.sharedWith || []).find(item => item.userId?.toString() === user.id);
+
+  if (share) {
+    granted.push(share.permission || 'view');
+  }
+
+  if (resource.sharing?.sharedWithCompany && resource.companyId.toString() === user.companyId?.toString()) {
+    granted.push(resource.sharing.companyPermission || 'view');
+  }
+
+  if (granted.includes('edit')) return 'edit';
+  if (granted.includes('view')) return 'view';
+  return null;
+};
+
+/**
+ * Validate and normalize sharing settings
+ * @param {Object} sharing - Requested sharing settings
+ * @param {Object} current - Current sharing settings
+ * @param {string} ownerId - Resource owner ID (never listed in sharedWith)
+ * @returns {Object} - Normalized sharing settings, or { error } if invalid
+ */
+const buildSharing = (sharing, current = {}, ownerId) => {
+  const sharedWith = sharing.sharedWith !== undefined ? sharing.sharedWith : current.sharedWith || [];
+  const sharedWithCompany = sharing.sharedWithCompany !== undefined ? sharing.sharedWithCompany : current.sharedWithCompany || false;
+  const companyPermission = sharing.companyPermission || current.companyPermission || 'view';
+
+  if (!Array.isArray(sharedWith)) {
+    return { error: 'sharedWith must be an array of { userId, permission }' };
+  }
+
+  const invalid = sharedWith.find(item =>
+    !item || !mongoose.Types.ObjectId.isValid(item.userId) || (item.permission && !permissions.includes(item.permission))
+  );
+
+  if (invalid) {
+    return { error: 'Each sharedWith entry needs a valid userId and a permission of view or edit' };
+  }
+
+  if (!permissions.includes(companyPermission)) {
+    return { error: 'companyPermission must be view or edit' };
+  }
+
+  // One entry per user, excluding the owner
+  const users = new Map();
+  sharedWith
+    .filter(item => item.userId.toString() !== ownerId.toString())
+    .forEach(item => users.set(item.userId.toString(), item.permission || 'view'));
+
+  const normalized = {
+    sharedWith: Array.from(users, ([userId, permission]) => ({ userId, permission })),
+    sharedWithCompany: Boolean(sharedWithCompany),
+    companyPermission
+  };
+
+  normalized.isShared = normalized.sharedWithCompany || normalized.sharedWith.length > 0;
+
+  return { sharing: normalized };
+};
+
+module.exports = {
+  getPermission,
+  buildSharing
+};
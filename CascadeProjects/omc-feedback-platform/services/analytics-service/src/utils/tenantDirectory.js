@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const reportSchedule = require('./reportSchedule');
+const eventSchemas = require('./eventSchemas');
+const { userServiceClient } = require('./apiClient');
+const Company = require('../models/company');
+
+// Companies requested per page when refreshing from user-service
+const refreshPageSize = parseInt(process.env.TENANT_DIRECTORY_PAGE_SIZE || '200', 10);
+
+// Routing keys of the company events published on user-events
+const companyEventPattern = /^company\./;
+
+/**
+ * Normalize a user-service company to Company fields
+ * @param {Object} company - Company from user-service or a company event
+ * @returns {Object|null} - Company fields present in the company, or null without a valid ID
+ */
+const toCompany = (company) => {
+  const id = company?.id || company?._id || company?.companyId;
+
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  // Fields missing from partial updates are left as stored (or defaulted for new companies)
+  const fields = { _id: new mongoose.Types.ObjectId(id) };
+  // user-service may report an active flag or a status
+  const active = company.active ?? company.isActive ?? (company.status ? company.status === 'active' : undefined);
+
+  if (company.name !== undefined) {
+    fields.name = company.name;
+  }
+
+  if (company.timezone !== undefined) {
+    fields.timezone = reportSchedule.isValidTimezone(company.timezone) ? company.timezone : reportSchedule.defaultTimezone;
+  }
+
+  if (active !== undefined) {
+    fields.active = Boolean(active);
+  }
+
+  return fields;
+};
+
+/**
+ * Store a company unless a newer change was already applied
+ * @param {Object} fields - Company fields
+ * @param {Date} sourceUpdatedAt - Time of the change in user-service
+ * @returns {Promise<boolean>} - True if the change was applied
+ */
+const save = async (fields, sourceUpdatedAt = new Date()) => {
+  const { _id, ...update } = fields;
+
+  try {
+    await Company.updateOne(
+      { _id, $or: [{ sourceUpdatedAt: { $lte: sourceUpdatedAt } }, { sourceUpdatedAt: null }] },
+      { $set: { ...update, sourceUpdatedAt, syncedAt: new Date() } },
+      { upsert: true }
+    );
+
+    return true;
+  } catch (error) {
+    // The filter missed an existing company: the stored change is newer
+    if (error.code === 11000) {
+      return false;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Read the companies and page count of a user-service companies page
+ * @param {Object} response - Response of GET /companies
+ * @param {number} page - Page number
+ * @returns {Object|null} - companies and pages, or null if the page is malformed
+ */
+const parsePage = (response, page) => {
+  const companies = response?.data?.companies;
+  const pages = response?.data?.pagination?.pages;
+
+  if (!Array.isArray(companies)) {
+    return null;
+  }
+
+  if (pages === undefined) {
+    // Without pagination only a short page is known to be the last one
+    return companies.length < refreshPageSize ? { companies, pages: page } : null;
+  }
+
+  return Number.isInteger(pages) && pages >= page ? { companies, pages } : null;
+};
+
+/**
+ * Reload every company from user-service
+ * Companies user-service no longer lists are marked inactive, but only after a complete listing:
+ * if a page is malformed or no company is listed, nothing is deactivated. A listed company is kept
+ * active even when a newer event (e.g. from a producer with a skewed clock) made its listing stale
+ * @returns {Promise<number>} - Number of companies loaded
+ */
+const refresh = async () => {
+  const startedAt = new Date();
+  let loaded = 0;
+  const listed = [];
+  let complete = true;
+
+  for (let page = 1, pages = 1; page <= pages; page++) {
+    const response = await userServiceClient.get('/companies', { page, limit: refreshPageSize }, { useCache: false });
+    const parsed = parsePage(response, page);
+
+    if (!parsed) {
+      logger.error(`Malformed companies page ${page} from user-service; stopping the refresh`, { page });
+      complete = false;
+      break;
+    }
+
+    pages = parsed.pages;
+
+    for (const company of parsed.companies) {
+      const fields = toCompany(company);
+
+      if (!fields) {
+        continue;
+      }
+
+      listed.push(fields._id);
+
+      if (await save(fields, startedAt)) {
+        loaded++;
+      }
+    }
+  }
+
+  if (complete && listed.length > 0) {
+    // Companies created by events during the refresh are not in the listing yet
+    await Company.updateMany(
+      { active: true, _id: { $nin: listed }, syncedAt: { $lt: startedAt } },
+      { $set: { active: false, deletedAt: startedAt } }
+    );
+  } else {
+    logger.warn('Incomplete company listing from user-service; no companies were deactivated', {
+      listed: listed.length,
+      complete
+    });
+  }
+
+  logger.info(`Loaded ${loaded} companies from user-service`, { loaded });
+
+  return loaded;
+};
+
+/**
+ * Check whether a routing key is a company event
+ * @param {string} routingKey - Message routing key
+ * @returns {boolean} - True for company.created, company.updated and company.deleted
+ */
+const isCompanyEvent = (routingKey) => companyEventPattern.test(routingKey || '');
+
+/**
+ * Apply a company event from user-events
+ * Events older than the stored company are ignored, so redelivered and out-of-order events are harmless
+ * @param {Object} message - Event message with the company (as `company`, `data` or the message itself)
+ * @param {string} routingKey - company.created, company.updated or company.deleted
+ * @returns {Promise<Object>} - companyId and whether the event was applied
+ */
+const applyEvent = async (message, routingKey) => {
+  const eventType = message.type || routingKey;
+  const fields = toCompany({ companyId: message.companyId, ...(message.company || message.data || message) });
+
+  if (!fields) {
+    // Nothing to retry: the message is dead-lettered
+    throw eventSchemas.createValidationError(`Invalid ${eventType} event`, ['company ID is missing or invalid']);
+  }
+
+  const sourceUpdatedAt = message.timestamp ? new Date(message.timestamp) : new Date();
+
+  if (eventType === 'company.deleted') {
+    fields.active = false;
+    fields.deletedAt = sourceUpdatedAt;
+  }
+
+  const applied = await save(fields, sourceUpdatedAt);
+
+  logger.info(`${applied ? 'Applied' : 'Skipped stale'} ${eventType} event`, {
+    companyId: fields._id.toString(),
+    eventType
+  });
+
+  return { companyId: fields._id, applied };
+};
+
+/**
+ * Get a company, reading it from user-service if it is not in the directory yet
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object|null>} - Company, or null if user-service does not know it
+ */
+const getCompany = async (companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    return null;
+  }
+
+  const company = await Company.findById(companyId).lean();
+
+  if (company) {
+    return company;
+  }
+
+  let response;
+
+  try {
+    response = await userServiceClient.get(`/companies/${companyId}`, {}, { useCache: false });
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+
+    throw error;
+  }
+
+  const fields = toCompany(response?.data);
+
+  if (!fields) {
+    return null;
+  }
+
+  await save(fields);
+
+  return Company.findById(fields._id).lean();
+};
+
+/**
+ * Check whether a company exists and is active
+ * @param {string} companyId - Company ID
+ * @returns {Promise<boolean>} - True if the company is active
+ */
+const isActive = async (companyId) => {
+  const company = await getCompany(companyId);
+
+  return Boolean(company?.active);
+};
+
+/**
+ * List companies in the directory
+ * @param {Object} filters - Filters
+ * @param {boolean} filters.active - Only active (true) or inactive (false) companies
+ * @returns {Promise<Array<Object>>} - Companies with _id, name, timezone and active flag
+ */
+const listCompanies = async ({ active } = {}) => {
+  const query = active === undefined ? {} : { active };
+
+  return Company.find(query).select('name timezone active').lean();
+};
+
+module.exports = {
+  refresh,
+  isCompanyEvent,
+  applyEvent,
+  getCompany,
+  isActive,
+  listCompanies
+};
@@ -0,0 +1,228 @@
+const moment = require('moment');
+const logger = require('./logger');
+const analyticsQuery = require('./analyticsQuery');
+const DataAggregator = require('./dataAggregator');
+const backfillRunner = require('./backfillRunner');
+const FeedbackMetrics = require('../models/feedbackMetrics');
+const UserMetrics = require('../models/userMetrics');
+
+// Buckets a series may span
+const maxBuckets = parseInt(process.env.TIMESERIES_MAX_BUCKETS || '366', 10);
+
+// Buckets without pre-aggregated metrics computed from events per series; the rest are left as gaps
+const maxComputedBuckets = parseInt(process.env.TIMESERIES_MAX_COMPUTED_BUCKETS || '31', 10);
+
+// Time limit (ms) of each on-the-fly bucket computation
+const computeTimeout = parseInt(process.env.TIMESERIES_COMPUTE_TIMEOUT || '10000', 10);
+
+// Time (ms) a series may spend computing buckets on the fly; buckets left when it runs out are gaps
+const computeBudget = parseInt(process.env.TIMESERIES_COMPUTE_BUDGET || '15000', 10);
+
+// Period types a series can be bucketed by, with their moment units
+const periodUnits = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter',
+  yearly: 'year'
+};
+
+// Metrics sources: metric names prefixed with `users.` read user metrics, others feedback metrics
+const sources = {
+  feedback: { Model: FeedbackMetrics, prefix: 'feedback.' },
+  user: { Model: UserMetrics, prefix: 'users.' }
+};
+
+// Breakdowns a series can be grouped by; category keys are the category IDs found in the range
+const groupings = {
+  priority: { source: 'feedback', field: 'byPriority', keys: Object.keys(FeedbackMetrics.schema.obj.byPriority) },
+  category: { source: 'feedback', field: 'byCategory', keys: [] },
+  role: { source: 'user', field: 'byRole', keys: Object.keys(UserMetrics.schema.obj.byRole) }
+};
+
+/**
+ * Resolve a metric name to its source and field path
+ * @param {string} name - Metric name (e.g. counts.total or users.counts.active)
+ * @returns {Object|null} - Metric name, source and path, or null if it is not a numeric metric
+ */
+const resolveMetric = (name) => {
+  const source = name.startsWith(sources.user.prefix) ? 'user' : 'feedback';
+  const path = name.startsWith(sources[source].prefix) ? name.slice(sources[source].prefix.length) : name;
+  const schemaType = sources[source].Model.schema.path(path);
+
+  return schemaType?.instance === 'Number' ? { name, source, path } : null;
+};
+
+/**
+ * Count the buckets of a period type between two dates
+ * @param {string} period - Period type
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (inclusive)
+ * @returns {number} - Number of buckets overlapping the range
+ */
+const countBuckets = (period, from, to) => {
+  const unit = periodUnits[period];
+
+  return moment(to).startOf(unit).diff(moment(from).startOf(unit), unit) + 1;
+};
+
+/**
+ * Read a value by its dot path
+ * @param {Object} object - Object to read
+ * @param {string} path - Dot path
+ * @returns {*} - Value, or undefined
+ */
+const readPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Load the metrics of every bucket from one source
+ * Buckets without a pre-aggregated document are computed from events, up to the computation limit
+ * and until the series' deadline
+ * @param {string} source - Metrics source (feedback or user)
+ * @param {string} period - Period type
+ * @param {Array<Date>} buckets - Bucket start dates
+ * @param {string|null} companyId - Company ID (null for platform-wide)
+ * @param {number} deadline - Time (ms since epoch) after which no more buckets are computed
+ * @returns {Promise<Map>} - Metrics and whether they were computed, by bucket start time
+ */
+const loadMetrics = async (source, period, buckets, companyId, deadline) => {
+  const documents = await sources[source].Model.find({
+    period,
+    companyId,
+    date: { $gte: buckets[0], $lte: buckets[buckets.length - 1] }
+  }).lean();
+
+  const metrics = new Map(documents.map(document => [document.date.getTime(), { metrics: document, computed: false }]));
+
+  // Newest buckets first: the current period is usually the one not aggregated yet
+  const missing = buckets.filter(date => !metrics.has(date.getTime())).reverse().slice(0, maxComputedBuckets);
+  let computedCount = 0;
+
+  for (const date of missing) {
+    const remaining = deadline - Date.now();
+
+    if (remaining <= 0) {
+      break;
+    }
+
+    let computed;
+
+    try {
+      computed = await DataAggregator.computeMetrics(source, period, date, companyId, {
+        maxTimeMS: Math.min(computeTimeout, remaining)
+      });
+    } catch (error) {
+      if (!analyticsQuery.isTimeout(error)) {
+        throw error;
+      }
+
+      // Older buckets would be as slow; leave them as gaps
+      break;
+    }
+
+    computedCount++;
+
+    // Buckets without events stay gaps
+    if (computed) {
+      metrics.set(date.getTime(), { metrics: computed, computed: true });
+    }
+  }
+
+  if (computedCount < missing.length) {
+    logger.warn(`Ran out of time computing ${source} metrics buckets; ${missing.length - computedCount} left as gaps`, {
+      source,
+      period,
+      companyId,
+      computed: computedCount,
+      missing: missing.length
+    });
+  }
+
+  return metrics;
+};
+
+/**
+ * Build an evenly spaced metrics series
+ * @param {Object} options - Series options
+ * @param {Array<Object>} options.metrics - Resolved metrics
+ * @param {string} options.groupBy - Breakdown to group by (priority, category or role)
+ * @param {string} options.period - Period type of the buckets
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end (inclusive)
+ * @param {string|null} options.companyId - Company ID (null for platform-wide)
+ * @param {string} options.fill - Value of gaps: zero or null
+ * @param {Object} options.calculated - Calculated metrics: the sources they read and evaluate(metrics by source)
+ *   returning their values; gaps read as empty metrics with zero fill and as unknown with null fill
+ * @returns {Promise<Array<Object>>} - Bucket date, metric values, group values and whether it was computed, oldest first
+ */
+const buildSeries = async ({ metrics, groupBy, period, from, to, companyId, fill, calculated }) => {
+  const buckets = backfillRunner.listBuckets(period, from, to);
+  const grouping = groupBy ? groupings[groupBy] : null;
+  const needed = new Set([
+    ...metrics.map(metric => metric.source),
+    ...(grouping ? [grouping.source] : []),
+    ...(calculated ? calculated.sources : [])
+  ]);
+  const gap = fill === 'null' ? null : 0;
+
+  // One computation budget for the whole series, across its sources
+  const deadline = Date.now() + computeBudget;
+  const loaded = {};
+
+  for (const source of needed) {
+    loaded[source] = await loadMetrics(source, period, buckets, companyId, deadline);
+  }
+
+  // Every bucket gets every group key seen in the range
+  const groupKeys = new Set(grouping ? grouping.keys : []);
+
+  if (grouping) {
+    loaded[grouping.source].forEach(({ metrics: bucketMetrics }) => {
+      Object.keys(bucketMetrics[grouping.field] || {}).forEach(key => groupKeys.add(key));
+    });
+  }
+
+  return buckets.map(date => {
+    const entries = {};
+
+    needed.forEach(source => {
+      entries[source] = loaded[source].get(date.getTime());
+    });
+
+    const bucket = {
+      date,
+      values: Object.fromEntries(metrics.map(({ name, source, path }) => [
+        name,
+        entries[source] ? readPath(entries[source].metrics, path) || 0 : gap
+      ])),
+      computed: Object.values(entries).some(entry => entry?.computed)
+    };
+
+    if (calculated) {
+      Object.assign(bucket.values, calculated.evaluate(Object.fromEntries(Array.from(needed, source => [
+        source,
+        entries[source] ? entries[source].metrics : (gap === null ? null : {})
+      ]))));
+    }
+
+    if (grouping) {
+      const counts = entries[grouping.source]?.metrics[grouping.field];
+
+      bucket.groups = Object.fromEntries(Array.from(groupKeys).map(key => [
+        key,
+        counts ? counts[key] || 0 : gap
+      ]));
+    }
+
+    return bucket;
+  });
+};
+
+module.exports = {
+  maxBuckets,
+  periodUnits,
+  groupings,
+  resolveMetric,
+  countBuckets,
+  buildSeries
+};
@@ -0,0 +1,374 @@
+const logger = require('./logger');
+const cache = require('./cache');
+const ReportGenerator = require('./reportGenerator');
+const metricDefinitions = require('./metricDefinitions');
+const DataAggregator = require('./dataAggregator');
+const AnalyticsEvent = require('../models/analyticsEvent');
+
+// Cache TTL in seconds for widgets without a refresh interval (manual refresh)
+const defaultCacheTtl = parseInt(process.env.WIDGET_CACHE_TTL || '300', 10);
+
+/**
+ * Calculate percentage of a part
+ * @param {number} part - Part value
+ * @param {number} total - Total value
+ * @returns {number} - Percentage
+ */
+const percentage = (part, total) => (total > 0 ? (part / total) * 100 : 0);
+
+/**
+ * Count feedback events grouped by an event data field
+ * @param {Object} context - Builder context
+ * @param {string} eventType - Event type to count
+ * @param {string} field - Event data field to group by
+ * @returns {Promise<Array>} - Items with key, count and percentage, largest first
+ */
+const countBy = async (context, eventType, field) => {
+  const groups = await AnalyticsEvent.aggregate([
+    { $match: context.eventMatch([eventType]) },
+    { $group: { _id: `$eventData.${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+
+  return groups.map(group => ({
+    key: group._id === null || group._id === undefined ? 'unknown' : group._id.toString(),
+    count: group.count,
+    percentage: percentage(group.count, total)
+  }));
+};
+
+/**
+ * Elapsed time statistics of a feedback event type, overall and per period
+ * @param {Object} context - Builder context
+ * @param {string} eventType - 'feedback.responded' or 'feedback.resolved'
+ * @returns {Promise<Object>} - Summary and series
+ */
+const elapsedStats = async (context, eventType) => {
+  const [result] = await AnalyticsEvent.aggregate([
+    { $match: context.eventMatch([eventType]) },
+    {
+      $project: {
+        elapsed: DataAggregator.elapsedExpression,
+        date: { $dateTrunc: { date: '$timestamp', unit: context.granularityLabel } }
+      }
+    },
+    { $match: { elapsed: { $ne: null } } },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              average: { $avg: '$elapsed' },
+              min: { $min: '$elapsed' },
+              max: { $max: '$elapsed' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        series: [
+          { $group: { _id: '$date', average: { $avg: '$elapsed' }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const summary = result.summary[0] || { average: 0, min: 0, max: 0, count: 0 };
+
+  return {
+    unit: 'ms',
+    average: summary.average,
+    min: summary.min,
+    max: summary.max,
+    count: summary.count,
+    series: result.series.map(item => ({ date: item._id, average: item.average, count: item.count }))
+  };
+};
+
+/**
+ * Data resolvers for each widget type
+ * Feedback widgets aggregate raw events so the dashboard filters apply; user and notification
+ * widgets read the aggregated user metrics
+ */
+const resolvers = {
+  async feedback_count(context) {
+    const [total, resolved, closed] = await Promise.all([
+      AnalyticsEvent.countDocuments(context.eventMatch(['feedback.created'])),
+      AnalyticsEvent.countDocuments(context.eventMatch(['feedback.resolved'])),
+      AnalyticsEvent.countDocuments(context.eventMatch(['feedback.closed']))
+    ]);
+
+    return {
+      total,
+      resolved,
+      closed,
+      resolutionRate: percentage(resolved, total)
+    };
+  },
+
+  async feedback_by_status(context) {
+    const groups = await AnalyticsEvent.aggregate([
+      { $match: context.eventMatch(['feedback.created', 'feedback.updated', 'feedback.resolved', 'feedback.closed']) },
+      { $group: { _id: { eventType: '$eventType', status: '$eventData.status' }, count: { $sum: 1 } } }
+    ]);
+
+    // Same status mapping as the feedback metrics aggregation
+    const counts = { new: 0, in_progress: 0, resolved: 0, closed: 0 };
+
+    groups.forEach(({ _id, count }) => {
+      if (_id.eventType === 'feedback.created') counts.new += count;
+      else if (_id.eventType === 'feedback.updated' && _id.status === 'in_progress') counts.in_progress += count;
+      else if (_id.eventType === 'feedback.resolved') counts.resolved += count;
+      else if (_id.eventType === 'feedback.closed') counts.closed += count;
+    });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return {
+      items: Object.entries(counts).map(([key, count]) => ({ key, count, percentage: percentage(count, total) }))
+    };
+  },
+
+  async feedback_by_priority(context) {
+    return { items: await countBy(context, 'feedback.created', 'priority') };
+  },
+
+  async feedback_by_category(context, widget) {
+    const items = await countBy(context, 'feedback.created', 'categoryId');
+    return { items: items.slice(0, widget.config?.limit || 10) };
+  },
+
+  async response_time(context) {
+    return elapsedStats(context, 'feedback.responded');
+  },
+
+  async resolution_time(context) {
+    return elapsedStats(context, 'feedback.resolved');
+  },
+
+  async satisfaction_score(context) {
+    const groups = await AnalyticsEvent.aggregate([
+      { $match: context.eventMatch(['feedback.satisfaction']) },
+      { $group: { _id: '$eventData.score', count: { $sum: 1 } } }
+    ]);
+
+    const count = groups.reduce((sum, group) => sum + group.count, 0);
+    const weighted = groups.reduce((sum, group) => sum + (Number(group._id) || 0) * group.count, 0);
+
+    return {
+      average: count > 0 ? weighted / count : 0,
+      count,
+      distribution: [1, 2, 3, 4, 5].map(score => {
+        const group = groups.find(item => Number(item._id) === score);
+        return { score, count: group ? group.count : 0 };
+      })
+    };
+  },
+
+  async agent_performance(context, widget) {
+    const { kpis, sections } = await ReportGenerator.runBuilder('agent_performance', context);
+    return { kpis, items: sections[0].rows.slice(0, widget.config?.limit || 10) };
+  },
+
+  async user_activity(context) {
+    const { kpis, sections } = await ReportGenerator.runBuilder('user_activity', context);
+    return { kpis, series: sections[0].rows, byRole: sections[1].rows };
+  },
+
+  async notification_metrics(context) {
+    const { kpis, sections } = await ReportGenerator.runBuilder('notification_effectiveness', context);
+    return { kpis, series: sections[0].rows, byChannel: sections[1].rows };
+  },
+
+  async trending_categories(context, widget) {
+    // Compare with the preceding period of the same length
+    const { start, end } = context.period;
+    const previousContext = ReportGenerator.createContext(context.report, {
+      start: new Date(start.getTime() - (end.getTime() - start.getTime())),
+      end: start
+    });
+
+    const [current, previous] = await Promise.all([
+      countBy(context, 'feedback.created', 'categoryId'),
+      countBy(previousContext, 'feedback.created', 'categoryId')
+    ]);
+
+    const items = current.map(item => {
+      const before = previous.find(entry => entry.key === item.key)?.count || 0;
+
+      return {
+        key: item.key,
+        count: item.count,
+        previousCount: before,
+        change: item.count - before,
+        percentChange: before > 0 ? ((item.count - before) / before) * 100 : null
+      };
+    });
+
+    return {
+      items: items.sort((a, b) => b.change - a.change).slice(0, widget.config?.limit || 5)
+    };
+  },
+
+  async feedback_volume_trend(context) {
+    const groups = await AnalyticsEvent.aggregate([
+      { $match: context.eventMatch(['feedback.created', 'feedback.resolved']) },
+      {
+        $group: {
+          _id: {
+            date: { $dateTrunc: { date: '$timestamp', unit: context.granularityLabel } },
+            eventType: '$eventType'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.date': 1 } }
+    ]);
+
+    const series = new Map();
+
+    groups.forEach(({ _id, count }) => {
+      const key = _id.date.toISOString();
+      const point = series.get(key) || { date: _id.date, created: 0, resolved: 0 };
+
+      point[_id.eventType === 'feedback.created' ? 'created' : 'resolved'] = count;
+      series.set(key, point);
+    });
+
+    return { series: Array.from(series.values()) };
+  },
+
+  async metric(context, widget) {
+    // Metric widgets run a metric definition the dashboard owner can view: { metric: key or ID, version }
+    const { metric, version } = widget.config || {};
+    const definition = metric ? await metricDefinitions.findViewableDefinition(context.report, metric) : null;
+
+    if (!definition) {
+      throw new Error(`Unknown metric definition: ${metric}`);
+    }
+
+    return metricDefinitions.run(definition, {
+      from: context.period.start,
+      to: context.period.end,
+      version,
+      period: context.granularity
+    });
+  },
+
+  async custom(context) {
+    const { kpis, sections } = await ReportGenerator.runBuilder('custom', context);
+    return { kpis, series: sections[0].rows };
+  }
+};
+
+/**
+ * Resolves dashboard widget data server-side
+ */
+class WidgetDataResolver {
+  /**
+   * Cache key of a widget's data
+   * @param {Object} dashboard - Dashboard document
+   * @param {Object} widget - Dashboard layout widget
+   * @returns {string} - Cache key
+   */
+  static cacheKey(dashboard, widget) {
+    // Prefixed with the dashboard key so dashboard updates clear widget data
+    return `dashboard:${dashboard._id}:widget:${widget.widgetId}`;
+  }
+
+  /**
+   * Resolve the data of a widget, using the cache unless a refresh is requested
+   * Widget data is cached for the widget's refresh interval (or WIDGET_CACHE_TTL for manual refresh)
+   * @param {Object} dashboard - Dashboard document
+   * @param {Object} widget - Dashboard layout widget
+   * @param {Object} options - Resolve options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<Object>} - Widget data
+   */
+  static async resolve(dashboard, widget, options = {}) {
+    const cacheKey = this.cacheKey(dashboard, widget);
+
+    if (!options.refresh) {
+      const cachedData = await cache.get(cacheKey);
+
+      if (cachedData) {
+        return { ...cachedData, cached: true };
+      }
+    }
+
+    const resolver = resolvers[widget.widgetType];
+
+    if (!resolver) {
+      throw new Error(`Unsupported widget type: ${widget.widgetType}`);
+    }
+
+    const period = ReportGenerator.resolvePeriod({
+      timeRange: {
+        preset: widget.timeRange || 'week',
+        custom: widget.customTimeRange
+      }
+    });
+
+    // Dashboard filters apply to every widget; the widget config feeds custom widgets
+    const context = ReportGenerator.createContext({
+      name: widget.title,
+      companyId: dashboard.companyId,
+      createdBy: dashboard.userId,
+      filters: dashboard.filters,
+      config: widget.config
+    }, period);
+
+    const data = {
+      widgetId: widget.widgetId,
+      widgetType: widget.widgetType,
+      title: widget.title,
+      period: {
+        start: period.start,
+        end: period.end,
+        granularity: context.granularity
+      },
+      generatedAt: new Date(),
+      refreshInterval: widget.refreshInterval || 0,
+      data: await resolver(context, widget)
+    };
+
+    await cache.set(cacheKey, data, widget.refreshInterval > 0 ? widget.refreshInterval : defaultCacheTtl);
+
+    return { ...data, cached: false };
+  }
+
+  /**
+   * Resolve the data of every widget on a dashboard
+   * A failing widget reports its error without failing the others
+   * @param {Object} dashboard - Dashboard document
+   * @param {Object} options - Resolve options (see resolve)
+   * @returns {Promise<Array>} - Widget data in layout order
+   */
+  static async resolveAll(dashboard, options = {}) {
+    return Promise.all(dashboard.layout.map(async widget => {
+      try {
+        return await this.resolve(dashboard, widget, options);
+      } catch (error) {
+        logger.error(`Error resolving widget ${widget.widgetId}: ${error.message}`, {
+          error: error.message,
+          stack: error.stack,
+          dashboardId: dashboard._id.toString(),
+          widgetId: widget.widgetId,
+          widgetType: widget.widgetType
+        });
+
+        return {
+          widgetId: widget.widgetId,
+          widgetType: widget.widgetType,
+          title: widget.title,
+          error: error.message
+        };
+      }
+    }));
+  }
+}
+
+module.exports = WidgetDataResolver;
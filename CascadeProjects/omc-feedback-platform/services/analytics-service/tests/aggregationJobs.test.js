@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const AggregationJob = require('../src/models/aggregationJob');
+const aggregationJobs = require('../src/utils/aggregationJobs');
+const { mockQuery } = require('./helpers');
+
+const jobId = new mongoose.Types.ObjectId();
+const companyId = new mongoose.Types.ObjectId();
+const date = new Date('2024-03-01T00:00:00Z');
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AggregationJob, 'updateOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(AggregationJob, 'findByIdAndUpdate').mockImplementation(async (id, update) => ({ _id: id, ...update.$set }));
+});
+
+/**
+ * Make the job read by finish() have the given bucket counts
+ * @param {Object} value - completed and failed counts
+ */
+const counts = (value) => {
+  jest.spyOn(AggregationJob, 'findById').mockReturnValue(mockQuery({ counts: value }));
+};
+
+describe('aggregationJobs.start', () => {
+  test('creates a running job', async () => {
+    jest.spyOn(AggregationJob, 'create').mockImplementation(async attributes => attributes);
+
+    const job = await aggregationJobs.start({ type: 'scheduled', periods: ['daily'] });
+
+    expect(job).toEqual({ type: 'scheduled', periods: ['daily'], status: 'running', startedAt: expect.any(Date) });
+  });
+});
+
+describe('aggregationJobs.record', () => {
+  test('counts outcomes overall and per company in one update', async () => {
+    await aggregationJobs.record(jobId, [
+      { period: 'daily', date, companyId: null },
+      { period: 'daily', date, companyId },
+      { period: 'weekly', date, companyId, error: new Error('write conflict') }
+    ]);
+
+    expect(AggregationJob.updateOne).toHaveBeenCalledTimes(1);
+    expect(AggregationJob.updateOne).toHaveBeenCalledWith({ _id: jobId }, {
+      $inc: {
+        'counts.total': 3,
+        'counts.completed': 2,
+        'counts.failed': 1,
+        'outcomes.platform.completed': 1,
+        [`outcomes.${companyId}.completed`]: 1,
+        [`outcomes.${companyId}.failed`]: 1
+      },
+      $set: {
+        'outcomes.platform.companyId': null,
+        [`outcomes.${companyId}.companyId`]: companyId,
+        [`outcomes.${companyId}.lastError`]: 'write conflict'
+      },
+      $push: {
+        failures: {
+          $each: [{ period: 'weekly', date, companyId, message: 'write conflict', occurredAt: expect.any(Date) }],
+          $slice: -50
+        }
+      }
+    });
+  });
+
+  test('writes nothing without results', async () => {
+    await aggregationJobs.record(jobId, []);
+
+    expect(AggregationJob.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('aggregationJobs.finish', () => {
+  test('derives the status from the bucket counts', async () => {
+    counts({ completed: 3, failed: 0 });
+    await expect(aggregationJobs.finish(jobId)).resolves.toMatchObject({ status: 'completed' });
+
+    counts({ completed: 3, failed: 1 });
+    await expect(aggregationJobs.finish(jobId)).resolves.toMatchObject({ status: 'partial' });
+
+    counts({ completed: 0, failed: 2 });
+    await expect(aggregationJobs.finish(jobId)).resolves.toMatchObject({ status: 'failed' });
+  });
+
+  test('fails a run aborted by an error and records the error', async () => {
+    counts({ completed: 3, failed: 0 });
+
+    await aggregationJobs.finish(jobId, { error: new Error('connection reset') });
+
+    expect(AggregationJob.findByIdAndUpdate).toHaveBeenCalledWith(jobId, {
+      $set: { status: 'failed', finishedAt: expect.any(Date) },
+      $push: { failures: { $each: [{ message: 'connection reset', occurredAt: expect.any(Date) }], $slice: -50 } }
+    }, { new: true });
+  });
+
+  test('keeps an explicit status', async () => {
+    counts({ completed: 0, failed: 0 });
+
+    await expect(aggregationJobs.finish(jobId, { status: 'cancelled' })).resolves.toMatchObject({ status: 'cancelled' });
+  });
+
+  test('returns null for unknown jobs', async () => {
+    jest.spyOn(AggregationJob, 'findById').mockReturnValue(mockQuery(null));
+
+    await expect(aggregationJobs.finish(jobId)).resolves.toBeNull();
+    expect(AggregationJob.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
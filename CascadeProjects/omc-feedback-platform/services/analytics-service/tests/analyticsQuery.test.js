@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const analyticsQuery = require('../src/utils/analyticsQuery');
+const queryController = require('../src/controllers/queryController');
+const { mockResponse } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId().toString();
+const timeRange = { from: '2024-01-01T00:00:00Z', to: '2024-02-01T00:00:00Z' };
+
+const query = (fields) => ({ measures: [{ type: 'count' }], timeRange, ...fields });
+
+/**
+ * Messages of the validation error a query fails with
+ * @param {Object} definition - Query
+ * @returns {Array<string>} - Error messages
+ */
+const errorsOf = (definition) => {
+  try {
+    analyticsQuery.compile(definition, { companyId: null });
+  } catch (error) {
+    expect(error.name).toBe('ValidationError');
+    return error.errors.map(detail => detail.message);
+  }
+
+  throw new Error('compiled');
+};
+
+/**
+ * Make aggregations resolve to rows
+ * @param {Array<Object>} rows - Result rows
+ */
+const aggregates = (rows) => {
+  const aggregate = { allowDiskUse: jest.fn(() => aggregate), option: jest.fn(() => Promise.resolve(rows)) };
+
+  jest.spyOn(AnalyticsEvent, 'aggregate').mockReturnValue(aggregate);
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('analyticsQuery.compile', () => {
+  test('scopes the first $match to the company and the time range', () => {
+    const { pipeline } = analyticsQuery.compile(query({
+      filters: [{ field: 'eventType', op: 'eq', value: 'feedback.created' }]
+    }), { companyId });
+
+    expect(pipeline[0]).toEqual({
+      $match: {
+        $and: [
+          { timestamp: { $gte: new Date(timeRange.from), $lt: new Date(timeRange.to) }, companyId: new mongoose.Types.ObjectId(companyId) },
+          { eventType: { $eq: 'feedback.created' } }
+        ]
+      }
+    });
+  });
+
+  test('only queries whitelisted event fields and plain eventData and metadata paths', () => {
+    expect(errorsOf(query({
+      dimensions: ['companyId', 'eventData.priority', 'metadata.$where'],
+      filters: [{ field: 'ipAddress', op: 'eq', value: 'x' }],
+      measures: [{ type: 'sum', field: 'eventData.score' }, { type: 'max', field: 'timestamp' }]
+    }))).toEqual([
+      'measures/1 cannot use field timestamp',
+      'dimensions/0 cannot use field companyId',
+      'dimensions/2 cannot use field metadata.$where',
+      'filters/0 cannot use field ipAddress'
+    ]);
+  });
+
+  test('limits the time range', () => {
+    expect(errorsOf(query({ timeRange: { from: '2022-01-01T00:00:00Z', to: '2024-01-01T00:00:00Z' } })))
+      .toEqual(['timeRange may span at most 366 days']);
+    expect(errorsOf(query({ timeRange: { from: timeRange.to, to: timeRange.from } })))
+      .toEqual(['timeRange.from must be before timeRange.to']);
+  });
+
+  test('rejects duplicate column names', () => {
+    expect(errorsOf(query({ measures: [{ type: 'count' }, { type: 'sum', field: 'eventData.score', as: 'count' }] })))
+      .toEqual(['Duplicate column names: count; name columns with "as"']);
+  });
+
+  test('in and nin take arrays, other operators single values', () => {
+    expect(errorsOf(query({
+      filters: [
+        { field: 'eventType', op: 'in', value: 'feedback.created' },
+        { field: 'eventType', op: 'eq', value: ['feedback.created'] },
+        { field: 'eventType', op: 'gt' }
+      ]
+    }))).toEqual(['filters/0 in takes an array', 'filters/1 eq takes a single value', 'filters/2 gt needs a value']);
+
+    const { pipeline } = analyticsQuery.compile(query({
+      filters: [{ field: 'userId', op: 'nin', value: [companyId] }]
+    }), { companyId: null });
+
+    expect(pipeline[0].$match.$and[1]).toEqual({ userId: { $nin: [new mongoose.Types.ObjectId(companyId)] } });
+  });
+
+  test('fetches one row beyond the limit', () => {
+    const { pipeline, limit } = analyticsQuery.compile(query({ limit: 50 }), { companyId });
+
+    expect(limit).toBe(50);
+    expect(pipeline[pipeline.length - 1]).toEqual({ $limit: 51 });
+  });
+
+  test('counts distinct values in two $group stages without collecting them', () => {
+    const { pipeline } = analyticsQuery.compile(query({
+      measures: [
+        { type: 'count' },
+        { type: 'countDistinct', field: 'userId' },
+        { type: 'avg', field: 'eventData.score', as: 'score' }
+      ],
+      dimensions: ['eventType']
+    }), { companyId });
+
+    const groups = pipeline.filter(stage => stage.$group).map(stage => stage.$group);
+
+    expect(JSON.stringify(pipeline)).not.toContain('$addToSet');
+    expect(groups).toHaveLength(2);
+    expect(groups[0]._id).toEqual({ eventType: '$eventType', __value: { $ifNull: ['$userId', null] } });
+    expect(groups[1]._id).toEqual({ eventType: '$_id.eventType' });
+    expect(groups[1].distinct_userId).toEqual({ $sum: { $cond: [{ $eq: ['$_id.__value', null] }, 0, 1] } });
+    expect(groups[1].count).toEqual({ $sum: '$count' });
+    expect(pipeline.find(stage => stage.$project).$project.score).toEqual({
+      $cond: [{ $gt: ['$__count_score', 0] }, { $divide: ['$score', '$__count_score'] }, null]
+    });
+  });
+
+  test('allows one countDistinct measure, without percentiles', () => {
+    expect(errorsOf(query({
+      measures: [{ type: 'countDistinct', field: 'userId' }, { type: 'countDistinct', field: 'resourceId' }]
+    }))).toEqual(['A query may have at most one countDistinct measure']);
+    expect(errorsOf(query({
+      measures: [{ type: 'countDistinct', field: 'userId' }, { type: 'percentile', field: 'eventData.score' }]
+    }))).toEqual(['countDistinct cannot be combined with percentile measures']);
+  });
+});
+
+describe('analyticsQuery.run', () => {
+  test('reports rows beyond the limit as truncated', async () => {
+    aggregates([{ count: 3 }, { count: 2 }, { count: 1 }]);
+
+    const result = await analyticsQuery.run(query({ limit: 2 }), { companyId });
+
+    expect(result.rows).toEqual([{ count: 3 }, { count: 2 }]);
+    expect(result.truncated).toBe(true);
+  });
+});
+
+describe('queryController.runQuery', () => {
+  const run = async (user, body) => {
+    const res = mockResponse();
+
+    await queryController.runQuery({ body, user: { id: 'u-1', ...user } }, res);
+
+    return res;
+  };
+
+  test('forces non-admins onto their own company', async () => {
+    aggregates([]);
+
+    const res = await run({ roles: ['analyst'], companyId }, query());
+
+    expect(res.statusCode).toBe(200);
+    expect(AnalyticsEvent.aggregate.mock.calls[0][0][0].$match.companyId).toEqual(new mongoose.Types.ObjectId(companyId));
+  });
+
+  test('denies non-admins another company\'s events', async () => {
+    aggregates([]);
+
+    const res = await run({ roles: ['analyst'], companyId }, query({ companyId: new mongoose.Types.ObjectId().toString() }));
+
+    expect(res.statusCode).toBe(403);
+    expect(AnalyticsEvent.aggregate).not.toHaveBeenCalled();
+  });
+
+  test('lets admins query every company', async () => {
+    aggregates([]);
+
+    await run({ roles: ['admin'] }, query());
+
+    expect(AnalyticsEvent.aggregate.mock.calls[0][0][0].$match).not.toHaveProperty('companyId');
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const tenantDirectory = require('../src/utils/tenantDirectory');
+const { checkCompanyAccess } = require('../src/middleware/auth');
+const { mockResponse } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId();
+
+const request = (roles = ['manager'], query = {}) => ({
+  params: {},
+  query,
+  body: {},
+  user: { id: 'u-1', roles, companyId: companyId.toString() }
+});
+
+/**
+ * Run the middleware
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} - Response and whether the request was passed on
+ */
+const check = async (req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await checkCompanyAccess(req, res, next);
+
+  return { res, passed: next.mock.calls.length > 0 };
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkCompanyAccess', () => {
+  test('passes requests for an active company with the company attached', async () => {
+    const company = { _id: companyId, active: true, timezone: 'UTC' };
+    jest.spyOn(tenantDirectory, 'getCompany').mockResolvedValue(company);
+    const req = request();
+
+    const { passed } = await check(req);
+
+    expect(passed).toBe(true);
+    expect(req.company).toBe(company);
+  });
+
+  test('denies another company\'s resources before looking anything up', async () => {
+    jest.spyOn(tenantDirectory, 'getCompany');
+
+    const { res, passed } = await check(request(['manager'], { companyId: new mongoose.Types.ObjectId().toString() }));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(tenantDirectory.getCompany).not.toHaveBeenCalled();
+  });
+
+  test('denies inactive companies to everyone but admins', async () => {
+    jest.spyOn(tenantDirectory, 'getCompany').mockResolvedValue({ _id: companyId, active: false });
+
+    expect((await check(request())).res.statusCode).toBe(403);
+    expect((await check(request(['admin'], { companyId: companyId.toString() }))).passed).toBe(true);
+  });
+
+  test('answers 404 for companies user-service does not know', async () => {
+    jest.spyOn(tenantDirectory, 'getCompany').mockResolvedValue(null);
+
+    expect((await check(request())).res.statusCode).toBe(404);
+  });
+
+  test('passes the request on when the company cannot be looked up', async () => {
+    jest.spyOn(tenantDirectory, 'getCompany').mockRejectedValue(Object.assign(new Error('user-service API error: timeout'), { status: 503 }));
+    const req = request();
+
+    const { res, passed } = await check(req);
+
+    expect(passed).toBe(true);
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.company).toBeUndefined();
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const BackfillJob = require('../src/models/backfillJob');
+const DataAggregator = require('../src/utils/dataAggregator');
+const aggregationJobs = require('../src/utils/aggregationJobs');
+const backfillRunner = require('../src/utils/backfillRunner');
+const { mockQuery } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId();
+
+// Two daily buckets, one batch at the default item concurrency
+const job = () => new BackfillJob({
+  status: 'running',
+  periods: ['daily'],
+  startDate: new Date('2024-03-01T00:00:00Z'),
+  endDate: new Date('2024-03-02T00:00:00Z'),
+  companyId,
+  claimedBy: 'run-1',
+  aggregationJobId: new mongoose.Types.ObjectId()
+});
+
+/**
+ * Let the job started in the background run until it waits on something unresolved
+ */
+const settle = async () => {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+let claimed;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  claimed = job();
+  jest.spyOn(BackfillJob, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(BackfillJob, 'findOneAndUpdate')
+    .mockResolvedValueOnce(claimed)
+    .mockResolvedValue(null);
+  jest.spyOn(BackfillJob, 'findById').mockImplementation(() => mockQuery({
+    cancelRequested: false,
+    progress: { total: 2, completed: 2, failed: 0 }
+  }));
+  jest.spyOn(BackfillJob, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  jest.spyOn(aggregationJobs, 'record').mockResolvedValue();
+  jest.spyOn(aggregationJobs, 'finish').mockResolvedValue();
+  jest.spyOn(DataAggregator, 'aggregateFeedbackMetrics').mockResolvedValue({});
+  jest.spyOn(DataAggregator, 'aggregateUserMetrics').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('backfill job claims', () => {
+  test('claims a job under a run id and updates it only while the run holds it', async () => {
+    await backfillRunner.processQueue();
+    await settle();
+
+    const [, claim] = BackfillJob.findOneAndUpdate.mock.calls[0];
+
+    expect(claim.$set).toEqual(expect.objectContaining({ status: 'running', claimedBy: expect.any(String) }));
+    expect(BackfillJob.updateOne.mock.calls.map(([filter]) => filter))
+      .toEqual(BackfillJob.updateOne.mock.calls.map(() => ({ _id: claimed._id, claimedBy: 'run-1' })));
+    expect(BackfillJob.updateOne).toHaveBeenLastCalledWith(
+      { _id: claimed._id, claimedBy: 'run-1' },
+      { $set: { status: 'completed', finishedAt: expect.any(Date) } }
+    );
+    expect(aggregationJobs.finish).toHaveBeenCalled();
+  });
+
+  test('stops without finishing once another run has claimed the job', async () => {
+    BackfillJob.updateOne
+      .mockResolvedValueOnce({ matchedCount: 1 })
+      .mockResolvedValue({ matchedCount: 0 });
+
+    await backfillRunner.processQueue();
+    await settle();
+
+    // Progress of the batch matched nothing: no final status, no finished aggregation job
+    expect(BackfillJob.updateOne).toHaveBeenCalledTimes(2);
+    expect(BackfillJob.updateOne.mock.calls[1][1].$set).toHaveProperty(['progress.nextIndex'], 2);
+    expect(aggregationJobs.finish).not.toHaveBeenCalled();
+  });
+
+  test('keeps the heartbeat fresh while a long work item runs', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+
+    let finishItem;
+    DataAggregator.aggregateFeedbackMetrics.mockImplementationOnce(() => new Promise(resolve => {
+      finishItem = resolve;
+    }));
+
+    await backfillRunner.processQueue();
+    await settle();
+
+    const heartbeats = () => BackfillJob.updateOne.mock.calls
+      .filter(([, update]) => Object.keys(update.$set).join() === 'heartbeatAt');
+
+    expect(heartbeats()).toHaveLength(0);
+
+    // Three heartbeats per BACKFILL_STALE_AFTER (600 s by default)
+    jest.advanceTimersByTime(600 * 1000);
+
+    expect(heartbeats()).toHaveLength(3);
+    expect(heartbeats()[0][0]).toEqual({ _id: claimed._id, claimedBy: 'run-1' });
+
+    finishItem({});
+    await settle();
+
+    jest.advanceTimersByTime(600 * 1000);
+
+    expect(heartbeats()).toHaveLength(3);
+  });
+});
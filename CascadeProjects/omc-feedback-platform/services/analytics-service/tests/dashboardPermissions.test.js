@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const Dashboard = require('../src/models/dashboard');
+const cache = require('../src/utils/cache');
+const dashboardController = require('../src/controllers/dashboardController');
+const { getPermission } = require('../src/utils/sharing');
+const { mockResponse, mockQuery } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+const companyId = id();
+const otherCompanyId = id();
+const ownerId = id();
+
+const user = (overrides = {}) => ({ id: id(), companyId, roles: ['agent'], ...overrides });
+
+const dashboardWith = (sharing = {}) => new Dashboard({
+  name: 'Support overview',
+  userId: ownerId,
+  companyId,
+  layout: [],
+  sharing: {
+    sharedWith: [],
+    sharedWithCompany: false,
+    companyPermission: 'view',
+    ...sharing
+  }
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(cache, 'get').mockResolvedValue(null);
+  jest.spyOn(cache, 'set').mockResolvedValue(true);
+  jest.spyOn(cache, 'clearByPattern').mockResolvedValue(true);
+  jest.spyOn(Dashboard.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+describe('dashboard permissions', () => {
+  test('the owner has full control', () => {
+    const dashboard = dashboardWith();
+
+    expect(getPermission(dashboard, dashboard.userId, user({ id: ownerId }))).toBe('owner');
+  });
+
+  test('admins have full control, even from another company', () => {
+    const dashboard = dashboardWith();
+
+    expect(getPermission(dashboard, dashboard.userId, user({ roles: ['admin'], companyId: otherCompanyId }))).toBe('owner');
+  });
+
+  test('a user shared with directly gets view or edit', () => {
+    const viewer = user();
+    const editor = user();
+    const dashboard = dashboardWith({
+      sharedWith: [
+        { userId: viewer.id, permission: 'view' },
+        { userId: editor.id, permission: 'edit' }
+      ]
+    });
+
+    expect(getPermission(dashboard, dashboard.userId, viewer)).toBe('view');
+    expect(getPermission(dashboard, dashboard.userId, editor)).toBe('edit');
+  });
+
+  test('company-wide sharing grants its permission to everyone in the company', () => {
+    const colleague = user();
+
+    expect(getPermission(dashboardWith({ sharedWithCompany: true }), ownerId, colleague)).toBe('view');
+    expect(getPermission(dashboardWith({ sharedWithCompany: true, companyPermission: 'edit' }), ownerId, colleague)).toBe('edit');
+  });
+
+  test('a user gets the higher of their direct and company-wide permissions', () => {
+    const colleague = user();
+    const dashboard = dashboardWith({
+      sharedWith: [{ userId: colleague.id, permission: 'view' }],
+      sharedWithCompany: true,
+      companyPermission: 'edit'
+    });
+
+    expect(getPermission(dashboard, dashboard.userId, colleague)).toBe('edit');
+  });
+
+  test('company-wide sharing does not reach users of another company', () => {
+    const outsider = user({ companyId: otherCompanyId });
+    const dashboard = dashboardWith({ sharedWithCompany: true, companyPermission: 'edit' });
+
+    expect(getPermission(dashboard, dashboard.userId, outsider)).toBeNull();
+  });
+
+  test('a colleague the dashboard is not shared with has no access', () => {
+    expect(getPermission(dashboardWith(), ownerId, user())).toBeNull();
+  });
+});
+
+describe('dashboardController permission paths', () => {
+  test('getDashboardById returns 403 to a user of another company', async () => {
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith({ sharedWithCompany: true }));
+    const res = mockResponse();
+
+    await dashboardController.getDashboardById({ params: { id: id() }, user: user({ companyId: otherCompanyId }) }, res);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('getDashboardById includes the user\'s permission', async () => {
+    const editor = user();
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith({ sharedWith: [{ userId: editor.id, permission: 'edit' }] }));
+    const res = mockResponse();
+
+    await dashboardController.getDashboardById({ params: { id: id() }, user: editor }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.permission).toBe('edit');
+  });
+
+  test('viewers cannot update a dashboard; editors can', async () => {
+    const viewer = user();
+    const editor = user();
+    const sharing = {
+      sharedWith: [
+        { userId: viewer.id, permission: 'view' },
+        { userId: editor.id, permission: 'edit' }
+      ]
+    };
+
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith(sharing));
+    const denied = mockResponse();
+    await dashboardController.updateDashboard({ params: { id: id() }, body: { name: 'Renamed' }, user: viewer }, denied);
+
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith(sharing));
+    const allowed = mockResponse();
+    await dashboardController.updateDashboard({ params: { id: id() }, body: { name: 'Renamed' }, user: editor }, allowed);
+
+    expect(denied.statusCode).toBe(403);
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.body.data.name).toBe('Renamed');
+  });
+
+  test('editors cannot change sharing settings', async () => {
+    const editor = user();
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith({ sharedWith: [{ userId: editor.id, permission: 'edit' }] }));
+    const res = mockResponse();
+
+    await dashboardController.updateDashboard({
+      params: { id: id() },
+      body: { sharing: { sharedWithCompany: true } },
+      user: editor
+    }, res);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('only the owner or an admin can share a dashboard', async () => {
+    const editor = user();
+    const sharing = { sharedWith: [{ userId: editor.id, permission: 'edit' }] };
+
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith(sharing));
+    const denied = mockResponse();
+    await dashboardController.shareDashboard({ params: { id: id() }, body: { sharedWithCompany: true }, user: editor }, denied);
+
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith(sharing));
+    const owner = mockResponse();
+    await dashboardController.shareDashboard({
+      params: { id: id() },
+      body: { sharedWithCompany: true, companyPermission: 'edit' },
+      user: user({ id: ownerId })
+    }, owner);
+
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith(sharing));
+    const admin = mockResponse();
+    await dashboardController.shareDashboard({
+      params: { id: id() },
+      body: { sharedWithCompany: true },
+      user: user({ roles: ['admin'] })
+    }, admin);
+
+    expect(denied.statusCode).toBe(403);
+    expect(owner.statusCode).toBe(200);
+    expect(owner.body.data.sharing).toMatchObject({ isShared: true, sharedWithCompany: true, companyPermission: 'edit' });
+    expect(admin.statusCode).toBe(200);
+  });
+
+  test('sharing rejects an invalid permission', async () => {
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith());
+    const res = mockResponse();
+
+    await dashboardController.shareDashboard({
+      params: { id: id() },
+      body: { sharedWith: [{ userId: id(), permission: 'delete' }] },
+      user: user({ id: ownerId })
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('a viewer can clone a dashboard into a private copy they own', async () => {
+    const viewer = user();
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith({ sharedWithCompany: true }));
+    const res = mockResponse();
+
+    await dashboardController.cloneDashboard({ params: { id: id() }, body: { name: 'My copy' }, user: viewer }, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(Dashboard.prototype.save).toHaveBeenCalled();
+    const clone = Dashboard.prototype.save.mock.contexts[0];
+    expect(clone.userId.toString()).toBe(viewer.id);
+    expect(clone.sharing.isShared).toBe(false);
+  });
+
+  test('a user without access cannot clone a dashboard', async () => {
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith());
+    const res = mockResponse();
+
+    await dashboardController.cloneDashboard({ params: { id: id() }, body: { name: 'My copy' }, user: user() }, res);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('only the owner or an admin can delete a dashboard', async () => {
+    const editor = user();
+    jest.spyOn(Dashboard, 'findById').mockResolvedValue(dashboardWith({ sharedWith: [{ userId: editor.id, permission: 'edit' }] }));
+    jest.spyOn(Dashboard, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const res = mockResponse();
+
+    await dashboardController.deleteDashboard({ params: { id: id() }, user: editor }, res);
+
+    expect(res.statusCode).toBe(403);
+    expect(Dashboard.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('dashboard listing', () => {
+  const listWith = async (query, currentUser) => {
+    const find = jest.spyOn(Dashboard, 'find').mockReturnValue(mockQuery([]));
+    const res = mockResponse();
+
+    await dashboardController.getDashboards({ query, user: currentUser }, res);
+
+    return { res, filter: find.mock.calls[0]?.[0] };
+  };
+
+  test('lists own, shared-with-me and company-wide dashboards by default', async () => {
+    const current = user();
+    const { res, filter } = await listWith({}, current);
+
+    expect(res.statusCode).toBe(200);
+    expect(filter.$or).toEqual([
+      { userId: current.id },
+      { 'sharing.sharedWith.userId': current.id },
+      { companyId, 'sharing.sharedWithCompany': true }
+    ]);
+  });
+
+  test('scope=shared lists dashboards shared with me', async () => {
+    const current = user();
+    const { filter } = await listWith({ scope: 'shared' }, current);
+
+    expect(filter).toEqual({ 'sharing.sharedWith.userId': current.id });
+  });
+
+  test('scope=company lists dashboards shared with my company', async () => {
+    const { filter } = await listWith({ scope: 'company' }, user());
+
+    expect(filter).toEqual({ companyId, 'sharing.sharedWithCompany': true });
+  });
+
+  test('responses carry each dashboard\'s permission', async () => {
+    const current = user();
+    jest.spyOn(Dashboard, 'find').mockReturnValue(mockQuery([
+      dashboardWith({ sharedWithCompany: true }),
+      dashboardWith({ sharedWith: [{ userId: current.id, permission: 'edit' }] })
+    ]));
+    const res = mockResponse();
+
+    await dashboardController.getDashboards({ query: {}, user: current }, res);
+
+    expect(res.body.data.map(dashboard => dashboard.permission)).toEqual(['view', 'edit']);
+  });
+
+  test('an unknown scope is rejected', async () => {
+    const { res } = await listWith({ scope: 'everyone' }, user());
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('non-admins cannot list another company\'s dashboards', async () => {
+    const { res } = await listWith({ companyId: otherCompanyId }, user());
+
+    expect(res.statusCode).toBe(403);
+  });
+});
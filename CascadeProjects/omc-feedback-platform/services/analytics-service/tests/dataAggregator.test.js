@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const FeedbackMetrics = require('../src/models/feedbackMetrics');
+const UserMetrics = require('../src/models/userMetrics');
+const DataAggregator = require('../src/utils/dataAggregator');
+const aggregationJobs = require('../src/utils/aggregationJobs');
+const dirtyPeriods = require('../src/utils/dirtyPeriods');
+const eventUpcasters = require('../src/utils/eventUpcasters');
+const logger = require('../src/utils/logger');
+const tenantDirectory = require('../src/utils/tenantDirectory');
+
+// Elapsed time of an event, evaluated as MongoDB would for the operators the expression uses
+const evaluate = (expression, event) => {
+  const [condition, elapsed] = expression.$cond;
+  const createdAt = event.eventData.createdAt;
+  const type = createdAt instanceof Date ? 'date' : typeof createdAt;
+
+  expect(condition).toEqual({ $eq: [{ $type: '$eventData.createdAt' }, 'date'] });
+  expect(elapsed).toEqual({ $subtract: ['$timestamp', '$eventData.createdAt'] });
+
+  return type === 'date' ? event.timestamp - createdAt : null;
+};
+
+describe('feedback elapsed times', () => {
+  const timestamp = new Date('2024-03-01T12:00:00Z');
+
+  test('are measured only from dates in eventData.createdAt', () => {
+    const expression = DataAggregator.elapsedExpression;
+
+    expect(evaluate(expression, { timestamp, eventData: { createdAt: new Date('2024-03-01T10:00:00Z') } })).toBe(7200000);
+    expect(evaluate(expression, { timestamp, eventData: { createdAt: '2024-03-01T10:00:00Z' } })).toBeNull();
+    expect(evaluate(expression, { timestamp, eventData: {} })).toBeNull();
+  });
+
+  test('the response and resolution accumulators use the guarded expression', () => {
+    const accumulators = DataAggregator._feedbackAccumulators();
+
+    ['response', 'resolution'].forEach(prefix => {
+      const [, value] = accumulators[`${prefix}Average`].$avg.$cond;
+
+      expect(value).toBe(DataAggregator.elapsedExpression);
+    });
+  });
+});
+
+describe('grouped aggregation of every company', () => {
+  const active = new mongoose.Types.ObjectId();
+  const inactive = new mongoose.Types.ObjectId();
+  const date = new Date('2024-03-05T12:00:00Z');
+  const pipelines = [];
+
+  /**
+   * Aggregation double resolving the feedback totals and user counts pipelines to rows per scope
+   * @param {Array<Object>} pipeline - Aggregation pipeline
+   * @returns {Object} - Aggregate with allowDiskUse() and option()
+   */
+  const aggregate = (pipeline) => {
+    const { sourceService, eventType } = pipeline[0].$match;
+    let rows = [];
+
+    pipelines.push(pipeline);
+
+    if (sourceService === 'feedback' && eventType.$in) {
+      rows = [null, active, inactive].map(companyId => ({ companyId, metrics: { counts: { total: 1 } } }));
+    } else if (sourceService === 'user' && eventType.$in?.includes('user.created')) {
+      rows = [null, active].map(scope => ({ _id: { scope, key: 'user.created' }, count: 1 }));
+    }
+
+    const result = { allowDiskUse: () => result, option: () => Promise.resolve(rows) };
+
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    pipelines.length = 0;
+    jest.spyOn(AnalyticsEvent, 'aggregate').mockImplementation(aggregate);
+    jest.spyOn(tenantDirectory, 'listCompanies').mockResolvedValue([{ _id: inactive }]);
+    jest.spyOn(FeedbackMetrics, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(UserMetrics, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(dirtyPeriods, 'markBuckets').mockResolvedValue(0);
+    jest.spyOn(logger, 'error').mockImplementation(() => logger);
+  });
+
+  test('expands every event to the platform-wide scope and its company before grouping', async () => {
+    await DataAggregator.aggregateAllCompanies('daily', date);
+
+    expect(pipelines).toHaveLength(7);
+    pipelines.forEach(pipeline => {
+      expect(pipeline[0].$match.timestamp).toEqual({ $gte: new Date('2024-03-05T00:00:00Z'), $lt: expect.any(Date) });
+      expect(pipeline[1]).toEqual({ $set: { scope: { $cond: [{ $ifNull: ['$companyId', false] }, [null, '$companyId'], [null]] } } });
+      expect(pipeline[2]).toEqual({ $unwind: '$scope' });
+    });
+    expect(pipelines.map(pipeline => JSON.stringify(pipeline[3].$group._id)).every(id => id.includes('$scope'))).toBe(true);
+  });
+
+  test('writes every scope but inactive companies in one bulk write per metric', async () => {
+    const results = await DataAggregator.aggregateAllCompanies('daily', date);
+
+    expect(results).toEqual([{ companyId: null }, { companyId: active }]);
+    expect(FeedbackMetrics.bulkWrite).toHaveBeenCalledTimes(1);
+    expect(FeedbackMetrics.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.filter)).toEqual([
+      { period: 'daily', date: new Date('2024-03-05T00:00:00Z'), companyId: null },
+      { period: 'daily', date: new Date('2024-03-05T00:00:00Z'), companyId: active }
+    ]);
+    expect(UserMetrics.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+    expect(dirtyPeriods.markBuckets).not.toHaveBeenCalled();
+  });
+
+  test('marks the scopes of a failed write for re-aggregation', async () => {
+    UserMetrics.bulkWrite.mockRejectedValue(new Error('write conflict'));
+
+    const results = await DataAggregator.aggregateAllCompanies('daily', date);
+
+    expect(results).toEqual([
+      { companyId: null, error: expect.objectContaining({ message: 'write conflict' }) },
+      { companyId: active, error: expect.objectContaining({ message: 'write conflict' }) }
+    ]);
+    expect(dirtyPeriods.markBuckets).toHaveBeenCalledWith([
+      { metric: 'user', period: 'daily', date: new Date('2024-03-05T00:00:00Z'), companyId: null },
+      { metric: 'user', period: 'daily', date: new Date('2024-03-05T00:00:00Z'), companyId: active }
+    ]);
+  });
+
+  test('writes nothing once the deadline has passed and marks every scope left over', async () => {
+    const results = await DataAggregator.aggregateAllCompanies('daily', date, { deadline: Date.now() - 1 });
+
+    expect(FeedbackMetrics.bulkWrite).not.toHaveBeenCalled();
+    expect(UserMetrics.bulkWrite).not.toHaveBeenCalled();
+    expect(results.map(result => result.error.message)).toEqual(['Aggregation time budget exceeded', 'Aggregation time budget exceeded']);
+    expect(dirtyPeriods.markBuckets).toHaveBeenCalledTimes(2);
+    expect(dirtyPeriods.markBuckets.mock.calls.flatMap(([buckets]) => buckets.map(bucket => bucket.metric)))
+      .toEqual(['feedback', 'feedback', 'user', 'user']);
+  });
+
+  test('limits the pipelines to the time left before the deadline', async () => {
+    const option = jest.fn(() => Promise.resolve([]));
+
+    AnalyticsEvent.aggregate.mockImplementation(() => ({ allowDiskUse: () => ({ option }) }));
+
+    await DataAggregator.aggregateAllCompanies('daily', date, { deadline: Date.now() + 60000 });
+
+    expect(option).toHaveBeenCalledTimes(7);
+    option.mock.calls.forEach(([options]) => {
+      expect(options.maxTimeMS).toBeGreaterThan(0);
+      expect(options.maxTimeMS).toBeLessThanOrEqual(60000);
+    });
+  });
+});
+
+describe('DataAggregator.runScheduledAggregation', () => {
+  const jobId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(aggregationJobs, 'start').mockResolvedValue({ _id: jobId });
+    jest.spyOn(aggregationJobs, 'record').mockResolvedValue();
+    jest.spyOn(aggregationJobs, 'finish').mockResolvedValue({ _id: jobId, status: 'partial', counts: { completed: 1, failed: 1 } });
+    jest.spyOn(eventUpcasters, 'migrateEvents').mockResolvedValue(0);
+    jest.spyOn(logger, 'error').mockImplementation(() => logger);
+  });
+
+  test('records the run and the outcome per scope as an aggregation job, within the time budget', async () => {
+    const error = new Error('write conflict');
+    jest.spyOn(DataAggregator, 'aggregateAllCompanies').mockResolvedValue([{ companyId: null }, { companyId: 'c-1', error }]);
+
+    const finished = await DataAggregator.runScheduledAggregation('daily');
+    const { startDate, endDate } = DataAggregator.calculatePeriodDates('daily', new Date());
+
+    expect(finished.status).toBe('partial');
+    expect(aggregationJobs.start).toHaveBeenCalledWith({ type: 'scheduled', periods: ['daily'], startDate, endDate });
+    expect(eventUpcasters.migrateEvents).toHaveBeenCalledWith({ timestamp: { $gte: startDate, $lt: endDate } });
+    expect(DataAggregator.aggregateAllCompanies.mock.calls[0][2].deadline)
+      .toBeGreaterThan(Date.now() + (parseInt(process.env.AGGREGATION_TIME_BUDGET || '1800', 10) - 60) * 1000);
+    expect(aggregationJobs.record).toHaveBeenCalledWith(jobId, [
+      { companyId: null, period: 'daily', date: startDate },
+      { companyId: 'c-1', error, period: 'daily', date: startDate }
+    ]);
+    expect(aggregationJobs.finish).toHaveBeenCalledWith(jobId);
+  });
+
+  test('finishes the job as failed when the run aborts', async () => {
+    jest.spyOn(DataAggregator, 'aggregateAllCompanies').mockRejectedValue(new Error('connection reset'));
+
+    await DataAggregator.runScheduledAggregation('weekly');
+
+    expect(aggregationJobs.record).not.toHaveBeenCalled();
+    expect(aggregationJobs.finish).toHaveBeenCalledWith(jobId, { error: expect.objectContaining({ message: 'connection reset' }) });
+  });
+});
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const DirtyPeriod = require('../src/models/dirtyPeriod');
+const DataAggregator = require('../src/utils/dataAggregator');
+const dirtyPeriods = require('../src/utils/dirtyPeriods');
+
+const companyId = new mongoose.Types.ObjectId();
+
+const dirty = (fields) => new DirtyPeriod({ metric: 'feedback', period: 'daily', companyId, eventCount: 1, ...fields });
+
+/**
+ * Serve dirty buckets to the re-aggregation job in order, claimed by the run
+ * @param {Array<Object>} buckets - Dirty bucket documents
+ */
+const queue = (buckets) => {
+  const pending = [...buckets];
+
+  jest.spyOn(DirtyPeriod, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const bucket = pending.shift();
+
+    return bucket ? Object.assign(bucket, update.$set) : null;
+  });
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(DirtyPeriod, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(DirtyPeriod, 'updateOne').mockResolvedValue({});
+  jest.spyOn(DirtyPeriod, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(DataAggregator, 'aggregateFeedbackMetrics').mockResolvedValue({});
+  jest.spyOn(DataAggregator, 'aggregateUserMetrics').mockResolvedValue({});
+});
+
+describe('dirtyPeriods.markEvents', () => {
+  test('marks the closed buckets of late events without all-time buckets', async () => {
+    await dirtyPeriods.markEvents([
+      { sourceService: 'feedback', companyId, timestamp: new Date('2024-03-01T10:00:00Z'), receivedAt: new Date('2024-03-05T10:00:00Z'), late: true },
+      { sourceService: 'feedback', companyId, timestamp: new Date('2024-03-02T10:00:00Z'), receivedAt: new Date('2024-03-05T10:00:00Z'), late: true }
+    ]);
+
+    const marked = DirtyPeriod.bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter);
+
+    expect(marked.some(bucket => bucket.period === 'all_time')).toBe(false);
+    expect(marked.filter(bucket => bucket.period === 'monthly')).toHaveLength(2);
+    expect(marked.filter(bucket => bucket.period === 'daily')).toHaveLength(4);
+  });
+});
+
+describe('dirtyPeriods.reaggregate', () => {
+  test('recomputes all-time metrics once per metric and company in a run', async () => {
+    queue([
+      dirty({ date: new Date('2024-03-01T00:00:00Z') }),
+      dirty({ date: new Date('2024-03-02T00:00:00Z') }),
+      dirty({ period: 'monthly', date: new Date('2024-03-01T00:00:00Z') }),
+      dirty({ companyId: null, date: new Date('2024-03-01T00:00:00Z') }),
+      dirty({ metric: 'user', date: new Date('2024-03-01T00:00:00Z') })
+    ]);
+
+    const result = await dirtyPeriods.reaggregate();
+
+    const allTime = calls => calls.filter(([period]) => period === 'all_time').map(([, , scope]) => scope);
+
+    expect(allTime(DataAggregator.aggregateFeedbackMetrics.mock.calls)).toEqual([companyId, null]);
+    expect(allTime(DataAggregator.aggregateUserMetrics.mock.calls)).toEqual([companyId]);
+    expect(result).toEqual({ recomputed: 8, failed: 0 });
+  });
+
+  test('recomputes a marked all-time bucket once, at the end of the run', async () => {
+    queue([
+      dirty({ period: 'all_time', date: new Date(0) }),
+      dirty({ date: new Date('2024-03-01T00:00:00Z') })
+    ]);
+
+    await dirtyPeriods.reaggregate();
+
+    expect(DataAggregator.aggregateFeedbackMetrics.mock.calls.map(([period]) => period)).toEqual(['daily', 'all_time']);
+  });
+
+  test('claims buckets that no run holds, under a lease', async () => {
+    queue([dirty({ date: new Date('2024-03-01T00:00:00Z') })]);
+
+    await dirtyPeriods.reaggregate();
+
+    const [filter, update, options] = DirtyPeriod.findOneAndUpdate.mock.calls[0];
+
+    expect(filter).toEqual({ $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: expect.any(Date) } }] });
+    expect(update.$set).toEqual({ claimedBy: expect.any(String), leaseExpiresAt: expect.any(Date) });
+    expect(update.$set.leaseExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(options).toEqual({ sort: { markedAt: 1 }, new: true });
+  });
+
+  test('unmarks a bucket only after it is recomputed', async () => {
+    const bucket = dirty({ date: new Date('2024-03-01T00:00:00Z'), eventCount: 3 });
+    queue([bucket]);
+    DataAggregator.aggregateFeedbackMetrics.mockImplementationOnce(async () => {
+      expect(DirtyPeriod.deleteOne).not.toHaveBeenCalled();
+      return {};
+    });
+
+    await dirtyPeriods.reaggregate();
+
+    expect(DirtyPeriod.deleteOne).toHaveBeenCalledWith({ _id: bucket._id, claimedBy: bucket.claimedBy, eventCount: 3 });
+  });
+
+  test('keeps a bucket marked for events that arrived while it was recomputed', async () => {
+    const bucket = dirty({ date: new Date('2024-03-01T00:00:00Z'), eventCount: 3 });
+    queue([bucket]);
+    DirtyPeriod.deleteOne.mockResolvedValueOnce({ deletedCount: 0 });
+
+    await dirtyPeriods.reaggregate();
+
+    expect(DirtyPeriod.updateOne).toHaveBeenCalledWith({ _id: bucket._id, claimedBy: bucket.claimedBy }, {
+      $set: { claimedBy: null, leaseExpiresAt: null, markedAt: expect.any(Date) },
+      $inc: { eventCount: -3 }
+    });
+  });
+
+  test('releases a failed bucket still marked and still recomputes the all-time metrics it touched', async () => {
+    const failing = dirty({ date: new Date('2024-03-02T00:00:00Z') });
+    queue([dirty({ date: new Date('2024-03-01T00:00:00Z') }), failing]);
+    DataAggregator.aggregateFeedbackMetrics
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    const result = await dirtyPeriods.reaggregate();
+
+    expect(DataAggregator.aggregateFeedbackMetrics.mock.calls.map(([period]) => period)).toEqual(['daily', 'daily', 'all_time']);
+    expect(DirtyPeriod.deleteOne).not.toHaveBeenCalledWith(expect.objectContaining({ _id: failing._id }));
+    expect(DirtyPeriod.updateOne).toHaveBeenCalledWith({ _id: failing._id, claimedBy: failing.claimedBy }, {
+      $set: { claimedBy: null, leaseExpiresAt: null, markedAt: expect.any(Date) }
+    });
+    expect(result).toEqual({ recomputed: 2, failed: 1 });
+  });
+
+  test('unmarks a claimed all-time bucket after the end-of-run recomputation', async () => {
+    const allTime = dirty({ period: 'all_time', date: new Date(0) });
+    queue([allTime]);
+
+    await dirtyPeriods.reaggregate();
+
+    expect(DirtyPeriod.deleteOne).toHaveBeenCalledWith(expect.objectContaining({ _id: allTime._id }));
+  });
+
+  test('marks all-time metrics again when their recomputation fails', async () => {
+    queue([dirty({ date: new Date('2024-03-01T00:00:00Z') })]);
+    DataAggregator.aggregateFeedbackMetrics
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    await dirtyPeriods.reaggregate();
+
+    expect(DirtyPeriod.updateOne).toHaveBeenCalledWith(
+      { metric: 'feedback', period: 'all_time', date: new Date(0), companyId },
+      expect.anything(),
+      { upsert: true }
+    );
+  });
+});
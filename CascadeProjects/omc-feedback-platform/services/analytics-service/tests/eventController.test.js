@@ -0,0 +1,152 @@
+const { Readable } = require('stream');
+const { mockResponse } = require('./helpers');
+
+/**
+ * Event controller and event store loaded with a batch chunk size
+ * @param {number} chunkSize - EVENT_BATCH_CHUNK_SIZE
+ * @returns {Object} - eventController and eventStore with storeEvents accepting every event
+ */
+const load = (chunkSize = 1000) => {
+  let modules;
+
+  jest.isolateModules(() => {
+    process.env.EVENT_BATCH_CHUNK_SIZE = String(chunkSize);
+    modules = {
+      eventController: require('../src/controllers/eventController'),
+      eventStore: require('../src/utils/eventStore')
+    };
+    delete process.env.EVENT_BATCH_CHUNK_SIZE;
+  });
+
+  jest.spyOn(modules.eventStore, 'storeEvents').mockImplementation(async events => events.map((event, i) => ({
+    status: 'accepted',
+    eventId: `id-${i}`,
+    event
+  })));
+
+  return modules;
+};
+
+const event = (fields = {}) => ({
+  sourceService: 'feedback',
+  eventType: 'feedback.created',
+  eventData: { priority: 'high' },
+  ...fields
+});
+
+/**
+ * Sync request with a JSON body or, given lines, a streamed NDJSON body
+ * @param {Object} options - Request options
+ * @returns {Object} - Express request double
+ */
+const request = ({ body, lines, headers = {} }) => {
+  const req = lines ? Readable.from(lines.map(line => `${line}\n`)) : {};
+
+  req.body = body || {};
+  req.get = jest.fn(name => headers[name]);
+  req.is = jest.fn(type => (lines && type === 'application/x-ndjson' ? type : false));
+
+  return req;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('eventController.syncEvents', () => {
+  const hour = 60 * 60 * 1000;
+
+  test('shifts device timestamps by the clock skew, without passing the upload time', async () => {
+    const { eventController, eventStore } = load();
+    const deviceTime = new Date(Date.now() - hour);
+    const res = mockResponse();
+
+    await eventController.syncEvents(request({
+      body: {
+        deviceTime: deviceTime.toISOString(),
+        events: [
+          event({ timestamp: new Date(deviceTime.getTime() - 2 * hour).toISOString() }),
+          event({ timestamp: new Date(deviceTime.getTime() + 3 * hour).toISOString() })
+        ]
+      }
+    }), res);
+
+    const { receivedAt, clockSkew } = res.body.data.sync;
+    const [past, ahead] = eventStore.storeEvents.mock.calls[0][0];
+
+    expect(res.statusCode).toBe(201);
+    expect(clockSkew).toBe(receivedAt.getTime() - deviceTime.getTime());
+    expect(past.timestamp).toEqual(new Date(deviceTime.getTime() - 2 * hour + clockSkew));
+    expect(past.clientTimestamp).toEqual(new Date(deviceTime.getTime() - 2 * hour));
+    expect(past.clockSkew).toBe(clockSkew);
+    expect(ahead.timestamp).toEqual(receivedAt);
+  });
+
+  test('rejects sync events without a valid timestamp', async () => {
+    const { eventController } = load();
+    const res = mockResponse();
+
+    await eventController.syncEvents(request({
+      body: {
+        deviceTime: new Date().toISOString(),
+        events: [event(), event({ timestamp: 'yesterday' }), event({ timestamp: new Date().toISOString() })]
+      }
+    }), res);
+
+    expect(res.body.data).toMatchObject({ insertedCount: 1, rejectedCount: 2 });
+    expect(res.body.data.results.slice(0, 2)).toEqual([
+      { index: 0, status: 'rejected', errors: ['timestamp must be a valid date for sync events'] },
+      { index: 1, status: 'rejected', errors: ['timestamp must be a valid date for sync events'] }
+    ]);
+  });
+
+  test('requires a valid device time', async () => {
+    const { eventController, eventStore } = load();
+    const res = mockResponse();
+
+    await eventController.syncEvents(request({ body: { deviceTime: 'soon', events: [event()] } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('deviceTime (or the X-Device-Time header) is required and must be a valid date');
+    expect(eventStore.storeEvents).not.toHaveBeenCalled();
+  });
+
+  test('stores a streamed NDJSON upload in chunks, taking the device time from the header', async () => {
+    const { eventController, eventStore } = load(2);
+    const deviceTime = new Date(Date.now() - hour);
+    const timestamp = new Date(deviceTime.getTime() - hour).toISOString();
+    const res = mockResponse();
+
+    await eventController.syncEvents(request({
+      headers: { 'X-Device-Time': deviceTime.toISOString(), 'Idempotency-Key': 'upload-1' },
+      lines: [
+        JSON.stringify(event({ timestamp })),
+        '',
+        '{"sourceService": "feedback",',
+        JSON.stringify(event({ timestamp, eventId: 'evt-3' })),
+        JSON.stringify(event({ timestamp }))
+      ]
+    }), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(eventStore.storeEvents.mock.calls.map(([events]) => events.map(item => item.eventId))).toEqual([
+      ['upload-1:0'],
+      ['evt-3', 'upload-1:3']
+    ]);
+    expect(res.body.data).toMatchObject({ total: 4, insertedCount: 3, rejectedCount: 1 });
+    expect(res.body.data.results[1]).toEqual({ index: 1, status: 'rejected', errors: [expect.stringMatching(/^Invalid JSON: /)] });
+    expect(res.body.data.sync.deviceTime).toEqual(deviceTime);
+    expect(eventStore.storeEvents.mock.calls[1][0][0].timestamp)
+      .toEqual(new Date(deviceTime.getTime() - hour + res.body.data.sync.clockSkew));
+  });
+
+  test('rejects an empty stream', async () => {
+    const { eventController } = load();
+    const res = mockResponse();
+
+    await eventController.syncEvents(request({ headers: { 'X-Device-Time': new Date().toISOString() }, lines: ['', '  '] }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('events stream is empty');
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const messageQueue = require('../src/utils/messageQueue');
+const eventStore = require('../src/utils/eventStore');
+const tenantDirectory = require('../src/utils/tenantDirectory');
+const eventIngestion = require('../src/utils/eventIngestion');
+
+const [feedbackSource, userSource] = eventIngestion.loadSources();
+
+const message = (fields = {}) => ({
+  eventId: 'evt-1',
+  type: 'feedback.created',
+  schemaVersion: 1,
+  feedbackId: 'fb-1',
+  userId: 'u-1',
+  companyId: 'c-1',
+  timestamp: '2024-03-01T10:00:00Z',
+  priority: 'high',
+  category: 'billing',
+  ...fields
+});
+
+/**
+ * Make the event source configuration file read as the given content
+ * @param {Object} content - Configuration
+ */
+const configure = (content) => {
+  const readFileSync = fs.readFileSync;
+
+  jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => (
+    String(file).endsWith('eventSources.json') ? JSON.stringify(content) : readFileSync(file, ...args)
+  ));
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('eventIngestion.loadSources', () => {
+  test('loads the configured feedback, user and notification sources', () => {
+    expect(eventIngestion.loadSources().map(source => source.sourceService)).toEqual(['feedback', 'user', 'notification']);
+  });
+
+  test('rejects unknown source services', () => {
+    configure({ sources: [{ ...feedbackSource, sourceService: 'billing' }] });
+
+    expect(() => eventIngestion.loadSources()).toThrow('Invalid sourceService "billing" for event source feedback-events');
+  });
+
+  test('rejects sources without a queue or routing keys', () => {
+    configure({ sources: [{ ...feedbackSource, routingKeys: [] }] });
+
+    expect(() => eventIngestion.loadSources()).toThrow('Event source feedback needs a queue and at least one routing key');
+  });
+
+  test('rejects mappings to fields other than userId, companyId, resourceId and timestamp', () => {
+    configure({ sources: [{ ...feedbackSource, fields: { ...feedbackSource.fields, eventType: 'type', ipAddress: 'ip' } }] });
+
+    expect(() => eventIngestion.loadSources()).toThrow('Event source feedback-events maps unknown fields: eventType, ipAddress');
+  });
+
+  test('loads no sources from a configuration without any', () => {
+    configure({});
+
+    expect(eventIngestion.loadSources()).toEqual([]);
+  });
+});
+
+describe('eventIngestion.mapMessage', () => {
+  test('maps the configured paths to event fields and metadata', () => {
+    expect(eventIngestion.mapMessage(feedbackSource, message(), 'feedback.created', { messageId: 'amqp-1' })).toEqual({
+      sourceService: 'feedback',
+      eventId: 'evt-1',
+      schemaVersion: 1,
+      eventType: 'feedback.created',
+      eventData: message(),
+      resourceType: 'feedback',
+      userId: 'u-1',
+      companyId: 'c-1',
+      resourceId: 'fb-1',
+      timestamp: new Date('2024-03-01T10:00:00Z'),
+      metadata: { category: 'billing', priority: 'high' }
+    });
+  });
+
+  test('falls back to the routing key and AMQP message id', () => {
+    const event = eventIngestion.mapMessage(userSource, { userId: 'u-1' }, 'user.login', { messageId: 'amqp-1' });
+
+    expect(event).toMatchObject({ eventType: 'user.login', eventId: 'amqp-1', resourceId: 'u-1', metadata: {} });
+    expect(event.schemaVersion).toBeUndefined();
+  });
+
+  test('leaves out fields missing from the message, including nested paths through non-objects', () => {
+    const source = { ...feedbackSource, fields: { resourceId: 'data.feedback.id', companyId: 'companyId' }, eventData: 'data' };
+
+    const event = eventIngestion.mapMessage(source, { data: 'corrupted', companyId: null }, 'feedback.created');
+
+    expect(event).not.toHaveProperty('resourceId');
+    expect(event).not.toHaveProperty('companyId');
+    expect(event.eventData).toBe('corrupted');
+    expect(event.eventId).toBeUndefined();
+  });
+});
+
+describe('eventIngestion.ingest', () => {
+  test('stores valid messages with their schema version', async () => {
+    jest.spyOn(eventStore, 'storeEvent').mockImplementation(async event => ({ eventId: 'id-1', duplicate: false, event }));
+
+    await eventIngestion.ingest(feedbackSource, message(), 'feedback.created', {});
+
+    expect(eventStore.storeEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'feedback.created', schemaVersion: 1 }));
+  });
+
+  test('rejects malformed payloads permanently without storing them', async () => {
+    jest.spyOn(eventStore, 'storeEvent');
+
+    await expect(eventIngestion.ingest(feedbackSource, message({ priority: 'urgent' }), 'feedback.created', {}))
+      .rejects.toMatchObject({
+        name: 'ValidationError',
+        permanent: true,
+        errors: [{ message: 'eventData.priority must be equal to one of the allowed values: low, medium, high, critical' }]
+      });
+    await expect(eventIngestion.ingest(feedbackSource, message({ schemaVersion: 7 }), 'feedback.created', {}))
+      .rejects.toThrow('Unknown schemaVersion 7 for feedback.created (latest is 1)');
+    expect(eventStore.storeEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe('eventIngestion.setupConsumers', () => {
+  test('routes company events to the tenant directory and others to the event store', async () => {
+    const handlers = {};
+
+    jest.spyOn(messageQueue, 'setupConsumer').mockImplementation(async (queue, routingKeys, handler) => {
+      handlers[queue] = handler;
+    });
+    jest.spyOn(tenantDirectory, 'applyEvent').mockResolvedValue(true);
+    jest.spyOn(eventStore, 'storeEvent').mockResolvedValue({ eventId: 'id-1', duplicate: false });
+
+    await eventIngestion.setupConsumers([userSource]);
+    await handlers['user-events']({ companyId: 'c-1' }, 'company.updated', {});
+    await handlers['user-events']({ userId: 'u-1', eventId: 'evt-2' }, 'user.login', {});
+
+    expect(messageQueue.setupConsumer).toHaveBeenCalledWith('user-events', ['user.#', 'company.#'], expect.any(Function));
+    expect(tenantDirectory.applyEvent).toHaveBeenCalledWith({ companyId: 'c-1' }, 'company.updated');
+    expect(eventStore.storeEvent).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,128 @@
+const eventSchemas = require('../src/utils/eventSchemas');
+
+const event = (fields = {}) => ({
+  sourceService: 'notification',
+  eventType: 'notification.sent',
+  eventData: { channel: 'in_app', notificationId: 'n-1' },
+  ...fields
+});
+
+describe('eventSchemas.validateEvent', () => {
+  test('validates against the latest schema version by default', () => {
+    expect(eventSchemas.validateEvent(event())).toEqual({
+      valid: true,
+      errors: [],
+      version: 2,
+      eventData: { channel: 'in_app', notificationId: 'n-1' }
+    });
+    expect(eventSchemas.validateEvent(event({ eventData: { channel: 'In App' } }))).toMatchObject({
+      valid: false,
+      errors: ['eventData.channel must match pattern "^[a-z0-9]+(_[a-z0-9]+)*$"'],
+      version: 2
+    });
+  });
+
+  test('validates against the declared schema version', () => {
+    expect(eventSchemas.validateEvent(event({ schemaVersion: '1', eventData: { channel: 'In App' } })))
+      .toMatchObject({ valid: true, version: 1 });
+    expect(eventSchemas.validateEvent(event({ schemaVersion: 3 }))).toEqual({
+      valid: false,
+      errors: ['Unknown schemaVersion 3 for notification.sent (latest is 2)'],
+      version: null,
+      eventData: event().eventData
+    });
+  });
+
+  test('reports every problem of a payload', () => {
+    const result = eventSchemas.validateEvent({
+      sourceService: 'feedback',
+      eventType: 'feedback.created',
+      eventData: { priority: 'urgent', createdAt: 'yesterday' }
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'eventData.priority must be equal to one of the allowed values: low, medium, high, critical',
+      'eventData.createdAt must match format "date-time"'
+    ]));
+    expect(eventSchemas.validateEvent({ sourceService: 'feedback', eventType: 'feedback.satisfaction', eventData: {} }).errors)
+      .toEqual(['eventData must have required property \'score\'']);
+  });
+
+  test('converts date-time fields of valid payloads to dates', () => {
+    const { eventData } = eventSchemas.validateEvent({
+      sourceService: 'feedback',
+      eventType: 'feedback.created',
+      eventData: { priority: 'low', createdAt: '2024-03-01T10:00:00Z' }
+    });
+
+    expect(eventData.createdAt).toEqual(new Date('2024-03-01T10:00:00Z'));
+  });
+
+  test('accepts event types without a schema unless strict', () => {
+    expect(eventSchemas.validateEvent(event({ eventType: 'notification.bounced', schemaVersion: 4 })))
+      .toMatchObject({ valid: true, errors: [], version: 4 });
+
+    jest.isolateModules(() => {
+      process.env.EVENT_SCHEMA_STRICT = 'true';
+      const strictSchemas = require('../src/utils/eventSchemas');
+      delete process.env.EVENT_SCHEMA_STRICT;
+
+      expect(strictSchemas.validateEvent(event({ eventType: 'notification.bounced' }))).toMatchObject({
+        valid: false,
+        errors: ['No schema registered for notification event type notification.bounced']
+      });
+    });
+  });
+});
+
+describe('eventSchemas.coerce', () => {
+  test('follows properties and items to convert dates and numeric strings', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        at: { type: 'string', format: 'date-time' },
+        scores: { type: 'array', items: { type: ['number', 'string'] } },
+        label: { type: 'string' }
+      }
+    };
+
+    expect(eventSchemas.coerce(schema, { at: '2024-03-01T10:00:00Z', scores: ['4', ' ', 'n/a', 2], label: '5', extra: '1' })).toEqual({
+      at: new Date('2024-03-01T10:00:00Z'),
+      scores: [4, ' ', 'n/a', 2],
+      label: '5',
+      extra: '1'
+    });
+  });
+});
+
+describe('eventSchemas.listSchemas', () => {
+  test('lists every version, marking the latest', () => {
+    expect(eventSchemas.listSchemas({ eventType: 'notification.sent' }).map(({ version, latest }) => ({ version, latest })))
+      .toEqual([{ version: 1, latest: false }, { version: 2, latest: true }]);
+    expect(eventSchemas.listSchemas({ sourceService: 'user' }).map(schema => schema.eventType))
+      .toEqual(['user.active', 'user.created', 'user.login']);
+  });
+});
+
+describe('eventSchemas.createValidationError', () => {
+  test('creates a permanent error listing each problem', () => {
+    const error = eventSchemas.createValidationError('Invalid feedback.created event: a; b', ['a', 'b']);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({
+      name: 'ValidationError',
+      message: 'Invalid feedback.created event: a; b',
+      permanent: true,
+      errors: [{ message: 'a' }, { message: 'b' }]
+    });
+  });
+
+  test('is thrown by assertValid for invalid events', () => {
+    expect(() => eventSchemas.assertValid(event({ eventData: {} }))).toThrow(expect.objectContaining({
+      name: 'ValidationError',
+      message: 'Invalid notification.sent event: eventData must have required property \'channel\''
+    }));
+    expect(eventSchemas.assertValid(event())).toMatchObject({ schemaVersion: 2, eventData: event().eventData });
+  });
+});
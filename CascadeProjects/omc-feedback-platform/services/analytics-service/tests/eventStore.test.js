@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const EventIdempotencyKey = require('../src/models/eventIdempotencyKey');
+const dirtyPeriods = require('../src/utils/dirtyPeriods');
+const eventStore = require('../src/utils/eventStore');
+
+const event = (eventId) => ({
+  sourceService: 'integration',
+  eventType: 'integration.synced',
+  eventData: {},
+  timestamp: new Date(),
+  eventId
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+/**
+ * Make the bulk key claim fail for keys already taken, as mongoose reports it
+ * @param {Array<Object>} taken - Stored keys (sourceService, key, eventId, status and expiresAt)
+ */
+const keysTaken = (taken) => {
+  const isTaken = claim => taken.some(item => item.sourceService === claim.sourceService && item.key === claim.key);
+
+  jest.spyOn(EventIdempotencyKey, 'insertMany').mockImplementation(async claims => {
+    const writeErrors = claims
+      .map((claim, index) => (isTaken(claim) ? { err: { code: 11000, index, errmsg: 'E11000 duplicate key error' }, index } : null))
+      .filter(Boolean);
+
+    if (writeErrors.length > 0) {
+      throw Object.assign(duplicateKeyError(), { writeErrors });
+    }
+
+    return claims;
+  });
+  jest.spyOn(EventIdempotencyKey, 'find').mockReturnValue({ lean: () => Promise.resolve(taken) });
+};
+
+const lapsed = () => new Date(Date.now() - 1000);
+const current = () => new Date(Date.now() + 60000);
+
+/**
+ * Make insertMany store every document it is given
+ */
+const insertSucceeds = () => {
+  jest.spyOn(AnalyticsEvent, 'insertMany').mockImplementation(async documents => ({
+    mongoose: { results: documents.map(document => new AnalyticsEvent(document)) }
+  }));
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(dirtyPeriods, 'markEvents').mockResolvedValue();
+  jest.spyOn(EventIdempotencyKey, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(EventIdempotencyKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(EventIdempotencyKey, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+});
+
+describe('eventStore idempotency keys', () => {
+  test('claims a key as pending and confirms it once the event is stored', async () => {
+    keysTaken([]);
+    insertSucceeds();
+
+    const [result] = await eventStore.storeEvents([event('evt-1')]);
+
+    expect(result.status).toBe('accepted');
+    expect(EventIdempotencyKey.insertMany).toHaveBeenCalledWith([expect.objectContaining({
+      sourceService: 'integration',
+      key: 'evt-1',
+      eventId: result.eventId,
+      status: 'pending'
+    })], { ordered: false });
+    expect(EventIdempotencyKey.updateMany).toHaveBeenCalledWith(
+      { eventId: { $in: [result.eventId] }, status: 'pending' },
+      { $set: expect.objectContaining({ status: 'confirmed' }) }
+    );
+  });
+
+  test('the pending claim lasts the claim lease, the confirmed key the dedup window', async () => {
+    keysTaken([]);
+    insertSucceeds();
+
+    const before = Date.now();
+    await eventStore.storeEvents([event('evt-1')]);
+
+    const claimedUntil = EventIdempotencyKey.insertMany.mock.calls[0][0][0].expiresAt.getTime();
+    const confirmedUntil = EventIdempotencyKey.updateMany.mock.calls[0][1].$set.expiresAt.getTime();
+
+    expect(claimedUntil - before).toBeLessThanOrEqual(eventStore.claimLease * 1000 + 1000);
+    expect(confirmedUntil - before).toBeGreaterThanOrEqual(eventStore.dedupWindow * 1000);
+  });
+
+  test('releases the keys when the insert fails', async () => {
+    keysTaken([]);
+    jest.spyOn(AnalyticsEvent, 'insertMany').mockRejectedValue(new Error('connection reset'));
+
+    await expect(eventStore.storeEvents([event('evt-1')])).rejects.toThrow('connection reset');
+
+    expect(EventIdempotencyKey.deleteMany).toHaveBeenCalled();
+    expect(EventIdempotencyKey.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('a key confirmed within the window makes the event a duplicate', async () => {
+    const original = new mongoose.Types.ObjectId();
+    keysTaken([{ sourceService: 'integration', key: 'evt-1', eventId: original, status: 'confirmed', expiresAt: current() }]);
+    jest.spyOn(EventIdempotencyKey, 'findOneAndUpdate');
+    insertSucceeds();
+
+    const [result] = await eventStore.storeEvents([event('evt-1')]);
+
+    expect(result).toMatchObject({ status: 'duplicate', duplicate: true, eventId: original });
+    expect(EventIdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(AnalyticsEvent.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('a lapsed pending claim whose event was never stored is taken over', async () => {
+    const stale = { sourceService: 'integration', key: 'evt-1', eventId: new mongoose.Types.ObjectId(), status: 'pending', expiresAt: lapsed() };
+    keysTaken([stale]);
+    jest.spyOn(EventIdempotencyKey, 'findOneAndUpdate').mockResolvedValue(stale);
+    jest.spyOn(AnalyticsEvent, 'exists').mockResolvedValue(null);
+    insertSucceeds();
+
+    const [result] = await eventStore.storeEvents([event('evt-1')]);
+
+    expect(result.status).toBe('accepted');
+    expect(AnalyticsEvent.insertMany).toHaveBeenCalled();
+  });
+
+  test('a lapsed pending claim whose event was stored keeps the original event', async () => {
+    const original = new mongoose.Types.ObjectId();
+    const stale = { sourceService: 'integration', key: 'evt-1', eventId: original, status: 'pending', expiresAt: lapsed() };
+    keysTaken([stale]);
+    jest.spyOn(EventIdempotencyKey, 'findOneAndUpdate').mockResolvedValue(stale);
+    jest.spyOn(AnalyticsEvent, 'exists').mockResolvedValue({ _id: original });
+    insertSucceeds();
+
+    const [result] = await eventStore.storeEvents([event('evt-1')]);
+
+    expect(result).toMatchObject({ status: 'duplicate', eventId: original });
+    expect(EventIdempotencyKey.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ sourceService: 'integration', key: 'evt-1' }),
+      { $set: expect.objectContaining({ eventId: original, status: 'confirmed' }) }
+    );
+    expect(AnalyticsEvent.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('a key removed by MongoDB after the bulk claim is claimed again', async () => {
+    keysTaken([]);
+    EventIdempotencyKey.insertMany.mockRejectedValueOnce(Object.assign(duplicateKeyError(), {
+      writeErrors: [{ err: { code: 11000, index: 0 }, index: 0 }]
+    }));
+    jest.spyOn(EventIdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+    insertSucceeds();
+
+    const [result] = await eventStore.storeEvents([event('evt-1')]);
+
+    expect(result.status).toBe('accepted');
+    expect(EventIdempotencyKey.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'evt-1' }),
+      expect.anything(),
+      { upsert: true }
+    );
+  });
+
+  test('releases the claimed keys and fails when the bulk claim fails otherwise', async () => {
+    jest.spyOn(EventIdempotencyKey, 'insertMany').mockRejectedValue(new Error('not primary'));
+    insertSucceeds();
+
+    await expect(eventStore.storeEvents([event('evt-1'), event('evt-2')])).rejects.toThrow('not primary');
+
+    expect(EventIdempotencyKey.deleteMany).toHaveBeenCalledWith({ eventId: { $in: [expect.anything(), expect.anything()] } });
+    expect(AnalyticsEvent.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('eventStore bulk key claims', () => {
+  test('claims a batch\'s keys in one write and reads the taken ones in one query', async () => {
+    const originals = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    keysTaken([
+      { sourceService: 'integration', key: 'evt-2', eventId: originals[0], status: 'confirmed', expiresAt: current() },
+      { sourceService: 'integration', key: 'evt-4', eventId: originals[1], status: 'pending', expiresAt: current() }
+    ]);
+    insertSucceeds();
+
+    const results = await eventStore.storeEvents(['evt-1', 'evt-2', 'evt-3', 'evt-4'].map(event));
+
+    expect(results.map(result => result.status)).toEqual(['accepted', 'duplicate', 'accepted', 'duplicate']);
+    expect(results[1].eventId).toBe(originals[0]);
+    expect(results[3].eventId).toBe(originals[1]);
+    expect(EventIdempotencyKey.insertMany).toHaveBeenCalledTimes(1);
+    expect(EventIdempotencyKey.find).toHaveBeenCalledTimes(1);
+    expect(EventIdempotencyKey.find).toHaveBeenCalledWith({
+      $or: [{ sourceService: 'integration', key: { $in: ['evt-2', 'evt-4'] } }]
+    });
+  });
+
+  test('repeats within a batch are duplicates of the first event', async () => {
+    keysTaken([]);
+    insertSucceeds();
+
+    const results = await eventStore.storeEvents(['evt-1', 'evt-1', 'evt-2'].map(event));
+
+    expect(results.map(result => result.status)).toEqual(['accepted', 'duplicate', 'accepted']);
+    expect(results[1].eventId).toBe(results[0].eventId);
+    expect(EventIdempotencyKey.insertMany.mock.calls[0][0].map(claim => claim.key)).toEqual(['evt-1', 'evt-2']);
+  });
+
+  test('events without an event id claim nothing', async () => {
+    keysTaken([]);
+    insertSucceeds();
+
+    const results = await eventStore.storeEvents([event(undefined), event(null)]);
+
+    expect(results.map(result => result.status)).toEqual(['accepted', 'accepted']);
+    expect(EventIdempotencyKey.insertMany).not.toHaveBeenCalled();
+  });
+});
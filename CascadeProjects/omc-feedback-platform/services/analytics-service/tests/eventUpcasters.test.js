@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const eventSchemas = require('../src/utils/eventSchemas');
+const eventUpcasters = require('../src/utils/eventUpcasters');
+const eventController = require('../src/controllers/eventController');
+const { mockResponse, mockQuery } = require('./helpers');
+
+const readEvent = (channel, schemaVersion) => ({
+  sourceService: 'notification',
+  eventType: 'notification.read',
+  eventData: { channel, notificationId: 'n-1' },
+  schemaVersion
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('notification channel upcaster', () => {
+  test('version 2 is the latest notification schema', () => {
+    ['notification.sent', 'notification.delivered', 'notification.read'].forEach(eventType => {
+      expect(eventSchemas.getSchema('notification', eventType).version).toBe(2);
+    });
+  });
+
+  test('upcasts version 1 channels to lowercase identifiers', () => {
+    expect(eventUpcasters.upcast(readEvent('In-App', 1))).toMatchObject({
+      schemaVersion: 2,
+      eventData: { channel: 'in_app', notificationId: 'n-1' }
+    });
+    expect(eventUpcasters.upcast(readEvent(' Email ', 1)).eventData.channel).toBe('email');
+  });
+
+  test('upcasts events stored before schema versions', () => {
+    expect(eventUpcasters.upcast(readEvent('SMS'))).toMatchObject({ schemaVersion: 2, eventData: { channel: 'sms' } });
+  });
+
+  test('leaves version 2 events as they are', () => {
+    expect(eventUpcasters.upcast(readEvent('push', 2)).eventData.channel).toBe('push');
+  });
+
+  test('version 2 rejects free-form channels that version 1 accepts', () => {
+    expect(eventSchemas.validateEvent(readEvent('Email')).valid).toBe(false);
+    expect(eventSchemas.validateEvent(readEvent('Email', 1)).valid).toBe(true);
+    expect(eventSchemas.validateEvent(eventUpcasters.upcast(readEvent('Email', 1))).valid).toBe(true);
+  });
+});
+
+describe('read-time upcasting', () => {
+  test('the events API returns stored version 1 events in the version 2 shape', async () => {
+    const stored = new AnalyticsEvent({ ...readEvent('In-App', 1), timestamp: new Date() });
+    jest.spyOn(AnalyticsEvent, 'findById').mockResolvedValue(stored);
+    const res = mockResponse();
+
+    await eventController.getEventById({ params: { id: stored._id.toString() }, user: { id: 'admin', roles: ['admin'] } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ schemaVersion: 2, eventData: { channel: 'in_app' } });
+  });
+});
+
+describe('migrateEvents', () => {
+  test('rewrites stored events older than the latest schema version in batches', async () => {
+    const stored = [
+      { _id: new mongoose.Types.ObjectId(), ...readEvent('In-App', 1) },
+      { _id: new mongoose.Types.ObjectId(), ...readEvent('Email') }
+    ];
+    let served = false;
+
+    jest.spyOn(AnalyticsEvent, 'find').mockImplementation(query => {
+      const batch = query.eventType === 'notification.read' && !served ? stored : [];
+
+      served = served || batch.length > 0;
+      return mockQuery(batch);
+    });
+    jest.spyOn(AnalyticsEvent, 'bulkWrite').mockResolvedValue({ modifiedCount: 2 });
+
+    const result = await eventUpcasters.migrateEvents({ timestamp: { $gte: new Date('2024-01-01') } });
+
+    expect(result).toEqual({ migrated: 2, failed: 0 });
+    expect(AnalyticsEvent.find).toHaveBeenCalledWith(expect.objectContaining({
+      sourceService: 'notification',
+      eventType: 'notification.read',
+      schemaVersion: { $not: { $gte: 2 } },
+      timestamp: { $gte: new Date('2024-01-01') }
+    }));
+    expect(AnalyticsEvent.bulkWrite).toHaveBeenCalledTimes(1);
+    expect(AnalyticsEvent.bulkWrite.mock.calls[0][0]).toEqual([
+      {
+        updateOne: {
+          filter: { _id: stored[0]._id },
+          update: { $set: { eventData: { channel: 'in_app', notificationId: 'n-1' }, schemaVersion: 2 } }
+        }
+      },
+      {
+        updateOne: {
+          filter: { _id: stored[1]._id },
+          update: { $set: { eventData: { channel: 'email', notificationId: 'n-1' }, schemaVersion: 2 } }
+        }
+      }
+    ]);
+  });
+
+  test('has nothing to migrate when every event is in the latest shape', async () => {
+    jest.spyOn(AnalyticsEvent, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(AnalyticsEvent, 'bulkWrite');
+
+    await expect(eventUpcasters.migrateEvents()).resolves.toEqual({ migrated: 0, failed: 0 });
+    expect(AnalyticsEvent.bulkWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const MetricDefinition = require('../src/models/metricDefinition');
+const formula = require('../src/utils/formula');
+const metricDefinitions = require('../src/utils/metricDefinitions');
+const { mockQuery } = require('./helpers');
+
+const feedback = { counts: { total: 8, resolved: 6, closed: 0 }, satisfaction: { average: 4.5 } };
+const users = { counts: { active: 3 } };
+
+/**
+ * Evaluate a formula over feedback and user metrics
+ * @param {string} expression - Formula expression
+ * @param {Object} metrics - Metrics by source
+ * @returns {number|null} - Value
+ */
+const value = (expression, metrics = { feedback, user: users }) => formula.evaluate(formula.compile(expression), {
+  metrics,
+  metric: () => null
+});
+
+/**
+ * Messages of the validation error a formula fails with
+ * @param {string} expression - Formula expression
+ * @returns {Array<string>} - Error messages
+ */
+const errorsOf = (expression) => {
+  try {
+    formula.compile(expression);
+  } catch (error) {
+    expect(error.name).toBe('ValidationError');
+    return error.errors.map(detail => detail.message);
+  }
+
+  throw new Error(`"${expression}" compiled`);
+};
+
+describe('formula syntax', () => {
+  test('rejects characters outside the language', () => {
+    expect(errorsOf('counts.total # 2')).toEqual(['Unexpected character "#" at position 13']);
+  });
+
+  test('names the first syntax error and its position', () => {
+    expect(errorsOf('1 +')).toEqual(['Unexpected end of formula']);
+    expect(errorsOf('(1 + 2')).toEqual(['Expected ")" but found end of formula']);
+    expect(errorsOf('1 2')).toEqual(['Unexpected "2" at position 2']);
+    expect(errorsOf('a ? 1')).toEqual(['Expected ":" but found end of formula']);
+  });
+
+  test('allows strings only as metric keys', () => {
+    expect(errorsOf("'total'")[0]).toMatch(/^Unexpected string "total" at position 0; strings are only allowed as metric keys/);
+    expect(errorsOf("abs('total')")).toEqual(['Unexpected string at position 4; strings are only allowed as metric keys']);
+  });
+
+  test('rejects empty formulas', () => {
+    expect(errorsOf('  ')).toEqual(['Formula is empty']);
+  });
+});
+
+describe('formula evaluation', () => {
+  test('applies operator precedence', () => {
+    expect(value('1 + 2 * 3')).toBe(7);
+    expect(value('(1 + 2) * 3')).toBe(9);
+    expect(value('10 - 4 - 3')).toBe(3);
+    expect(value('-2 * 3 + 10 % 4')).toBe(-4);
+    expect(value('1 + 1 == 2 && 3 > 2 || 0')).toBe(1);
+    expect(value('counts.total > 5 ? 1 : 2')).toBe(1);
+  });
+
+  test('reads metrics fields, prefixed ones from their source', () => {
+    expect(value('counts.resolved / counts.total * 100')).toBe(75);
+    expect(value('users.counts.active + satisfaction.average')).toBe(7.5);
+  });
+
+  test('division by zero and missing metrics give null, which propagates', () => {
+    expect(value('counts.resolved / counts.closed')).toBeNull();
+    expect(value('counts.total + 1', { feedback: null, user: null })).toBeNull();
+    expect(value('abs(counts.total / 0)')).toBeNull();
+    expect(value('round(counts.total / 0, 1)')).toBeNull();
+  });
+
+  test('div and coalesce provide fallbacks for null', () => {
+    expect(value('div(counts.resolved, counts.closed)')).toBeNull();
+    expect(value('div(counts.resolved, counts.closed, 0)')).toBe(0);
+    expect(value('div(counts.resolved, counts.total)')).toBe(0.75);
+    expect(value('coalesce(counts.total / 0, counts.resolved)')).toBe(6);
+    expect(value('coalesce(1 / 0, 2 / 0)')).toBeNull();
+  });
+
+  test('null is false in conditions', () => {
+    expect(value('if(counts.total / 0, 1, 2)')).toBe(2);
+    expect(value('!(counts.total / 0)')).toBe(1);
+  });
+
+  test('min and max skip unknown values', () => {
+    expect(value('min(counts.total, counts.resolved, 1 / 0)')).toBe(6);
+    expect(value('max(1 / 0)')).toBeNull();
+  });
+});
+
+describe('formula limits', () => {
+  test('rejects formulas with more than maxNodes terms', () => {
+    expect(errorsOf(Array(101).fill('1').join(' + '))).toEqual(['Formula is too long; at most 200 terms are allowed']);
+  });
+
+  test('rejects formulas nested deeper than maxDepth', () => {
+    expect(errorsOf(`${'('.repeat(40)}1${')'.repeat(40)}`)).toEqual(['Formula is nested too deeply; at most 32 levels are allowed']);
+  });
+});
+
+describe('formula references', () => {
+  test('lists every unknown field and function', () => {
+    expect(errorsOf('counts.bogus + sqrt(version) + round(1, 2, 3)')).toEqual([
+      'Unknown metrics field "counts.bogus" at position 0',
+      `Unknown function "sqrt" at position 15; available: ${Object.keys(formula.functions).join(', ')}`,
+      'Unknown metrics field "version" at position 20',
+      'round() at position 31 takes 1 to 2 argument(s)'
+    ]);
+  });
+
+  test('metric() takes a quoted key', () => {
+    expect(formula.compile("metric('resolution_rate') * 2").metrics).toEqual(['resolution_rate']);
+    expect(errorsOf('metric(counts.total)')).toEqual([
+      "metric() at position 0 takes a metric key in quotes, e.g. metric('resolution_rate')"
+    ]);
+  });
+});
+
+describe('metricDefinitions.loadLibrary', () => {
+  const companyId = new mongoose.Types.ObjectId();
+
+  /**
+   * Store metric definitions
+   * @param {Object} definitions - Formula expressions (or 'query') by key
+   */
+  const stored = (definitions) => {
+    jest.spyOn(MetricDefinition, 'find').mockImplementation(({ key }) => mockQuery(key.$in
+      .filter(item => definitions[item] !== undefined)
+      .map(item => (definitions[item] === 'query'
+        ? { key: item, kind: 'query' }
+        : { key: item, kind: 'formula', formula: { expression: definitions[item] } }))));
+  };
+
+  const failure = async (keys) => {
+    try {
+      await metricDefinitions.loadLibrary(companyId, keys);
+    } catch (error) {
+      return error.errors.map(detail => detail.message);
+    }
+
+    throw new Error('loaded');
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('loads a formula with every metric it refers to', async () => {
+    stored({ a: "metric('b') + 1", b: "metric('c') * 2", c: 'counts.total' });
+
+    const library = await metricDefinitions.loadLibrary(companyId, ['a']);
+
+    expect(Array.from(library.keys()).sort()).toEqual(['a', 'b', 'c']);
+    expect(formula.calculator(library, ['a']).evaluate({ feedback, user: users })).toEqual({ a: 17 });
+  });
+
+  test('rejects reference cycles', async () => {
+    stored({ a: "metric('b') + 1", b: "metric('c')", c: "metric('a')" });
+
+    expect(await failure(['a'])).toEqual(['Circular metric reference: a -> b -> c -> a']);
+  });
+
+  test('rejects a formula referring to itself', async () => {
+    stored({ a: "metric('a') + 1" });
+
+    expect(await failure(['a'])).toEqual(['Circular metric reference: a -> a']);
+  });
+
+  test('rejects query metrics and unknown metrics referenced from formulas', async () => {
+    stored({ a: "metric('q') + metric('missing')", q: 'query' });
+
+    expect(await failure(['a'])).toEqual([
+      'Metric "q" is a query; formulas can only refer to formula metrics',
+      'Unknown metric "missing"'
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Express response double recording the status and JSON body
+ * @returns {Object} - Response with status(), json(), set() and the recorded statusCode and body
+ */
+const mockResponse = () => {
+  const res = {};
+
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn(() => res);
+
+  return res;
+};
+
+/**
+ * Mongoose query double resolving to a value, supporting the chained calls the controllers use
+ * @param {*} value - Query result
+ * @returns {Object} - Thenable query
+ */
+const mockQuery = (value) => {
+  const query = {
+    sort: jest.fn(() => query),
+    select: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn(() => Promise.resolve(value)),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+
+  return query;
+};
+
+module.exports = {
+  mockResponse,
+  mockQuery
+};
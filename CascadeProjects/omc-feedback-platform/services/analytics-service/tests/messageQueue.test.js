@@ -0,0 +1,65 @@
+const amqplib = require('amqplib');
+const logger = require('../src/utils/logger');
+const messageQueue = require('../src/utils/messageQueue');
+
+const closed = () => new Error('Channel closed');
+
+const message = () => ({
+  content: Buffer.from(JSON.stringify({ feedbackId: 'f-1' })),
+  fields: { routingKey: 'feedback.created' },
+  properties: { headers: {}, messageId: 'm-1' }
+});
+
+let channel;
+let consume;
+
+beforeEach(async () => {
+  jest.restoreAllMocks();
+  process.env.RABBITMQ_URL = 'amqp://localhost';
+
+  channel = {
+    assertExchange: jest.fn().mockResolvedValue({}),
+    assertQueue: jest.fn(async queue => ({ queue })),
+    bindQueue: jest.fn().mockResolvedValue({}),
+    prefetch: jest.fn().mockResolvedValue({}),
+    consume: jest.fn(async (queue, callback) => {
+      consume = callback;
+    }),
+    ack: jest.fn(),
+    nack: jest.fn(),
+    sendToQueue: jest.fn(),
+    publish: jest.fn()
+  };
+  jest.spyOn(amqplib, 'connect').mockResolvedValue({ createChannel: async () => channel, on: jest.fn() });
+  jest.spyOn(logger, 'error').mockImplementation(() => logger);
+
+  await messageQueue.connect();
+  await messageQueue.setupConsumer('analytics', ['feedback.*'], async () => {
+    throw new Error('connection reset');
+  });
+});
+
+describe('message consumer failures', () => {
+  test('requeues the message when it cannot be retried', async () => {
+    channel.sendToQueue.mockImplementation(() => {
+      throw closed();
+    });
+
+    const msg = message();
+    await consume(msg);
+
+    expect(channel.nack).toHaveBeenCalledWith(msg, false, true);
+  });
+
+  test('logs a failed requeue instead of rejecting the consumer callback', async () => {
+    channel.sendToQueue.mockImplementation(() => {
+      throw closed();
+    });
+    channel.nack.mockImplementation(() => {
+      throw closed();
+    });
+
+    await expect(consume(message())).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('Error requeuing message: Channel closed', expect.objectContaining({ queueName: 'analytics' }));
+  });
+});
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const MetricDefinition = require('../src/models/metricDefinition');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const cache = require('../src/utils/cache');
+const metricDefinitions = require('../src/utils/metricDefinitions');
+const WidgetDataResolver = require('../src/utils/widgetDataResolver');
+const { mockQuery } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId();
+const ownerId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Unsaved metric definition document
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} - Metric definition document
+ */
+const definition = (fields = {}) => new MetricDefinition({
+  createdBy: ownerId,
+  companyId,
+  key: 'resolution_rate',
+  name: 'Resolution rate',
+  kind: 'formula',
+  formula: { expression: 'counts.resolved / counts.total' },
+  unit: '%',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('metricDefinitions.applyContent', () => {
+  test('keeps the previous content as a version when the content changes', () => {
+    const doc = definition();
+
+    expect(metricDefinitions.applyContent(doc, { formula: { expression: 'counts.closed / counts.total' } }, userId)).toBe(true);
+    expect(doc.version).toBe(2);
+    expect(doc.formula.expression).toBe('counts.closed / counts.total');
+    expect(doc.versions).toHaveLength(1);
+    expect(doc.versions[0]).toMatchObject({ version: 1, kind: 'formula', unit: '%', changedBy: userId });
+    expect(doc.versions[0].formula.expression).toBe('counts.resolved / counts.total');
+    expect(metricDefinitions.atVersion(doc, 1).formula.expression).toBe('counts.resolved / counts.total');
+    expect(metricDefinitions.atVersion(doc, 3)).toBeNull();
+  });
+
+  test('does not version unchanged content, regardless of key order and defaults', () => {
+    const doc = definition();
+
+    expect(metricDefinitions.applyContent(doc, {
+      formula: { expression: 'counts.resolved / counts.total', source: 'feedback' },
+      unit: '%'
+    }, userId)).toBe(false);
+    expect(doc.version).toBe(1);
+    expect(doc.versions).toHaveLength(0);
+  });
+
+  test('drops the formula when a definition becomes a query', () => {
+    const doc = definition();
+
+    metricDefinitions.applyContent(doc, { kind: 'query', query: { measures: [{ type: 'count' }] } }, userId);
+
+    expect(doc.kind).toBe('query');
+    expect(doc.formula?.expression).toBeUndefined();
+    expect(metricDefinitions.atVersion(doc)).toEqual({ version: 2, kind: 'query', query: { measures: [{ type: 'count' }] }, unit: '%' });
+  });
+});
+
+describe('metricDefinitions.validateContent', () => {
+  test('checks queries without a time range or company', async () => {
+    await expect(metricDefinitions.validateContent({ kind: 'query', query: { measures: [{ type: 'count' }] } }))
+      .resolves.toEqual([]);
+    await expect(metricDefinitions.validateContent({ kind: 'query', query: [] }))
+      .resolves.toEqual(['query must be an object with measures and optional dimensions, filters, sort and limit']);
+    await expect(metricDefinitions.validateContent({ kind: 'query', query: { measures: [{ type: 'count' }], companyId } }))
+      .resolves.toEqual(['query must not include timeRange or companyId; they are given when the metric is run']);
+    await expect(metricDefinitions.validateContent({ kind: 'query', query: { measures: [{ type: 'median' }] } }))
+      .resolves.toEqual(expect.arrayContaining([expect.stringContaining('measures/0')]));
+  });
+
+  test('checks formulas and the metrics they refer to', async () => {
+    jest.spyOn(MetricDefinition, 'find').mockReturnValue(mockQuery([
+      { key: 'resolved_share', kind: 'formula', formula: { expression: 'metric("resolution_rate") * 100' } }
+    ]));
+
+    await expect(metricDefinitions.validateContent(
+      { kind: 'formula', formula: { expression: 'metric("resolved_share") / 100' } },
+      { companyId, key: 'resolution_rate' }
+    )).resolves.toEqual(['Circular metric reference: resolution_rate -> resolved_share -> resolution_rate']);
+    await expect(metricDefinitions.validateContent({ kind: 'formula', formula: { expression: 'counts.total', source: 'tickets' } }))
+      .resolves.toEqual(['formula.source must be feedback or user']);
+    await expect(metricDefinitions.validateContent({ kind: 'chart' }))
+      .resolves.toEqual(['kind must be query or formula']);
+  });
+});
+
+describe('metricDefinitions.findReferences', () => {
+  test('lists the formulas that refer to a metric, not those that only mention its key', async () => {
+    jest.spyOn(MetricDefinition, 'find').mockReturnValue(mockQuery([
+      { key: 'resolved_share', formula: { expression: 'metric("resolution_rate") * 100' } },
+      { key: 'resolution_rate_7d', formula: { expression: 'metric("resolution_rate_daily") / 7' } },
+      { key: 'broken', formula: { expression: 'metric("resolution_rate" *' } }
+    ]));
+
+    await expect(metricDefinitions.findReferences(companyId, 'resolution_rate')).resolves.toEqual(['resolved_share']);
+    expect(MetricDefinition.find).toHaveBeenCalledWith(expect.objectContaining({ companyId, kind: 'formula', key: { $ne: 'resolution_rate' } }));
+  });
+});
+
+describe('metricDefinitions.run', () => {
+  const from = new Date('2024-01-01T00:00:00Z');
+
+  test('limits the buckets of a formula', async () => {
+    await expect(metricDefinitions.run(definition(), { from, to: new Date('2026-01-01T00:00:00Z') }))
+      .rejects.toMatchObject({ name: 'ValidationError', errors: [{ message: 'A formula may span at most 366 daily buckets' }] });
+    await expect(metricDefinitions.run(definition(), { from, to: from }))
+      .rejects.toMatchObject({ name: 'ValidationError', message: 'Invalid formula range' });
+    await expect(metricDefinitions.run(definition(), { from, to: new Date('2024-02-01T00:00:00Z'), period: 'hourly' }))
+      .rejects.toMatchObject({ name: 'ValidationError', message: 'Invalid formula range' });
+  });
+
+  test('limits the time range of a query', async () => {
+    jest.spyOn(AnalyticsEvent, 'aggregate');
+    const doc = definition({ kind: 'query', query: { measures: [{ type: 'count' }] }, formula: undefined });
+
+    await expect(metricDefinitions.run(doc, { from, to: new Date('2026-01-01T00:00:00Z') }))
+      .rejects.toMatchObject({ name: 'ValidationError', errors: [{ message: 'timeRange may span at most 366 days' }] });
+    expect(AnalyticsEvent.aggregate).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown versions', async () => {
+    await expect(metricDefinitions.run(definition(), { from, to: new Date('2024-02-01T00:00:00Z'), version: 4 }))
+      .rejects.toThrow('Metric resolution_rate has no version 4');
+  });
+});
+
+describe('metricDefinitions.findViewableDefinition', () => {
+  const source = { companyId, createdBy: userId };
+
+  test('finds definitions the owner of the dashboard or report can view', async () => {
+    const own = definition({ createdBy: userId });
+    const shared = definition({ sharing: { sharedWithCompany: true } });
+
+    jest.spyOn(MetricDefinition, 'findOne').mockResolvedValueOnce(own).mockResolvedValueOnce(shared);
+
+    await expect(metricDefinitions.findViewableDefinition(source, 'resolution_rate')).resolves.toBe(own);
+    await expect(metricDefinitions.findViewableDefinition(source, 'resolution_rate')).resolves.toBe(shared);
+    expect(MetricDefinition.findOne).toHaveBeenCalledWith({ companyId, key: 'resolution_rate' });
+  });
+
+  test('hides definitions that are not shared with the owner', async () => {
+    jest.spyOn(MetricDefinition, 'findOne').mockResolvedValue(definition({
+      sharing: { sharedWith: [{ userId: new mongoose.Types.ObjectId(), permission: 'view' }] }
+    }));
+
+    await expect(metricDefinitions.findViewableDefinition(source, 'resolution_rate')).resolves.toBeNull();
+  });
+
+  test('metric widgets do not run definitions the dashboard owner cannot view', async () => {
+    jest.spyOn(MetricDefinition, 'findOne').mockResolvedValue(definition());
+    jest.spyOn(cache, 'set').mockResolvedValue(true);
+    const run = jest.spyOn(metricDefinitions, 'run');
+    const dashboard = { _id: new mongoose.Types.ObjectId(), companyId, userId, layout: [] };
+
+    await expect(WidgetDataResolver.resolve(dashboard, {
+      widgetId: 'w-1',
+      widgetType: 'metric',
+      title: 'Resolution rate',
+      config: { metric: 'resolution_rate' }
+    }, { refresh: true })).rejects.toThrow('Unknown metric definition: resolution_rate');
+    expect(run).not.toHaveBeenCalled();
+  });
+});
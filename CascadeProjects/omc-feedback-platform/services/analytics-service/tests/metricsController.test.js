@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const FeedbackMetrics = require('../src/models/feedbackMetrics');
+const UserMetrics = require('../src/models/userMetrics');
+const DataAggregator = require('../src/utils/dataAggregator');
+const cache = require('../src/utils/cache');
+const metricsController = require('../src/controllers/metricsController');
+const { mockResponse, mockQuery } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId().toString();
+const categoryId = new mongoose.Types.ObjectId().toString();
+
+const agent = { id: new mongoose.Types.ObjectId().toString(), companyId, roles: ['agent'] };
+
+const call = async (handler, query, user = agent) => {
+  const res = mockResponse();
+
+  await handler({ query, user }, res);
+
+  return res;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(cache, 'get').mockResolvedValue(null);
+  jest.spyOn(cache, 'set').mockResolvedValue(true);
+});
+
+describe('getFeedbackMetrics filters', () => {
+  beforeEach(() => {
+    jest.spyOn(FeedbackMetrics, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  test('scopes a regular user to their company', async () => {
+    const res = await call(metricsController.getFeedbackMetrics, { period: 'daily' });
+
+    expect(res.statusCode).toBe(200);
+    expect(FeedbackMetrics.find).toHaveBeenCalledWith({ period: 'daily', companyId });
+  });
+
+  test('category keeps buckets with feedback in that category', async () => {
+    await call(metricsController.getFeedbackMetrics, { category: categoryId });
+
+    expect(FeedbackMetrics.find.mock.calls[0][0]).toMatchObject({ [`byCategory.${categoryId}`]: { $gt: 0 } });
+  });
+
+  test('priority keeps buckets with feedback of that priority', async () => {
+    await call(metricsController.getFeedbackMetrics, { priority: 'high' });
+
+    expect(FeedbackMetrics.find.mock.calls[0][0]).toMatchObject({ 'byPriority.high': { $gt: 0 } });
+  });
+
+  test('filters combine with the date range', async () => {
+    await call(metricsController.getFeedbackMetrics, {
+      category: categoryId,
+      priority: 'low',
+      startDate: '2024-01-01',
+      endDate: '2024-03-31'
+    });
+
+    expect(FeedbackMetrics.find.mock.calls[0][0]).toEqual({
+      period: 'monthly',
+      companyId,
+      date: { $gte: new Date('2024-01-01'), $lte: new Date('2024-03-31') },
+      [`byCategory.${categoryId}`]: { $gt: 0 },
+      'byPriority.low': { $gt: 0 }
+    });
+  });
+
+  test('rejects an invalid category or priority', async () => {
+    const category = await call(metricsController.getFeedbackMetrics, { category: 'billing' });
+    const priority = await call(metricsController.getFeedbackMetrics, { priority: 'urgent-ish' });
+
+    expect(category.statusCode).toBe(400);
+    expect(priority.statusCode).toBe(400);
+    expect(FeedbackMetrics.find).not.toHaveBeenCalled();
+  });
+
+  test('rejects another company\'s metrics for a regular user', async () => {
+    const res = await call(metricsController.getFeedbackMetrics, { companyId: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('getUserMetrics filters', () => {
+  beforeEach(() => {
+    jest.spyOn(UserMetrics, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  test('role keeps buckets with users of that role', async () => {
+    const res = await call(metricsController.getUserMetrics, { role: 'manager' });
+
+    expect(res.statusCode).toBe(200);
+    expect(UserMetrics.find.mock.calls[0][0]).toEqual({ period: 'monthly', companyId, 'byRole.manager': { $gt: 0 } });
+  });
+
+  test('rejects an unknown role', async () => {
+    const res = await call(metricsController.getUserMetrics, { role: 'owner' });
+
+    expect(res.statusCode).toBe(400);
+    expect(UserMetrics.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('getMetricsSummary', () => {
+  const march = new Date('2024-03-01T00:00:00Z');
+  const february = new Date('2024-02-01T00:00:00Z');
+
+  /**
+   * Serve findOne from metrics documents keyed by period start
+   * @param {Object} Model - Metrics model
+   * @param {Object} byDate - Metrics documents by period start ISO string
+   */
+  const serve = (Model, byDate) => {
+    jest.spyOn(Model, 'findOne').mockImplementation(filter => mockQuery(
+      filter.date ? byDate[filter.date.toISOString()] || null : null
+    ));
+  };
+
+  const feedback = (counts, extra = {}) => ({ counts, ...extra });
+
+  test('compares the requested period with the one before it', async () => {
+    const previousStart = jest.spyOn(DataAggregator, 'getPreviousPeriodStart');
+    serve(FeedbackMetrics, {
+      [march.toISOString()]: feedback({ total: 30, resolved: 12 }, { byCategory: { [categoryId]: 9 } }),
+      [february.toISOString()]: feedback({ total: 20, resolved: 16 })
+    });
+    serve(UserMetrics, {});
+
+    const res = await call(metricsController.getMetricsSummary, { period: 'monthly', date: '2024-03-15T00:00:00Z' });
+
+    expect(res.statusCode).toBe(200);
+    expect(previousStart).toHaveBeenCalledWith(march, 'monthly');
+    expect(FeedbackMetrics.findOne).toHaveBeenCalledWith({ period: 'monthly', companyId, date: february });
+
+    const { data } = res.body;
+    expect(data.periodStart).toEqual(march);
+    expect(data.previousPeriodStart).toEqual(february);
+    expect(data.feedback.total).toEqual({ value: 30, previousValue: 20, change: 10, percentChange: 50 });
+    expect(data.feedback.resolved).toEqual({ value: 12, previousValue: 16, change: -4, percentChange: -25 });
+    expect(data.feedback.topCategories).toEqual([{ categoryId, count: 9 }]);
+  });
+
+  test('summarizes the latest aggregated period without a date', async () => {
+    jest.spyOn(FeedbackMetrics, 'findOne').mockImplementation(filter => mockQuery(
+      filter.date ? null : { date: march }
+    ));
+    jest.spyOn(UserMetrics, 'findOne').mockImplementation(filter => mockQuery(
+      filter.date ? null : { date: february }
+    ));
+
+    const res = await call(metricsController.getMetricsSummary, { period: 'monthly' });
+
+    expect(res.body.data.periodStart).toEqual(march);
+    expect(res.body.data.previousPeriodStart).toEqual(february);
+  });
+
+  test('has no change without metrics for the previous period', async () => {
+    serve(FeedbackMetrics, { [march.toISOString()]: feedback({ total: 30 }) });
+    serve(UserMetrics, {});
+
+    const res = await call(metricsController.getMetricsSummary, { date: '2024-03-15T00:00:00Z' });
+
+    expect(res.body.data.feedback.total).toEqual({ value: 30, previousValue: null, change: null, percentChange: null });
+  });
+
+  test('has a change but no percent change from zero', async () => {
+    serve(FeedbackMetrics, {
+      [march.toISOString()]: feedback({ total: 5 }),
+      [february.toISOString()]: feedback({ total: 0 })
+    });
+    serve(UserMetrics, {});
+
+    const res = await call(metricsController.getMetricsSummary, { date: '2024-03-15T00:00:00Z' });
+
+    expect(res.body.data.feedback.total).toEqual({ value: 5, previousValue: 0, change: 5, percentChange: null });
+  });
+
+  test('has no comparison without metrics for the period', async () => {
+    serve(FeedbackMetrics, { [february.toISOString()]: feedback({ total: 20 }) });
+    serve(UserMetrics, {});
+
+    const res = await call(metricsController.getMetricsSummary, { date: '2024-03-15T00:00:00Z' });
+
+    expect(res.body.data.feedback.total).toBeNull();
+    expect(res.body.data.users.total).toBeNull();
+  });
+
+  test('rejects an invalid date', async () => {
+    const res = await call(metricsController.getMetricsSummary, { date: 'last tuesday' });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,143 @@
+const ExcelJS = require('exceljs');
+const renderers = require('../src/utils/renderers');
+
+/**
+ * Report dataset as built by the report generator
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} - Report dataset
+ */
+const dataset = (fields = {}) => ({
+  report: { id: 'r-1', name: 'Weekly feedback', type: 'custom', format: 'csv', timeRange: 'week' },
+  companyId: 'c-1',
+  generatedAt: new Date('2024-03-08T06:00:00Z'),
+  period: {
+    start: new Date('2024-02-29T21:00:00Z'),
+    end: new Date('2024-03-07T21:00:00Z'),
+    granularity: 'daily',
+    timezone: 'Africa/Kampala'
+  },
+  kpis: [
+    { key: 'total', label: 'Total feedback', value: 42, unit: 'count' },
+    { key: 'rate', label: 'Resolution rate', value: 71.4286, unit: 'percent' }
+  ],
+  sections: [{
+    key: 'categories',
+    title: 'Top categories',
+    columns: [
+      { key: 'date', label: 'Period', unit: 'date' },
+      { key: 'category', label: 'Category' },
+      { key: 'change', label: 'Change', unit: 'number' }
+    ],
+    rows: [
+      { date: new Date('2024-03-01T00:00:00Z'), category: '=HYPERLINK("http://evil.example","x")', change: -3.456 },
+      { date: new Date('2024-03-02T00:00:00Z'), category: 'Billing, "general"', change: 2 },
+      { date: new Date('2024-03-03T00:00:00Z'), category: '@SUM(A1)', change: null }
+    ]
+  }],
+  charts: [{
+    key: 'volume',
+    title: 'Volume',
+    type: 'line',
+    unit: 'count',
+    labels: [new Date('2024-03-01T00:00:00Z'), new Date('2024-03-02T00:00:00Z')],
+    series: [{ name: 'counts.total', values: [20, 22] }]
+  }],
+  ...fields
+});
+
+describe('csv renderer', () => {
+  test('writes the key figures and sections in the report timezone', async () => {
+    const lines = (await renderers.get('csv').render(dataset())).toString('utf8').split('\r\n');
+
+    expect(lines.slice(0, 7)).toEqual([
+      '﻿Weekly feedback',
+      'Period,2024-03-01,2024-03-08',
+      '',
+      'Key figures',
+      'Metric,Value',
+      'Total feedback,42',
+      'Resolution rate (%),71.43'
+    ]);
+    expect(lines[9]).toBe('Period,Category,Change');
+  });
+
+  test('quotes text that would run as a formula, but not negative numbers', async () => {
+    const lines = (await renderers.get('csv').render(dataset())).toString('utf8').split('\r\n');
+
+    expect(lines.slice(10, 13)).toEqual([
+      '2024-03-01,"\'=HYPERLINK(""http://evil.example"",""x"")",-3.46',
+      '2024-03-02,"Billing, ""general""",2',
+      '2024-03-03,\'@SUM(A1),'
+    ]);
+  });
+
+  test('quotes report and metric names that would run as a formula', async () => {
+    const csv = (await renderers.get('csv').render(dataset({
+      report: { name: '+cmd|calc' },
+      kpis: [{ label: '-1+1', value: -1, unit: 'count' }],
+      sections: []
+    }))).toString('utf8');
+
+    expect(csv).toContain('﻿\'+cmd|calc\r\n');
+    expect(csv).toContain('\'-1+1,-1\r\n');
+  });
+});
+
+describe('excel renderer', () => {
+  test('writes a summary sheet and one sheet per section, with text kept as text', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await renderers.get('excel').render(dataset()));
+
+    const [summary, section] = workbook.worksheets;
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Top categories']);
+    expect(summary.getRow(5).values.slice(1)).toEqual(['Total feedback', 42]);
+    expect(summary.getCell('B6').numFmt).toBe('0.0"%"');
+    expect(section.getRow(1).values.slice(1)).toEqual(['Period', 'Category', 'Change']);
+    expect(section.getCell('A2').value).toEqual(new Date('2024-03-01T00:00:00Z'));
+    expect(section.getCell('B2').type).toBe(ExcelJS.ValueType.String);
+    expect(section.getCell('B2').value).toBe('=HYPERLINK("http://evil.example","x")');
+    expect(section.getCell('C2').value).toBe(-3.456);
+  });
+
+  test('keeps worksheet names unique and valid', async () => {
+    const section = dataset().sections[0];
+    const workbook = new ExcelJS.Workbook();
+
+    await workbook.xlsx.load(await renderers.get('excel').render(dataset({
+      sections: [
+        { ...section, title: 'Volume: daily/weekly' },
+        { ...section, title: 'volume  daily weekly' }
+      ]
+    })));
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Volume  daily weekly', 'volume  daily weekly 2']);
+  });
+});
+
+describe('pdf renderer', () => {
+  test('renders a title page, key figures with charts and the section tables', async () => {
+    const pdf = await renderers.get('pdf').render(dataset());
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1')).toMatch(/\/Count 2\b/);
+  });
+
+  test('renders datasets without charts, key figures or rows', async () => {
+    const pdf = await renderers.get('pdf').render(dataset({
+      kpis: [],
+      charts: undefined,
+      sections: [{ key: 'empty', title: 'Empty', columns: [{ key: 'name', label: 'Name' }], rows: [] }]
+    }));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
+
+describe('renderer registry', () => {
+  test('finds renderers by format and extension', () => {
+    expect(renderers.getByExtension('xlsx').format).toBe('excel');
+    expect(renderers.getByExtension('docx')).toBeNull();
+    expect(() => renderers.get('docx')).toThrow('No renderer registered for format: docx');
+  });
+});
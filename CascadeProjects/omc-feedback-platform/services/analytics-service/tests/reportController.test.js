@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Report = require('../src/models/report');
+const tenantDirectory = require('../src/utils/tenantDirectory');
+const ReportGenerator = require('../src/utils/reportGenerator');
+const reportController = require('../src/controllers/reportController');
+const { mockResponse } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId().toString();
+const company = { _id: companyId, name: 'Acme', timezone: 'Europe/Berlin', active: true };
+const user = { id: userId, roles: ['manager'], companyId: companyId.toString() };
+
+const schedule = { isScheduled: true, frequency: 'daily', time: { hour: 6, minute: 0 } };
+
+const stored = (fields) => new Report({
+  name: 'Support Monthly',
+  type: 'feedback_summary',
+  createdBy: userId,
+  companyId,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Report.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(tenantDirectory, 'getCompany').mockResolvedValue(company);
+});
+
+describe('report schedule timezones', () => {
+  test('a report created with a schedule gets the company timezone', async () => {
+    const res = mockResponse();
+
+    await reportController.createReport({
+      body: { name: 'Support Monthly', type: 'feedback_summary', schedule },
+      user,
+      company
+    }, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.schedule.timezone).toBe('Europe/Berlin');
+    expect(tenantDirectory.getCompany).not.toHaveBeenCalled();
+  });
+
+  test('an explicit timezone is kept', async () => {
+    const res = mockResponse();
+
+    await reportController.createReport({
+      body: { name: 'Support Monthly', type: 'feedback_summary', schedule: { ...schedule, timezone: 'Asia/Tokyo' } },
+      user,
+      company
+    }, res);
+
+    expect(res.body.data.schedule.timezone).toBe('Asia/Tokyo');
+  });
+
+  test('a report created without a schedule has no timezone until it is scheduled', async () => {
+    const res = mockResponse();
+
+    await reportController.createReport({ body: { name: 'Support Monthly', type: 'feedback_summary' }, user, company }, res);
+
+    expect(res.body.data.schedule.timezone).toBeUndefined();
+  });
+
+  test('a report scheduled later gets the timezone of its company', async () => {
+    const report = stored();
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    const res = mockResponse();
+
+    await reportController.updateReport({ params: { id: report._id.toString() }, body: { schedule }, user }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(tenantDirectory.getCompany).toHaveBeenCalledWith(companyId.toString());
+    expect(report.schedule.timezone).toBe('Europe/Berlin');
+    expect(report.schedule.nextRun).toBeInstanceOf(Date);
+  });
+
+  test('a scheduled report without a timezone gets its company timezone on any update', async () => {
+    const report = stored({ schedule });
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    const res = mockResponse();
+
+    await reportController.updateReport({ params: { id: report._id.toString() }, body: { name: 'Support Daily' }, user }, res);
+
+    expect(report.schedule.timezone).toBe('Europe/Berlin');
+    expect(report.schedule.nextRun).toBeInstanceOf(Date);
+  });
+
+  test('a stored timezone is not replaced', async () => {
+    const report = stored({ schedule: { ...schedule, timezone: 'Asia/Tokyo' } });
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    const res = mockResponse();
+
+    await reportController.updateReport({ params: { id: report._id.toString() }, body: { schedule: { frequency: 'weekly' } }, user }, res);
+
+    expect(report.schedule.timezone).toBe('Asia/Tokyo');
+    expect(tenantDirectory.getCompany).not.toHaveBeenCalled();
+  });
+});
+
+describe('generating a report on demand', () => {
+  const viewer = { id: new mongoose.Types.ObjectId().toString(), roles: ['analyst'], companyId: companyId.toString() };
+  const shared = (permission) => stored({ sharing: { sharedWith: [{ userId: viewer.id, permission }] } });
+
+  const generate = async (report, body) => {
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    const res = mockResponse();
+
+    await reportController.generateReport({ params: { id: report._id.toString() }, body, user: viewer }, res);
+
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ReportGenerator, 'generate').mockResolvedValue({ status: 'completed', dataset: {} });
+  });
+
+  test('a read-only share may generate but not deliver the report', async () => {
+    expect((await generate(shared('view'), {})).statusCode).toBe(201);
+
+    const res = await generate(shared('view'), { deliver: true });
+
+    expect(res.statusCode).toBe(403);
+    expect(ReportGenerator.generate).toHaveBeenCalledTimes(1);
+    expect(ReportGenerator.generate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ deliver: false }));
+  });
+
+  test('an edit share may deliver the report', async () => {
+    const res = await generate(shared('edit'), { deliver: true });
+
+    expect(res.statusCode).toBe(201);
+    expect(ReportGenerator.generate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ deliver: true }));
+  });
+});
+
+describe('report schedule timezones without the tenant directory', () => {
+  test('a report is still created when its company cannot be looked up', async () => {
+    tenantDirectory.getCompany.mockRejectedValue(new Error('user-service API error: timeout'));
+    const res = mockResponse();
+
+    await reportController.createReport({ body: { name: 'Support Monthly', type: 'feedback_summary', schedule }, user }, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.schedule.timezone).toBeUndefined();
+  });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const Report = require('../src/models/report');
+const mailer = require('../src/utils/mailer');
+const reportStorage = require('../src/utils/reportStorage');
+const ReportGenerator = require('../src/utils/reportGenerator');
+
+const companyId = new mongoose.Types.ObjectId();
+
+const period = {
+  start: new Date('2024-03-01T00:00:00Z'),
+  end: new Date('2024-04-01T00:00:00Z')
+};
+
+const dataset = {
+  report: { id: 'r-1', name: 'Support Monthly', type: 'feedback_summary', format: 'csv', timeRange: 'month' },
+  companyId: companyId.toString(),
+  companyName: 'Acme',
+  generatedAt: new Date('2024-04-01T06:00:00Z'),
+  period: { ...period, granularity: 'daily', timezone: 'UTC' },
+  kpis: [
+    { key: 'total', label: 'Total feedback', value: 42, unit: 'count' },
+    { key: 'satisfaction', label: 'Satisfaction', value: 4.256, unit: 'score' }
+  ],
+  sections: [],
+  charts: []
+};
+
+const report = (delivery) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Support Monthly',
+  companyId,
+  format: 'csv',
+  delivery: { method: 'email', ...delivery }
+});
+
+/**
+ * Fields set on the report's history entry, merged across updates
+ * @returns {Object} - History entry fields
+ */
+const historyEntry = () => Report.updateOne.mock.calls
+  .map(([, update]) => update.$set || {})
+  .reduce((fields, set) => {
+    Object.entries(set).forEach(([path, value]) => {
+      fields[path.replace('history.$.', '')] = value;
+    });
+    return fields;
+  }, {});
+
+let sink;
+let sent;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Report, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(reportStorage, 'save').mockResolvedValue({ fileUrl: '/reports/file.csv', fileSize: 128 });
+  jest.spyOn(ReportGenerator, 'buildDataset').mockResolvedValue(dataset);
+
+  // Local sink: nodemailer's JSON transport builds the full message without a network
+  sink = nodemailer.createTransport({ jsonTransport: true });
+  sent = [];
+  mailer.setTransport({
+    sendMail: async (message) => {
+      const info = await sink.sendMail(message);
+
+      sent.push(JSON.parse(info.message));
+      return info;
+    }
+  });
+});
+
+afterAll(() => {
+  mailer.close();
+});
+
+describe('report email delivery', () => {
+  test('emails the rendered report to every recipient and records the outcome', async () => {
+    const emailed = report({
+      recipients: [{ email: 'ana@example.com', name: 'Ana' }, { email: 'ben@example.com' }],
+      emailSubject: '{{reportName}} for {{company}} ({{periodStart}})',
+      emailBody: 'Hi {{recipientName}}, total: {{kpi.total}}, satisfaction: {{kpi.satisfaction}}.'
+    });
+
+    const entry = await ReportGenerator.generate(emailed, { period, deliver: true });
+
+    expect(sent).toHaveLength(2);
+    expect(sent[0].to).toEqual([{ name: 'Ana', address: 'ana@example.com' }]);
+    expect(sent[0].subject).toBe('Support Monthly for Acme (1 Mar 2024)');
+    expect(sent[0].text).toBe('Hi Ana, total: 42, satisfaction: 4.26.');
+    expect(sent[1].text).toBe('Hi ben@example.com, total: 42, satisfaction: 4.26.');
+
+    const [attachment] = sent[0].attachments;
+    const csv = Buffer.from(attachment.content, 'base64').toString('utf8');
+
+    expect(attachment.filename).toBe(`support-monthly-${entry.reportId}.csv`);
+    expect(attachment.contentType).toBe('text/csv; charset=utf-8');
+    expect(csv).toContain('Support Monthly');
+    expect(csv).toContain('Total feedback,42');
+
+    const history = historyEntry();
+
+    expect(history.status).toBe('completed');
+    expect(history.deliveryStatus).toBe('sent');
+    expect(history.deliveries).toEqual([
+      { email: 'ana@example.com', status: 'sent', messageId: sent[0].messageId, deliveredAt: expect.any(Date) },
+      { email: 'ben@example.com', status: 'sent', messageId: sent[1].messageId, deliveredAt: expect.any(Date) }
+    ]);
+    expect(history.deliveredAt).toEqual(history.deliveries[1].deliveredAt);
+  });
+
+  test('uses the default subject and body without templates of the report', async () => {
+    await ReportGenerator.generate(report({ recipients: [{ email: 'ana@example.com', name: 'Ana' }] }), { period, deliver: true });
+
+    expect(sent[0].subject).toBe('Support Monthly: 1 Mar 2024 – 31 Mar 2024');
+    expect(sent[0].text).toContain('Hello Ana,');
+    expect(sent[0].text).toContain('the Support Monthly report for Acme covering 1 Mar 2024 – 31 Mar 2024');
+    expect(sent[0].text).toContain('- Total feedback: 42');
+  });
+
+  test('records a failed recipient without affecting the others', async () => {
+    const deliverable = mailer.getTransport();
+    mailer.setTransport({
+      sendMail: async (message) => {
+        if (message.to === 'bounce@example.com') {
+          throw new Error('550 Mailbox unavailable');
+        }
+
+        return deliverable.sendMail(message);
+      }
+    });
+
+    await ReportGenerator.generate(report({
+      recipients: [{ email: 'bounce@example.com' }, { email: 'ben@example.com' }]
+    }), { period, deliver: true });
+
+    const history = historyEntry();
+
+    expect(sent).toHaveLength(1);
+    expect(history.deliveryStatus).toBe('partial');
+    expect(history.deliveries).toEqual([
+      { email: 'bounce@example.com', status: 'failed', error: '550 Mailbox unavailable' },
+      { email: 'ben@example.com', status: 'sent', messageId: sent[0].messageId, deliveredAt: expect.any(Date) }
+    ]);
+    expect(history.deliveredAt).toEqual(history.deliveries[1].deliveredAt);
+  });
+
+  test('fails the delivery, not the report, without recipients', async () => {
+    const entry = await ReportGenerator.generate(report({ recipients: [] }), { period, deliver: true });
+
+    expect(sent).toHaveLength(0);
+    expect(entry.status).toBe('completed');
+    expect(historyEntry()).toMatchObject({ status: 'completed', deliveryStatus: 'failed', deliveries: [] });
+  });
+});
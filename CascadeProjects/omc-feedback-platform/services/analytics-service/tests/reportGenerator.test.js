@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const FeedbackMetrics = require('../src/models/feedbackMetrics');
+const DataAggregator = require('../src/utils/dataAggregator');
+const ReportGenerator = require('../src/utils/reportGenerator');
+const { mockQuery } = require('./helpers');
+
+const companyId = new mongoose.Types.ObjectId();
+const report = { name: 'Support', companyId };
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(DataAggregator, 'computeRangeMetrics').mockResolvedValue({ counts: { total: 1 } });
+});
+
+describe('report metrics series', () => {
+  test('a window in a non-UTC timezone reads no stored bucket that extends beyond it', async () => {
+    // Daily Africa/Kampala window for 18 October 2026
+    const period = { start: new Date('2026-10-17T21:00:00Z'), end: new Date('2026-10-18T21:00:00Z') };
+    jest.spyOn(FeedbackMetrics, 'find');
+
+    const series = await ReportGenerator.createContext(report, period).getFeedbackSeries();
+
+    expect(FeedbackMetrics.find).not.toHaveBeenCalled();
+    expect(DataAggregator.computeRangeMetrics.mock.calls.map(([metric, start, end]) => [metric, start, end])).toEqual([
+      ['feedback', period.start, new Date('2026-10-18T00:00:00Z')],
+      ['feedback', new Date('2026-10-18T00:00:00Z'), period.end]
+    ]);
+    expect(series.map(doc => doc.date)).toEqual([period.start, new Date('2026-10-18T00:00:00Z')]);
+  });
+
+  test('stored buckets wholly inside the window are read, the partial ones computed', async () => {
+    const period = { start: new Date('2026-09-30T21:00:00Z'), end: new Date('2026-10-31T21:00:00Z') };
+    const stored = [{ date: new Date('2026-10-01T00:00:00Z'), counts: { total: 4 } }];
+    jest.spyOn(FeedbackMetrics, 'find').mockReturnValue(mockQuery(stored));
+
+    const series = await ReportGenerator.createContext(report, period).getFeedbackSeries();
+
+    expect(FeedbackMetrics.find).toHaveBeenCalledWith({
+      companyId,
+      period: 'daily',
+      date: { $gte: new Date('2026-10-01T00:00:00Z'), $lt: new Date('2026-10-31T00:00:00Z') }
+    });
+    expect(DataAggregator.computeRangeMetrics.mock.calls.map(([, start, end]) => [start, end])).toEqual([
+      [period.start, new Date('2026-10-01T00:00:00Z')],
+      [new Date('2026-10-31T00:00:00Z'), period.end]
+    ]);
+    expect(series.map(doc => doc.date)).toEqual([period.start, stored[0].date, new Date('2026-10-31T00:00:00Z')]);
+  });
+
+  test('a UTC-aligned window is read from stored buckets only', async () => {
+    const period = { start: new Date('2026-10-01T00:00:00Z'), end: new Date('2026-11-01T00:00:00Z') };
+    jest.spyOn(FeedbackMetrics, 'find').mockReturnValue(mockQuery([]));
+
+    await ReportGenerator.createContext(report, period).getFeedbackSeries();
+
+    expect(FeedbackMetrics.find.mock.calls[0][0].date).toEqual({ $gte: period.start, $lt: period.end });
+    expect(DataAggregator.computeRangeMetrics).not.toHaveBeenCalled();
+  });
+
+  test('partial buckets without events are left out', async () => {
+    DataAggregator.computeRangeMetrics.mockResolvedValue(null);
+
+    const series = await ReportGenerator.createContext(report, {
+      start: new Date('2026-10-17T21:00:00Z'),
+      end: new Date('2026-10-18T21:00:00Z')
+    }).getFeedbackSeries();
+
+    expect(series).toEqual([]);
+  });
+});
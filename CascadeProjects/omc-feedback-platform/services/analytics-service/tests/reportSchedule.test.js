@@ -0,0 +1,90 @@
+const reportSchedule = require('../src/utils/reportSchedule');
+
+const daily = (timezone, hour = 6) => ({ frequency: 'daily', timezone, time: { hour, minute: 0 } });
+
+describe('reportSchedule.nextRun', () => {
+  test('runs at the schedule time in its timezone', () => {
+    const schedule = daily('Africa/Kampala');
+
+    expect(reportSchedule.nextRun(schedule, new Date('2026-10-18T02:00:00Z'))).toEqual(new Date('2026-10-18T03:00:00Z'));
+    expect(reportSchedule.nextRun(schedule, new Date('2026-10-18T03:00:00Z'))).toEqual(new Date('2026-10-19T03:00:00Z'));
+  });
+
+  test('keeps the local time across a daylight saving change', () => {
+    // Europe/Berlin moves from UTC+1 to UTC+2 on 29 March 2026
+    expect(reportSchedule.nextRun(daily('Europe/Berlin'), new Date('2026-03-28T06:00:00Z'))).toEqual(new Date('2026-03-29T04:00:00Z'));
+  });
+
+  test('runs weekly reports on dayOfWeek, Monday by default', () => {
+    const monday = new Date('2026-10-19T10:00:00Z');
+
+    expect(reportSchedule.nextRun({ frequency: 'weekly', timezone: 'UTC', dayOfWeek: 3, time: { hour: 9 } }, monday))
+      .toEqual(new Date('2026-10-21T09:00:00Z'));
+    expect(reportSchedule.nextRun({ frequency: 'weekly', timezone: 'UTC', time: { hour: 9 } }, monday))
+      .toEqual(new Date('2026-10-26T09:00:00Z'));
+  });
+
+  test('clamps dayOfMonth to the length of the month', () => {
+    expect(reportSchedule.nextRun({ frequency: 'monthly', timezone: 'UTC', dayOfMonth: 31 }, new Date('2026-02-01T00:00:00Z')))
+      .toEqual(new Date('2026-02-28T00:00:00Z'));
+  });
+
+  test('rejects unknown frequencies', () => {
+    expect(() => reportSchedule.nextRun({ frequency: 'hourly' })).toThrow('Unsupported schedule frequency: hourly');
+  });
+});
+
+describe('reportSchedule.reportingWindow', () => {
+  test('covers the previous day in the schedule timezone', () => {
+    expect(reportSchedule.reportingWindow(daily('Africa/Kampala'), new Date('2026-10-19T03:00:00Z'))).toEqual({
+      start: new Date('2026-10-17T21:00:00Z'),
+      end: new Date('2026-10-18T21:00:00Z')
+    });
+  });
+
+  test('covers the 23 hours of a day that loses an hour to daylight saving', () => {
+    expect(reportSchedule.reportingWindow(daily('Europe/Berlin'), new Date('2026-03-30T04:00:00Z'))).toEqual({
+      start: new Date('2026-03-28T23:00:00Z'),
+      end: new Date('2026-03-29T22:00:00Z')
+    });
+  });
+
+  test('covers the previous Monday to Sunday week, whatever the run day', () => {
+    const schedule = { frequency: 'weekly', timezone: 'Africa/Kampala', dayOfWeek: 3 };
+
+    expect(reportSchedule.reportingWindow(schedule, new Date('2026-10-21T06:00:00Z'))).toEqual({
+      start: new Date('2026-10-11T21:00:00Z'),
+      end: new Date('2026-10-18T21:00:00Z')
+    });
+  });
+
+  test('covers the previous month', () => {
+    expect(reportSchedule.reportingWindow({ frequency: 'monthly', timezone: 'Africa/Kampala' }, new Date('2026-11-01T03:00:00Z'))).toEqual({
+      start: new Date('2026-09-30T21:00:00Z'),
+      end: new Date('2026-10-31T21:00:00Z')
+    });
+  });
+});
+
+describe('reportSchedule.dueRuns', () => {
+  const schedule = { ...daily('UTC'), nextRun: new Date('2026-10-15T06:00:00Z') };
+
+  test('catches up on runs missed while the service was down', () => {
+    expect(reportSchedule.dueRuns(schedule, new Date('2026-10-17T07:00:00Z'))).toEqual({
+      runs: [new Date('2026-10-15T06:00:00Z'), new Date('2026-10-16T06:00:00Z'), new Date('2026-10-17T06:00:00Z')],
+      skipped: 0
+    });
+  });
+
+  test('keeps the most recent runs beyond the catch-up limit', () => {
+    expect(reportSchedule.dueRuns(schedule, new Date('2026-10-19T07:00:00Z'), 3)).toEqual({
+      runs: [new Date('2026-10-17T06:00:00Z'), new Date('2026-10-18T06:00:00Z'), new Date('2026-10-19T06:00:00Z')],
+      skipped: 2
+    });
+  });
+
+  test('nothing is due before the next run or without one', () => {
+    expect(reportSchedule.dueRuns(schedule, new Date('2026-10-15T05:59:00Z'))).toEqual({ runs: [], skipped: 0 });
+    expect(reportSchedule.dueRuns({ ...schedule, nextRun: null })).toEqual({ runs: [], skipped: 0 });
+  });
+});
@@ -0,0 +1,2 @@
+// Keep test output to errors; the logger reads the level when it is first required
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Company = require('../src/models/company');
+const { userServiceClient } = require('../src/utils/apiClient');
+const tenantDirectory = require('../src/utils/tenantDirectory');
+
+const company = () => ({ id: new mongoose.Types.ObjectId().toString(), name: 'Acme', status: 'active' });
+
+const page = (companies, pages) => ({
+  data: pages === undefined ? { companies } : { companies, pagination: { pages } }
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Company, 'updateOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(Company, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+describe('tenantDirectory.refresh', () => {
+  test('deactivates unlisted companies after a complete listing', async () => {
+    jest.spyOn(userServiceClient, 'get')
+      .mockResolvedValueOnce(page([company(), company()], 2))
+      .mockResolvedValueOnce(page([company()], 2));
+
+    const loaded = await tenantDirectory.refresh();
+
+    expect(loaded).toBe(3);
+    expect(userServiceClient.get).toHaveBeenCalledTimes(2);
+    expect(Company.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ active: true }),
+      { $set: expect.objectContaining({ active: false }) }
+    );
+  });
+
+  test('keeps a listed company active when a newer event made its listing stale', async () => {
+    const listed = company();
+    jest.spyOn(userServiceClient, 'get').mockResolvedValue(page([listed], 1));
+    // The company's last event carried a later timestamp, so the listing is not applied
+    Company.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const loaded = await tenantDirectory.refresh();
+
+    expect(loaded).toBe(0);
+    expect(Company.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: { $nin: [new mongoose.Types.ObjectId(listed.id)] } }),
+      expect.anything()
+    );
+  });
+
+  test('deactivates nothing when no company is listed', async () => {
+    jest.spyOn(userServiceClient, 'get').mockResolvedValue(page([], 1));
+
+    await tenantDirectory.refresh();
+
+    expect(Company.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('deactivates nothing when a page has no companies array', async () => {
+    jest.spyOn(userServiceClient, 'get')
+      .mockResolvedValueOnce(page([company()], 2))
+      .mockResolvedValueOnce({ data: { error: 'maintenance' } });
+
+    const loaded = await tenantDirectory.refresh();
+
+    expect(loaded).toBe(1);
+    expect(Company.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('deactivates nothing when a full page comes without pagination', async () => {
+    const companies = Array.from({ length: parseInt(process.env.TENANT_DIRECTORY_PAGE_SIZE || '200', 10) }, company);
+    jest.spyOn(userServiceClient, 'get').mockResolvedValue(page(companies));
+
+    await tenantDirectory.refresh();
+
+    expect(userServiceClient.get).toHaveBeenCalledTimes(1);
+    expect(Company.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('treats a short page without pagination as the only page', async () => {
+    jest.spyOn(userServiceClient, 'get').mockResolvedValue(page([company()]));
+
+    await tenantDirectory.refresh();
+
+    expect(Company.updateMany).toHaveBeenCalled();
+  });
+
+  test('does not deactivate when user-service fails', async () => {
+    jest.spyOn(userServiceClient, 'get').mockRejectedValue(new Error('user-service API error: timeout'));
+
+    await expect(tenantDirectory.refresh()).rejects.toThrow('timeout');
+    expect(Company.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('tenantDirectory.getCompany', () => {
+  const companyId = new mongoose.Types.ObjectId().toString();
+
+  /**
+   * Answer user-service requests with a status and body, without a network
+   * @param {number} status - Response status
+   * @param {Object} data - Response body
+   */
+  const respondWith = (status, data) => {
+    jest.replaceProperty(userServiceClient.client.defaults, 'adapter', async (config) => {
+      const response = { status, data, headers: {}, config, request: {} };
+
+      if (status >= 400) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = response;
+        error.config = config;
+        throw error;
+      }
+
+      return response;
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Company, 'findById').mockReturnValue({ lean: () => Promise.resolve(null) });
+  });
+
+  test('returns null when user-service answers 404 without a message', async () => {
+    respondWith(404, {});
+
+    await expect(tenantDirectory.getCompany(companyId)).resolves.toBeNull();
+  });
+
+  test('rethrows other user-service errors with their status', async () => {
+    respondWith(503, { message: 'Company not found in replica' });
+
+    await expect(tenantDirectory.getCompany(companyId)).rejects.toMatchObject({ status: 503 });
+  });
+
+  test('stores a company read from user-service', async () => {
+    respondWith(200, { data: { id: companyId, name: 'Acme', timezone: 'Europe/Paris', active: true } });
+
+    await tenantDirectory.getCompany(companyId);
+
+    expect(Company.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: new mongoose.Types.ObjectId(companyId) }),
+      { $set: expect.objectContaining({ name: 'Acme', timezone: 'Europe/Paris', active: true }) },
+      { upsert: true }
+    );
+  });
+});
@@ -0,0 +1,93 @@
+const FeedbackMetrics = require('../src/models/feedbackMetrics');
+const UserMetrics = require('../src/models/userMetrics');
+const DataAggregator = require('../src/utils/dataAggregator');
+const timeseries = require('../src/utils/timeseries');
+const { mockQuery } = require('./helpers');
+
+const from = new Date('2024-03-01T00:00:00Z');
+const to = new Date('2024-03-10T00:00:00Z');
+
+const series = (metrics = ['counts.total']) => timeseries.buildSeries({
+  metrics: metrics.map(timeseries.resolveMetric),
+  period: 'daily',
+  from,
+  to,
+  companyId: null,
+  fill: 'null'
+});
+
+let clock;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  clock = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  jest.spyOn(FeedbackMetrics, 'find').mockReturnValue(mockQuery([]));
+  jest.spyOn(UserMetrics, 'find').mockReturnValue(mockQuery([]));
+});
+
+describe('timeseries on-the-fly buckets', () => {
+  test('computes missing buckets newest first', async () => {
+    jest.spyOn(DataAggregator, 'computeMetrics').mockResolvedValue({ counts: { total: 3 } });
+
+    const buckets = await series();
+
+    expect(buckets).toHaveLength(10);
+    expect(buckets.every(bucket => bucket.computed && bucket.values['counts.total'] === 3)).toBe(true);
+    expect(DataAggregator.computeMetrics.mock.calls[0][2]).toEqual(to);
+  });
+
+  test('stops computing when the series runs out of time, leaving gaps', async () => {
+    // Every computation takes 6 s of the 15 s budget
+    jest.spyOn(DataAggregator, 'computeMetrics').mockImplementation(async () => {
+      clock += 6000;
+      return { counts: { total: 1 } };
+    });
+
+    const buckets = await series();
+
+    expect(DataAggregator.computeMetrics).toHaveBeenCalledTimes(3);
+    expect(buckets.filter(bucket => bucket.computed)).toHaveLength(3);
+    expect(buckets[0]).toMatchObject({ computed: false, values: { 'counts.total': null } });
+  });
+
+  test('limits each computation to the time left', async () => {
+    jest.spyOn(DataAggregator, 'computeMetrics').mockImplementation(async () => {
+      clock += 6000;
+      return null;
+    });
+
+    await series();
+
+    expect(DataAggregator.computeMetrics.mock.calls.map(call => call[4].maxTimeMS)).toEqual([10000, 9000, 3000]);
+  });
+
+  test('shares one budget across metrics sources', async () => {
+    jest.spyOn(DataAggregator, 'computeMetrics').mockImplementation(async () => {
+      clock += 6000;
+      return { counts: { total: 1 } };
+    });
+
+    await series(['counts.total', 'users.counts.active']);
+
+    expect(DataAggregator.computeMetrics).toHaveBeenCalledTimes(3);
+  });
+
+  test('a timed-out computation leaves the remaining buckets as gaps', async () => {
+    const timeout = Object.assign(new Error('operation exceeded time limit'), { code: 50, codeName: 'MaxTimeMSExpired' });
+    jest.spyOn(DataAggregator, 'computeMetrics')
+      .mockResolvedValueOnce({ counts: { total: 2 } })
+      .mockRejectedValueOnce(timeout);
+
+    const buckets = await series();
+
+    expect(DataAggregator.computeMetrics).toHaveBeenCalledTimes(2);
+    expect(buckets.filter(bucket => bucket.computed).map(bucket => bucket.date)).toEqual([to]);
+  });
+
+  test('other computation errors fail the series', async () => {
+    jest.spyOn(DataAggregator, 'computeMetrics').mockRejectedValue(new Error('connection reset'));
+
+    await expect(series()).rejects.toThrow('connection reset');
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../src/models/analyticsEvent');
+const cache = require('../src/utils/cache');
+const WidgetDataResolver = require('../src/utils/widgetDataResolver');
+
+const dashboard = (layout = []) => ({
+  _id: new mongoose.Types.ObjectId(),
+  companyId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  layout
+});
+
+const widget = (fields = {}) => ({ widgetId: 'w-1', widgetType: 'feedback_count', title: 'Feedback', ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(cache, 'get').mockResolvedValue(null);
+  jest.spyOn(cache, 'set').mockResolvedValue(true);
+  jest.spyOn(AnalyticsEvent, 'countDocuments').mockResolvedValueOnce(8).mockResolvedValueOnce(6).mockResolvedValue(1);
+});
+
+describe('WidgetDataResolver.resolve', () => {
+  test('caches widget data under the dashboard key for the widget refresh interval', async () => {
+    const source = dashboard();
+
+    const data = await WidgetDataResolver.resolve(source, widget({ refreshInterval: 60 }));
+
+    expect(data).toMatchObject({ widgetId: 'w-1', refreshInterval: 60, cached: false });
+    expect(data.data).toEqual({ total: 8, resolved: 6, closed: 1, resolutionRate: 75 });
+    expect(cache.set).toHaveBeenCalledWith(`dashboard:${source._id}:widget:w-1`, expect.not.objectContaining({ cached: false }), 60);
+  });
+
+  test('caches widgets without a refresh interval for the default TTL', async () => {
+    await WidgetDataResolver.resolve(dashboard(), widget({ refreshInterval: 0 }));
+
+    expect(cache.set).toHaveBeenCalledWith(expect.any(String), expect.any(Object), parseInt(process.env.WIDGET_CACHE_TTL || '300', 10));
+  });
+
+  test('returns cached data without resolving it', async () => {
+    cache.get.mockResolvedValue({ widgetId: 'w-1', data: { total: 3 } });
+
+    await expect(WidgetDataResolver.resolve(dashboard(), widget())).resolves.toEqual({ widgetId: 'w-1', data: { total: 3 }, cached: true });
+    expect(AnalyticsEvent.countDocuments).not.toHaveBeenCalled();
+  });
+
+  test('bypasses the cache on refresh', async () => {
+    cache.get.mockResolvedValue({ widgetId: 'w-1', data: { total: 3 } });
+
+    const data = await WidgetDataResolver.resolve(dashboard(), widget(), { refresh: true });
+
+    expect(cache.get).not.toHaveBeenCalled();
+    expect(data.data.total).toBe(8);
+  });
+
+  test('rejects unknown widget types', async () => {
+    await expect(WidgetDataResolver.resolve(dashboard(), widget({ widgetType: 'weather' })))
+      .rejects.toThrow('Unsupported widget type: weather');
+    expect(cache.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('WidgetDataResolver.resolveAll', () => {
+  test('reports a failing widget without failing the others', async () => {
+    AnalyticsEvent.countDocuments.mockReset().mockRejectedValueOnce(new Error('connection reset')).mockResolvedValue(2);
+
+    const widgets = await WidgetDataResolver.resolveAll(dashboard([
+      widget(),
+      widget({ widgetId: 'w-2', widgetType: 'weather', title: 'Weather' }),
+      widget({ widgetId: 'w-3' })
+    ]));
+
+    expect(widgets).toEqual([
+      { widgetId: 'w-1', widgetType: 'feedback_count', title: 'Feedback', error: 'connection reset' },
+      { widgetId: 'w-2', widgetType: 'weather', title: 'Weather', error: 'Unsupported widget type: weather' },
+      expect.objectContaining({ widgetId: 'w-3', data: { total: 2, resolved: 2, closed: 2, resolutionRate: 100 } })
+    ]);
+    expect(cache.set).toHaveBeenCalledTimes(1);
+  });
+});